@@ -0,0 +1,113 @@
+// Offline job cache for the print agent. Outages are common, so the agent
+// keeps what it needs to carry on without Supabase:
+//
+//   jobs:   print_jobs rows (recipe included) and their downloaded files,
+//           so fetched jobs can still be printed, even after a restart
+//   outbox: job status updates that could not be sent, replayed by the
+//           renderer (src/utils/offlineQueue.js) once back online
+//
+// Rows and the outbox live in electron-store under 'jobCache'; files are
+// written to <userData>/job-cache/<jobId>.bin.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const STORE_KEY = 'jobCache';
+
+class JobCache {
+  constructor({ store, dir }) {
+    this.store = store;
+    this.dir = dir;
+  }
+
+  read() {
+    const data = this.store.get(STORE_KEY) || {};
+    return { jobs: data.jobs || {}, outbox: data.outbox || [] };
+  }
+
+  write(data) {
+    this.store.set(STORE_KEY, data);
+  }
+
+  filePath(jobId) {
+    // Job ids are UUIDs; anything else must not escape the cache directory
+    if (!/^[\w-]+$/.test(jobId)) throw new Error(`Invalid job ID: ${jobId}`);
+    return path.join(this.dir, `${jobId}.bin`);
+  }
+
+  async putJob({ job, file }) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Write then rename, so a crash never leaves half a file behind
+    const target = this.filePath(job.id);
+    await fs.writeFile(`${target}.tmp`, Buffer.from(file));
+    await fs.rename(`${target}.tmp`, target);
+
+    const data = this.read();
+    data.jobs[job.id] = {
+      job,
+      size: file.byteLength,
+      cachedAt: new Date().toISOString(),
+      printedAt: data.jobs[job.id]?.printedAt || null
+    };
+    this.write(data);
+  }
+
+  // { job, file, cachedAt, printedAt }, or null when not cached (or the file is gone)
+  async getJob(jobId) {
+    const entry = this.read().jobs[jobId];
+    if (!entry) return null;
+
+    try {
+      const file = await fs.readFile(this.filePath(jobId));
+      return { ...entry, file: new Uint8Array(file.buffer, file.byteOffset, file.byteLength) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.removeJob(jobId);
+      return null;
+    }
+  }
+
+  // Cached jobs without their files, oldest first
+  listJobs() {
+    return Object.values(this.read().jobs).sort((a, b) => a.cachedAt.localeCompare(b.cachedAt));
+  }
+
+  markPrinted(jobId) {
+    const data = this.read();
+    if (!data.jobs[jobId]) return;
+    data.jobs[jobId].printedAt = new Date().toISOString();
+    this.write(data);
+  }
+
+  async removeJob(jobId) {
+    const data = this.read();
+    delete data.jobs[jobId];
+    this.write(data);
+    await fs.rm(this.filePath(jobId), { force: true });
+  }
+
+  // One waiting update per job: a newer one replaces it in place
+  queueStatusUpdate(update) {
+    const data = this.read();
+    const index = data.outbox.findIndex(u => u.jobId === update.jobId);
+    if (index === -1) {
+      data.outbox.push(update);
+    } else {
+      data.outbox[index] = update;
+    }
+    this.write(data);
+  }
+
+  listStatusUpdates() {
+    return this.read().outbox;
+  }
+
+  removeStatusUpdate(jobId) {
+    const data = this.read();
+    data.outbox = data.outbox.filter(u => u.jobId !== jobId);
+    this.write(data);
+  }
+}
+
+module.exports = { JobCache };
@@ -2,8 +2,12 @@ const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
 const printer = require('printer');
+const printPipeline = require('./printPipeline.cjs');
+const printerProfiles = require('./printerProfiles.cjs');
+const { JobCache } = require('./jobCache.cjs');
 
 const store = new Store();
+const jobCache = new JobCache({ store, dir: path.join(app.getPath('userData'), 'job-cache') });
 
 let mainWindow;
 
@@ -71,8 +75,7 @@ app.on('activate', () => {
 // IPC handlers for printer operations
 ipcMain.handle('get-printers', async () => {
   try {
-    const printerList = printer.getPrinters();
-    return printerList.map(p => ({
+    const printerList = printer.getPrinters().map(p => ({
       id: p.name,
       name: p.name,
       status: p.status || 'online',
@@ -81,30 +84,34 @@ ipcMain.handle('get-printers', async () => {
       lastActive: new Date(),
       description: p.description || `${p.name} (System Printer)`
     }));
+    return printerProfiles.applyProfilesToPrinters(printerList, printerProfiles.loadProfiles(store));
   } catch (error) {
     console.error('Error getting printers:', error);
     throw error;
   }
 });
 
+// Print handlers answer { success: true, ... } or
+// { success: false, error: { code, message, details } } (see printPipeline.cjs);
+// a thrown error would reach the renderer with only its message.
 ipcMain.handle('print-document', async (event, { printerId, document, options }) => {
   try {
-    printer.printDirect({
-      data: document,
-      printer: printerId,
-      type: 'RAW',
-      success: (jobID) => {
-        console.log(`Printed with job ID: ${jobID}`);
-        return { success: true, jobId: jobID };
-      },
-      error: (err) => {
-        console.error('Print error:', err);
-        throw err;
-      }
-    });
+    const routed = printerProfiles.routeJob(printerProfiles.loadProfiles(store), { printerId, options });
+    const job = await printPipeline.printDocument(printer, { printerId: routed.printerId, document, options: routed.options });
+    return { success: true, ...job, routeId: routed.routeId };
   } catch (error) {
     console.error('Error printing document:', error);
-    throw error;
+    return { success: false, error: printPipeline.serializePrintError(error) };
+  }
+});
+
+// Polled by the renderer until the job is done
+ipcMain.handle('get-print-job', async (event, { printerId, jobId }) => {
+  try {
+    const job = await printPipeline.getJobStatus(printer, { printerId, jobId });
+    return { success: true, job };
+  } catch (error) {
+    return { success: false, error: printPipeline.serializePrintError(error) };
   }
 });
 
@@ -115,4 +122,27 @@ ipcMain.handle('get-settings', () => {
 ipcMain.handle('save-settings', (event, settings) => {
   store.set('settings', settings);
   return true;
-});
\ No newline at end of file
+});
+
+ipcMain.handle('get-printer-profiles', () => {
+  return printerProfiles.loadProfiles(store);
+});
+
+// Validated before saving; answers like the print handlers
+ipcMain.handle('save-printer-profiles', (event, profiles) => {
+  try {
+    return { success: true, profiles: printerProfiles.saveProfiles(store, profiles) };
+  } catch (error) {
+    return { success: false, error: printPipeline.serializePrintError(error) };
+  }
+});
+
+// Offline job cache and status outbox for the print agent
+ipcMain.handle('cache-job', (event, { job, file }) => jobCache.putJob({ job, file }));
+ipcMain.handle('get-cached-job', (event, jobId) => jobCache.getJob(jobId));
+ipcMain.handle('list-cached-jobs', () => jobCache.listJobs());
+ipcMain.handle('mark-cached-job-printed', (event, jobId) => jobCache.markPrinted(jobId));
+ipcMain.handle('remove-cached-job', (event, jobId) => jobCache.removeJob(jobId));
+ipcMain.handle('queue-status-update', (event, update) => jobCache.queueStatusUpdate(update));
+ipcMain.handle('list-status-updates', () => jobCache.listStatusUpdates());
+ipcMain.handle('remove-status-update', (event, jobId) => jobCache.removeStatusUpdate(jobId));
\ No newline at end of file
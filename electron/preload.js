@@ -3,8 +3,21 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electron', {
   getPrinters: () => ipcRenderer.invoke('get-printers'),
   printDocument: (data) => ipcRenderer.invoke('print-document', data),
+  getPrintJob: (data) => ipcRenderer.invoke('get-print-job', data),
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+  getPrinterProfiles: () => ipcRenderer.invoke('get-printer-profiles'),
+  savePrinterProfiles: (profiles) => ipcRenderer.invoke('save-printer-profiles', profiles),
+  jobCache: {
+    putJob: (entry) => ipcRenderer.invoke('cache-job', entry),
+    getJob: (jobId) => ipcRenderer.invoke('get-cached-job', jobId),
+    listJobs: () => ipcRenderer.invoke('list-cached-jobs'),
+    markPrinted: (jobId) => ipcRenderer.invoke('mark-cached-job-printed', jobId),
+    removeJob: (jobId) => ipcRenderer.invoke('remove-cached-job', jobId),
+    queueStatusUpdate: (update) => ipcRenderer.invoke('queue-status-update', update),
+    listStatusUpdates: () => ipcRenderer.invoke('list-status-updates'),
+    removeStatusUpdate: (jobId) => ipcRenderer.invoke('remove-status-update', jobId)
+  },
   window: {
     minimize: () => ipcRenderer.send('minimize-window'),
     maximize: () => ipcRenderer.send('maximize-window'),
@@ -0,0 +1,238 @@
+// Print pipeline for the main process, on top of the `printer` module.
+// Wraps its callback API in promises, submits PDF and PostScript documents
+// in a format the print system accepts, turns renderer options (copies,
+// duplex, paper size, color) into CUPS-style job options and reads job
+// status back for polling.
+//
+// The printer module is passed in, so a fake one can stand in for tests.
+// Failures are PrintErrors with a stable `code`; serializePrintError() turns
+// them into plain objects that survive IPC.
+
+const PRINT_ERROR_CODES = {
+  INVALID_DOCUMENT: 'INVALID_DOCUMENT',
+  INVALID_OPTIONS: 'INVALID_OPTIONS',
+  INVALID_PROFILES: 'INVALID_PROFILES',
+  PRINTER_NOT_FOUND: 'PRINTER_NOT_FOUND',
+  PRINTER_OUT_OF_SERVICE: 'PRINTER_OUT_OF_SERVICE',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  PRINT_FAILED: 'PRINT_FAILED',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND'
+};
+
+class PrintError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'PrintError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const MAX_COPIES = 999;
+
+// Renderer paper size names -> CUPS media names
+const MEDIA_NAMES = {
+  A3: 'A3',
+  A4: 'A4',
+  A5: 'A5',
+  LETTER: 'Letter',
+  LEGAL: 'Legal'
+};
+
+const PAPER_SIZES = Object.values(MEDIA_NAMES);
+
+// Canonical paper size name ('a4' -> 'A4'), or null when unknown
+const toPaperSize = (paperSize) => MEDIA_NAMES[String(paperSize).toUpperCase()] || null;
+
+const SIDES = ['one-sided', 'two-sided-long-edge', 'two-sided-short-edge'];
+
+// `printer` job status flags -> job state, most significant first
+const JOB_STATE_BY_STATUS = [
+  ['CANCELLED', 'cancelled'],
+  ['DELETED', 'cancelled'],
+  ['DELETING', 'cancelled'],
+  ['ABORTED', 'failed'],
+  ['ERROR', 'failed'],
+  ['PRINTED', 'completed'],
+  ['COMPLETED', 'completed'],
+  ['PRINTING', 'printing'],
+  ['SPOOLING', 'pending'],
+  ['PAUSED', 'pending'],
+  ['BLOCKED', 'pending'],
+  ['PENDING', 'pending']
+];
+
+const TERMINAL_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
+const toBuffer = (document) => {
+  if (Buffer.isBuffer(document)) return document;
+  if (document instanceof Uint8Array) {
+    return Buffer.from(document.buffer, document.byteOffset, document.byteLength);
+  }
+  if (document instanceof ArrayBuffer) return Buffer.from(document);
+  throw new PrintError(PRINT_ERROR_CODES.INVALID_DOCUMENT, 'Document must be binary data (Uint8Array, ArrayBuffer or Buffer)');
+};
+
+// 'PDF', 'POSTSCRIPT' or null, from the file's magic bytes
+const detectDocumentFormat = (buffer) => {
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  if (head.startsWith('%PDF-')) return 'PDF';
+  // PostScript may follow a DOS EPS binary header or a UTF-8 BOM
+  if (head.includes('%!PS')) return 'POSTSCRIPT';
+  return null;
+};
+
+// The print type to submit with: the document's own format when the driver
+// takes it, else AUTO (the spooler converts). RAW would send PDF bytes to
+// the printer as-is, which only PDF-capable printers can print.
+const negotiateFormat = (documentFormat, supportedFormats) => {
+  const supported = (supportedFormats || []).map(format => String(format).toUpperCase());
+
+  if (supported.includes(documentFormat)) return documentFormat;
+  if (supported.includes('AUTO')) return 'AUTO';
+
+  throw new PrintError(
+    PRINT_ERROR_CODES.UNSUPPORTED_FORMAT,
+    `This computer's print system cannot print ${documentFormat} documents`,
+    { documentFormat, supportedFormats: supported }
+  );
+};
+
+// Renderer options -> printer job options (string values, CUPS option names)
+//   copies, duplex, sides, paperSize, colorMode ('color' | 'monochrome'), tray
+const toJobOptions = (options = {}) => {
+  const jobOptions = {};
+
+  if (options.copies !== undefined) {
+    const copies = Number(options.copies);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+      throw new PrintError(PRINT_ERROR_CODES.INVALID_OPTIONS, `Copies must be a whole number from 1 to ${MAX_COPIES}`, { copies: options.copies });
+    }
+    jobOptions.copies = String(copies);
+  }
+
+  const sides = options.sides || (options.duplex === undefined ? null : options.duplex ? 'two-sided-long-edge' : 'one-sided');
+  if (sides) {
+    if (!SIDES.includes(sides)) {
+      throw new PrintError(PRINT_ERROR_CODES.INVALID_OPTIONS, `Unknown sides option: ${sides}`, { sides });
+    }
+    jobOptions.sides = sides;
+  }
+
+  if (options.paperSize) {
+    const media = toPaperSize(options.paperSize);
+    if (!media) {
+      throw new PrintError(PRINT_ERROR_CODES.INVALID_OPTIONS, `Unknown paper size: ${options.paperSize}`, { paperSize: options.paperSize });
+    }
+    jobOptions.media = media;
+  }
+
+  if (options.colorMode) {
+    const monochrome = options.colorMode === 'monochrome';
+    jobOptions['print-color-mode'] = monochrome ? 'monochrome' : 'color';
+    // Most CUPS drivers read ColorModel rather than print-color-mode
+    jobOptions.ColorModel = monochrome ? 'Gray' : 'RGB';
+  }
+
+  if (options.tray) {
+    // IPP name, and the PPD name most drivers use
+    jobOptions['media-source'] = options.tray;
+    jobOptions.InputSlot = options.tray;
+  }
+
+  return jobOptions;
+};
+
+const findPrinter = (printerModule, printerId) => {
+  const printer = printerModule.getPrinters().find(p => p.name === printerId);
+  if (!printer) {
+    throw new PrintError(PRINT_ERROR_CODES.PRINTER_NOT_FOUND, `Printer not found: ${printerId}`, { printerId });
+  }
+  return printer;
+};
+
+// Submit a document; resolves once the spooler has accepted it, with
+// { jobId, printerId, format, options } for the print-document IPC result
+const printDocument = (printerModule, { printerId, document, options = {} }) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const data = toBuffer(document);
+      if (data.length === 0) {
+        throw new PrintError(PRINT_ERROR_CODES.INVALID_DOCUMENT, 'Document is empty');
+      }
+
+      const documentFormat = detectDocumentFormat(data);
+      if (!documentFormat) {
+        throw new PrintError(PRINT_ERROR_CODES.INVALID_DOCUMENT, 'Document is neither PDF nor PostScript');
+      }
+
+      findPrinter(printerModule, printerId);
+      const format = negotiateFormat(documentFormat, printerModule.getSupportedPrintFormats());
+      const jobOptions = toJobOptions(options);
+
+      printerModule.printDirect({
+        data,
+        printer: printerId,
+        type: format,
+        docname: options.jobName || 'PrintFlow job',
+        options: jobOptions,
+        success: (jobId) => {
+          resolve({ jobId: String(jobId), printerId, format, options: jobOptions });
+        },
+        error: (err) => {
+          reject(new PrintError(PRINT_ERROR_CODES.PRINT_FAILED, err?.message || String(err), { printerId, format }));
+        }
+      });
+    } catch (error) {
+      reject(error instanceof PrintError
+        ? error
+        : new PrintError(PRINT_ERROR_CODES.PRINT_FAILED, error.message, { printerId }));
+    }
+  });
+};
+
+// Current state of a submitted job:
+// { jobId, printerId, state, done, status, completedAt }
+const getJobStatus = async (printerModule, { printerId, jobId }) => {
+  let job;
+  try {
+    job = printerModule.getJob(printerId, Number(jobId));
+  } catch (error) {
+    throw new PrintError(PRINT_ERROR_CODES.JOB_NOT_FOUND, `Job ${jobId} is not in the queue of ${printerId}`, { printerId, jobId, reason: error.message });
+  }
+  if (!job) {
+    throw new PrintError(PRINT_ERROR_CODES.JOB_NOT_FOUND, `Job ${jobId} is not in the queue of ${printerId}`, { printerId, jobId });
+  }
+
+  const status = (Array.isArray(job.status) ? job.status : [job.status]).filter(Boolean).map(s => String(s).toUpperCase());
+  const match = JOB_STATE_BY_STATUS.find(([flag]) => status.includes(flag));
+  const state = match ? match[1] : 'pending';
+
+  return {
+    jobId: String(jobId),
+    printerId,
+    state,
+    done: TERMINAL_JOB_STATES.includes(state),
+    status,
+    completedAt: job.completedTime ? new Date(job.completedTime).toISOString() : null
+  };
+};
+
+const serializePrintError = (error) => ({
+  code: error.code || PRINT_ERROR_CODES.PRINT_FAILED,
+  message: error.message || String(error),
+  details: error.details || null
+});
+
+module.exports = {
+  PRINT_ERROR_CODES,
+  PrintError,
+  PAPER_SIZES,
+  toPaperSize,
+  detectDocumentFormat,
+  negotiateFormat,
+  toJobOptions,
+  printDocument,
+  getJobStatus,
+  serializePrintError
+};
@@ -0,0 +1,172 @@
+import { describe, expect, it, vi } from 'vitest';
+import printPipeline from './printPipeline.cjs';
+
+const {
+  PRINT_ERROR_CODES,
+  PrintError,
+  detectDocumentFormat,
+  negotiateFormat,
+  toJobOptions,
+  printDocument,
+  getJobStatus,
+  serializePrintError
+} = printPipeline;
+
+const PDF = Buffer.from('%PDF-1.7\n%âãÏÓ\n1 0 obj\n');
+
+// Stand-in for the `printer` module: one printer, and a printDirect that
+// answers with `outcome` ({ jobId } or { error })
+const fakePrinter = ({ formats = ['PDF', 'AUTO', 'RAW'], outcome = { jobId: 42 }, job = null } = {}) => ({
+  getPrinters: () => [{ name: 'Office_Laser' }],
+  getSupportedPrintFormats: () => formats,
+  printDirect: vi.fn(({ success, error }) => {
+    if (outcome.error) error(outcome.error);
+    else success(outcome.jobId);
+  }),
+  getJob: vi.fn(() => {
+    if (job instanceof Error) throw job;
+    return job;
+  })
+});
+
+const rejection = (promise) => promise.then(() => null, error => error);
+
+describe('detectDocumentFormat', () => {
+  it('recognizes PDF and PostScript by their magic bytes', () => {
+    expect(detectDocumentFormat(PDF)).toBe('PDF');
+    expect(detectDocumentFormat(Buffer.from('%!PS-Adobe-3.0\n'))).toBe('POSTSCRIPT');
+    expect(detectDocumentFormat(Buffer.from('﻿%!PS-Adobe-3.0\n'))).toBe('POSTSCRIPT');
+    expect(detectDocumentFormat(Buffer.from([0xc5, 0xd0, 0xd3, 0xc6, 0, 0, ...Buffer.from('%!PS')]))).toBe('POSTSCRIPT');
+  });
+
+  it('returns null for anything else', () => {
+    expect(detectDocumentFormat(Buffer.from('PK\u0003\u0004'))).toBeNull();
+    expect(detectDocumentFormat(Buffer.from(' %PDF-1.7'))).toBeNull();
+  });
+});
+
+describe('negotiateFormat', () => {
+  it('submits the document format when the print system takes it', () => {
+    expect(negotiateFormat('PDF', ['raw', 'pdf'])).toBe('PDF');
+  });
+
+  it('lets the spooler convert otherwise, but never sends RAW', () => {
+    expect(negotiateFormat('POSTSCRIPT', ['PDF', 'AUTO'])).toBe('AUTO');
+    expect(() => negotiateFormat('PDF', ['RAW', 'TEXT'])).toThrow(expect.objectContaining({
+      code: PRINT_ERROR_CODES.UNSUPPORTED_FORMAT,
+      details: { documentFormat: 'PDF', supportedFormats: ['RAW', 'TEXT'] }
+    }));
+  });
+});
+
+describe('toJobOptions', () => {
+  it('maps renderer options to CUPS job options', () => {
+    expect(toJobOptions({ copies: 3, duplex: true, paperSize: 'letter', colorMode: 'monochrome', tray: 'Tray2' })).toEqual({
+      copies: '3',
+      sides: 'two-sided-long-edge',
+      media: 'Letter',
+      'print-color-mode': 'monochrome',
+      ColorModel: 'Gray',
+      'media-source': 'Tray2',
+      InputSlot: 'Tray2'
+    });
+  });
+
+  it('leaves out what was not asked for, and prefers sides over duplex', () => {
+    expect(toJobOptions()).toEqual({});
+    expect(toJobOptions({ duplex: false })).toEqual({ sides: 'one-sided' });
+    expect(toJobOptions({ duplex: true, sides: 'two-sided-short-edge', colorMode: 'color' })).toEqual({
+      sides: 'two-sided-short-edge',
+      'print-color-mode': 'color',
+      ColorModel: 'RGB'
+    });
+  });
+
+  it('rejects options the printer could not honour', () => {
+    for (const options of [{ copies: 0 }, { copies: 1.5 }, { copies: 1000 }, { paperSize: 'B5' }, { sides: 'both' }]) {
+      expect(() => toJobOptions(options)).toThrow(expect.objectContaining({ code: PRINT_ERROR_CODES.INVALID_OPTIONS }));
+    }
+  });
+});
+
+describe('printDocument', () => {
+  it('submits the document bytes with the negotiated format and job options', async () => {
+    const printer = fakePrinter();
+    // A view into a larger buffer: only its own bytes are sent
+    const backing = new Uint8Array([0, 0, ...PDF, 0]);
+    const document = backing.subarray(2, 2 + PDF.length);
+
+    const result = await printDocument(printer, {
+      printerId: 'Office_Laser',
+      document,
+      options: { copies: 2, paperSize: 'A4', jobName: 'notes.pdf' }
+    });
+
+    expect(result).toEqual({ jobId: '42', printerId: 'Office_Laser', format: 'PDF', options: { copies: '2', media: 'A4' } });
+
+    const submitted = printer.printDirect.mock.calls[0][0];
+    expect(submitted).toMatchObject({ printer: 'Office_Laser', type: 'PDF', docname: 'notes.pdf' });
+    expect(submitted.data.equals(PDF)).toBe(true);
+  });
+
+  it('rejects documents it cannot print before submitting', async () => {
+    const printer = fakePrinter();
+    const codeFor = async (document) => (await rejection(printDocument(printer, { printerId: 'Office_Laser', document }))).code;
+
+    expect(await codeFor(new Uint8Array(0))).toBe(PRINT_ERROR_CODES.INVALID_DOCUMENT);
+    expect(await codeFor(Buffer.from('plain text'))).toBe(PRINT_ERROR_CODES.INVALID_DOCUMENT);
+    expect(await codeFor('%PDF-1.7')).toBe(PRINT_ERROR_CODES.INVALID_DOCUMENT);
+    expect(printer.printDirect).not.toHaveBeenCalled();
+  });
+
+  it('reports unknown printers and spooler failures', async () => {
+    const missing = await rejection(printDocument(fakePrinter(), { printerId: 'Nope', document: PDF }));
+    expect(missing).toMatchObject({ code: PRINT_ERROR_CODES.PRINTER_NOT_FOUND, details: { printerId: 'Nope' } });
+
+    const failing = fakePrinter({ outcome: { error: new Error('Printer is offline') } });
+    const failed = await rejection(printDocument(failing, { printerId: 'Office_Laser', document: PDF }));
+    expect(failed).toBeInstanceOf(PrintError);
+    expect(failed).toMatchObject({ code: PRINT_ERROR_CODES.PRINT_FAILED, message: 'Printer is offline' });
+  });
+});
+
+describe('getJobStatus', () => {
+  it('turns status flags into a job state, the most significant first', async () => {
+    const status = async (flags) => (await getJobStatus(fakePrinter({ job: { status: flags } }), { printerId: 'Office_Laser', jobId: '7' })).state;
+
+    expect(await status(['PRINTING'])).toBe('printing');
+    expect(await status(['PRINTING', 'ERROR'])).toBe('failed');
+    expect(await status('printed')).toBe('completed');
+    expect(await status(['DELETED', 'PRINTED'])).toBe('cancelled');
+    expect(await status([])).toBe('pending');
+  });
+
+  it('reports when the job is done and when it completed', async () => {
+    const printer = fakePrinter({ job: { status: ['COMPLETED'], completedTime: Date.UTC(2026, 0, 2, 3, 4, 5) } });
+
+    expect(await getJobStatus(printer, { printerId: 'Office_Laser', jobId: '7' })).toEqual({
+      jobId: '7',
+      printerId: 'Office_Laser',
+      state: 'completed',
+      done: true,
+      status: ['COMPLETED'],
+      completedAt: '2026-01-02T03:04:05.000Z'
+    });
+    expect(printer.getJob).toHaveBeenCalledWith('Office_Laser', 7);
+  });
+
+  it('reports jobs that are no longer queued', async () => {
+    for (const job of [null, new Error('Job not found')]) {
+      await expect(getJobStatus(fakePrinter({ job }), { printerId: 'Office_Laser', jobId: '7' }))
+        .rejects.toMatchObject({ code: PRINT_ERROR_CODES.JOB_NOT_FOUND });
+    }
+  });
+});
+
+describe('serializePrintError', () => {
+  it('keeps code, message and details, defaulting for plain errors', () => {
+    expect(serializePrintError(new PrintError(PRINT_ERROR_CODES.INVALID_OPTIONS, 'Bad', { copies: 0 })))
+      .toEqual({ code: 'INVALID_OPTIONS', message: 'Bad', details: { copies: 0 } });
+    expect(serializePrintError(new Error('Boom'))).toEqual({ code: 'PRINT_FAILED', message: 'Boom', details: null });
+  });
+});
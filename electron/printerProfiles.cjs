@@ -0,0 +1,197 @@
+// Printer profiles and routing rules, kept in electron-store under
+// 'printerProfiles' (next to the free-form 'settings'):
+//
+//   printers: [{ printerId, label, color, paperSizes, tray, outOfService,
+//                defaults: { duplex, colorMode } }]
+//   routes:   [{ id, paperSize, colorMode, duplex, printerId }]
+//
+// A route sends jobs of one paper size x color mode x duplex to a printer;
+// null in a route field matches anything. Every print is routed: the most
+// specific route whose printer is in service wins (list order breaks ties),
+// and without a matching route the job goes to the printer the renderer
+// asked for. For a shop with a BW laser, a color inkjet and an A3 machine:
+//
+//   A3, any color, any duplex   -> A3 machine
+//   any size, color, any duplex -> color inkjet
+//   any size, monochrome, any   -> BW laser
+
+const { PrintError, PRINT_ERROR_CODES, PAPER_SIZES, toPaperSize } = require('./printPipeline.cjs');
+
+const STORE_KEY = 'printerProfiles';
+const COLOR_MODES = ['color', 'monochrome'];
+
+const DEFAULT_PROFILES = { printers: [], routes: [] };
+
+const invalid = (message, details = null) => new PrintError(PRINT_ERROR_CODES.INVALID_PROFILES, message, details);
+
+const optionalBoolean = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'boolean') throw invalid(`${field} must be true, false or empty`, { [field]: value });
+  return value;
+};
+
+const optionalColorMode = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (!COLOR_MODES.includes(value)) throw invalid(`${field} must be one of ${COLOR_MODES.join(', ')}`, { [field]: value });
+  return value;
+};
+
+const optionalPaperSize = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const paperSize = toPaperSize(value);
+  if (!paperSize) throw invalid(`${field} must be one of ${PAPER_SIZES.join(', ')}`, { [field]: value });
+  return paperSize;
+};
+
+const requiredPrinterId = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) throw invalid(`${field} is required`);
+  return value.trim();
+};
+
+const normalizePrinter = (printer, index) => {
+  const field = `printers[${index}]`;
+  const printerId = requiredPrinterId(printer?.printerId, `${field}.printerId`);
+
+  const paperSizes = printer.paperSizes === undefined || printer.paperSizes === null
+    ? null
+    : [...new Set((Array.isArray(printer.paperSizes) ? printer.paperSizes : [printer.paperSizes])
+      .map(size => optionalPaperSize(size, `${field}.paperSizes`)))];
+
+  return {
+    printerId,
+    label: typeof printer.label === 'string' && printer.label.trim() ? printer.label.trim() : printerId,
+    color: optionalBoolean(printer.color, `${field}.color`),
+    paperSizes,
+    tray: typeof printer.tray === 'string' && printer.tray.trim() ? printer.tray.trim() : null,
+    outOfService: printer.outOfService === true,
+    defaults: {
+      duplex: optionalBoolean(printer.defaults?.duplex, `${field}.defaults.duplex`),
+      colorMode: optionalColorMode(printer.defaults?.colorMode, `${field}.defaults.colorMode`)
+    }
+  };
+};
+
+const normalizeRoute = (route, index) => {
+  const field = `routes[${index}]`;
+  return {
+    id: typeof route?.id === 'string' && route.id ? route.id : `route-${index + 1}`,
+    paperSize: optionalPaperSize(route?.paperSize, `${field}.paperSize`),
+    colorMode: optionalColorMode(route?.colorMode, `${field}.colorMode`),
+    duplex: optionalBoolean(route?.duplex, `${field}.duplex`),
+    printerId: requiredPrinterId(route?.printerId, `${field}.printerId`)
+  };
+};
+
+const routeKey = (route) => `${route.paperSize}|${route.colorMode}|${route.duplex}`;
+
+// Validated copy of profiles from the renderer or the store; throws a
+// PrintError with code INVALID_PROFILES naming the bad field
+const normalizeProfiles = (input) => {
+  if (!input || typeof input !== 'object') throw invalid('Printer profiles must be an object');
+
+  const printers = (input.printers || []).map(normalizePrinter);
+  const routes = (input.routes || []).map(normalizeRoute);
+
+  const printerIds = new Set();
+  for (const printer of printers) {
+    if (printerIds.has(printer.printerId)) throw invalid(`Printer ${printer.printerId} has two profiles`, { printerId: printer.printerId });
+    printerIds.add(printer.printerId);
+  }
+
+  const routeKeys = new Map();
+  for (const route of routes) {
+    const key = routeKey(route);
+    if (routeKeys.has(key)) {
+      throw invalid('Two routing rules match the same jobs', { routes: [routeKeys.get(key), route.id] });
+    }
+    routeKeys.set(key, route.id);
+  }
+
+  return { printers, routes };
+};
+
+const loadProfiles = (store) => {
+  const stored = store.get(STORE_KEY);
+  if (!stored) return DEFAULT_PROFILES;
+
+  try {
+    return normalizeProfiles(stored);
+  } catch (error) {
+    console.error('Ignoring invalid printer profiles:', error.message);
+    return DEFAULT_PROFILES;
+  }
+};
+
+const saveProfiles = (store, input) => {
+  const profiles = normalizeProfiles(input);
+  store.set(STORE_KEY, profiles);
+  return profiles;
+};
+
+const findProfile = (profiles, printerId) => profiles.printers.find(p => p.printerId === printerId) || null;
+
+const matchesRoute = (route, job) =>
+  (route.paperSize === null || route.paperSize === job.paperSize) &&
+  (route.colorMode === null || route.colorMode === job.colorMode) &&
+  (route.duplex === null || route.duplex === job.duplex);
+
+const specificity = (route) => [route.paperSize, route.colorMode, route.duplex].filter(value => value !== null).length;
+
+// Printer and options for a print request:
+// { printerId, options, routeId } with the printer's defaults and tray applied
+const routeJob = (profiles, { printerId, options = {} }) => {
+  const job = {
+    paperSize: toPaperSize(options.paperSize || 'A4'),
+    colorMode: options.colorMode === 'color' ? 'color' : 'monochrome',
+    duplex: options.sides ? options.sides !== 'one-sided' : !!options.duplex
+  };
+
+  const route = profiles.routes
+    .filter(r => matchesRoute(r, job) && !findProfile(profiles, r.printerId)?.outOfService)
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+
+  const targetId = route ? route.printerId : printerId;
+  if (!targetId) {
+    throw new PrintError(PRINT_ERROR_CODES.PRINTER_NOT_FOUND, 'No printer was chosen and no routing rule matches this job', job);
+  }
+
+  const profile = findProfile(profiles, targetId);
+  if (profile?.outOfService) {
+    throw new PrintError(PRINT_ERROR_CODES.PRINTER_OUT_OF_SERVICE, `${profile.label} is out of service and no routing rule matches this job`, { printerId: targetId, ...job });
+  }
+
+  const defaults = profile
+    ? Object.fromEntries(Object.entries(profile.defaults).filter(([, value]) => value !== null))
+    : {};
+  const requested = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+
+  return {
+    printerId: targetId,
+    options: { ...defaults, ...requested, ...(profile?.tray ? { tray: profile.tray } : {}) },
+    routeId: route ? route.id : null
+  };
+};
+
+// Printer list (as sent to the renderer) with profile details applied
+const applyProfilesToPrinters = (printers, profiles) => printers.map(printer => {
+  const profile = findProfile(profiles, printer.id);
+  if (!profile) return printer;
+
+  return {
+    ...printer,
+    name: profile.label,
+    status: profile.outOfService ? 'out-of-service' : printer.status,
+    supportedSizes: profile.paperSizes || printer.supportedSizes,
+    ...(profile.color === null ? {} : { color: profile.color }),
+    tray: profile.tray
+  };
+});
+
+module.exports = {
+  DEFAULT_PROFILES,
+  normalizeProfiles,
+  loadProfiles,
+  saveProfiles,
+  routeJob,
+  applyProfilesToPrinters
+};
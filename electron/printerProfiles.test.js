@@ -0,0 +1,175 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import printerProfiles from './printerProfiles.cjs';
+import printPipeline from './printPipeline.cjs';
+
+const { DEFAULT_PROFILES, normalizeProfiles, loadProfiles, saveProfiles, routeJob, applyProfilesToPrinters } = printerProfiles;
+const { PRINT_ERROR_CODES } = printPipeline;
+
+// The shop from the module comment: a BW laser, a color inkjet and an A3 machine
+const SHOP = normalizeProfiles({
+  printers: [
+    { printerId: 'laser', label: 'BW Laser', color: false, defaults: { duplex: true } },
+    { printerId: 'inkjet', label: 'Color Inkjet', color: true, tray: 'Photo', defaults: { colorMode: 'color' } },
+    { printerId: 'a3', label: 'A3 Machine', paperSizes: ['A3', 'A4'] }
+  ],
+  routes: [
+    { id: 'a3', paperSize: 'A3', printerId: 'a3' },
+    { id: 'color', colorMode: 'color', printerId: 'inkjet' },
+    { id: 'bw', colorMode: 'monochrome', printerId: 'laser' }
+  ]
+});
+
+const withPrinter = (printerId, changes) => ({
+  ...SHOP,
+  printers: SHOP.printers.map(p => p.printerId === printerId ? { ...p, ...changes } : p)
+});
+
+const memoryStore = (data = {}) => ({
+  get: key => data[key],
+  set: vi.fn((key, value) => { data[key] = value; })
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('normalizeProfiles', () => {
+  it('fills in defaults and canonical paper sizes', () => {
+    expect(normalizeProfiles({
+      printers: [{ printerId: ' laser ', paperSizes: ['a4', 'A4', 'letter'] }, { printerId: 'inkjet', label: 'Inkjet', paperSizes: 'A3' }],
+      routes: [{ paperSize: 'letter', duplex: true, printerId: 'laser' }, { id: 'color', colorMode: 'color', printerId: 'inkjet' }]
+    })).toEqual({
+      printers: [
+        { printerId: 'laser', label: 'laser', color: null, paperSizes: ['A4', 'Letter'], tray: null, outOfService: false, defaults: { duplex: null, colorMode: null } },
+        { printerId: 'inkjet', label: 'Inkjet', color: null, paperSizes: ['A3'], tray: null, outOfService: false, defaults: { duplex: null, colorMode: null } }
+      ],
+      routes: [
+        { id: 'route-1', paperSize: 'Letter', colorMode: null, duplex: true, printerId: 'laser' },
+        { id: 'color', paperSize: null, colorMode: 'color', duplex: null, printerId: 'inkjet' }
+      ]
+    });
+    expect(normalizeProfiles({})).toEqual(DEFAULT_PROFILES);
+  });
+
+  it('names the field that is wrong', () => {
+    const message = (input) => {
+      try {
+        normalizeProfiles(input);
+        return null;
+      } catch (error) {
+        expect(error.code).toBe(PRINT_ERROR_CODES.INVALID_PROFILES);
+        return error.message;
+      }
+    };
+
+    expect(message(null)).toBe('Printer profiles must be an object');
+    expect(message({ printers: [{ printerId: ' ' }] })).toBe('printers[0].printerId is required');
+    expect(message({ printers: [{ printerId: 'a', paperSizes: ['B5'] }] })).toBe('printers[0].paperSizes must be one of A3, A4, A5, Letter, Legal');
+    expect(message({ printers: [{ printerId: 'a', color: 'yes' }] })).toBe('printers[0].color must be true, false or empty');
+    expect(message({ printers: [{ printerId: 'a', defaults: { colorMode: 'gray' } }] })).toBe('printers[0].defaults.colorMode must be one of color, monochrome');
+    expect(message({ routes: [{ paperSize: 'A4' }] })).toBe('routes[0].printerId is required');
+  });
+
+  it('rejects a printer with two profiles and rules that match the same jobs', () => {
+    expect(() => normalizeProfiles({ printers: [{ printerId: 'a' }, { printerId: 'a', label: 'Again' }] }))
+      .toThrow(expect.objectContaining({ message: 'Printer a has two profiles', details: { printerId: 'a' } }));
+    expect(() => normalizeProfiles({ routes: [{ id: 'one', paperSize: 'a4', printerId: 'a' }, { id: 'two', paperSize: 'A4', printerId: 'b' }] }))
+      .toThrow(expect.objectContaining({ message: 'Two routing rules match the same jobs', details: { routes: ['one', 'two'] } }));
+  });
+});
+
+describe('loadProfiles and saveProfiles', () => {
+  it('stores the normalized profiles and loads them back', () => {
+    const store = memoryStore();
+
+    const saved = saveProfiles(store, { printers: [{ printerId: 'laser' }] });
+
+    expect(store.set).toHaveBeenCalledWith('printerProfiles', saved);
+    expect(loadProfiles(store)).toEqual(saved);
+  });
+
+  it('does not store invalid profiles', () => {
+    const store = memoryStore();
+
+    expect(() => saveProfiles(store, { printers: [{}] })).toThrow('printers[0].printerId is required');
+    expect(store.set).not.toHaveBeenCalled();
+  });
+
+  it('falls back to no profiles when nothing valid is stored', () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(loadProfiles(memoryStore())).toBe(DEFAULT_PROFILES);
+    expect(loadProfiles(memoryStore({ printerProfiles: { routes: [{ printerId: '' }] } }))).toBe(DEFAULT_PROFILES);
+    expect(error).toHaveBeenCalledWith('Ignoring invalid printer profiles:', 'routes[0].printerId is required');
+  });
+});
+
+describe('routeJob', () => {
+  it('sends each job to the most specific matching route', () => {
+    const route = (options) => {
+      const { printerId, routeId } = routeJob(SHOP, { printerId: 'laser', options });
+      return [printerId, routeId];
+    };
+
+    expect(route({ paperSize: 'A3', colorMode: 'color' })).toEqual(['a3', 'a3']);
+    expect(route({ paperSize: 'A4', colorMode: 'color' })).toEqual(['inkjet', 'color']);
+    expect(route({ colorMode: 'monochrome' })).toEqual(['laser', 'bw']);
+
+    // A4 color duplex beats any color job
+    const specific = { ...SHOP, routes: [...SHOP.routes, ...normalizeProfiles({ routes: [{ id: 'duplex', paperSize: 'A4', colorMode: 'color', duplex: true, printerId: 'laser' }] }).routes] };
+    expect(routeJob(specific, { printerId: 'a3', options: { colorMode: 'color', sides: 'two-sided-long-edge' } }).routeId).toBe('duplex');
+    expect(routeJob(specific, { printerId: 'a3', options: { colorMode: 'color', duplex: true, sides: 'one-sided' } }).routeId).toBe('color');
+  });
+
+  it('skips routes to printers that are out of service', () => {
+    const profiles = withPrinter('a3', { outOfService: true });
+
+    expect(routeJob(profiles, { printerId: 'laser', options: { paperSize: 'A3', colorMode: 'color' } }))
+      .toMatchObject({ printerId: 'inkjet', routeId: 'color' });
+  });
+
+  it('uses the requested printer when no route matches', () => {
+    expect(routeJob({ ...SHOP, routes: [] }, { printerId: 'a3', options: { copies: 2 } }))
+      .toEqual({ printerId: 'a3', options: { copies: 2 }, routeId: null });
+    expect(routeJob(DEFAULT_PROFILES, { printerId: 'unprofiled', options: {} }))
+      .toEqual({ printerId: 'unprofiled', options: {}, routeId: null });
+  });
+
+  it('applies printer defaults under the requested options and sets the tray', () => {
+    expect(routeJob(SHOP, { printerId: 'inkjet', options: { colorMode: 'color', copies: 3, paperSize: null } }).options)
+      .toEqual({ colorMode: 'color', copies: 3, tray: 'Photo' });
+    expect(routeJob(SHOP, { printerId: 'laser', options: { colorMode: 'monochrome' } }).options)
+      .toEqual({ duplex: true, colorMode: 'monochrome' });
+    expect(routeJob(SHOP, { printerId: 'laser', options: { colorMode: 'monochrome', duplex: false } }).options)
+      .toEqual({ duplex: false, colorMode: 'monochrome' });
+  });
+
+  it('fails when there is no printer to send the job to', () => {
+    const noRoutes = withPrinter('a3', { outOfService: true });
+    noRoutes.routes = [];
+
+    expect(() => routeJob(noRoutes, { printerId: null, options: {} }))
+      .toThrow(expect.objectContaining({ code: PRINT_ERROR_CODES.PRINTER_NOT_FOUND }));
+    expect(() => routeJob(noRoutes, { printerId: 'a3', options: {} })).toThrow(expect.objectContaining({
+      code: PRINT_ERROR_CODES.PRINTER_OUT_OF_SERVICE,
+      message: 'A3 Machine is out of service and no routing rule matches this job',
+      details: { printerId: 'a3', paperSize: 'A4', colorMode: 'monochrome', duplex: false }
+    }));
+  });
+});
+
+describe('applyProfilesToPrinters', () => {
+  it('shows labels, service status, paper sizes, color and tray from the profiles', () => {
+    const printers = [
+      { id: 'laser', name: 'HP_LaserJet', status: 'ready', supportedSizes: ['A4', 'Letter'], color: true },
+      { id: 'a3', name: 'Ricoh_A3', status: 'ready', supportedSizes: ['A4'], color: true },
+      { id: 'other', name: 'Other', status: 'offline', supportedSizes: ['A4'], color: false }
+    ];
+
+    expect(applyProfilesToPrinters(printers, withPrinter('a3', { outOfService: true }))).toEqual([
+      { id: 'laser', name: 'BW Laser', status: 'ready', supportedSizes: ['A4', 'Letter'], color: false, tray: null },
+      { id: 'a3', name: 'A3 Machine', status: 'out-of-service', supportedSizes: ['A3', 'A4'], color: true, tray: null },
+      printers[2]
+    ]);
+  });
+});
@@ -24,5 +24,23 @@ export default tseslint.config(
         { allowConstantExport: true },
       ],
     },
+  },
+  {
+    // The Electron main and preload scripts are CommonJS running in Node
+    files: ['electron/**/*.{js,cjs}'],
+    languageOptions: {
+      sourceType: 'commonjs',
+      globals: globals.node,
+    },
+    rules: {
+      '@typescript-eslint/no-require-imports': 'off',
+    },
+  },
+  {
+    // Their tests run under vitest, which only loads as an ES module
+    files: ['electron/**/*.test.js'],
+    languageOptions: {
+      sourceType: 'module',
+    },
   }
 );
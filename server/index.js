@@ -2,46 +2,204 @@ import express from 'express';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getPrinterAttributes, printJob, getJobAttributes, cancelJob, toIppJobOptions, IppError } from './ipp.js';
+import { JobRegistry, JobTransitionError, JOB_STATES, TERMINAL_STATES, fromIppJobState } from './jobRegistry.js';
+import { syncJobStatus, isSupabaseSyncEnabled, getPrintJob, reopenPayment, settlePayment, getPrintOrder, reopenOrderPayment, settleOrderPayment, toPrintFilePath, downloadPrintFile, getCostConfigs, saveJobTotalCost, saveOrderTotalCost, verifyShopOwner } from './supabaseSync.js';
+import { createPaymentProvider, PaymentError, PAYMENT_METHODS, toMinorUnits } from './payments.js';
+import { priceOrder, getRecipeOrderData, getJobOrderData, roundCost } from '../src/utils/pricing.js';
+import { prepareRecipe } from '../src/utils/pdf2/services/recipeValidator.ts';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Only the web app calls this API from a browser. APP_ORIGIN lists its
+// origins, comma-separated; the default is the Vite dev server.
+const allowedOrigins = (process.env.APP_ORIGIN || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: allowedOrigins }));
+// Documents may be posted inline as base64, so allow large bodies
+// Keep the raw body around: payment webhooks are verified against the exact bytes
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve static files from the dist directory
 app.use(express.static(join(__dirname, '../dist')));
 
-// Mock printer data
-const mockPrinters = [
-  {
-    id: 'printer1',
-    name: 'Network Printer 1',
-    status: 'online',
-    url: 'ipp://printer1.local:631/ipp/print',
-    supportedSizes: ['A4', 'Letter', 'A3', 'Legal'],
-    isDefault: true,
-    lastActive: new Date(),
-    description: 'IPP-enabled network printer'
-  },
-  {
-    id: 'printer2',
-    name: 'Network Printer 2',
-    status: 'online',
-    url: 'ipp://printer2.local:631/ipp/print',
-    supportedSizes: ['A4', 'Letter'],
-    isDefault: false,
-    lastActive: new Date(),
-    description: 'IPP-enabled network printer'
-  }
-];
-
-// Function to discover network printers using IPP
+// Printers are configured through IPP_PRINTERS as a comma-separated list of
+// "Name=ipp://host:631/ipp/print" entries (the name is optional). For local
+// testing point it at an IPP stand-in printer such as CUPS' ippeveprinter:
+//   ippeveprinter -p 8631 -f application/pdf TestPrinter
+//   IPP_PRINTERS="Test=ipp://localhost:8631/ipp/print" npm run server
+function loadConfiguredPrinters() {
+  const entries = (process.env.IPP_PRINTERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries.map((entry, index) => {
+    const separator = entry.indexOf('=');
+    const hasName = separator > 0 && !entry.slice(0, separator).includes('://');
+    const url = hasName ? entry.slice(separator + 1).trim() : entry;
+    return {
+      id: `printer${index + 1}`,
+      name: hasName ? entry.slice(0, separator).trim() : `Network Printer ${index + 1}`,
+      url,
+      isDefault: index === 0
+    };
+  });
+}
+
+const configuredPrinters = loadConfiguredPrinters();
+
+function findPrinter(id) {
+  return configuredPrinters.find(p => p.id === id) || null;
+}
+
+// Query every configured printer with Get-Printer-Attributes
 async function discoverNetworkPrinters() {
-  return mockPrinters;
+  return Promise.all(configuredPrinters.map(async (printer) => {
+    try {
+      const attrs = await getPrinterAttributes(printer.url, { timeoutMs: 5000 });
+      return {
+        id: printer.id,
+        name: attrs.name || printer.name,
+        status: attrs.state === 'stopped' || !attrs.acceptingJobs ? 'offline' : 'online',
+        url: printer.url,
+        supportedSizes: attrs.paperSizes,
+        isDefault: printer.isDefault,
+        lastActive: new Date(),
+        description: attrs.makeAndModel || attrs.info || 'IPP-enabled network printer'
+      };
+    } catch (error) {
+      console.warn(`Printer ${printer.name} unreachable:`, error.message);
+      return {
+        id: printer.id,
+        name: printer.name,
+        status: 'offline',
+        url: printer.url,
+        supportedSizes: [],
+        isDefault: printer.isDefault,
+        lastActive: null,
+        description: `Unreachable: ${error.message}`
+      };
+    }
+  }));
+}
+
+// Job registry, persisted across restarts (JOBS_FILE overrides the location).
+// Every state change is written back to print_jobs under the job's Supabase
+// printJobId; the registry runs these writes one at a time per job.
+const jobRegistry = new JobRegistry({
+  filePath: process.env.JOBS_FILE || join(__dirname, 'data/jobs.json'),
+  onTransition: async (job) => {
+    if (job.printJobId) {
+      await syncJobStatus(job.printJobId, job.state);
+    }
+  }
+});
+
+const JOB_POLL_INTERVAL_MS = 5000;
+let isPolling = false;
+
+// Poll Get-Job-Attributes for every job the printer has not finished yet
+async function pollActiveJobs() {
+  if (isPolling) return;
+  isPolling = true;
+
+  for (const job of jobRegistry.listActive()) {
+    const printer = findPrinter(job.printerId);
+    if (!printer) continue;
+
+    try {
+      const status = await getJobAttributes(printer.url, job.ippJobId, { timeoutMs: 5000 });
+      const state = fromIppJobState(status.state);
+      // Re-read the job: it may have been cancelled while this request was out
+      const current = jobRegistry.get(job.id);
+      if (state && state !== current.state && !TERMINAL_STATES.includes(current.state)) {
+        jobRegistry.transition(job.id, state, { stateReasons: status.stateReasons });
+      }
+    } catch (error) {
+      console.warn(`Failed to poll job ${job.id}:`, error.message);
+    }
+  }
+
+  isPolling = false;
 }
 
+class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentError';
+  }
+}
+
+// Resolve the document from the request body into bytes and a MIME type.
+// Accepts { data: <base64>, format }, { path } in the print-files bucket, or
+// a URL string / { url } that is one of this project's print-files URLs.
+// Other URLs are refused: the server never fetches a URL a client picked.
+async function readDocument(document) {
+  const source = typeof document === 'string' ? { url: document } : document || {};
+
+  if (source.data) {
+    return {
+      data: Buffer.from(source.data, 'base64'),
+      format: source.format || 'application/pdf'
+    };
+  }
+
+  const path = source.path || (source.url ? toPrintFilePath(source.url) : null);
+  if (source.url && !path) {
+    throw new DocumentError('Document URL must be a print-files URL of this Supabase project');
+  }
+
+  if (path) {
+    const { data: file, error } = await downloadPrintFile(path);
+    if (error) {
+      throw new Error(`Failed to download document: ${error.message}`);
+    }
+    return {
+      data: file.bytes,
+      format: source.format || file.contentType || 'application/pdf'
+    };
+  }
+
+  throw new DocumentError('Document must include a print-files path or URL, or base64 data');
+}
+
+// The shop owner's Supabase session (Authorization: Bearer <access token>)
+// checked against the shop. Sends the 401/403 itself and returns null when the
+// caller isn't the shop's owner.
+async function authorizeShopOwner(req, res, shopId, action) {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!accessToken) {
+    res.status(401).json({ error: `Sign in as the shop owner to ${action}` });
+    return null;
+  }
+
+  const { data: owner, error } = await verifyShopOwner(accessToken, shopId);
+  if (error) {
+    res.status(401).json({ error: 'Invalid session', message: error.message });
+    return null;
+  }
+  if (!owner.isOwner) {
+    res.status(403).json({ error: `Only the shop owner can ${action}` });
+    return null;
+  }
+
+  return owner;
+}
+
+// print_jobs statuses a job can be (re)sent to a printer from
+const PRINTABLE_JOB_STATUSES = ['pending', 'failed'];
+
 // API Routes
 app.get('/api/printers', async (req, res) => {
   try {
@@ -58,43 +216,569 @@ app.get('/api/printers', async (req, res) => {
 
 app.get('/api/printers/:id/capabilities', async (req, res) => {
   try {
-    const printer = mockPrinters.find(p => p.id === req.params.id);
+    const printer = findPrinter(req.params.id);
     
     if (!printer) {
       return res.status(404).json({ error: 'Printer not found' });
     }
 
-    // Return mock capabilities directly from the printer data
-    res.json(printer.supportedSizes);
+    const attrs = await getPrinterAttributes(printer.url);
+
+    res.json({
+      id: printer.id,
+      name: attrs.name || printer.name,
+      state: attrs.state,
+      supportedSizes: attrs.paperSizes,
+      media: attrs.media,
+      mediaDefault: attrs.mediaDefault,
+      duplex: attrs.duplex,
+      sides: attrs.sides,
+      color: attrs.color,
+      colorModes: attrs.colorModes,
+      documentFormats: attrs.documentFormats,
+      maxCopies: attrs.maxCopies
+    });
   } catch (error) {
     console.error('Error getting printer capabilities:', error);
-    res.status(500).json({ error: 'Failed to get printer capabilities' });
+    res.status(502).json({ error: 'Failed to get printer capabilities', message: error.message });
   }
 });
 
+// Prints a paid print_jobs row for its shop's owner
 app.post('/api/print', async (req, res) => {
+  const { printerId, printJobId, document, options = {} } = req.body;
+  const printer = findPrinter(printerId);
+
+  if (!printer) {
+    return res.status(404).json({ error: 'Printer not found' });
+  }
+
+  if (!printJobId) {
+    return res.status(400).json({ error: 'printJobId is required' });
+  }
+
+  let printJobRow;
   try {
-    const { printerId, document, options } = req.body;
-    const printer = mockPrinters.find(p => p.id === printerId);
-    
-    if (!printer) {
-      return res.status(404).json({ error: 'Printer not found' });
+    const { data, error } = await getPrintJob(printJobId);
+    if (error || !data) {
+      return res.status(404).json({ error: 'Print job not found', message: error?.message });
+    }
+    printJobRow = data;
+
+    if (!await authorizeShopOwner(req, res, printJobRow.shop_id, 'print jobs')) return;
+  } catch (error) {
+    console.error('Error checking print job:', error);
+    return res.status(500).json({ error: 'Failed to submit print job', message: error.message });
+  }
+
+  if (printJobRow.payment_status !== 'paid') {
+    return res.status(409).json({ error: 'Print job has not been paid for' });
+  }
+
+  if (!PRINTABLE_JOB_STATUSES.includes(printJobRow.job_status)) {
+    return res.status(409).json({ error: `Print job is already ${printJobRow.job_status}` });
+  }
+
+  const inProgress = jobRegistry.list().find(job => job.printJobId === printJobId && !TERMINAL_STATES.includes(job.state));
+  if (inProgress) {
+    return res.status(409).json({ error: 'Print job is already being printed', jobId: inProgress.id, job: inProgress });
+  }
+
+  const job = jobRegistry.create({
+    printerId: printer.id,
+    printJobId,
+    shopId: printJobRow.shop_id,
+    filename: options.jobName || document?.name || null,
+    options
+  });
+
+  // DELETE /api/jobs/:id may cancel the job while its document is being
+  // downloaded or submitted, so the registry is checked after every await
+  const isCancelled = () => jobRegistry.get(job.id).state === 'cancelled';
+  const respondCancelled = () => res.status(409).json({
+    error: 'Print job was cancelled',
+    jobId: job.id,
+    job: jobRegistry.get(job.id)
+  });
+
+  try {
+    const { data, format } = await readDocument(document);
+    if (isCancelled()) {
+      return respondCancelled();
     }
 
     console.log('Print job received:', {
       printer: printer.name,
-      document,
+      jobId: job.id,
+      bytes: data.length,
+      format,
       options
     });
 
+    const result = await printJob(printer.url, data, {
+      ...toIppJobOptions(options),
+      documentFormat: format,
+      jobName: options.jobName || document?.name || 'PrintFlow job',
+      userName: options.userName || 'printflow'
+    });
+
+    jobRegistry.update(job.id, { ippJobId: result.jobId, stateReasons: result.stateReasons });
+
+    // Cancelled while the printer was accepting it: cancel it there too
+    if (isCancelled()) {
+      try {
+        await cancelJob(printer.url, result.jobId);
+      } catch (cancelError) {
+        console.error('Error cancelling print job on the printer:', cancelError);
+      }
+      return respondCancelled();
+    }
+
+    const state = fromIppJobState(result.state);
+    const updated = state && state !== 'queued'
+      ? jobRegistry.transition(job.id, state)
+      : jobRegistry.get(job.id);
+
     res.json({ 
       success: true,
       message: 'Print job submitted successfully',
-      jobId: Math.random().toString(36).substr(2, 9)
+      jobId: job.id,
+      job: updated
     });
   } catch (error) {
     console.error('Error submitting print job:', error);
-    res.status(500).json({ error: 'Failed to submit print job' });
+    if (isCancelled()) {
+      return respondCancelled();
+    }
+
+    const failed = jobRegistry.transition(job.id, 'failed', { error: error.message });
+    const status = error instanceof DocumentError ? 400 : error instanceof IppError ? 502 : 500;
+    res.status(status).json({
+      error: 'Failed to submit print job',
+      message: error.message,
+      jobId: job.id,
+      job: failed
+    });
+  }
+});
+
+app.get('/api/jobs', (req, res) => {
+  const { state, printerId } = req.query;
+
+  if (state && !JOB_STATES.includes(state)) {
+    return res.status(400).json({ error: `Unknown job state: ${state}` });
+  }
+
+  res.json(jobRegistry.list({ state, printerId }));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobRegistry.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = jobRegistry.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Jobs from before printing needed a print_jobs row have no shop to check
+    if (!job.shopId) {
+      return res.status(403).json({ error: 'Job has no shop to authorize against' });
+    }
+
+    if (!await authorizeShopOwner(req, res, job.shopId, 'cancel print jobs')) return;
+
+    if (TERMINAL_STATES.includes(job.state)) {
+      return res.status(409).json({ error: `Job is already ${job.state}`, job });
+    }
+
+    // A job still being submitted has no IPP job id yet; POST /api/print sees
+    // the cancelled state and skips (or cancels) the printer submission
+    const printer = findPrinter(job.printerId);
+    if (printer && job.ippJobId !== null) {
+      await cancelJob(printer.url, job.ippJobId);
+    }
+
+    // The job may have finished on the printer while cancelJob was in flight
+    const current = jobRegistry.get(job.id);
+    if (TERMINAL_STATES.includes(current.state)) {
+      return res.status(409).json({ error: `Job is already ${current.state}`, job: current });
+    }
+
+    res.json(jobRegistry.transition(job.id, 'cancelled'));
+  } catch (error) {
+    console.error('Error cancelling print job:', error);
+    const status = error instanceof JobTransitionError ? 409 : error instanceof IppError ? 502 : 500;
+    res.status(status).json({ error: 'Failed to cancel print job', message: error.message });
+  }
+});
+
+app.get('/api/printers/:id/jobs/:jobId', async (req, res) => {
+  try {
+    const printer = findPrinter(req.params.id);
+
+    if (!printer) {
+      return res.status(404).json({ error: 'Printer not found' });
+    }
+
+    const job = await getJobAttributes(printer.url, Number(req.params.jobId));
+    res.json(job);
+  } catch (error) {
+    console.error('Error getting print job status:', error);
+    res.status(error instanceof IppError ? 502 : 500).json({
+      error: 'Failed to get print job status',
+      message: error.message
+    });
+  }
+});
+
+// Payments. The amount is priced here from each job's recipe and the shop's
+// cost_configs whenever an amount is needed (a checkout, a direct UPI
+// payment, a manual confirmation), and stored in total_cost; the total_cost a
+// customer's browser inserted is never trusted.
+const paymentProvider = createPaymentProvider(process.env, {
+  baseUrl: process.env.PUBLIC_BASE_URL || 'http://localhost:3001'
+});
+
+function isSafeReturnUrl(url) {
+  return typeof url === 'string' && url.startsWith('/') && !url.startsWith('//');
+}
+
+// Price a print_jobs row as it will print: from its recipe when it has one
+function priceJob(job, configs) {
+  let orderData;
+  if (job.recipe) {
+    try {
+      orderData = getRecipeOrderData(prepareRecipe(job.recipe));
+    } catch (error) {
+      throw new PaymentError(`Print job ${job.id} can't be priced: ${error.message}`, 409);
+    }
+  } else {
+    orderData = getJobOrderData(job);
+  }
+
+  const { cost, error } = priceOrder(configs, orderData);
+  if (error) {
+    throw new PaymentError(`Print job ${job.id} can't be priced: ${error}`, 409);
+  }
+  return roundCost(cost);
+}
+
+// Price the jobs and store any total_cost that differs from the server's price
+async function repriceJobs(shopId, jobs) {
+  const { data: configs, error } = await getCostConfigs(shopId);
+  if (error) {
+    throw new Error(`Failed to load pricing: ${error.message}`);
+  }
+
+  let total = 0;
+  for (const job of jobs) {
+    const cost = priceJob(job, configs);
+    if (toMinorUnits(cost) !== toMinorUnits(job.total_cost)) {
+      console.warn(`⚠️ Repriced print job ${job.id}: ${job.total_cost} -> ${cost}`);
+      const { error: saveError } = await saveJobTotalCost(job.id, cost);
+      if (saveError) {
+        throw new Error(`Failed to store the price of print job ${job.id}: ${saveError.message}`);
+      }
+    }
+    total += cost;
+  }
+  return roundCost(total);
+}
+
+// Loads what is being paid for: a single print job, or a multi-document
+// order whose amount is the sum of its jobs. With reprice the jobs are priced
+// afresh (see repriceJobs); otherwise the stored total_cost is used, as set
+// by the repricing when the checkout was created.
+async function getPayable({ printJobId, printOrderId }, { reprice = false } = {}) {
+  if (printOrderId) {
+    const { data: order, error } = await getPrintOrder(printOrderId);
+    if (error || !order) return { data: null, error };
+
+    let amount = order.amount_due;
+    if (reprice && order.payment_status !== 'paid' && order.print_jobs.length > 0) {
+      amount = await repriceJobs(order.shop_id, order.print_jobs);
+      if (toMinorUnits(amount) !== toMinorUnits(order.total_cost)) {
+        const { error: saveError } = await saveOrderTotalCost(order.id, amount);
+        if (saveError) {
+          throw new Error(`Failed to store the order total: ${saveError.message}`);
+        }
+      }
+    }
+
+    return {
+      data: { id: order.id, amount, paymentStatus: order.payment_status, jobCount: order.print_jobs.length },
+      error: null
+    };
+  }
+
+  const { data: job, error } = await getPrintJob(printJobId);
+  if (error || !job) return { data: null, error };
+
+  const amount = reprice && job.payment_status !== 'paid'
+    ? await repriceJobs(job.shop_id, [job])
+    : job.total_cost;
+
+  return {
+    data: { id: job.id, amount, paymentStatus: job.payment_status, jobCount: 1 },
+    error: null
+  };
+}
+
+// What a payment request is for: { printJobId } or { printOrderId }, or an
+// error message for a bad request
+function getPaymentTarget({ printJobId, printOrderId }) {
+  if (!printJobId && !printOrderId) {
+    return { error: 'printJobId or printOrderId is required' };
+  }
+
+  if (printJobId && printOrderId) {
+    return { error: 'Pay for either a print job or an order, not both' };
+  }
+
+  return { printJobId, printOrderId };
+}
+
+// The amount due, priced by the server. Direct UPI payments go straight to
+// the shop's VPA, so the payment page builds its UPI link and QR code from
+// this instead of the total_cost the customer's browser inserted.
+app.post('/api/payments/amount', async (req, res) => {
+  const target = getPaymentTarget(req.body);
+  if (target.error) {
+    return res.status(400).json({ error: target.error });
+  }
+
+  try {
+    const { data: payable, error } = await getPayable(target, { reprice: true });
+    if (error || !payable) {
+      return res.status(404).json({ error: `${target.printOrderId ? 'Order' : 'Print job'} not found`, message: error?.message });
+    }
+
+    res.json({ amount: payable.amount, currency: 'INR', paymentStatus: payable.paymentStatus });
+  } catch (error) {
+    console.error('Error pricing payment:', error);
+    res.status(error instanceof PaymentError ? error.statusCode : 500).json({
+      error: 'Failed to price payment',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/payments/orders', async (req, res) => {
+  const {
+    printJobId,
+    printOrderId,
+    method = 'upi',
+    returnUrl = printOrderId ? `/status/order/${printOrderId}` : `/status/${printJobId}`
+  } = req.body;
+
+  const target = getPaymentTarget(req.body);
+  if (target.error) {
+    return res.status(400).json({ error: target.error });
+  }
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    return res.status(400).json({ error: `Unknown payment method: ${method}` });
+  }
+
+  if (!isSafeReturnUrl(returnUrl)) {
+    return res.status(400).json({ error: 'returnUrl must be a relative path' });
+  }
+
+  const label = printOrderId ? 'Order' : 'Print job';
+
+  try {
+    const { data: payable, error } = await getPayable({ printJobId, printOrderId }, { reprice: true });
+
+    if (error || !payable) {
+      return res.status(404).json({ error: `${label} not found`, message: error?.message });
+    }
+
+    if (payable.jobCount === 0) {
+      return res.status(409).json({ error: 'Order has no documents to pay for' });
+    }
+
+    if (payable.paymentStatus === 'paid') {
+      return res.status(409).json({ error: `${label} is already paid` });
+    }
+
+    if (payable.paymentStatus === 'failed') {
+      await (printOrderId ? reopenOrderPayment(printOrderId) : reopenPayment(printJobId));
+    }
+
+    const order = await paymentProvider.createOrder({
+      printJobId: printJobId || null,
+      printOrderId: printOrderId || null,
+      amount: toMinorUnits(payable.amount),
+      currency: 'INR',
+      method,
+      returnUrl
+    });
+
+    console.log('💳 Payment order created:', { printJobId, printOrderId, orderId: order.orderId, method });
+    res.json(order);
+  } catch (error) {
+    console.error('Error creating payment order:', error);
+    res.status(error instanceof PaymentError ? error.statusCode : 500).json({
+      error: 'Failed to create payment order',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  if (req.params.provider !== paymentProvider.name) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  try {
+    const event = paymentProvider.verifyWebhook(req.rawBody, req.headers);
+
+    // Verified but not an event we act on
+    if (!event) {
+      return res.json({ received: true });
+    }
+
+    const { data: payable, error } = await getPayable(event);
+    if (error || !payable) {
+      return res.status(404).json({ error: event.printOrderId ? 'Order not found' : 'Print job not found' });
+    }
+
+    let status = event.status;
+    if (status === 'paid' && event.amount !== toMinorUnits(payable.amount)) {
+      console.error('❌ Payment amount mismatch:', {
+        printJobId: event.printJobId,
+        printOrderId: event.printOrderId,
+        expected: toMinorUnits(payable.amount),
+        received: event.amount
+      });
+      status = 'failed';
+    }
+
+    const { error: settleError } = event.printOrderId
+      ? await settleOrderPayment(payable.id, status)
+      : await settlePayment(payable.id, status);
+    if (settleError) {
+      return res.status(500).json({ error: 'Failed to update payment status', message: settleError.message });
+    }
+
+    res.json({ received: true, status });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(error instanceof PaymentError ? error.statusCode : 400).json({
+      error: 'Invalid payment webhook',
+      message: error.message
+    });
+  }
+});
+
+// Direct UPI payments go to the shop's VPA, outside any gateway, so the shop
+// owner confirms them from the dashboard by their reference (see
+// authorizeShopOwner). A job that is part of an order settles the whole
+// order, like a gateway payment. The body's amount is what the owner saw
+// arrive; it must match the server's price (POST /api/payments/amount).
+app.post('/api/payments/manual/:printJobId/confirm', async (req, res) => {
+  const { amount } = req.body || {};
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+
+  try {
+    const { data: job, error } = await getPrintJob(req.params.printJobId);
+    if (error || !job) {
+      return res.status(404).json({ error: 'Print job not found', message: error?.message });
+    }
+
+    const owner = await authorizeShopOwner(req, res, job.shop_id, 'confirm payments');
+    if (!owner) return;
+
+    if (job.payment_status === 'paid') {
+      return res.status(409).json({ error: 'Print job is already paid' });
+    }
+
+    const target = job.order_id ? { printOrderId: job.order_id } : { printJobId: job.id };
+    const { data: payable, error: payableError } = await getPayable(target, { reprice: true });
+    if (payableError || !payable) {
+      return res.status(404).json({ error: job.order_id ? 'Order not found' : 'Print job not found', message: payableError?.message });
+    }
+
+    if (toMinorUnits(amount) !== toMinorUnits(payable.amount)) {
+      return res.status(409).json({
+        error: `The amount due is ${payable.amount.toFixed(2)}, not ${amount.toFixed(2)}`,
+        amount: payable.amount
+      });
+    }
+
+    // A confirmed payment settles a failed one too (see settlePayment)
+    const { error: settleError } = job.order_id
+      ? await settleOrderPayment(job.order_id, 'paid')
+      : await settlePayment(job.id, 'paid');
+    if (settleError) {
+      return res.status(500).json({ error: 'Failed to update payment status', message: settleError.message });
+    }
+
+    console.log('💵 Manual payment confirmed:', { printJobId: job.id, printOrderId: job.order_id, amount: payable.amount, by: owner.user.id });
+    res.json({ status: 'paid', printJobId: job.id, printOrderId: job.order_id, amount: payable.amount });
+  } catch (error) {
+    console.error('Error confirming manual payment:', error);
+    res.status(error instanceof PaymentError ? error.statusCode : 500).json({ error: 'Failed to confirm payment', message: error.message });
+  }
+});
+
+// Mock provider checkout page, for local testing without a gateway
+app.get('/api/payments/mock/checkout/:orderId', (req, res) => {
+  const order = paymentProvider.name === 'mock' ? paymentProvider.getOrder(req.params.orderId) : null;
+
+  if (!order) {
+    return res.status(404).send('Payment order not found');
+  }
+
+  const amount = (order.amount / 100).toFixed(2);
+  res.send(`<!doctype html>
+<html>
+  <head><meta name="viewport" content="width=device-width, initial-scale=1"><title>Mock payment</title></head>
+  <body style="font-family: sans-serif; max-width: 24rem; margin: 3rem auto; text-align: center">
+    <h1>Mock ${order.method === 'upi' ? 'UPI' : 'card'} payment</h1>
+    <p>${order.currency} ${amount}</p>
+    <form method="post" action="/api/payments/mock/checkout/${order.id}/paid"><button>Pay</button></form>
+    <form method="post" action="/api/payments/mock/checkout/${order.id}/failed"><button>Fail payment</button></form>
+  </body>
+</html>`);
+});
+
+app.post('/api/payments/mock/checkout/:orderId/:outcome', async (req, res) => {
+  const { orderId, outcome } = req.params;
+
+  if (paymentProvider.name !== 'mock' || !['paid', 'failed'].includes(outcome)) {
+    return res.status(404).send('Not found');
+  }
+
+  try {
+    // Deliver the webhook over HTTP so it goes through signature verification
+    const { rawBody, signature } = paymentProvider.buildWebhook(orderId, outcome);
+    const response = await fetch(`http://localhost:${PORT}/api/payments/webhook/mock`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': signature },
+      body: rawBody
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook rejected: HTTP ${response.status}`);
+    }
+
+    res.redirect(paymentProvider.getOrder(orderId).returnUrl);
+  } catch (error) {
+    console.error('Mock checkout failed:', error);
+    res.status(error instanceof PaymentError ? error.statusCode : 500).send(error.message);
   }
 });
 
@@ -104,6 +788,12 @@ app.get('*', (req, res) => {
 });
 
 const PORT = 3001;
+
+await jobRegistry.load();
+setInterval(pollActiveJobs, JOB_POLL_INTERVAL_MS);
+
 app.listen(PORT, () => {
-  console.log(`Print server running on port ${PORT} (Demo Mode)`);
+  console.log(`Print server running on port ${PORT} with ${configuredPrinters.length} IPP printer(s)`);
+  console.log(`Supabase job sync ${isSupabaseSyncEnabled() ? 'enabled' : 'disabled'}`);
+  console.log(`Payment provider: ${paymentProvider.name}`);
 });
\ No newline at end of file
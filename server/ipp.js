@@ -0,0 +1,559 @@
+// Minimal IPP/1.1 client (RFC 8010 / RFC 8011)
+// Encodes requests and decodes responses over plain HTTP(S) POST with
+// Content-Type: application/ipp. Only the operations the print server needs
+// are exposed: Get-Printer-Attributes, Print-Job, Get-Job-Attributes and
+// Cancel-Job.
+
+import http from 'http';
+import https from 'https';
+
+export const OPERATIONS = {
+  PRINT_JOB: 0x0002,
+  CANCEL_JOB: 0x0008,
+  GET_JOB_ATTRIBUTES: 0x0009,
+  GET_PRINTER_ATTRIBUTES: 0x000b
+};
+
+const GROUP_TAGS = {
+  0x01: 'operation',
+  0x02: 'job',
+  0x04: 'printer',
+  0x05: 'unsupported'
+};
+
+const END_OF_ATTRIBUTES = 0x03;
+
+export const VALUE_TAGS = {
+  UNSUPPORTED: 0x10,
+  UNKNOWN: 0x12,
+  NO_VALUE: 0x13,
+  INTEGER: 0x21,
+  BOOLEAN: 0x22,
+  ENUM: 0x23,
+  OCTET_STRING: 0x30,
+  DATE_TIME: 0x31,
+  RESOLUTION: 0x32,
+  RANGE_OF_INTEGER: 0x33,
+  BEG_COLLECTION: 0x34,
+  TEXT_WITH_LANGUAGE: 0x35,
+  NAME_WITH_LANGUAGE: 0x36,
+  END_COLLECTION: 0x37,
+  TEXT: 0x41,
+  NAME: 0x42,
+  KEYWORD: 0x44,
+  URI: 0x45,
+  URI_SCHEME: 0x46,
+  CHARSET: 0x47,
+  NATURAL_LANGUAGE: 0x48,
+  MIME_MEDIA_TYPE: 0x49,
+  MEMBER_ATTR_NAME: 0x4a
+};
+
+// printer-state enum (RFC 8011 5.4.11)
+const PRINTER_STATES = { 3: 'idle', 4: 'processing', 5: 'stopped' };
+
+// job-state enum (RFC 8011 5.3.7)
+const JOB_STATES = {
+  3: 'pending',
+  4: 'pending-held',
+  5: 'processing',
+  6: 'processing-stopped',
+  7: 'canceled',
+  8: 'aborted',
+  9: 'completed'
+};
+
+// PWG 5101.1 media names we can map onto the app's paper sizes
+const MEDIA_NAMES = {
+  iso_a4_210x297mm: 'A4',
+  iso_a3_297x420mm: 'A3',
+  na_letter_8_5x11in: 'Letter',
+  'na_letter_8.5x11in': 'Letter',
+  na_legal_8_5x14in: 'Legal',
+  'na_legal_8.5x14in': 'Legal'
+};
+
+export class IppError extends Error {
+  constructor(message, statusCode = null) {
+    super(message);
+    this.name = 'IppError';
+    this.statusCode = statusCode;
+  }
+}
+
+let nextRequestId = 1;
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+// Pick a value tag for a plain JS value when the caller did not give one
+function inferTag(name, value) {
+  if (typeof value === 'boolean') return VALUE_TAGS.BOOLEAN;
+  if (typeof value === 'number') return VALUE_TAGS.INTEGER;
+  if (name === 'attributes-charset') return VALUE_TAGS.CHARSET;
+  if (name === 'attributes-natural-language') return VALUE_TAGS.NATURAL_LANGUAGE;
+  if (name.endsWith('-uri')) return VALUE_TAGS.URI;
+  if (name === 'document-format') return VALUE_TAGS.MIME_MEDIA_TYPE;
+  if (name === 'requesting-user-name' || name === 'job-name' || name === 'document-name') return VALUE_TAGS.NAME;
+  return VALUE_TAGS.KEYWORD;
+}
+
+function encodeValue(tag, value) {
+  switch (tag) {
+    case VALUE_TAGS.INTEGER:
+    case VALUE_TAGS.ENUM: {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(value);
+      return buf;
+    }
+    case VALUE_TAGS.BOOLEAN:
+      return Buffer.from([value ? 1 : 0]);
+    default:
+      return Buffer.from(String(value), 'utf8');
+  }
+}
+
+function encodeAttribute(name, attr) {
+  const { tag, values } = attr;
+  const parts = [];
+
+  values.forEach((value, index) => {
+    // Additional values of a 1setOf attribute carry an empty name
+    const nameBuf = Buffer.from(index === 0 ? name : '', 'utf8');
+    const valueBuf = encodeValue(tag, value);
+    const header = Buffer.alloc(3);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(nameBuf.length, 1);
+    const valueLength = Buffer.alloc(2);
+    valueLength.writeUInt16BE(valueBuf.length);
+    parts.push(header, nameBuf, valueLength, valueBuf);
+  });
+
+  return Buffer.concat(parts);
+}
+
+function normalizeAttribute(name, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'tag' in value) {
+    return { tag: value.tag, values: Array.isArray(value.value) ? value.value : [value.value] };
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return { tag: inferTag(name, values[0]), values };
+}
+
+/**
+ * Encode an IPP request.
+ * groups: { operation: {...}, job: {...} } where each value is a plain value,
+ * an array (1setOf) or { tag, value } for an explicit value tag.
+ */
+export function encodeRequest(operationId, requestId, groups, data = null) {
+  const header = Buffer.alloc(8);
+  header.writeUInt8(1, 0);
+  header.writeUInt8(1, 1);
+  header.writeUInt16BE(operationId, 2);
+  header.writeUInt32BE(requestId, 4);
+
+  const parts = [header];
+  const groupTagByName = { operation: 0x01, job: 0x02, printer: 0x04 };
+
+  for (const [groupName, attributes] of Object.entries(groups)) {
+    if (!attributes) continue;
+    parts.push(Buffer.from([groupTagByName[groupName]]));
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value === undefined || value === null) continue;
+      parts.push(encodeAttribute(name, normalizeAttribute(name, value)));
+    }
+  }
+
+  parts.push(Buffer.from([END_OF_ATTRIBUTES]));
+  if (data) parts.push(data);
+
+  return Buffer.concat(parts);
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+function decodeValue(tag, buf) {
+  switch (tag) {
+    case VALUE_TAGS.INTEGER:
+    case VALUE_TAGS.ENUM:
+      return buf.readInt32BE(0);
+    case VALUE_TAGS.BOOLEAN:
+      return buf.readUInt8(0) !== 0;
+    case VALUE_TAGS.RANGE_OF_INTEGER:
+      return { lower: buf.readInt32BE(0), upper: buf.readInt32BE(4) };
+    case VALUE_TAGS.RESOLUTION:
+      return { x: buf.readInt32BE(0), y: buf.readInt32BE(4), units: buf.readInt8(8) === 3 ? 'dpi' : 'dpcm' };
+    case VALUE_TAGS.DATE_TIME:
+      return new Date(Date.UTC(
+        buf.readUInt16BE(0), buf.readUInt8(2) - 1, buf.readUInt8(3),
+        buf.readUInt8(4), buf.readUInt8(5), buf.readUInt8(6)
+      )).toISOString();
+    case VALUE_TAGS.TEXT_WITH_LANGUAGE:
+    case VALUE_TAGS.NAME_WITH_LANGUAGE: {
+      const langLength = buf.readUInt16BE(0);
+      const textLength = buf.readUInt16BE(2 + langLength);
+      return buf.toString('utf8', 4 + langLength, 4 + langLength + textLength);
+    }
+    case VALUE_TAGS.UNSUPPORTED:
+    case VALUE_TAGS.UNKNOWN:
+    case VALUE_TAGS.NO_VALUE:
+      return null;
+    case VALUE_TAGS.OCTET_STRING:
+      return buf;
+    default:
+      return buf.toString('utf8');
+  }
+}
+
+function readRawAttribute(buf, offset) {
+  const tag = buf.readUInt8(offset);
+  const nameLength = buf.readUInt16BE(offset + 1);
+  const name = buf.toString('utf8', offset + 3, offset + 3 + nameLength);
+  const valueOffset = offset + 3 + nameLength;
+  const valueLength = buf.readUInt16BE(valueOffset);
+  const value = buf.subarray(valueOffset + 2, valueOffset + 2 + valueLength);
+  return { tag, name, value, next: valueOffset + 2 + valueLength };
+}
+
+function addValue(target, name, value) {
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+// Read a collection body; offset points just past the begCollection attribute
+function readCollection(buf, offset) {
+  const collection = {};
+  let memberName = null;
+
+  while (offset < buf.length) {
+    const raw = readRawAttribute(buf, offset);
+    offset = raw.next;
+
+    if (raw.tag === VALUE_TAGS.END_COLLECTION) {
+      return { value: collection, next: offset };
+    }
+
+    if (raw.tag === VALUE_TAGS.MEMBER_ATTR_NAME) {
+      memberName = raw.value.toString('utf8');
+      continue;
+    }
+
+    if (raw.tag === VALUE_TAGS.BEG_COLLECTION) {
+      const nested = readCollection(buf, offset);
+      offset = nested.next;
+      addValue(collection, memberName, nested.value);
+      continue;
+    }
+
+    addValue(collection, memberName, decodeValue(raw.tag, raw.value));
+  }
+
+  throw new IppError('Unterminated collection in IPP response');
+}
+
+/**
+ * Decode an IPP response into { version, statusCode, requestId, groups }
+ * where groups is a list of { tag: 'printer' | 'job' | ..., attributes }.
+ */
+export function decodeResponse(buf) {
+  if (buf.length < 9) {
+    throw new IppError('IPP response too short');
+  }
+
+  const response = {
+    version: `${buf.readUInt8(0)}.${buf.readUInt8(1)}`,
+    statusCode: buf.readUInt16BE(2),
+    requestId: buf.readUInt32BE(4),
+    groups: []
+  };
+
+  let offset = 8;
+  let group = null;
+  let lastName = null;
+
+  while (offset < buf.length) {
+    const tag = buf.readUInt8(offset);
+
+    if (tag === END_OF_ATTRIBUTES) break;
+
+    if (tag < 0x10) {
+      group = { tag: GROUP_TAGS[tag] || `group-${tag}`, attributes: {} };
+      response.groups.push(group);
+      offset += 1;
+      continue;
+    }
+
+    const raw = readRawAttribute(buf, offset);
+    offset = raw.next;
+    const name = raw.name || lastName;
+    lastName = name;
+
+    let value;
+    if (raw.tag === VALUE_TAGS.BEG_COLLECTION) {
+      const collection = readCollection(buf, offset);
+      offset = collection.next;
+      value = collection.value;
+    } else {
+      value = decodeValue(raw.tag, raw.value);
+    }
+
+    if (group) {
+      addValue(group.attributes, name, value);
+    }
+  }
+
+  return response;
+}
+
+// Successful status codes are 0x0000-0x00FF (RFC 8011 B.1.2)
+export function isSuccessStatus(statusCode) {
+  return statusCode <= 0x00ff;
+}
+
+function getGroup(response, tag) {
+  return response.groups.find(g => g.tag === tag)?.attributes || {};
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+// ipp://host/path -> http://host:631/path, ipps:// -> https://host:443
+function toHttpUrl(printerUri) {
+  const url = new URL(printerUri);
+  const secure = url.protocol === 'ipps:' || url.protocol === 'https:';
+  const port = url.port || (url.protocol === 'ipp:' || url.protocol === 'ipps:' ? '631' : secure ? '443' : '80');
+  return new URL(`${secure ? 'https' : 'http'}://${url.hostname}:${port}${url.pathname}${url.search}`);
+}
+
+function postIpp(printerUri, body, timeoutMs) {
+  const target = toHttpUrl(printerUri);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/ipp',
+        'Content-Length': body.length
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new IppError(`Printer returned HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(decodeResponse(Buffer.concat(chunks)));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new IppError(`Printer did not respond within ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Send an IPP operation to a printer and return the decoded response.
+ * Throws IppError if the printer reports a non-successful status.
+ */
+export async function ippRequest(printerUri, operationId, { operation = {}, job = null, data = null, timeoutMs = 10000 } = {}) {
+  const requestId = nextRequestId++;
+  const body = encodeRequest(operationId, requestId, {
+    operation: {
+      'attributes-charset': 'utf-8',
+      'attributes-natural-language': 'en',
+      'printer-uri': printerUri,
+      ...operation
+    },
+    job
+  }, data);
+
+  const response = await postIpp(printerUri, body, timeoutMs);
+
+  if (!isSuccessStatus(response.statusCode)) {
+    const message = getGroup(response, 'operation')['status-message'];
+    throw new IppError(
+      message || `IPP request failed with status 0x${response.statusCode.toString(16).padStart(4, '0')}`,
+      response.statusCode
+    );
+  }
+
+  return response;
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+const PRINTER_ATTRIBUTES = [
+  'printer-name',
+  'printer-info',
+  'printer-location',
+  'printer-make-and-model',
+  'printer-state',
+  'printer-state-reasons',
+  'printer-is-accepting-jobs',
+  'media-supported',
+  'media-default',
+  'sides-supported',
+  'color-supported',
+  'print-color-mode-supported',
+  'document-format-supported',
+  'copies-supported'
+];
+
+/**
+ * Get-Printer-Attributes, reduced to the capabilities the app cares about
+ */
+export async function getPrinterAttributes(printerUri, options = {}) {
+  const response = await ippRequest(printerUri, OPERATIONS.GET_PRINTER_ATTRIBUTES, {
+    operation: { 'requested-attributes': PRINTER_ATTRIBUTES },
+    ...options
+  });
+
+  const attrs = getGroup(response, 'printer');
+  const media = asArray(attrs['media-supported']);
+  const sides = asArray(attrs['sides-supported']);
+  const colorModes = asArray(attrs['print-color-mode-supported']);
+  const copies = attrs['copies-supported'];
+
+  return {
+    name: attrs['printer-name'] || null,
+    info: attrs['printer-info'] || null,
+    location: attrs['printer-location'] || null,
+    makeAndModel: attrs['printer-make-and-model'] || null,
+    state: PRINTER_STATES[attrs['printer-state']] || 'unknown',
+    stateReasons: asArray(attrs['printer-state-reasons']),
+    acceptingJobs: attrs['printer-is-accepting-jobs'] !== false,
+    media,
+    mediaDefault: attrs['media-default'] || null,
+    paperSizes: [...new Set(media.map(m => MEDIA_NAMES[m]).filter(Boolean))],
+    sides,
+    duplex: sides.some(s => s.startsWith('two-sided')),
+    color: attrs['color-supported'] === true || colorModes.includes('color'),
+    colorModes,
+    documentFormats: asArray(attrs['document-format-supported']),
+    maxCopies: copies && typeof copies === 'object' ? copies.upper : 1
+  };
+}
+
+/**
+ * Print-Job with the document bytes
+ * Returns { jobId, jobUri, state, stateReasons }
+ */
+export async function printJob(printerUri, data, options = {}) {
+  const {
+    documentFormat = 'application/pdf',
+    jobName = 'PrintFlow job',
+    userName = 'printflow',
+    copies,
+    sides,
+    media,
+    colorMode,
+    timeoutMs = 60000
+  } = options;
+
+  const response = await ippRequest(printerUri, OPERATIONS.PRINT_JOB, {
+    operation: {
+      'requesting-user-name': userName,
+      'job-name': jobName,
+      'document-format': documentFormat
+    },
+    job: {
+      copies: copies > 1 ? copies : undefined,
+      sides,
+      media,
+      'print-color-mode': colorMode
+    },
+    data,
+    timeoutMs
+  });
+
+  const job = getGroup(response, 'job');
+  return {
+    jobId: job['job-id'],
+    jobUri: job['job-uri'] || null,
+    state: JOB_STATES[job['job-state']] || 'unknown',
+    stateReasons: asArray(job['job-state-reasons'])
+  };
+}
+
+/**
+ * Get-Job-Attributes for a job created by printJob()
+ */
+export async function getJobAttributes(printerUri, jobId, options = {}) {
+  const response = await ippRequest(printerUri, OPERATIONS.GET_JOB_ATTRIBUTES, {
+    operation: {
+      'job-id': jobId,
+      'requested-attributes': ['job-id', 'job-state', 'job-state-reasons', 'job-name', 'job-impressions-completed']
+    },
+    ...options
+  });
+
+  const job = getGroup(response, 'job');
+  return {
+    jobId: job['job-id'] ?? jobId,
+    name: job['job-name'] || null,
+    state: JOB_STATES[job['job-state']] || 'unknown',
+    stateReasons: asArray(job['job-state-reasons']),
+    impressionsCompleted: job['job-impressions-completed'] ?? null
+  };
+}
+
+/**
+ * Cancel-Job for a job created by printJob()
+ */
+export async function cancelJob(printerUri, jobId, options = {}) {
+  await ippRequest(printerUri, OPERATIONS.CANCEL_JOB, {
+    operation: { 'job-id': jobId },
+    ...options
+  });
+}
+
+// Map app-level options onto IPP keyword values
+export function toIppJobOptions(options = {}) {
+  const mediaBySize = {
+    A4: 'iso_a4_210x297mm',
+    A3: 'iso_a3_297x420mm',
+    Letter: 'na_letter_8.5x11in',
+    LETTER: 'na_letter_8.5x11in',
+    Legal: 'na_legal_8.5x14in',
+    LEGAL: 'na_legal_8.5x14in'
+  };
+
+  const colorMode = options.colorMode ? String(options.colorMode).toLowerCase() : null;
+  // Booklet sheets are landscape and fold along the short edge
+  const duplexSides = options.imposition === 'booklet' ? 'two-sided-short-edge' : 'two-sided-long-edge';
+
+  return {
+    copies: options.copies ? Number(options.copies) : undefined,
+    media: options.paperSize ? mediaBySize[options.paperSize] : undefined,
+    sides: options.duplex === true || options.printType === 'Double'
+      ? duplexSides
+      : options.duplex === false || options.printType === 'Single' ? 'one-sided' : undefined,
+    colorMode: colorMode === 'bw' || colorMode === 'monochrome'
+      ? 'monochrome'
+      : colorMode === 'color' ? 'color' : undefined
+  };
+}
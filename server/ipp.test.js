@@ -0,0 +1,234 @@
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import {
+  OPERATIONS,
+  VALUE_TAGS,
+  IppError,
+  encodeRequest,
+  decodeResponse,
+  getPrinterAttributes,
+  printJob,
+  getJobAttributes,
+  cancelJob,
+  toIppJobOptions
+} from './ipp.js';
+
+// Stand-in IPP printer: records every request and answers with whatever the
+// test queued. Requests and responses share the IPP wire layout, so the
+// client's own encoder and decoder build and read them.
+let server;
+let printerUri;
+let requests;
+let nextResponse;
+
+const respond = (statusCode, groups = {}) => {
+  nextResponse = { statusCode, groups };
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const decoded = decodeResponse(body);
+      requests.push({ operationId: decoded.statusCode, requestId: decoded.requestId, groups: decoded.groups, body });
+
+      if (nextResponse.httpStatus) {
+        res.writeHead(nextResponse.httpStatus);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/ipp' });
+      res.end(encodeRequest(nextResponse.statusCode, decoded.requestId, {
+        operation: {
+          'attributes-charset': 'utf-8',
+          'attributes-natural-language': 'en',
+          ...nextResponse.groups.operation
+        },
+        job: nextResponse.groups.job,
+        printer: nextResponse.groups.printer
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  printerUri = `ipp://127.0.0.1:${server.address().port}/ipp/print`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  respond(0x0000);
+});
+
+const operationAttributes = (request) => request.groups.find(group => group.tag === 'operation').attributes;
+const jobAttributes = (request) => request.groups.find(group => group.tag === 'job')?.attributes || {};
+
+describe('encodeRequest / decodeResponse', () => {
+  it('round-trips tagged values and 1setOf attributes', () => {
+    const buf = encodeRequest(0x0000, 7, {
+      operation: { 'attributes-charset': 'utf-8' },
+      printer: {
+        'printer-state': { tag: VALUE_TAGS.ENUM, value: 4 },
+        'printer-is-accepting-jobs': true,
+        'sides-supported': ['one-sided', 'two-sided-long-edge'],
+        'printer-info': { tag: VALUE_TAGS.TEXT, value: 'Front desk' }
+      }
+    });
+
+    const response = decodeResponse(buf);
+
+    expect(response).toMatchObject({ version: '1.1', statusCode: 0, requestId: 7 });
+    expect(response.groups[1]).toEqual({
+      tag: 'printer',
+      attributes: {
+        'printer-state': 4,
+        'printer-is-accepting-jobs': true,
+        'sides-supported': ['one-sided', 'two-sided-long-edge'],
+        'printer-info': 'Front desk'
+      }
+    });
+  });
+
+  it('rejects a truncated response', () => {
+    expect(() => decodeResponse(Buffer.from([1, 1, 0]))).toThrow(IppError);
+  });
+});
+
+describe('getPrinterAttributes', () => {
+  it('reduces the printer group to the app capabilities', async () => {
+    respond(0x0000, {
+      printer: {
+        'printer-name': { tag: VALUE_TAGS.NAME, value: 'Counter' },
+        'printer-state': { tag: VALUE_TAGS.ENUM, value: 3 },
+        'printer-is-accepting-jobs': true,
+        'media-supported': ['iso_a4_210x297mm', 'na_letter_8.5x11in', 'custom_min_50x50mm'],
+        'sides-supported': ['one-sided', 'two-sided-long-edge'],
+        'print-color-mode-supported': ['monochrome', 'color'],
+        'document-format-supported': { tag: VALUE_TAGS.MIME_MEDIA_TYPE, value: ['application/pdf'] }
+      }
+    });
+
+    const printer = await getPrinterAttributes(printerUri);
+
+    expect(requests[0].operationId).toBe(OPERATIONS.GET_PRINTER_ATTRIBUTES);
+    expect(operationAttributes(requests[0])['printer-uri']).toBe(printerUri);
+    expect(printer).toMatchObject({
+      name: 'Counter',
+      state: 'idle',
+      acceptingJobs: true,
+      paperSizes: ['A4', 'Letter'],
+      duplex: true,
+      color: true,
+      documentFormats: ['application/pdf']
+    });
+  });
+});
+
+describe('printJob', () => {
+  it('sends the job attributes and document and returns the printer job', async () => {
+    respond(0x0000, {
+      job: {
+        'job-id': 42,
+        'job-uri': `${printerUri}/jobs/42`,
+        'job-state': { tag: VALUE_TAGS.ENUM, value: 3 },
+        'job-state-reasons': 'none'
+      }
+    });
+    const document = Buffer.from('%PDF-1.7 test');
+
+    const job = await printJob(printerUri, document, {
+      jobName: 'Notes.pdf',
+      copies: 2,
+      sides: 'two-sided-long-edge',
+      media: 'iso_a4_210x297mm',
+      colorMode: 'monochrome'
+    });
+
+    expect(job).toEqual({ jobId: 42, jobUri: `${printerUri}/jobs/42`, state: 'pending', stateReasons: ['none'] });
+    expect(requests[0].operationId).toBe(OPERATIONS.PRINT_JOB);
+    expect(operationAttributes(requests[0])).toMatchObject({ 'job-name': 'Notes.pdf', 'document-format': 'application/pdf' });
+    expect(jobAttributes(requests[0])).toEqual({
+      copies: 2,
+      sides: 'two-sided-long-edge',
+      media: 'iso_a4_210x297mm',
+      'print-color-mode': 'monochrome'
+    });
+    expect(requests[0].body.subarray(-document.length).equals(document)).toBe(true);
+  });
+
+  it('leaves copies out for a single copy', async () => {
+    respond(0x0000, { job: { 'job-id': 1, 'job-state': { tag: VALUE_TAGS.ENUM, value: 5 } } });
+
+    const job = await printJob(printerUri, Buffer.from('%PDF'), { copies: 1 });
+
+    expect(job.state).toBe('processing');
+    expect(jobAttributes(requests[0])).not.toHaveProperty('copies');
+  });
+});
+
+describe('getJobAttributes and cancelJob', () => {
+  it('reads the job state by id', async () => {
+    respond(0x0000, {
+      job: {
+        'job-id': 42,
+        'job-state': { tag: VALUE_TAGS.ENUM, value: 9 },
+        'job-impressions-completed': 6
+      }
+    });
+
+    const job = await getJobAttributes(printerUri, 42);
+
+    expect(operationAttributes(requests[0])['job-id']).toBe(42);
+    expect(job).toMatchObject({ jobId: 42, state: 'completed', impressionsCompleted: 6 });
+  });
+
+  it('cancels the job by id', async () => {
+    await cancelJob(printerUri, 42);
+
+    expect(requests[0].operationId).toBe(OPERATIONS.CANCEL_JOB);
+    expect(operationAttributes(requests[0])['job-id']).toBe(42);
+  });
+});
+
+describe('errors', () => {
+  it('throws IppError with the status code and message of a failed operation', async () => {
+    respond(0x0507, { operation: { 'status-message': { tag: VALUE_TAGS.TEXT, value: 'Job is completed' } } });
+
+    const error = await cancelJob(printerUri, 42).catch(e => e);
+
+    expect(error).toBeInstanceOf(IppError);
+    expect(error.statusCode).toBe(0x0507);
+    expect(error.message).toBe('Job is completed');
+  });
+
+  it('throws IppError when the printer answers with an HTTP error', async () => {
+    nextResponse = { httpStatus: 503 };
+
+    await expect(getPrinterAttributes(printerUri)).rejects.toThrow('Printer returned HTTP 503');
+  });
+});
+
+describe('toIppJobOptions', () => {
+  it('maps the app options onto IPP keywords', () => {
+    expect(toIppJobOptions({ copies: '3', paperSize: 'A4', printType: 'Double', colorMode: 'BW' })).toEqual({
+      copies: 3,
+      media: 'iso_a4_210x297mm',
+      sides: 'two-sided-long-edge',
+      colorMode: 'monochrome'
+    });
+  });
+
+  it('flips booklets on the short edge', () => {
+    expect(toIppJobOptions({ duplex: true, imposition: 'booklet' }).sides).toBe('two-sided-short-edge');
+  });
+
+  it('leaves unknown options for the printer default', () => {
+    expect(toIppJobOptions({ paperSize: 'B5', colorMode: 'sepia' })).toMatchObject({ media: undefined, colorMode: undefined, sides: undefined });
+  });
+});
@@ -0,0 +1,195 @@
+// Print job registry
+// Keeps every job submitted through POST /api/print in a JSON file so that
+// its state can be queried (and cancelled) after the request has returned.
+//
+// Lifecycle: queued -> processing -> completed | failed
+//            queued | processing -> cancelled
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+
+export const JOB_STATES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+
+export const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+const ALLOWED_TRANSITIONS = {
+  queued: ['processing', 'completed', 'failed', 'cancelled'],
+  processing: ['completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+// IPP job-state keywords (see ipp.js) -> registry state
+export function fromIppJobState(ippState) {
+  switch (ippState) {
+    case 'pending':
+    case 'pending-held':
+      return 'queued';
+    case 'processing':
+    case 'processing-stopped':
+      return 'processing';
+    case 'completed':
+      return 'completed';
+    case 'canceled':
+      return 'cancelled';
+    case 'aborted':
+      return 'failed';
+    default:
+      return null;
+  }
+}
+
+export class JobTransitionError extends Error {
+  constructor(job, toState) {
+    super(`Cannot move job ${job.id} from ${job.state} to ${toState}`);
+    this.name = 'JobTransitionError';
+    this.job = job;
+  }
+}
+
+export class JobRegistry {
+  constructor({ filePath, onTransition = null }) {
+    this.filePath = filePath;
+    this.onTransition = onTransition;
+    this.jobs = new Map();
+    this.writeQueue = Promise.resolve();
+    // Per job: the transition hooks still running
+    this.hookQueues = new Map();
+  }
+
+  // Load persisted jobs; a missing file means an empty registry
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const jobs = JSON.parse(raw);
+      this.jobs = new Map(jobs.map(job => [job.id, job]));
+      console.log(`📋 Job registry loaded ${this.jobs.size} job(s) from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load job registry:', error);
+      }
+      this.jobs = new Map();
+    }
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk
+  persist() {
+    const snapshot = JSON.stringify(Array.from(this.jobs.values()), null, 2);
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, this.filePath);
+      })
+      .catch(error => console.error('❌ Failed to persist job registry:', error));
+    return this.writeQueue;
+  }
+
+  create({ printerId, printJobId = null, shopId = null, filename = null, options = {} }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      printerId,
+      printJobId,
+      shopId,
+      ippJobId: null,
+      filename,
+      options,
+      state: 'queued',
+      stateReasons: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      timestamps: { queued: now }
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist();
+    this.notify(job, null);
+    return { ...job };
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  list({ state = null, printerId = null } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !state || job.state === state)
+      .filter(job => !printerId || job.printerId === printerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => ({ ...job }));
+  }
+
+  // Jobs that still need their printer-side status polled
+  listActive() {
+    return Array.from(this.jobs.values())
+      .filter(job => !TERMINAL_STATES.includes(job.state) && job.ippJobId !== null)
+      .map(job => ({ ...job }));
+  }
+
+  // Update non-state fields (IPP job id, reasons) without a transition
+  update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.persist();
+    return { ...job };
+  }
+
+  transition(id, toState, fields = {}) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (!JOB_STATES.includes(toState)) {
+      throw new Error(`Unknown job state: ${toState}`);
+    }
+
+    if (job.state === toState) {
+      return this.update(id, fields);
+    }
+
+    if (!ALLOWED_TRANSITIONS[job.state].includes(toState)) {
+      throw new JobTransitionError(job, toState);
+    }
+
+    const fromState = job.state;
+    const now = new Date().toISOString();
+    Object.assign(job, fields, {
+      state: toState,
+      updatedAt: now,
+      timestamps: { ...job.timestamps, [toState]: now }
+    });
+
+    this.persist();
+    this.notify(job, fromState);
+    return { ...job };
+  }
+
+  // Hooks for one job run one at a time, in transition order, so what they
+  // write (the print_jobs status) can't land out of order
+  notify(job, fromState) {
+    if (!this.onTransition) return;
+
+    const snapshot = { ...job };
+    const previous = this.hookQueues.get(job.id) || Promise.resolve();
+    const queue = previous
+      .then(() => this.onTransition(snapshot, fromState))
+      .catch(error => console.error('❌ Job transition hook failed:', error));
+
+    this.hookQueues.set(job.id, queue);
+    queue.then(() => {
+      if (this.hookQueues.get(job.id) === queue) this.hookQueues.delete(job.id);
+    });
+  }
+
+  // Resolves once every transition hook started so far has finished
+  async settled() {
+    await Promise.all([this.writeQueue, ...this.hookQueues.values()]);
+  }
+}
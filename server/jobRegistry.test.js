@@ -0,0 +1,152 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { JobRegistry, JobTransitionError, fromIppJobState } from './jobRegistry.js';
+
+let dir;
+let filePath;
+let registries;
+
+// Registries write in the background; afterEach waits for them before
+// removing the directory
+const createRegistry = (options = {}) => {
+  const registry = new JobRegistry({ filePath, ...options });
+  registries.push(registry);
+  return registry;
+};
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-registry-'));
+  filePath = path.join(dir, 'jobs.json');
+  registries = [];
+});
+
+afterEach(async () => {
+  await Promise.all(registries.map(registry => registry.settled()));
+  await fs.rm(dir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+describe('JobRegistry', () => {
+  it('creates queued jobs and moves them through their lifecycle', () => {
+    const registry = createRegistry();
+    const job = registry.create({ printerId: 'counter', filename: 'notes.pdf' });
+
+    expect(job.state).toBe('queued');
+
+    registry.transition(job.id, 'processing', { ippJobId: 42 });
+    const done = registry.transition(job.id, 'completed');
+
+    expect(done).toMatchObject({ state: 'completed', ippJobId: 42 });
+    expect(Object.keys(done.timestamps)).toEqual(['queued', 'processing', 'completed']);
+  });
+
+  it('refuses to leave a terminal state', () => {
+    const registry = createRegistry();
+    const job = registry.create({ printerId: 'counter' });
+    registry.transition(job.id, 'cancelled');
+
+    expect(() => registry.transition(job.id, 'processing')).toThrow(JobTransitionError);
+    expect(registry.get(job.id).state).toBe('cancelled');
+  });
+
+  it('returns copies, not the stored job', () => {
+    const registry = createRegistry();
+    const job = registry.create({ printerId: 'counter' });
+
+    registry.get(job.id).state = 'failed';
+
+    expect(registry.get(job.id).state).toBe('queued');
+  });
+
+  it('lists only unfinished jobs the printer knows about as active', () => {
+    const registry = createRegistry();
+    const waiting = registry.create({ printerId: 'counter' });
+    const printing = registry.create({ printerId: 'counter' });
+    const done = registry.create({ printerId: 'counter' });
+    registry.transition(printing.id, 'processing', { ippJobId: 1 });
+    registry.transition(done.id, 'completed', { ippJobId: 2 });
+
+    expect(registry.listActive().map(job => job.id)).toEqual([printing.id]);
+    expect(registry.list({ state: 'queued' }).map(job => job.id)).toEqual([waiting.id]);
+  });
+
+  it('persists jobs and loads them back', async () => {
+    const registry = createRegistry();
+    const job = registry.create({ printerId: 'counter', filename: 'notes.pdf' });
+    registry.transition(job.id, 'processing');
+    await registry.writeQueue;
+
+    const reloaded = createRegistry();
+    await reloaded.load();
+
+    expect(reloaded.get(job.id)).toMatchObject({ filename: 'notes.pdf', state: 'processing' });
+  });
+
+  it('starts empty without a registry file', async () => {
+    const registry = createRegistry();
+    await registry.load();
+
+    expect(registry.list()).toEqual([]);
+  });
+
+  it('reports every transition with the previous state', async () => {
+    const onTransition = vi.fn();
+    const registry = createRegistry({ onTransition });
+    const job = registry.create({ printerId: 'counter' });
+    registry.transition(job.id, 'failed', { error: 'Out of paper' });
+    await registry.writeQueue;
+
+    expect(onTransition.mock.calls.map(([changed, from]) => [changed.state, from])).toEqual([
+      ['queued', null],
+      ['failed', 'queued']
+    ]);
+  });
+
+  it('runs a job\'s transition hooks one at a time, in order', async () => {
+    const calls = [];
+    const onTransition = async (changed) => {
+      calls.push(`start ${changed.state}`);
+      // The first hook is the slowest; the later ones must still wait for it
+      if (changed.state === 'queued') await new Promise(resolve => setTimeout(resolve, 20));
+      calls.push(`end ${changed.state}`);
+    };
+    const registry = createRegistry({ onTransition });
+    const job = registry.create({ printerId: 'counter', printJobId: 'print-job-1', shopId: 'shop-1' });
+    registry.transition(job.id, 'processing');
+    registry.transition(job.id, 'completed');
+    await registry.settled();
+
+    expect(calls).toEqual([
+      'start queued', 'end queued',
+      'start processing', 'end processing',
+      'start completed', 'end completed'
+    ]);
+    expect(registry.get(job.id)).toMatchObject({ printJobId: 'print-job-1', shopId: 'shop-1' });
+  });
+
+  it('keeps running hooks after one fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const onTransition = vi.fn()
+      .mockRejectedValueOnce(new Error('Supabase is down'))
+      .mockResolvedValue(undefined);
+    const registry = createRegistry({ onTransition });
+    const job = registry.create({ printerId: 'counter' });
+    registry.transition(job.id, 'cancelled');
+    await registry.settled();
+
+    expect(onTransition).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith('❌ Job transition hook failed:', expect.any(Error));
+  });
+});
+
+describe('fromIppJobState', () => {
+  it('maps IPP job states onto registry states', () => {
+    expect(fromIppJobState('pending-held')).toBe('queued');
+    expect(fromIppJobState('processing-stopped')).toBe('processing');
+    expect(fromIppJobState('canceled')).toBe('cancelled');
+    expect(fromIppJobState('aborted')).toBe('failed');
+    expect(fromIppJobState('unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,241 @@
+// Payment providers
+// A provider turns a print job's total_cost into a hosted checkout (UPI
+// intent/QR or card) and verifies the signed webhook it sends back. The
+// server only marks a job paid after verifyWebhook() accepts the event.
+// Multi-document orders are paid once: the checkout carries printOrderId
+// instead of printJobId and settles every job in the order.
+//
+// PAYMENT_PROVIDER selects the provider and is required:
+//   razorpay  Razorpay Payment Links (RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET,
+//             RAZORPAY_WEBHOOK_SECRET); point the dashboard webhook at
+//             /api/payments/webhook/razorpay
+//   mock      development only, and only with PAYMENT_MOCK_ENABLED=true: a
+//             local checkout page where anyone can mark an order paid; signs
+//             webhooks with PAYMENT_WEBHOOK_SECRET
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+export const PAYMENT_METHODS = ['upi', 'card'];
+
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Amounts travel in the smallest currency unit (paise) to avoid float drift
+export function toMinorUnits(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+export function signPayload(rawBody, secret) {
+  return createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(rawBody, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// ============================================
+// MOCK PROVIDER
+// ============================================
+
+// Serves its own checkout page from the print server and delivers a signed
+// webhook exactly like a real gateway would, so the verification path is the
+// same one used in production.
+export class MockPaymentProvider {
+  constructor({ webhookSecret, baseUrl }) {
+    this.name = 'mock';
+    this.webhookSecret = webhookSecret;
+    this.baseUrl = baseUrl;
+    this.orders = new Map();
+  }
+
+  async createOrder({ printJobId = null, printOrderId = null, amount, currency = 'INR', method, returnUrl }) {
+    const order = {
+      id: `mock_order_${randomUUID()}`,
+      provider: this.name,
+      printJobId,
+      printOrderId,
+      amount,
+      currency,
+      method,
+      returnUrl,
+      status: 'created',
+      createdAt: new Date().toISOString()
+    };
+
+    this.orders.set(order.id, order);
+
+    return {
+      orderId: order.id,
+      provider: this.name,
+      amount,
+      currency,
+      method,
+      checkoutUrl: `/api/payments/mock/checkout/${order.id}`
+    };
+  }
+
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  // Build the signed webhook the mock checkout posts back to the server
+  buildWebhook(orderId, outcome) {
+    const order = this.getOrder(orderId);
+    if (!order) {
+      throw new PaymentError('Payment order not found', 404);
+    }
+
+    order.status = outcome;
+    const rawBody = JSON.stringify({
+      event: outcome === 'paid' ? 'payment.succeeded' : 'payment.failed',
+      orderId: order.id,
+      printJobId: order.printJobId,
+      printOrderId: order.printOrderId,
+      amount: order.amount,
+      currency: order.currency,
+      reference: `mock_pay_${randomUUID()}`
+    });
+
+    return { rawBody, signature: signPayload(rawBody, this.webhookSecret) };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!verifySignature(rawBody, headers['x-mock-signature'], this.webhookSecret)) {
+      throw new PaymentError('Invalid webhook signature', 401);
+    }
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return {
+      orderId: payload.orderId,
+      printJobId: payload.printJobId,
+      printOrderId: payload.printOrderId,
+      status: payload.event === 'payment.succeeded' ? 'paid' : 'failed',
+      amount: payload.amount,
+      currency: payload.currency,
+      reference: payload.reference
+    };
+  }
+}
+
+// ============================================
+// RAZORPAY PROVIDER
+// ============================================
+
+// Uses hosted Payment Links: upi_link=true gives a UPI intent/QR page,
+// otherwise the standard checkout (cards, netbanking, wallets, UPI).
+export class RazorpayPaymentProvider {
+  constructor({ keyId, keySecret, webhookSecret, baseUrl }) {
+    this.name = 'razorpay';
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.baseUrl = baseUrl;
+  }
+
+  async createOrder({ printJobId = null, printOrderId = null, amount, currency = 'INR', method, returnUrl }) {
+    const reference = printOrderId || printJobId;
+    const response = await fetch('https://api.razorpay.com/v1/payment_links', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64')}`
+      },
+      body: JSON.stringify({
+        amount,
+        currency,
+        upi_link: method === 'upi',
+        reference_id: `${reference.slice(0, 20)}-${Date.now()}`,
+        description: `Print order ${reference.slice(0, 8)}`,
+        notes: printOrderId ? { print_order_id: printOrderId } : { print_job_id: printJobId },
+        callback_url: `${this.baseUrl}${returnUrl}`,
+        callback_method: 'get'
+      })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new PaymentError(body.error?.description || `Razorpay error: HTTP ${response.status}`, 502);
+    }
+
+    return {
+      orderId: body.id,
+      provider: this.name,
+      amount,
+      currency,
+      method,
+      checkoutUrl: body.short_url
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!verifySignature(rawBody, headers['x-razorpay-signature'], this.webhookSecret)) {
+      throw new PaymentError('Invalid webhook signature', 401);
+    }
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    const link = payload.payload?.payment_link?.entity;
+
+    // A failed attempt inside a link can be retried by the customer, so only
+    // an expired or cancelled link counts as a failed payment
+    const statusByEvent = {
+      'payment_link.paid': 'paid',
+      'payment_link.expired': 'failed',
+      'payment_link.cancelled': 'failed'
+    };
+
+    const status = statusByEvent[payload.event];
+    if (!status || !link) return null;
+
+    return {
+      orderId: link.id,
+      printJobId: link.notes?.print_job_id || null,
+      printOrderId: link.notes?.print_order_id || null,
+      status,
+      amount: status === 'paid' ? link.amount_paid : link.amount,
+      currency: link.currency,
+      reference: payload.payload?.payment?.entity?.id || link.id
+    };
+  }
+}
+
+export function createPaymentProvider(env = process.env, { baseUrl }) {
+  const name = env.PAYMENT_PROVIDER;
+
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is required (razorpay, or mock for development)');
+  }
+
+  if (name === 'razorpay') {
+    if (!env.RAZORPAY_KEY_ID || !env.RAZORPAY_KEY_SECRET || !env.RAZORPAY_WEBHOOK_SECRET) {
+      throw new Error('Razorpay needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET');
+    }
+    return new RazorpayPaymentProvider({
+      keyId: env.RAZORPAY_KEY_ID,
+      keySecret: env.RAZORPAY_KEY_SECRET,
+      webhookSecret: env.RAZORPAY_WEBHOOK_SECRET,
+      baseUrl
+    });
+  }
+
+  if (name === 'mock') {
+    if (env.PAYMENT_MOCK_ENABLED !== 'true') {
+      throw new Error('The mock payment provider lets customers mark their own jobs paid; set PAYMENT_MOCK_ENABLED=true to use it in development');
+    }
+    console.warn('⚠️ Using the mock payment provider: payments are not real');
+    return new MockPaymentProvider({
+      webhookSecret: env.PAYMENT_WEBHOOK_SECRET || randomUUID(),
+      baseUrl
+    });
+  }
+
+  throw new Error(`Unknown payment provider: ${name}`);
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  MockPaymentProvider,
+  RazorpayPaymentProvider,
+  PaymentError,
+  createPaymentProvider,
+  signPayload,
+  toMinorUnits
+} from './payments.js';
+
+const BASE_URL = 'http://localhost:3001';
+
+const createMockProvider = () => new MockPaymentProvider({ webhookSecret: 'test-secret', baseUrl: BASE_URL });
+
+describe('MockPaymentProvider', () => {
+  it('creates a checkout on the print server for a job', async () => {
+    const provider = createMockProvider();
+
+    const checkout = await provider.createOrder({ printJobId: 'job-1', amount: 1250, method: 'upi', returnUrl: '/status/job-1' });
+
+    expect(checkout).toMatchObject({ provider: 'mock', amount: 1250, currency: 'INR', method: 'upi' });
+    expect(checkout.checkoutUrl).toBe(`/api/payments/mock/checkout/${checkout.orderId}`);
+    expect(provider.getOrder(checkout.orderId)).toMatchObject({ printJobId: 'job-1', printOrderId: null, status: 'created' });
+  });
+
+  it('verifies the webhook its checkout signs', async () => {
+    const provider = createMockProvider();
+    const { orderId } = await provider.createOrder({ printOrderId: 'order-1', amount: 4000, method: 'card', returnUrl: '/status/order/order-1' });
+
+    const { rawBody, signature } = provider.buildWebhook(orderId, 'paid');
+    const event = provider.verifyWebhook(Buffer.from(rawBody), { 'x-mock-signature': signature });
+
+    expect(event).toMatchObject({ orderId, printJobId: null, printOrderId: 'order-1', status: 'paid', amount: 4000, currency: 'INR' });
+    expect(event.reference).toMatch(/^mock_pay_/);
+    expect(provider.getOrder(orderId).status).toBe('paid');
+  });
+
+  it('reports a failed payment', async () => {
+    const provider = createMockProvider();
+    const { orderId } = await provider.createOrder({ printJobId: 'job-1', amount: 100, method: 'upi', returnUrl: '/' });
+
+    const { rawBody, signature } = provider.buildWebhook(orderId, 'failed');
+
+    expect(provider.verifyWebhook(Buffer.from(rawBody), { 'x-mock-signature': signature }).status).toBe('failed');
+  });
+
+  it('rejects a tampered or unsigned webhook', async () => {
+    const provider = createMockProvider();
+    const { orderId } = await provider.createOrder({ printJobId: 'job-1', amount: 100, method: 'upi', returnUrl: '/' });
+    const { rawBody, signature } = provider.buildWebhook(orderId, 'failed');
+    const tampered = rawBody.replace('payment.failed', 'payment.succeeded');
+
+    let error = null;
+    try {
+      provider.verifyWebhook(Buffer.from(tampered), { 'x-mock-signature': signature });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(PaymentError);
+    expect(error.statusCode).toBe(401);
+    expect(() => provider.verifyWebhook(Buffer.from(rawBody), {})).toThrow('Invalid webhook signature');
+  });
+
+  it('refuses a webhook for an unknown order', () => {
+    expect(() => createMockProvider().buildWebhook('mock_order_missing', 'paid')).toThrow('Payment order not found');
+  });
+});
+
+describe('RazorpayPaymentProvider.verifyWebhook', () => {
+  const provider = new RazorpayPaymentProvider({ keyId: 'key', keySecret: 'secret', webhookSecret: 'hook-secret', baseUrl: BASE_URL });
+
+  const deliver = (payload) => {
+    const rawBody = JSON.stringify(payload);
+    return provider.verifyWebhook(Buffer.from(rawBody), { 'x-razorpay-signature': signPayload(rawBody, 'hook-secret') });
+  };
+
+  it('settles a paid link with the amount paid', () => {
+    const event = deliver({
+      event: 'payment_link.paid',
+      payload: {
+        payment_link: { entity: { id: 'plink_1', amount: 5000, amount_paid: 5000, currency: 'INR', notes: { print_job_id: 'job-1' } } },
+        payment: { entity: { id: 'pay_1' } }
+      }
+    });
+
+    expect(event).toEqual({ orderId: 'plink_1', printJobId: 'job-1', printOrderId: null, status: 'paid', amount: 5000, currency: 'INR', reference: 'pay_1' });
+  });
+
+  it('ignores events that do not settle the link', () => {
+    expect(deliver({ event: 'payment.failed', payload: {} })).toBeNull();
+  });
+});
+
+describe('createPaymentProvider', () => {
+  it('requires a provider', () => {
+    expect(() => createPaymentProvider({}, { baseUrl: BASE_URL })).toThrow('PAYMENT_PROVIDER is required');
+  });
+
+  it('only creates the mock provider when it is explicitly enabled', () => {
+    expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'mock' }, { baseUrl: BASE_URL })).toThrow('PAYMENT_MOCK_ENABLED=true');
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const provider = createPaymentProvider({ PAYMENT_PROVIDER: 'mock', PAYMENT_MOCK_ENABLED: 'true' }, { baseUrl: BASE_URL });
+    warn.mockRestore();
+
+    expect(provider).toBeInstanceOf(MockPaymentProvider);
+  });
+
+  it('requires the Razorpay keys', () => {
+    expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'razorpay', RAZORPAY_KEY_ID: 'key' }, { baseUrl: BASE_URL })).toThrow('RAZORPAY_KEY_SECRET');
+  });
+
+  it('rejects an unknown provider', () => {
+    expect(() => createPaymentProvider({ PAYMENT_PROVIDER: 'paypal' }, { baseUrl: BASE_URL })).toThrow('Unknown payment provider: paypal');
+  });
+});
+
+describe('toMinorUnits', () => {
+  it('converts rupees to paise without float drift', () => {
+    expect(toMinorUnits(12.34)).toBe(1234);
+    expect(toMinorUnits('0.29')).toBe(29);
+  });
+});
@@ -0,0 +1,370 @@
+// Writes registry state changes back to print_jobs.job_status using the
+// same fields as updateJobStatus() in src/utils/supabase.js:
+// job_status, updated_at and (optionally) estimated_completion.
+// Also settles payment_status once a payment webhook has been verified,
+// for single jobs and for multi-document orders (orders + their print_jobs),
+// stores the server's price in total_cost, and downloads uploaded documents
+// from the print-files bucket.
+//
+// Needs SUPABASE_SERVICE_ROLE_KEY: customers and shop owners can't write
+// payment_status or total_cost themselves (see the payment_fields_lock
+// migration), only this server can.
+
+import { createClient } from '@supabase/supabase-js';
+
+// Registry state -> print_jobs.job_status
+const JOB_STATUS_BY_STATE = {
+  queued: 'pending',
+  processing: 'printing',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+const PRINT_FILES_BUCKET = 'print-files';
+
+// What the server needs to price a job (see pricing.js)
+const PRICED_JOB_FIELDS = 'id, shop_id, order_id, total_cost, payment_status, job_status, recipe, paper_size, color_mode, print_type, copies, pages_per_sheet, total_pages, selected_pages';
+
+let client = null;
+
+function getSupabaseUrl() {
+  return process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || null;
+}
+
+function getClient() {
+  if (client) return client;
+
+  const url = getSupabaseUrl();
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !key) return null;
+
+  client = createClient(url, key, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false
+    }
+  });
+  return client;
+}
+
+export function isSupabaseSyncEnabled() {
+  return getClient() !== null;
+}
+
+export async function syncJobStatus(printJobId, state, estimatedCompletion = null) {
+  const supabase = getClient();
+  if (!supabase || !printJobId) return { data: null, error: null };
+
+  const status = JOB_STATUS_BY_STATE[state];
+  if (!status) {
+    return { data: null, error: { message: `Unknown job state: ${state}` } };
+  }
+
+  const updateData = {
+    job_status: status,
+    updated_at: new Date().toISOString()
+  };
+
+  if (estimatedCompletion) {
+    updateData.estimated_completion = estimatedCompletion;
+  }
+
+  const { data, error } = await supabase
+    .from('print_jobs')
+    .update(updateData)
+    .eq('id', printJobId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`❌ Failed to sync print job ${printJobId} to ${status}:`, error);
+    return { data: null, error: { message: error.message } };
+  }
+
+  console.log(`✅ Synced print job ${printJobId} to ${status}`);
+  return { data, error: null };
+}
+
+export async function getPrintJob(printJobId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data, error } = await supabase
+    .from('print_jobs')
+    .select(PRICED_JOB_FIELDS)
+    .eq('id', printJobId)
+    .single();
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return { data, error: null };
+}
+
+// Whether an access token from the dashboard's Supabase session belongs to
+// the shop's owner (shops.owner_id)
+export async function verifyShopOwner(accessToken, shopId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data: { user } = {}, error } = await supabase.auth.getUser(accessToken);
+  if (error || !user) {
+    return { data: null, error: { message: error?.message || 'Invalid session' } };
+  }
+
+  const { data: shop, error: shopError } = await supabase
+    .from('shops')
+    .select('owner_id')
+    .eq('id', shopId)
+    .single();
+
+  if (shopError) {
+    return { data: null, error: { message: shopError.message } };
+  }
+
+  return { data: { user, isOwner: !!shop.owner_id && shop.owner_id === user.id }, error: null };
+}
+
+// The shop's active cost_configs rows
+export async function getCostConfigs(shopId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data, error } = await supabase
+    .from('cost_configs')
+    .select('*')
+    .eq('shop_id', shopId)
+    .eq('is_active', true);
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return { data, error: null };
+}
+
+// Replace the total_cost a customer's browser wrote with the server's price,
+// while the job is still unpaid
+export async function saveJobTotalCost(printJobId, totalCost) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { error } = await supabase
+    .from('print_jobs')
+    .update({ total_cost: totalCost, updated_at: new Date().toISOString() })
+    .eq('id', printJobId)
+    .neq('payment_status', 'paid');
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return { data: null, error: null };
+}
+
+export async function saveOrderTotalCost(printOrderId, totalCost) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { error } = await supabase
+    .from('orders')
+    .update({ total_cost: totalCost, updated_at: new Date().toISOString() })
+    .eq('id', printOrderId)
+    .neq('payment_status', 'paid');
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return { data: null, error: null };
+}
+
+// Let the customer retry after a failed payment
+export async function reopenPayment(printJobId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data, error } = await supabase
+    .from('print_jobs')
+    .update({ payment_status: 'pending', updated_at: new Date().toISOString() })
+    .eq('id', printJobId)
+    .eq('payment_status', 'failed')
+    .select();
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return { data, error: null };
+}
+
+// payment_status a payment may settle from. A failure only settles a pending
+// payment, so webhook retries and late failures can't undo a success. A
+// success also settles a failed payment: every checkout creates a new payment
+// link, and an abandoned one expiring must not void the one the customer paid.
+function settleableStatuses(status) {
+  return status === 'paid' ? ['pending', 'failed'] : ['pending'];
+}
+
+// Move payment_status to paid/failed, from the statuses above
+export async function settlePayment(printJobId, status) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data, error } = await supabase
+    .from('print_jobs')
+    .update({ payment_status: status, updated_at: new Date().toISOString() })
+    .eq('id', printJobId)
+    .in('payment_status', settleableStatuses(status))
+    .select();
+
+  if (error) {
+    console.error(`❌ Failed to settle payment for ${printJobId}:`, error);
+    return { data: null, error: { message: error.message } };
+  }
+
+  if (data.length === 0) {
+    console.log(`ℹ️ Payment for ${printJobId} was already settled`);
+    return { data: null, error: null };
+  }
+
+  console.log(`✅ Payment for ${printJobId} marked ${status}`);
+  return { data: data[0], error: null };
+}
+
+// The amount due is the sum of the order's jobs, so a customer can't pay
+// for an order row whose total was tampered with
+export async function getPrintOrder(printOrderId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select(`id, shop_id, total_cost, payment_status, print_jobs(${PRICED_JOB_FIELDS})`)
+    .eq('id', printOrderId)
+    .single();
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  const amountDue = data.print_jobs.reduce((sum, job) => sum + Number(job.total_cost || 0), 0);
+  return { data: { ...data, amount_due: Math.round(amountDue * 100) / 100 }, error: null };
+}
+
+export async function reopenOrderPayment(printOrderId) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const updatedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ payment_status: 'pending', updated_at: updatedAt })
+    .eq('id', printOrderId)
+    .eq('payment_status', 'failed')
+    .select();
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  const { error: jobsError } = await supabase
+    .from('print_jobs')
+    .update({ payment_status: 'pending', updated_at: updatedAt })
+    .eq('order_id', printOrderId)
+    .eq('payment_status', 'failed');
+
+  if (jobsError) {
+    return { data: null, error: { message: jobsError.message } };
+  }
+
+  return { data, error: null };
+}
+
+// Same guard as settlePayment(), applied to the order and then to every job
+// in it so the print side sees each document as paid
+export async function settleOrderPayment(printOrderId, status) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  const updatedAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ payment_status: status, updated_at: updatedAt })
+    .eq('id', printOrderId)
+    .in('payment_status', settleableStatuses(status))
+    .select();
+
+  if (error) {
+    console.error(`❌ Failed to settle payment for order ${printOrderId}:`, error);
+    return { data: null, error: { message: error.message } };
+  }
+
+  if (data.length === 0) {
+    console.log(`ℹ️ Payment for order ${printOrderId} was already settled`);
+    return { data: null, error: null };
+  }
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('print_jobs')
+    .update({ payment_status: status, updated_at: updatedAt })
+    .eq('order_id', printOrderId)
+    .in('payment_status', settleableStatuses(status))
+    .select('id');
+
+  if (jobsError) {
+    console.error(`❌ Failed to settle print jobs for order ${printOrderId}:`, jobsError);
+    return { data: null, error: { message: jobsError.message } };
+  }
+
+  console.log(`✅ Payment for order ${printOrderId} marked ${status} (${jobs.length} job(s))`);
+  return { data: data[0], error: null };
+}
+
+// Object path in the print-files bucket for one of this project's public file
+// URLs (what uploadFile() hands the customer), or null for any other URL
+export function toPrintFilePath(fileUrl) {
+  const supabaseUrl = getSupabaseUrl();
+  if (!supabaseUrl) return null;
+
+  let url;
+  try {
+    url = new URL(fileUrl);
+  } catch {
+    return null;
+  }
+
+  const prefix = `/storage/v1/object/public/${PRINT_FILES_BUCKET}/`;
+  if (url.origin !== new URL(supabaseUrl).origin || !url.pathname.startsWith(prefix)) {
+    return null;
+  }
+
+  return decodeURIComponent(url.pathname.slice(prefix.length));
+}
+
+// Download an uploaded document by its path in the print-files bucket
+export async function downloadPrintFile(path) {
+  const supabase = getClient();
+  if (!supabase) return { data: null, error: { message: 'Supabase is not configured' } };
+
+  if (typeof path !== 'string' || !path || path.startsWith('/') || path.split('/').includes('..')) {
+    return { data: null, error: { message: 'Invalid file path' } };
+  }
+
+  const { data, error } = await supabase.storage.from(PRINT_FILES_BUCKET).download(path);
+
+  if (error) {
+    return { data: null, error: { message: error.message } };
+  }
+
+  return {
+    data: {
+      bytes: Buffer.from(await data.arrayBuffer()),
+      contentType: data.type || null
+    },
+    error: null
+  };
+}
@@ -7,6 +7,7 @@ import ShopPage from './pages/ShopPage'
 import OrderPage from './pages/OrderPage'
 import PaymentPage from './pages/PaymentPage'
 import StatusPage from './pages/StatusPage'
+import ShopDashboardPage from './pages/ShopDashboardPage'
 import DesignMockup from './pages/DesignMockup'
 
 
@@ -34,8 +35,11 @@ function App() {
           <Route path="/design-mockup" element={<DesignMockup />} />
           <Route path="/shop/:shopId" element={<OrderPage />} />
           <Route path="/shop/:shopId/order" element={<OrderPage />} />
+          <Route path="/shop/:shopId/dashboard" element={<ShopDashboardPage />} />
           <Route path="/payment/:jobId" element={<PaymentPage />} />
+          <Route path="/payment/order/:orderId" element={<PaymentPage />} />
           <Route path="/status/:jobId" element={<StatusPage />} />
+          <Route path="/status/order/:orderId" element={<StatusPage />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
       </Router>
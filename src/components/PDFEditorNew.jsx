@@ -15,11 +15,54 @@ import {
   UIStateManager,
   CropDragController,
   CoordinateHandler,
-  ZoomPanHandler
+  ZoomPanHandler,
+  imposeBooklet,
+  resolvePrintLayout,
+  getNupCells,
+  compositeNupGrid
 } from '../utils/pdf2'
 import { applyPageTransformsToCanvas } from '../utils/pdf2/ui/pageTransforms'
+import { A4_PORTRAIT, A4_LANDSCAPE } from '../utils/pdf2/services/nupCompositor'
 import { logDetailedMemory, trackMemoryOverTime } from '../utils/memoryProfiler'
 
+// N-up preview sheets hold `capacity` cells (layout rows × cols). In booklet
+// imposition every printed side is a sheet, its cells follow saddle-stitch
+// order and blank cells are null.
+const getSheetCount = (pageCount, capacity, imposition) => {
+  return imposition === 'booklet'
+    ? imposeBooklet(pageCount).length
+    : Math.ceil(pageCount / capacity)
+}
+
+// Page numbers in a sheet's cells, in fill order (null = empty cell)
+const getSheetCells = (sheetNum, pageCount, capacity, imposition) => {
+  if (imposition === 'booklet') {
+    return imposeBooklet(pageCount)[sheetNum - 1]?.slots || [null, null]
+  }
+  const startIdx = (sheetNum - 1) * capacity
+  return Array.from({ length: capacity }, (_, i) => startIdx + i + 1 <= pageCount ? startIdx + i + 1 : null)
+}
+
+// Sheet number and cell index that show a page
+const findPageCell = (pageNumber, pageCount, capacity, imposition) => {
+  if (imposition === 'booklet') {
+    const sides = imposeBooklet(pageCount)
+    const sideIndex = sides.findIndex(side => side.slots.includes(pageNumber))
+    return { sheetNumber: sideIndex + 1, cell: sides[sideIndex]?.slots.indexOf(pageNumber) ?? 0 }
+  }
+  return {
+    sheetNumber: Math.floor((pageNumber - 1) / capacity) + 1,
+    cell: (pageNumber - 1) % capacity
+  }
+}
+
+// "1-2" for 2-up, "1–9" for bigger grids
+const formatSheetPages = (sheetPages) => {
+  return sheetPages.length > 2
+    ? `${sheetPages[0]}–${sheetPages[sheetPages.length - 1]}`
+    : sheetPages.join('-')
+}
+
 const PDFEditorNew = forwardRef(({
   file,
   initialPageIndex = 0,
@@ -30,6 +73,8 @@ const PDFEditorNew = forwardRef(({
   onPageSizeChange,
   colorMode = 'BW',
   pagesPerSheet = 1,
+  imposition = 'none',  // 'booklet' = 2-up sheets in saddle-stitch order
+  nupLayout = {},  // N-up layout overrides: order, borders, margin, gutter, autoRotate
   selectedPages = [],
   onPageSelect = null,
   onEditPage = null,
@@ -56,6 +101,14 @@ const PDFEditorNew = forwardRef(({
     resetAll
   } = usePdfController()
 
+  // Sheets are laid out exactly like the recipe prints them
+  const nupLayoutKey = JSON.stringify(nupLayout)
+  const layout = useMemo(
+    () => resolvePrintLayout(pagesPerSheet, JSON.parse(nupLayoutKey), imposition),
+    [pagesPerSheet, nupLayoutKey, imposition]
+  )
+  const capacity = layout.rows * layout.cols
+
   const [pages, setPages] = useState([])
   const [sheets, setSheets] = useState([])  // Sheets for N-up mode
   const [isGeneratingSheets, setIsGeneratingSheets] = useState(false)
@@ -236,44 +289,29 @@ const PDFEditorNew = forwardRef(({
     loadPDF()
   }, [file])
 
-  // Combine two page canvases into a single landscape thumbnail (Blob URL version)
-  const combinePagesThumbnail = useCallback(async (page1Data, page2Data) => {
-    const baseWidth = page1Data?.canvas?.width || 0
-    const baseHeight = page1Data?.canvas?.height || 0
-    if (!baseWidth) return ''
-
-    const sheetWidth = Math.max(baseWidth, baseHeight)
-    const sheetHeight = Math.min(baseWidth, baseHeight)
-
-    const canvas = document.createElement('canvas')
-    canvas.width = sheetWidth
-    canvas.height = sheetHeight
-    const ctx = canvas.getContext('2d')
-    ctx.fillStyle = 'white'
-    ctx.fillRect(0, 0, sheetWidth, sheetHeight)
-
-    const margin = sheetWidth * 0.02
-    const gap = sheetWidth * 0.02
-    const slotWidth = (sheetWidth - (2 * margin) - gap) / 2
-    const slotHeight = sheetHeight - (2 * margin)
-    const slotDims = { width: slotWidth, height: slotHeight }
-
-    const renderSlot = (data, slotX, slotY) => {
-      if (!data?.canvas) {
-        ctx.fillStyle = '#f9fafb'
-        ctx.fillRect(slotX, slotY, slotWidth, slotHeight)
-        return
-      }
-      const transformedCanvas = applyPageTransformsToCanvas(data.canvas, data.editHistory || {}, slotDims)
-      if (transformedCanvas) {
-        const x = slotX + (slotWidth - transformedCanvas.width) / 2
-        const y = slotY + (slotHeight - transformedCanvas.height) / 2
-        ctx.drawImage(transformedCanvas, x, y)
-      }
-    }
-
-    renderSlot(page1Data, margin, margin)
-    renderSlot(page2Data, margin + slotWidth + gap, margin)
+  // Combine page canvases (in fill order, null = empty cell) into one sheet
+  // thumbnail laid out like the print (Blob URL version)
+  const combineSheetThumbnail = useCallback(async (cellData) => {
+    // Any cell can be empty (booklet blanks), so size from the first page there is
+    const baseCanvas = cellData.find(data => data?.canvas)?.canvas
+    if (!baseCanvas) return ''
+
+    // Grow the sheet with the grid so small cells stay legible
+    const sheetLong = Math.max(baseCanvas.width, baseCanvas.height) * Math.max(1, Math.max(layout.rows, layout.cols) / 2)
+    const sheetShort = sheetLong / Math.SQRT2
+    const sheetWidth = Math.round(layout.landscape ? sheetLong : sheetShort)
+    const sheetHeight = Math.round(layout.landscape ? sheetShort : sheetLong)
+    const unit = sheetWidth / (layout.landscape ? A4_LANDSCAPE.width : A4_PORTRAIT.width)
+
+    // Auto-rotated pages are drawn turned, so fit their edits to either orientation
+    const [cell] = getNupCells(layout, sheetWidth, sheetHeight, unit)
+    const slotSize = layout.autoRotate ? Math.max(cell.width, cell.height) : null
+    const slotDims = { width: slotSize || cell.width, height: slotSize || cell.height }
+
+    const pageCanvases = cellData.map(data => data?.canvas
+      ? applyPageTransformsToCanvas(data.canvas, data.editHistory || {}, slotDims)
+      : null)
+    const canvas = compositeNupGrid(pageCanvases, layout, { sheetWidth, sheetHeight, unit })
 
     // Convert to Blob URL (YouTube-style: saves ~400MB RAM for sheets)
     return new Promise((resolve) => {
@@ -290,7 +328,7 @@ const PDFEditorNew = forwardRef(({
         0.85
       )
     })
-  }, [])
+  }, [layout])
 
   // Track abort controllers for running tasks
   const sheetControllersRef = useRef(new Map())  // Map<sheetNum, AbortController>
@@ -354,36 +392,28 @@ const PDFEditorNew = forwardRef(({
       loadingSheetsRef.current.add(sheetNum)
       setSheets(prev => prev.map(s => s.sheetNumber === sheetNum ? { ...s, isLoading: true } : s))
 
-      const startIdx = (sheetNum - 1) * pagesPerSheet
-      const pageNum1 = startIdx + 1
-      const pageNum2 = startIdx + 2 <= pages.length ? startIdx + 2 : null
+      const cellPages = getSheetCells(sheetNum, pages.length, capacity, imposition)
 
       if (signal.aborted) return
 
-      const p1 = pages.find(p => p.pageNumber === pageNum1)
-      const p2 = pages.find(p => p.pageNumber === pageNum2)
+      const cellData = cellPages.map(pageNum => pageNum ? pages.find(p => p.pageNumber === pageNum) : null)
+      const withEdits = (canvases) => canvases.map((canvas, i) => ({ canvas, editHistory: cellData[i]?.editHistory }))
 
       // ========== CHECK FOR EXISTING PAGE THUMBNAILS ==========
-      const p1HasThumbnail = p1?.thumbnail || p1?.baseImage
-      const p2HasThumbnail = pageNum2 ? (p2?.thumbnail || p2?.baseImage) : true // second page optional
+      // Empty cells (last sheet, booklet blanks) need nothing
+      const hasAllThumbnails = cellPages.every((pageNum, i) => !pageNum || cellData[i]?.thumbnail || cellData[i]?.baseImage)
 
-      if (p1HasThumbnail && p2HasThumbnail) {
+      if (hasAllThumbnails) {
         // FAST PATH: Reuse existing thumbnails!
         console.log(`♻️ [Sheet ${sheetNum}] Reusing existing page thumbnails`)
         logMemory(`before sheet ${sheetNum}`)
 
-        const [canvas1, canvas2] = await Promise.all([
-          dataUrlToCanvas(p1.thumbnail || p1.baseImage),
-          pageNum2 && p2 ? dataUrlToCanvas(p2.thumbnail || p2.baseImage) : Promise.resolve(null)
-        ])
+        const canvases = await Promise.all(cellData.map(p => p ? dataUrlToCanvas(p.thumbnail || p.baseImage) : Promise.resolve(null)))
 
         if (signal.aborted) return
 
-        if (canvas1) {
-          const thumbnail = await combinePagesThumbnail(
-            { canvas: canvas1, editHistory: p1?.editHistory },
-            { canvas: canvas2, editHistory: p2?.editHistory }
-          )
+        if (canvases.some(Boolean)) {
+          const thumbnail = await combineSheetThumbnail(withEdits(canvases))
 
           if (thumbnail) {
             loadedSheetsRef.current.add(sheetNum)
@@ -398,22 +428,20 @@ const PDFEditorNew = forwardRef(({
       console.log(`🖼️ [Sheet ${sheetNum}] No cached thumbnails, rendering from pdf.js`)
       logMemory(`before pdf.js sheet ${sheetNum}`)
 
+      // N-UP MODE: Pass isNupMode=true to disable A4 normalization
+      const renderCells = (scale) => Promise.all(cellPages.map(pageNum => pageNum
+        ? controller.getRawPreview?.(pageNum, scale, signal, true)
+        : Promise.resolve(null)))
+
       // STAGE 1: Ultra-Low-Res (0.03x) for instant display
       if (!lowResLoadedRef.current.has(sheetNum)) {
         const ULTRA_LOW_SCALE = 0.03
-        // N-UP MODE: Pass isNupMode=true to disable A4 normalization
-        const [lowCanvas1, lowCanvas2] = await Promise.all([
-          controller.getRawPreview?.(pageNum1, ULTRA_LOW_SCALE, signal, true),
-          pageNum2 ? controller.getRawPreview?.(pageNum2, ULTRA_LOW_SCALE, signal, true) : Promise.resolve(null)
-        ])
+        const lowCanvases = await renderCells(ULTRA_LOW_SCALE)
 
         if (signal.aborted) return
 
-        if (lowCanvas1) {
-          const lowThumbnail = await combinePagesThumbnail(
-            { canvas: lowCanvas1, editHistory: p1?.editHistory },
-            { canvas: lowCanvas2, editHistory: p2?.editHistory }
-          )
+        if (lowCanvases.some(Boolean)) {
+          const lowThumbnail = await combineSheetThumbnail(withEdits(lowCanvases))
           setSheets(prev => prev.map(s => s.sheetNumber === sheetNum ? { ...s, thumbnail: lowThumbnail, isLoading: true } : s))
           lowResLoadedRef.current.add(sheetNum)
         }
@@ -423,20 +451,13 @@ const PDFEditorNew = forwardRef(({
 
       // STAGE 2: Good Quality (0.15x)
       const GOOD_SCALE = 0.15
-      // N-UP MODE: Pass isNupMode=true to disable A4 normalization
-      const [canvas1, canvas2] = await Promise.all([
-        controller.getRawPreview?.(pageNum1, GOOD_SCALE, signal, true),
-        pageNum2 ? controller.getRawPreview?.(pageNum2, GOOD_SCALE, signal, true) : Promise.resolve(null)
-      ])
+      const canvases = await renderCells(GOOD_SCALE)
 
       if (signal.aborted) return
 
       let thumbnail = null
-      if (canvas1) {
-        thumbnail = await combinePagesThumbnail(
-          { canvas: canvas1, editHistory: p1?.editHistory },
-          { canvas: canvas2, editHistory: p2?.editHistory }
-        )
+      if (canvases.some(Boolean)) {
+        thumbnail = await combineSheetThumbnail(withEdits(canvases))
       }
 
       if (signal.aborted) return
@@ -474,7 +495,7 @@ const PDFEditorNew = forwardRef(({
         }
       }, 50)
     }
-  }, [controller, pages, pagesPerSheet, isLargePdf, combinePagesThumbnail, dataUrlToCanvas, logMemory])
+  }, [controller, pages, capacity, imposition, isLargePdf, combineSheetThumbnail, dataUrlToCanvas, logMemory])
 
   // On-demand loader for single pages
   const loadThumbnailOnDemand = useCallback(async (pageNum, force = false) => {
@@ -725,8 +746,9 @@ const PDFEditorNew = forwardRef(({
   // Sync pagesPerSheet with controller for N-up layout
   useEffect(() => {
     if (controller && isReady && pagesPerSheet) {
-      console.log(`📄 [PDFEditorNew] Setting pagesPerSheet to ${pagesPerSheet}`)
+      console.log(`📄 [PDFEditorNew] Setting pagesPerSheet to ${pagesPerSheet} (imposition: ${imposition})`)
       controller.setPagesPerSheet?.(pagesPerSheet)
+      controller.setImposition?.(imposition)
 
       // When pagesPerSheet changes, recalculate sheets
       if (pagesPerSheet > 1 && pages.length > 0) {
@@ -741,7 +763,7 @@ const PDFEditorNew = forwardRef(({
         setSheets([])  // Clear sheets in 1-up mode
       }
     }
-  }, [controller, isReady, pagesPerSheet, pages.length])
+  }, [controller, isReady, pagesPerSheet, imposition, layout, pages.length])
 
   // Generate COMBINED sheet thumbnails for N-up mode
   // Renders PDF pages to canvas and combines them into single image
@@ -762,18 +784,19 @@ const PDFEditorNew = forwardRef(({
     // Clear previous sheet cache when layout changes
     loadedSheetsRef.current.clear()
 
-    const sheetCount = Math.ceil(pages.length / pagesPerSheet)
+    const sheetCount = getSheetCount(pages.length, capacity, imposition)
+    const booklet = imposition === 'booklet' ? imposeBooklet(pages.length) : null
     const newSheets = []
 
     // 1. Create Placeholders First (Instant)
     for (let sheetNum = 1; sheetNum <= sheetCount; sheetNum++) {
-      const startIdx = (sheetNum - 1) * pagesPerSheet
-      const pageNum1 = startIdx + 1
-      const pageNum2 = startIdx + 2 <= pages.length ? startIdx + 2 : null
+      const cells = getSheetCells(sheetNum, pages.length, capacity, imposition)
 
       newSheets.push({
         sheetNumber: sheetNum,
-        pages: pageNum2 ? [pageNum1, pageNum2] : [pageNum1],
+        pages: cells.filter(pageNum => pageNum !== null),
+        cells,
+        bookletSide: booklet ? booklet[sheetNum - 1] : null,
         thumbnail: null,
         isLoading: isLargePdf ? false : true // Only show spinner default if auto-loading
       })
@@ -797,7 +820,7 @@ const PDFEditorNew = forwardRef(({
       loadSheetThumbnailOnDemand(i)
     }
 
-  }, [controller, pagesPerSheet, pages, onSheetsGenerating, isLargePdf, loadSheetThumbnailOnDemand])
+  }, [controller, pagesPerSheet, capacity, imposition, pages, onSheetsGenerating, isLargePdf, loadSheetThumbnailOnDemand])
 
   // Combine two page canvases into a single landscape thumbnail (matching PDFEditorSheetPopup logic)
   // Combine two page canvases into a single landscape thumbnail (matching PDFEditorSheetPopup logic)
@@ -831,37 +854,26 @@ const PDFEditorNew = forwardRef(({
 
     // Handle N-up sheet regeneration if needed
     if (pagesPerSheet > 1 && controller) {
-      const sheetIndex = Math.floor(pageIndex / pagesPerSheet)
-      const sheetNumber = sheetIndex + 1
+      const { sheetNumber } = findPageCell(Number(pageIndex) + 1, pages.length, capacity, imposition)
 
       try {
-        const startIdx = sheetIndex * pagesPerSheet
-        const pageNum1 = startIdx + 1
-        const pageNum2 = startIdx + 2 <= pages.length ? startIdx + 2 : null
+        const cellPages = getSheetCells(sheetNumber, pages.length, capacity, imposition)
 
         // N-UP MODE: Pass isNupMode=true to disable A4 normalization
-        const canvas1 = await controller.getRawPreview?.(pageNum1, 0.5, undefined, true)
-        const canvas2 = pageNum2 ? await controller.getRawPreview?.(pageNum2, 0.5, undefined, true) : null
-
-        if (canvas1) {
-          const p1 = pages.find(p => p.pageNumber === pageNum1)
-          const p2 = pages.find(p => p.pageNumber === pageNum2)
-
-          const pIdx = Number(pageIndex)
-          let t1 = p1?.editHistory || {}
-          if (p1 && Number(p1.pageNumber) === pIdx + 1) {
-            t1 = { ...edits, crop: edits.crop || null }
-          }
-
-          let t2 = p2?.editHistory || {}
-          if (p2 && Number(p2.pageNumber) === pIdx + 1) {
-            t2 = { ...edits, crop: edits.crop || null }
-          }
+        const canvases = []
+        for (const pageNum of cellPages) {
+          canvases.push(pageNum ? await controller.getRawPreview?.(pageNum, 0.5, undefined, true) : null)
+        }
 
-          const newThumbnail = await combinePagesThumbnail(
-            { canvas: canvas1, editHistory: t1 },
-            { canvas: canvas2, editHistory: t2 }
-          )
+        if (canvases.some(Boolean)) {
+          // The edited page uses the new edits; state may not have caught up yet
+          const editedPageNumber = Number(pageIndex) + 1
+          const newThumbnail = await combineSheetThumbnail(cellPages.map((pageNum, i) => ({
+            canvas: canvases[i],
+            editHistory: pageNum === editedPageNumber
+              ? { ...edits, crop: edits.crop || null }
+              : (pages.find(p => p.pageNumber === pageNum)?.editHistory || {})
+          })))
 
           setSheets(prev => prev.map(s =>
             s.sheetNumber === sheetNumber ? { ...s, thumbnail: newThumbnail } : s
@@ -891,7 +903,7 @@ const PDFEditorNew = forwardRef(({
         }))
       }
     }, 100)
-  }, [controller, pagesPerSheet, onPagesLoaded, exportRecipe])
+  }, [controller, pagesPerSheet, capacity, imposition, combineSheetThumbnail, onPagesLoaded, exportRecipe])
 
   const handleAllPagesEdited = useCallback((e) => {
     const { edits } = e.detail
@@ -942,7 +954,7 @@ const PDFEditorNew = forwardRef(({
 
     setPages(prev => prev.map((p, idx) => {
       if (pagesPerSheet < 2) return p
-      const slot = idx % pagesPerSheet
+      const slot = findPageCell(idx + 1, prev.length, capacity, imposition).cell
       let edits = null
       if (slot === 0 && editsPage1) edits = editsPage1
       else if (slot === 1 && editsPage2) edits = editsPage2
@@ -972,7 +984,7 @@ const PDFEditorNew = forwardRef(({
         }))
       }
     }, 200)
-  }, [pagesPerSheet, loadVisibleItems, exportRecipe])
+  }, [pagesPerSheet, capacity, imposition, loadVisibleItems, exportRecipe])
 
   const handleSheetEdited = useCallback(async (e) => {
     const { sheetNumber, page1, page2 } = e.detail
@@ -1017,16 +1029,22 @@ const PDFEditorNew = forwardRef(({
 
     try {
       if (controller) {
-        const p1 = pages[page1.index]
-        const p2 = page2 ? pages[page2.index] : null
-        const canvas1 = await controller.getRawPreview?.(p1.pageNumber, 0.5, undefined, true)
-        const canvas2 = p2 ? await controller.getRawPreview?.(p2.pageNumber, 0.5, undefined, true) : null
-
-        if (canvas1) {
-          const newThumb = await combinePagesThumbnail(
-            { canvas: canvas1, editHistory: page1.edits },
-            { canvas: canvas2, editHistory: page2 ? page2.edits : {} }
-          )
+        // Redraw the sheet's cells in place; a booklet side can start with a blank
+        const cellPages = getSheetCells(sheetNumber, pages.length, capacity, imposition)
+        const editsFor = (pageNum) => {
+          const edited = [page1, page2].find(p => p && pages[p.index]?.pageNumber === pageNum)
+          return edited ? edited.edits : (pages.find(p => p.pageNumber === pageNum)?.editHistory || {})
+        }
+        const canvases = []
+        for (const pageNum of cellPages) {
+          canvases.push(pageNum ? await controller.getRawPreview?.(pageNum, 0.5, undefined, true) : null)
+        }
+
+        if (canvases.some(Boolean)) {
+          const newThumb = await combineSheetThumbnail(cellPages.map((pageNum, i) => ({
+            canvas: canvases[i],
+            editHistory: editsFor(pageNum)
+          })))
           setSheets(prev => prev.map(s =>
             s.sheetNumber === sheetNumber ? { ...s, thumbnail: newThumb } : s
           ))
@@ -1044,7 +1062,7 @@ const PDFEditorNew = forwardRef(({
         }))
       }
     }, 100)
-  }, [controller, exportRecipe])
+  }, [controller, capacity, imposition, combineSheetThumbnail, onPagesLoaded, exportRecipe])
 
   // --- Event Listener Registration ---
 
@@ -1196,18 +1214,27 @@ const PDFEditorNew = forwardRef(({
 
     const pageCount = pages.length
 
-    for (let i = 0; i < pageCount; i++) {
-      if (controller) {
-        if (settings.rotation !== 0) {
-          applyEdit(i + 1, { type: 'rotate', value: settings.rotation })
-        }
-        if (settings.scale !== 100) {
-          applyEdit(i + 1, { type: 'scale', value: settings.scale })
-        }
-        if (cropArea) {
-          applyEdit(i + 1, { type: 'crop', value: cropArea })
+    // Edits to every page undo as one step
+    if (controller) {
+      controller.beginEditGroup?.('Apply to all pages')
+      try {
+        for (let i = 0; i < pageCount; i++) {
+          if (settings.rotation !== 0) {
+            applyEdit(i + 1, { type: 'rotate', value: settings.rotation })
+          }
+          if (settings.scale !== 100) {
+            applyEdit(i + 1, { type: 'scale', value: settings.scale })
+          }
+          if (cropArea) {
+            applyEdit(i + 1, { type: 'crop', value: cropArea })
+          }
         }
+      } finally {
+        controller.endEditGroup?.()
       }
+    }
+
+    for (let i = 0; i < pageCount; i++) {
 
       setPages(prev => prev.map((p, idx) =>
         idx === i ? {
@@ -1430,7 +1457,7 @@ const PDFEditorNew = forwardRef(({
                       ) : (
                         <div className="w-full h-full flex flex-col items-center justify-center text-gray-400 bg-gray-50">
                           <Grid className="w-8 h-8 mb-1" />
-                          <span className="text-xs">Sheet {sheet.pages.join('-')}</span>
+                          <span className="text-xs">Sheet {formatSheetPages(sheet.pages)}</span>
                         </div>
                       )}
                     </div>
@@ -1438,7 +1465,9 @@ const PDFEditorNew = forwardRef(({
                     {/* Sheet Label */}
                     <div className="p-2 text-center">
                       <span className="text-xs text-gray-600">
-                        Pages {sheet.pages.join('-')}
+                        {sheet.bookletSide
+                          ? `Sheet ${sheet.bookletSide.sheetNumber} ${sheet.bookletSide.side}: ${sheet.cells.map(pn => pn ?? 'blank').join(' | ')}`
+                          : `Pages ${formatSheetPages(sheet.pages)}`}
                       </span>
                       {isEdited && (
                         <span className="ml-1 text-xs text-purple-600">(edited)</span>
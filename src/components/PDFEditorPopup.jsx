@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { createPortal } from 'react-dom'
-import { X, RotateCw, RotateCcw, Crop, Check, Loader2 } from 'lucide-react'
+import { X, RotateCw, RotateCcw, Crop, Check, Loader2, Undo2, Redo2, ScanLine } from 'lucide-react'
 import { CropHandler, RotationHandler } from '../utils/pdf2'
 import CropOverlay from './CropOverlay'
 import { composeCrop, FULL_PAGE_BOX } from '../utils/pdf2/ui/coordinateTransforms'
@@ -38,6 +38,9 @@ const PDFEditorPopup = ({
   const [isApplyingAll, setIsApplyingAll] = useState(false)
   const [previewImage, setPreviewImage] = useState(null)
   const [isLoadingBase, setIsLoadingBase] = useState(false)
+  const [isDetectingCrop, setIsDetectingCrop] = useState(false)
+  const [autoCropNote, setAutoCropNote] = useState(null)
+  const [history, setHistory] = useState({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null })
 
   // Track initial values when popup opens
   const initialRotationRef = useRef(0)
@@ -65,6 +68,7 @@ const PDFEditorPopup = ({
       setScale(initScale)
       setCropArea(initCrop)
       setCropMode(false)
+      setAutoCropNote(null)
       rotationHandler.initialize(initRotation)
 
       // Store initial values
@@ -150,23 +154,85 @@ const PDFEditorPopup = ({
     return applyPageTransformsToDataUrl(baseImage, transforms, targetDimensions)
   }, [])
 
+  // Track undo / redo availability of the shared edit history
   useEffect(() => {
-    const handleEscape = (e) => {
-      if (e.key === 'Escape' && isOpen) {
+    if (!isOpen || !controller?.onHistoryChange) return
+
+    setHistory({
+      canUndo: controller.canUndo(),
+      canRedo: controller.canRedo(),
+      undoLabel: null,
+      redoLabel: null
+    })
+    return controller.onHistoryChange(setHistory)
+  }, [isOpen, controller])
+
+  // Undo / redo an applied edit step, then bring this popup and the
+  // thumbnails of every page it touched in line with the restored edits
+  const handleHistory = useCallback((direction) => {
+    if (!controller?.undo) return
+
+    const changedPages = direction === 'undo' ? controller.undo() : controller.redo()
+    if (!changedPages) return
+
+    for (const changedPage of changedPages) {
+      const transforms = controller.getPageMetadata(changedPage)?.transforms
+      const edits = {
+        rotation: transforms?.rotation || 0,
+        scale: transforms?.scale || 100,
+        crop: transforms?.crop || null,
+        offsetX: transforms?.offsetX || 0,
+        offsetY: transforms?.offsetY || 0
+      }
+
+      window.dispatchEvent(new CustomEvent('pdfPageEdited', {
+        detail: { pageIndex: changedPage - 1, edits }
+      }))
+
+      if (changedPage === pageNumber) {
+        setRotation(edits.rotation)
+        setScale(edits.scale)
+        setCropArea(edits.crop)
+        setDraftCropArea(null)
+        setCropMode(false)
+        rotationHandler.setRotation(edits.rotation)
+      }
+    }
+  }, [controller, pageNumber, rotationHandler])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isOpen) return
+
+      if (e.key === 'Escape') {
         onClose()
+        return
+      }
+
+      // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo; text fields keep their own undo
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      if (e.target instanceof HTMLElement && e.target.closest('input, textarea, [contenteditable="true"]')) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleHistory('undo')
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleHistory('redo')
       }
     }
 
     if (isOpen) {
-      document.addEventListener('keydown', handleEscape)
+      document.addEventListener('keydown', handleKeyDown)
       document.body.style.overflow = 'hidden'
     }
 
     return () => {
-      document.removeEventListener('keydown', handleEscape)
+      document.removeEventListener('keydown', handleKeyDown)
       document.body.style.overflow = ''
     }
-  }, [isOpen, onClose])
+  }, [isOpen, onClose, handleHistory])
 
   const handleRotate = useCallback((direction) => {
     const delta = direction === 'cw' ? 90 : -90
@@ -209,6 +275,29 @@ const PDFEditorPopup = ({
     setCropMode(false)
   }, [])
 
+  // Propose a crop around the page content; it shows in the preview and is
+  // only kept once the customer applies it to this page or all pages
+  const handleAutoCrop = useCallback(async () => {
+    if (isDetectingCrop || !controller?.detectContentCrop) return
+    setIsDetectingCrop(true)
+    setAutoCropNote(null)
+
+    try {
+      const crop = await controller.detectContentCrop(pageNumber)
+      if (crop) {
+        setCropArea(cropHandler.validateCropBox(crop))
+        setAutoCropNote('Trimmed to the page content. Apply it to this page or all pages.')
+      } else {
+        setAutoCropNote('No margins or borders to trim on this page.')
+      }
+    } catch (err) {
+      console.error('Auto-crop failed:', err)
+      setAutoCropNote('Could not detect the page content.')
+    } finally {
+      setIsDetectingCrop(false)
+    }
+  }, [controller, pageNumber, isDetectingCrop, cropHandler])
+
   const handleApply = useCallback(async () => {
     if (isApplying) return
     setIsApplying(true)
@@ -217,14 +306,20 @@ const PDFEditorPopup = ({
       const edits = { rotation, scale, crop: cropArea, offsetX: 0, offsetY: 0 }
 
       if (controller && pageNumber > 0 && applyEdit) {
-        if (cropArea) {
-          await applyEdit(pageNumber, { type: 'crop', value: cropArea })
-        }
-        // CORRECTION: Use setRotation (absolute) instead of rotate (delta) to prevent double-rotation
-        // Also allow setting to 0 if the user rotated back to original
-        await applyEdit(pageNumber, { type: 'setRotation', value: rotation })
-        if (scale !== 100) {
-          await applyEdit(pageNumber, { type: 'scale', value: scale })
+        // One undo step for the whole apply
+        controller.beginEditGroup?.(`Edit page ${pageNumber}`)
+        try {
+          if (cropArea) {
+            await applyEdit(pageNumber, { type: 'crop', value: cropArea })
+          }
+          // CORRECTION: Use setRotation (absolute) instead of rotate (delta) to prevent double-rotation
+          // Also allow setting to 0 if the user rotated back to original
+          await applyEdit(pageNumber, { type: 'setRotation', value: rotation })
+          if (scale !== 100) {
+            await applyEdit(pageNumber, { type: 'scale', value: scale })
+          }
+        } finally {
+          controller.endEditGroup?.()
         }
       }
 
@@ -251,17 +346,35 @@ const PDFEditorPopup = ({
     try {
       const edits = { rotation, scale, crop: cropArea, offsetX: 0, offsetY: 0 }
 
-      for (let i = 1; i <= totalPages; i++) {
-        if (controller && applyEdit) {
+      // Every page in one undo step
+      controller?.beginEditGroup?.('Apply to all pages')
+      try {
+        if (controller?.applyToAll && applyEdit && pageNumber > 0) {
+          // Set this page up as shown, then copy its edits to every page
           if (cropArea) {
-            await applyEdit(i, { type: 'crop', value: cropArea })
+            await applyEdit(pageNumber, { type: 'crop', value: cropArea })
+          } else {
+            controller.clearCrop(pageNumber)
           }
-          // CORRECTION: Use setRotation (absolute) instead of rotate (delta)
-          await applyEdit(i, { type: 'setRotation', value: rotation })
-          if (scale !== 100) {
-            await applyEdit(i, { type: 'scale', value: scale })
+          await applyEdit(pageNumber, { type: 'setRotation', value: rotation })
+          await applyEdit(pageNumber, { type: 'scale', value: scale })
+          controller.applyToAll(pageNumber)
+        } else {
+          for (let i = 1; i <= totalPages; i++) {
+            if (controller && applyEdit) {
+              if (cropArea) {
+                await applyEdit(i, { type: 'crop', value: cropArea })
+              }
+              // CORRECTION: Use setRotation (absolute) instead of rotate (delta)
+              await applyEdit(i, { type: 'setRotation', value: rotation })
+              if (scale !== 100) {
+                await applyEdit(i, { type: 'scale', value: scale })
+              }
+            }
           }
         }
+      } finally {
+        controller?.endEditGroup?.()
       }
 
       window.dispatchEvent(new CustomEvent('pdfAllPagesEdited', {
@@ -278,7 +391,7 @@ const PDFEditorPopup = ({
     } finally {
       setIsApplyingAll(false)
     }
-  }, [rotation, scale, cropArea, controller, totalPages, applyEdit, onApplyAll, onClose, isApplyingAll])
+  }, [rotation, scale, cropArea, controller, pageNumber, totalPages, applyEdit, onApplyAll, onClose, isApplyingAll])
 
   if (!isOpen) return null
 
@@ -341,13 +454,39 @@ const PDFEditorPopup = ({
       <div id="pdf-editor-popup-modal" className="flex flex-col h-full">
         <div className="flex items-center justify-between px-4 py-3 bg-blue-600 text-white">
           <span className="font-medium">{pageLabel}</span>
-          <button
-            onClick={onClose}
-            className="w-9 h-9 flex items-center justify-center hover:bg-blue-700 rounded-lg transition-colors"
-            aria-label="Close"
-          >
-            <X className="w-5 h-5" />
-          </button>
+          <div className="flex items-center gap-1">
+            {controller?.undo && (
+              <>
+                <button
+                  id="edit-popup-undo"
+                  onClick={() => handleHistory('undo')}
+                  disabled={!history.canUndo}
+                  className="w-9 h-9 flex items-center justify-center hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                  aria-label="Undo"
+                  title={history.undoLabel ? `Undo ${history.undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)'}
+                >
+                  <Undo2 className="w-5 h-5" />
+                </button>
+                <button
+                  id="edit-popup-redo"
+                  onClick={() => handleHistory('redo')}
+                  disabled={!history.canRedo}
+                  className="w-9 h-9 flex items-center justify-center hover:bg-blue-700 rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                  aria-label="Redo"
+                  title={history.redoLabel ? `Redo ${history.redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)'}
+                >
+                  <Redo2 className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              className="w-9 h-9 flex items-center justify-center hover:bg-blue-700 rounded-lg transition-colors"
+              aria-label="Close"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
         </div>
 
         <div className="flex-1 flex items-center justify-center bg-gray-100 p-3 min-h-0 overflow-hidden">
@@ -453,9 +592,25 @@ const PDFEditorPopup = ({
                       <span className="text-sm">Start Crop</span>
                     </button>
 
+                    {controller?.detectContentCrop && (
+                      <button
+                        id="edit-popup-crop-auto"
+                        onClick={handleAutoCrop}
+                        disabled={isDetectingCrop || !previewImage}
+                        className="flex-1 flex items-center justify-center gap-2 py-2.5 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors disabled:opacity-50"
+                      >
+                        {isDetectingCrop ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <ScanLine className="w-4 h-4" />
+                        )}
+                        <span className="text-sm">Auto-crop</span>
+                      </button>
+                    )}
+
                     {cropArea && (
                       <button
-                        onClick={() => setCropArea(null)}
+                        onClick={() => { setCropArea(null); setAutoCropNote(null) }}
                         className="flex-1 flex items-center justify-center gap-2 py-2.5 bg-red-50 border border-red-200 rounded-lg group hover:bg-red-100 transition-colors"
                       >
                         <X className="w-4 h-4 text-red-600 group-hover:scale-110 transition-transform" />
@@ -481,6 +636,9 @@ const PDFEditorPopup = ({
                     </button>
                   </div>
                 )}
+                {!cropMode && autoCropNote && (
+                  <p id="edit-popup-crop-auto-note" className="mt-2 text-xs text-gray-500">{autoCropNote}</p>
+                )}
               </div>
             )}
 
@@ -2,10 +2,29 @@ import React, { useState, useEffect, lazy, Suspense } from 'react'
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf'
 import pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.min.js?url'
 import { PDFDocument } from 'pdf-lib'
-import { SquareCheck as CheckSquare, Square, FileText, Loader, Search, X } from 'lucide-react'
+import { SquareCheck as CheckSquare, Square, FileText, Loader, Search, X, Palette, ListOrdered, GripVertical, ChevronLeft, ChevronRight, Copy, Plus, FilePlus, Stamp as StampIcon } from 'lucide-react'
 import { getPageSize, DEFAULT_PAGE_SIZE } from '../utils/pageSizes'
 import usePDFStore, { CONTROLLER_BLOCKING } from '../stores/pdfStore'
-import { USE_NEW_PDF_CONTROLLER, usePdfController } from '../utils/pdf2'
+import {
+  USE_NEW_PDF_CONTROLLER,
+  usePdfController,
+  createDocumentOrder,
+  resolveDocumentOrder,
+  movePage,
+  duplicatePage,
+  insertBlankPage,
+  isRemovablePage,
+  removePage,
+  isSourceOrder,
+  getPrintOrder,
+  parsePageRange,
+  formatPageRanges,
+  createStamp,
+  STAMP_POSITIONS,
+  MIN_STAMP_FONT_SIZE,
+  MAX_STAMP_FONT_SIZE
+} from '../utils/pdf2'
+import { formatCurrency } from '../utils/supabase'
 import { logDetailedMemory } from '../utils/memoryProfiler'
 
 const PDFEditor = lazy(() => import('./PDFEditorNew'))
@@ -41,7 +60,7 @@ const CACHE_LIMITS = {
   [QUALITY_TIERS.BEST]: 12
 }
 
-const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFAULT_PAGE_SIZE, colorMode = 'BW', pagesPerSheet = 1, onEditPage, onEditSheet, onPagesLoaded, viewMode = 'grid' }) => {
+const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFAULT_PAGE_SIZE, colorMode = 'BW', colorPages = [], onColorPagesChange, pageOrder = null, onPageOrderChange, onAddDocument, priceSelection, pagesPerSheet = 1, imposition = 'none', nupLayout, onEditPage, onEditSheet, onPagesLoaded, viewMode = 'grid' }) => {
   const { controllerRequested, controllerActive, thumbnails, totalPages: storeTotalPages, fastPageCount } = usePDFStore()
   const { controller } = usePdfController()
 
@@ -71,6 +90,14 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   const [currentPageIndex, setCurrentPageIndex] = useState(0) // For single-page view navigation
   const [cropActive, setCropActive] = useState(false) // Crop mode toggle for single view
   const [gridExpanded, setGridExpanded] = useState(false) // Toggle between compact and full grid view
+  const [draggedOrderIndex, setDraggedOrderIndex] = useState(null) // Page order entry being dragged
+  const [isAddingDocument, setIsAddingDocument] = useState(false)
+  const addDocumentInputRef = React.useRef(null)
+  const [rangeCost, setRangeCost] = useState(null) // Price of the typed page range
+  const priceSelectionRef = React.useRef(priceSelection)
+  const [stamps, setStamps] = useState([]) // Watermark / page number / header / footer stamps on every page
+  const [stampPreview, setStampPreview] = useState(null) // Page 1 with the stamps, as a data URL
+  const stampsAppliedRef = React.useRef(false)
   const observerRef = React.useRef(null)
   const editorRef = React.useRef(null) // Ref to PDFEditor for calling exportPDF
   const scrollObserverRef = React.useRef(null)
@@ -101,6 +128,85 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     qualityCacheRef.current = qualityCache
   }, [qualityCache])
 
+  useEffect(() => {
+    priceSelectionRef.current = priceSelection
+  }, [priceSelection])
+
+  // Page-range expressions ("1-5, 8, 10-", "odd", "last 3") select pages;
+  // a bare page number still jumps to that page
+  const isPageNumberSearch = /^\d+$/.test(searchTerm.trim())
+  const rangeSelection = searchTerm.trim() ? parsePageRange(searchTerm, totalPages) : null
+  const rangeSelectionKey = rangeSelection && !rangeSelection.error ? rangeSelection.pages.join(',') : ''
+
+  // Live price of the typed range, debounced while typing
+  useEffect(() => {
+    setRangeCost(null)
+    if (!rangeSelectionKey || !priceSelectionRef.current) return
+
+    let cancelled = false
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await priceSelectionRef.current(rangeSelectionKey.split(',').map(Number))
+        if (!cancelled && !result.error) {
+          setRangeCost(result.cost)
+        }
+      } catch (error) {
+        console.error('❌ Error pricing page range:', error)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [rangeSelectionKey])
+
+  // A new document starts without stamps
+  useEffect(() => {
+    setStamps([])
+  }, [file?.name])
+
+  // Stamps go on every page as edits, so they print and show in previews.
+  // Re-applied when the page count changes (e.g. a merged document).
+  useEffect(() => {
+    if (!controller?.applyEdit || !controllerActive || !controller.isLoaded() || totalPages === 0) return
+    if (stamps.length === 0 && !stampsAppliedRef.current) return
+
+    let cancelled = false
+    const timeout = setTimeout(async () => {
+      // One undo step for the whole document
+      controller.beginEditGroup?.('Stamps')
+      try {
+        for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+          controller.applyEdit(pageNumber, { type: 'clearStamps' })
+          stamps.forEach(stamp => controller.applyEdit(pageNumber, { type: 'setStamp', value: stamp }))
+        }
+      } finally {
+        controller.endEditGroup?.()
+      }
+      stampsAppliedRef.current = stamps.length > 0
+
+      if (stamps.length === 0 || !controller.getPreviewWithFixedPage) {
+        setStampPreview(null)
+        return
+      }
+
+      try {
+        const canvas = await controller.getPreviewWithFixedPage(1, 160, 220)
+        if (!cancelled) {
+          setStampPreview(canvas.toDataURL('image/jpeg', 0.85))
+        }
+      } catch (error) {
+        console.error('❌ Error rendering stamp preview:', error)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [controller, controllerActive, totalPages, stamps])
+
   // Cleanup on unmount - revoke all blob URLs
   useEffect(() => {
     return () => {
@@ -1417,6 +1523,66 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     onPagesSelected([])
   }
 
+  // Per-page color: in a B&W job, marked pages print in color
+  const canMarkColorPages = colorMode === 'BW' && !!onColorPagesChange
+
+  const toggleColorPage = (pageNumber) => {
+    const newColorPages = colorPages.includes(pageNumber)
+      ? colorPages.filter(p => p !== pageNumber)
+      : [...colorPages, pageNumber].sort((a, b) => a - b)
+
+    onColorPagesChange(newColorPages)
+  }
+
+  const printablePageNumbers = selectedPages.length > 0
+    ? selectedPages
+    : Array.from({ length: totalPages }, (_, i) => i + 1)
+
+  // Document order: reorder pages, copy them, insert blank pages and append
+  // another PDF. Deselected pages stay in the order but don't print.
+  const canEditPageOrder = !!onPageOrderChange
+  const documentOrder = resolveDocumentOrder(pageOrder, totalPages)
+  const printableSet = new Set(printablePageNumbers)
+  const printedCount = getPrintOrder(documentOrder, pageNumber => printableSet.has(pageNumber)).length
+
+  const changePageOrder = (newOrder) => {
+    // The untouched order is stored as null, like a fresh upload
+    onPageOrderChange(isSourceOrder(newOrder) ? null : newOrder)
+  }
+
+  const handlePageOrderDrop = (toIndex) => {
+    if (draggedOrderIndex !== null) {
+      changePageOrder(movePage(documentOrder, draggedOrderIndex, toIndex))
+    }
+    setDraggedOrderIndex(null)
+  }
+
+  const canStampPages = USE_NEW_PDF_CONTROLLER && !!controller?.applyEdit
+
+  const updateStamp = (id, changes) => {
+    setStamps(prev => prev.map(stamp => stamp.id === id ? { ...stamp, ...changes } : stamp))
+  }
+
+  const STAMP_LABELS = {
+    watermark: 'Watermark',
+    pageNumber: 'Page numbers',
+    header: 'Header',
+    footer: 'Footer'
+  }
+
+  const handleAddDocumentInput = async (e) => {
+    const extraFile = e.target.files?.[0]
+    e.target.value = ''
+    if (!extraFile || !onAddDocument) return
+
+    setIsAddingDocument(true)
+    try {
+      await onAddDocument(extraFile)
+    } finally {
+      setIsAddingDocument(false)
+    }
+  }
+
   // Setup intersection observer for auto-loading more pages on scroll
   React.useEffect(() => {
     if (!pdf || loadedPages >= totalPages) return
@@ -1541,8 +1707,18 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
     }
   }
 
+  const applyPageRange = () => {
+    if (!rangeSelection || rangeSelection.error || rangeSelection.pages.length === 0) return
+    onPagesSelected(rangeSelection.pages)
+    setSearchTerm('')
+  }
+
   const handleSearchSubmit = (e) => {
     e.preventDefault()
+    if (!isPageNumberSearch) {
+      applyPageRange()
+      return
+    }
     const pageNumber = parseInt(searchTerm)
     if (pageNumber && pageNumber >= 1 && pageNumber <= totalPages) {
       jumpToPage(pageNumber)
@@ -1550,7 +1726,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
   }
 
   const filteredPages = pages.filter(page => {
-    if (!searchTerm) return true
+    if (!searchTerm || !isPageNumberSearch) return true
     return page.pageNumber.toString().includes(searchTerm)
   })
 
@@ -1602,21 +1778,319 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
             <Search className="absolute left-2 sm:left-3 top-1/2 transform -translate-y-1/2 w-3 h-3 sm:w-4 sm:h-4 text-gray-400" />
             <input
               type="text"
-              placeholder="Page number..."
+              placeholder="Page or range, e.g. 1-5, odd"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              className="pl-8 sm:pl-10 pr-2 sm:pr-4 py-1.5 sm:py-2 border border-gray-300 rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full sm:w-36"
+              className="pl-8 sm:pl-10 pr-2 sm:pr-4 py-1.5 sm:py-2 border border-gray-300 rounded-lg text-xs sm:text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full sm:w-56"
             />
           </div>
           <button
             type="submit"
             className="px-3 sm:px-4 py-1.5 sm:py-2 bg-blue-600 text-white rounded-lg text-xs sm:text-sm hover:bg-blue-700 transition-colors"
           >
-            Go
+            {isPageNumberSearch || !searchTerm ? 'Go' : 'Select'}
           </button>
         </form>
+
+        {/* Range preview: what the expression selects and what it costs */}
+        {rangeSelection && (
+          rangeSelection.error ? (
+            <p className="text-xs text-red-600">{rangeSelection.error}</p>
+          ) : (
+            <div className="flex items-center gap-2 text-xs text-gray-600 min-w-0">
+              <span className="truncate" title={formatPageRanges(rangeSelection.pages)}>
+                {rangeSelection.pages.length} {rangeSelection.pages.length === 1 ? 'page' : 'pages'}: {formatPageRanges(rangeSelection.pages)}
+              </span>
+              {rangeCost !== null && (
+                <span className="font-medium text-gray-900 whitespace-nowrap">{formatCurrency(rangeCost)}</span>
+              )}
+              {isPageNumberSearch && (
+                <button
+                  onClick={applyPageRange}
+                  className="text-blue-600 hover:text-blue-800 whitespace-nowrap"
+                >
+                  Select
+                </button>
+              )}
+            </div>
+          )
+        )}
       </div>
 
+      {/* Color Pages */}
+      {canMarkColorPages && totalPages > 0 && (
+        <div id="page-selector-color-pages" className="border border-gray-200 rounded-lg p-2 sm:p-3 bg-white">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <div className="flex items-center gap-1.5">
+              <Palette className="w-4 h-4 text-purple-600" />
+              <span className="text-xs sm:text-sm font-medium text-gray-900">
+                Color pages ({colorPages.filter(p => printablePageNumbers.includes(p)).length})
+              </span>
+            </div>
+            {colorPages.length > 0 && (
+              <button
+                onClick={() => onColorPagesChange([])}
+                className="text-xs text-gray-600 hover:text-gray-900"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            Tap pages to print them in color. The rest print in B&W.
+          </p>
+          <div className="flex flex-wrap gap-1 max-h-24 overflow-y-auto">
+            {printablePageNumbers.map(pageNumber => (
+              <button
+                key={pageNumber}
+                onClick={() => toggleColorPage(pageNumber)}
+                className={`min-w-[2rem] px-1.5 py-0.5 text-xs rounded border transition-colors ${colorPages.includes(pageNumber)
+                  ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white border-transparent'
+                  : 'bg-gray-50 text-gray-700 border-gray-200 hover:border-gray-400'
+                  }`}
+              >
+                {pageNumber}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Page Order */}
+      {canEditPageOrder && totalPages > 0 && (
+        <div id="page-selector-page-order" className="border border-gray-200 rounded-lg p-2 sm:p-3 bg-white">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <div className="flex items-center gap-1.5">
+              <ListOrdered className="w-4 h-4 text-blue-600" />
+              <span className="text-xs sm:text-sm font-medium text-gray-900">
+                Page order ({printedCount} {printedCount === 1 ? 'page' : 'pages'})
+              </span>
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => changePageOrder(insertBlankPage(documentOrder, 0))}
+                className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+              >
+                <Plus className="w-3 h-3" />
+                Blank page
+              </button>
+              {onAddDocument && (
+                <>
+                  <button
+                    onClick={() => addDocumentInputRef.current?.click()}
+                    disabled={isAddingDocument}
+                    className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                  >
+                    {isAddingDocument ? <Loader className="w-3 h-3 animate-spin" /> : <FilePlus className="w-3 h-3" />}
+                    Add PDF
+                  </button>
+                  <input
+                    ref={addDocumentInputRef}
+                    type="file"
+                    accept="application/pdf"
+                    onChange={handleAddDocumentInput}
+                    className="hidden"
+                  />
+                </>
+              )}
+              {pageOrder && (
+                <button
+                  onClick={() => changePageOrder(createDocumentOrder(totalPages))}
+                  className="text-xs text-gray-600 hover:text-gray-900"
+                >
+                  Reset
+                </button>
+              )}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            Drag pages to reorder them. New blank pages go first, as a cover; drag them anywhere.
+          </p>
+          <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+            {documentOrder.map((entry, index) => {
+              const isBlank = entry.pageNumber === null
+              const isSkipped = !isBlank && !printableSet.has(entry.pageNumber)
+
+              return (
+                <div
+                  key={entry.id}
+                  draggable
+                  onDragStart={() => setDraggedOrderIndex(index)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={() => handlePageOrderDrop(index)}
+                  onDragEnd={() => setDraggedOrderIndex(null)}
+                  title={isSkipped ? 'Not selected - will not print' : entry.copy ? `Copy of page ${entry.pageNumber}` : undefined}
+                  className={`flex items-center gap-0.5 pl-0.5 pr-1 py-0.5 text-xs rounded border cursor-move transition-colors ${isBlank
+                    ? 'border-dashed border-gray-300 bg-white text-gray-500'
+                    : entry.copy
+                      ? 'bg-blue-50 border-blue-200 text-blue-700'
+                      : 'bg-gray-50 border-gray-200 text-gray-700'
+                    } ${isSkipped ? 'opacity-40 line-through' : ''} ${draggedOrderIndex === index ? 'opacity-50' : ''}`}
+                >
+                  <GripVertical className="w-3 h-3 text-gray-400" />
+                  <button
+                    onClick={() => changePageOrder(movePage(documentOrder, index, index - 1))}
+                    disabled={index === 0}
+                    aria-label="Move earlier"
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  >
+                    <ChevronLeft className="w-3 h-3" />
+                  </button>
+                  <span className="min-w-[1.25rem] text-center font-medium">
+                    {isBlank ? 'Blank' : entry.pageNumber}
+                  </span>
+                  <button
+                    onClick={() => changePageOrder(movePage(documentOrder, index, index + 1))}
+                    disabled={index === documentOrder.length - 1}
+                    aria-label="Move later"
+                    className="text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                  >
+                    <ChevronRight className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => changePageOrder(duplicatePage(documentOrder, index))}
+                    aria-label="Duplicate"
+                    className="text-gray-400 hover:text-blue-600"
+                  >
+                    <Copy className="w-3 h-3" />
+                  </button>
+                  {isRemovablePage(entry) && (
+                    <button
+                      onClick={() => changePageOrder(removePage(documentOrder, index))}
+                      aria-label="Remove"
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Stamps */}
+      {canStampPages && totalPages > 0 && (
+        <div id="page-selector-stamps" className="border border-gray-200 rounded-lg p-2 sm:p-3 bg-white">
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <div className="flex items-center gap-1.5">
+              <StampIcon className="w-4 h-4 text-blue-600" />
+              <span className="text-xs sm:text-sm font-medium text-gray-900">
+                Stamps ({stamps.length})
+              </span>
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+              {Object.entries(STAMP_LABELS).map(([kind, label]) => (
+                <button
+                  key={kind}
+                  onClick={() => setStamps(prev => [...prev, createStamp(kind)])}
+                  className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+                >
+                  <Plus className="w-3 h-3" />
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mb-2">
+            Printed on every page. Use {'{page}'} and {'{total}'} in the text; {'{page:6}'} pads the number to 6 digits (Bates numbering).
+          </p>
+          {stamps.length > 0 && (
+            <div className="flex gap-3">
+              <div className="flex-1 min-w-0 space-y-2">
+                {stamps.map(stamp => (
+                  <div key={stamp.id} className="border border-gray-100 rounded p-2 space-y-1.5">
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs font-medium text-gray-700 w-24 shrink-0">{STAMP_LABELS[stamp.kind]}</span>
+                      <input
+                        type="text"
+                        value={stamp.text}
+                        placeholder={stamp.kind === 'pageNumber' ? 'Page {page} of {total}' : 'Text'}
+                        onChange={(e) => updateStamp(stamp.id, { text: e.target.value })}
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-xs"
+                      />
+                      <button
+                        onClick={() => setStamps(prev => prev.filter(s => s.id !== stamp.id))}
+                        aria-label="Remove stamp"
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <X className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                      <select
+                        value={stamp.position}
+                        onChange={(e) => updateStamp(stamp.id, { position: e.target.value })}
+                        className="px-1 py-0.5 border border-gray-300 rounded text-xs"
+                      >
+                        {STAMP_POSITIONS.map(position => (
+                          <option key={position} value={position}>{position.replace('-', ' ')}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center gap-1">
+                        Size
+                        <input
+                          type="number"
+                          min={MIN_STAMP_FONT_SIZE}
+                          max={MAX_STAMP_FONT_SIZE}
+                          value={stamp.fontSize}
+                          onChange={(e) => updateStamp(stamp.id, {
+                            fontSize: Math.min(MAX_STAMP_FONT_SIZE, Math.max(MIN_STAMP_FONT_SIZE, Number(e.target.value) || MIN_STAMP_FONT_SIZE))
+                          })}
+                          className="w-14 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                        />
+                      </label>
+                      <label className="flex items-center gap-1">
+                        Opacity
+                        <input
+                          type="range"
+                          min="5"
+                          max="100"
+                          value={Math.round(stamp.opacity * 100)}
+                          onChange={(e) => updateStamp(stamp.id, { opacity: Number(e.target.value) / 100 })}
+                          className="w-16"
+                        />
+                      </label>
+                      <label className="flex items-center gap-1">
+                        Angle
+                        <input
+                          type="number"
+                          min="-180"
+                          max="180"
+                          value={stamp.rotation}
+                          onChange={(e) => updateStamp(stamp.id, { rotation: Number(e.target.value) || 0 })}
+                          className="w-14 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                        />
+                      </label>
+                      {stamp.kind === 'pageNumber' && (
+                        <label className="flex items-center gap-1">
+                          Start at
+                          <input
+                            type="number"
+                            min="0"
+                            value={stamp.startNumber ?? 1}
+                            onChange={(e) => updateStamp(stamp.id, { startNumber: Math.max(0, parseInt(e.target.value) || 0) })}
+                            className="w-16 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                          />
+                        </label>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {stampPreview && (
+                <img
+                  src={stampPreview}
+                  alt="Page 1 with stamps"
+                  className="hidden sm:block w-28 h-auto self-start border border-gray-200 shadow-sm"
+                />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Conditional Rendering: Single Page View vs Grid View */}
       {viewMode === 'single' ? (
         /* === SINGLE PAGE VIEW === */
@@ -1626,7 +2100,7 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
 
           // Apply filtering
           const singleViewFilteredPages = sourcePages.filter(page => {
-            if (!searchTerm) return true
+            if (!searchTerm || !isPageNumberSearch) return true
             return page.pageNumber.toString().includes(searchTerm)
           })
 
@@ -1677,6 +2151,8 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
                       onPageSizeChange={(newSize) => setCurrentPageSize(newSize)}
                       colorMode={currentColorMode}
                       pagesPerSheet={currentPagesPerSheet}
+                      imposition={imposition}
+                      nupLayout={nupLayout}
                       selectedPages={selectedPages}
                       onPageSelect={togglePageSelection}
                       onEditPage={onEditPage}
@@ -1827,6 +2303,23 @@ const PDFPageSelector = ({ file, selectedPages, onPagesSelected, pageSize = DEFA
                     )}
                   </div>
 
+                  {/* Color Toggle - single pages only */}
+                  {canMarkColorPages && !page.isSheet && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        toggleColorPage(page.pageNumber)
+                      }}
+                      className={`w-full mt-1 py-1 flex items-center justify-center gap-1 text-xs font-medium rounded transition-colors ${colorPages.includes(page.pageNumber)
+                        ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        }`}
+                    >
+                      <Palette className="w-3 h-3" />
+                      {colorPages.includes(page.pageNumber) ? 'Color' : 'B&W'}
+                    </button>
+                  )}
+
                   {/* Edit Button - Bottom of card */}
                   {onEditPage && (
                     <button
@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Plus, Trash2, Save, RefreshCw } from 'lucide-react'
+import Dropdown from './Dropdown'
+
+// Printer profiles and routing rules of the desktop app (see
+// electron/printerProfiles.cjs). The main process validates and applies
+// them; this panel only edits them.
+
+const PAPER_SIZES = ['A4', 'A3', 'A5', 'Letter', 'Legal']
+
+const PAPER_OPTIONS = [
+  { value: '', label: 'Any size' },
+  ...PAPER_SIZES.map(size => ({ value: size, label: size }))
+]
+
+const COLOR_OPTIONS = [
+  { value: '', label: 'Any color' },
+  { value: 'monochrome', label: 'Black & White' },
+  { value: 'color', label: 'Color' }
+]
+
+const DUPLEX_OPTIONS = [
+  { value: '', label: 'Any sides' },
+  { value: 'no', label: 'Single-sided' },
+  { value: 'yes', label: 'Double-sided' }
+]
+
+const DEFAULT_DUPLEX_OPTIONS = [
+  { value: '', label: 'Job decides' },
+  { value: 'no', label: 'Single-sided' },
+  { value: 'yes', label: 'Double-sided' }
+]
+
+// Route / default fields are null for "any"; Dropdown values are strings
+const fromDuplex = (duplex) => duplex === null || duplex === undefined ? '' : duplex ? 'yes' : 'no'
+const toDuplex = (value) => value === '' ? null : value === 'yes'
+
+const blankProfile = (printer) => ({
+  printerId: printer.id,
+  label: printer.name,
+  color: typeof printer.color === 'boolean' ? printer.color : null,
+  paperSizes: null,
+  tray: null,
+  outOfService: false,
+  defaults: { duplex: null, colorMode: null }
+})
+
+const PrinterProfilesPanel = ({ bridge = window.electron }) => {
+  const [printers, setPrinters] = useState([])
+  const [profiles, setProfiles] = useState({ printers: [], routes: [] })
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [isDirty, setIsDirty] = useState(false)
+
+  const load = useCallback(async () => {
+    setIsLoading(true)
+    try {
+      const [printerList, savedProfiles] = await Promise.all([bridge.getPrinters(), bridge.getPrinterProfiles()])
+      setPrinters(printerList)
+      setProfiles(savedProfiles)
+      setIsDirty(false)
+    } catch (err) {
+      console.error('❌ Error loading printer profiles:', err)
+      alert('Could not load printers: ' + err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [bridge])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const getProfile = (printer) => profiles.printers.find(p => p.printerId === printer.id) || blankProfile(printer)
+
+  const updateProfile = (printer, patch) => {
+    const profile = { ...getProfile(printer), ...patch }
+    setProfiles(prev => ({
+      ...prev,
+      printers: [...prev.printers.filter(p => p.printerId !== printer.id), profile]
+    }))
+    setIsDirty(true)
+  }
+
+  const togglePaperSize = (printer, size) => {
+    const current = getProfile(printer).paperSizes || printer.supportedSizes || []
+    const paperSizes = current.includes(size) ? current.filter(s => s !== size) : [...current, size]
+    updateProfile(printer, { paperSizes })
+  }
+
+  const updateRoute = (routeId, patch) => {
+    setProfiles(prev => ({
+      ...prev,
+      routes: prev.routes.map(route => route.id === routeId ? { ...route, ...patch } : route)
+    }))
+    setIsDirty(true)
+  }
+
+  const addRoute = () => {
+    setProfiles(prev => ({
+      ...prev,
+      routes: [...prev.routes, { id: `route-${Date.now()}`, paperSize: null, colorMode: null, duplex: null, printerId: printers[0]?.id || '' }]
+    }))
+    setIsDirty(true)
+  }
+
+  const removeRoute = (routeId) => {
+    setProfiles(prev => ({ ...prev, routes: prev.routes.filter(route => route.id !== routeId) }))
+    setIsDirty(true)
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    try {
+      const result = await bridge.savePrinterProfiles(profiles)
+      if (!result.success) {
+        alert('Could not save printer settings: ' + result.error.message)
+        return
+      }
+      setProfiles(result.profiles)
+      setIsDirty(false)
+      // Printer names and statuses come back with the profiles applied
+      setPrinters(await bridge.getPrinters())
+    } catch (err) {
+      console.error('❌ Error saving printer profiles:', err)
+      alert('Could not save printer settings: ' + err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const printerOptions = printers.map(printer => ({ value: printer.id, label: printer.name }))
+
+  if (isLoading) {
+    return (
+      <div id="dashboard-printer-profiles" className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-500">
+        Loading printers...
+      </div>
+    )
+  }
+
+  return (
+    <div id="dashboard-printer-profiles" className="mt-3 border-t border-gray-100 pt-3 space-y-4">
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm font-medium">Printers</p>
+          <button
+            onClick={load}
+            className="flex items-center gap-1 text-xs text-gray-600 hover:text-gray-900"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+            Reload
+          </button>
+        </div>
+
+        {printers.length === 0 ? (
+          <p className="text-sm text-gray-500">No printers are installed on this computer</p>
+        ) : (
+          <div className="space-y-3">
+            {printers.map(printer => {
+              const profile = getProfile(printer)
+              const paperSizes = profile.paperSizes || printer.supportedSizes || []
+
+              return (
+                <div key={printer.id} className={`rounded-lg border p-3 ${profile.outOfService ? 'border-red-200 bg-red-50' : 'border-gray-200'}`}>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    <label className="text-xs text-gray-600">
+                      Name
+                      <input
+                        value={profile.label}
+                        onChange={(e) => updateProfile(printer, { label: e.target.value })}
+                        className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900"
+                      />
+                    </label>
+                    <label className="text-xs text-gray-600">
+                      Paper tray
+                      <input
+                        value={profile.tray || ''}
+                        onChange={(e) => updateProfile(printer, { tray: e.target.value || null })}
+                        placeholder="Printer default"
+                        className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900"
+                      />
+                    </label>
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-1.5 mt-2">
+                    <span className="text-xs text-gray-600 mr-1">Paper</span>
+                    {PAPER_SIZES.map(size => (
+                      <button
+                        key={size}
+                        onClick={() => togglePaperSize(printer, size)}
+                        className={`px-2 py-0.5 rounded-full text-xs font-medium transition-colors ${paperSizes.includes(size)
+                          ? 'bg-blue-100 text-blue-700'
+                          : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+                          }`}
+                      >
+                        {size}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="flex flex-wrap items-center gap-4 mt-2 text-sm">
+                    <label className="flex items-center gap-1.5">
+                      <input
+                        type="checkbox"
+                        checked={profile.color === true}
+                        onChange={(e) => updateProfile(printer, { color: e.target.checked })}
+                      />
+                      Prints color
+                    </label>
+                    <label className="flex items-center gap-1.5 text-red-700">
+                      <input
+                        type="checkbox"
+                        checked={profile.outOfService}
+                        onChange={(e) => updateProfile(printer, { outOfService: e.target.checked })}
+                      />
+                      Out of service
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-gray-600">Default sides</span>
+                      <div className="w-40">
+                        <Dropdown
+                          value={fromDuplex(profile.defaults.duplex)}
+                          onChange={(value) => updateProfile(printer, { defaults: { ...profile.defaults, duplex: toDuplex(value) } })}
+                          options={DEFAULT_DUPLEX_OPTIONS}
+                        />
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm font-medium">Routing rules</p>
+          <button
+            id="dashboard-printer-profiles-add-route"
+            onClick={addRoute}
+            disabled={printers.length === 0}
+            className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            <Plus className="w-3.5 h-3.5" />
+            Add rule
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          Jobs go to the printer of the most specific matching rule. Rules for out-of-service printers are skipped.
+        </p>
+
+        {profiles.routes.length === 0 ? (
+          <p className="text-sm text-gray-500">No rules yet. Jobs go to the best available printer.</p>
+        ) : (
+          <div className="space-y-2">
+            {profiles.routes.map(route => (
+              <div key={route.id} className="grid grid-cols-2 sm:grid-cols-[1fr_1fr_1fr_1.5fr_auto] gap-2 items-center">
+                <Dropdown
+                  value={route.paperSize || ''}
+                  onChange={(value) => updateRoute(route.id, { paperSize: value || null })}
+                  options={PAPER_OPTIONS}
+                />
+                <Dropdown
+                  value={route.colorMode || ''}
+                  onChange={(value) => updateRoute(route.id, { colorMode: value || null })}
+                  options={COLOR_OPTIONS}
+                />
+                <Dropdown
+                  value={fromDuplex(route.duplex)}
+                  onChange={(value) => updateRoute(route.id, { duplex: toDuplex(value) })}
+                  options={DUPLEX_OPTIONS}
+                />
+                <Dropdown
+                  value={route.printerId}
+                  onChange={(value) => updateRoute(route.id, { printerId: value })}
+                  options={printerOptions}
+                  placeholder="Printer..."
+                />
+                <button
+                  onClick={() => removeRoute(route.id)}
+                  className="p-2 text-gray-400 hover:text-red-600 justify-self-end"
+                  title="Remove rule"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          id="dashboard-printer-profiles-save"
+          onClick={handleSave}
+          disabled={!isDirty || isSaving}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {isSaving ? 'Saving...' : 'Save printer settings'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PrinterProfilesPanel
@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+import { LogIn } from 'lucide-react'
+import { signInShopOwner } from '../utils/supabase'
+
+// Email and password sign-in for the shop dashboard. Accounts are created in
+// Supabase Auth and linked to their shop through shops.owner_id.
+const ShopSignIn = ({ shopName = null, onSignedIn }) => {
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setError(null)
+
+    const { data, error: signInError } = await signInShopOwner(email.trim(), password)
+    setIsSigningIn(false)
+
+    if (signInError) {
+      setError(signInError.message)
+      return
+    }
+    onSignedIn?.(data)
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <form id="dashboard-sign-in" onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-lg shadow-md p-6 space-y-4">
+        <div>
+          <h1 className="text-xl font-bold text-gray-900">{shopName ? `${shopName} — Dashboard` : 'Shop Dashboard'}</h1>
+          <p className="text-sm text-gray-600 mt-1">Sign in with the shop owner's account</p>
+        </div>
+
+        <label className="block text-sm text-gray-700">
+          Email
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="username"
+            required
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+
+        <label className="block text-sm text-gray-700">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSigningIn}
+          className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          <LogIn className="w-4 h-4" />
+          {isSigningIn ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ShopSignIn
@@ -1,15 +1,17 @@
 import React, { useState, useEffect, useRef, lazy, Suspense } from 'react'
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
-import { getShopInfo, getShopPricing, calculateOrderCost, uploadFile, uploadFileChunked, submitPrintJob, formatCurrency, updatePaymentStatus, updatePrintJob } from '../utils/supabase'
+import { getShopInfo, getShopPricing, calculateOrderCost, uploadFile, uploadFileChunked, submitPrintJob, submitOrder, formatCurrency } from '../utils/supabase'
 import { usePdfController, USE_NEW_PDF_CONTROLLER } from '../utils/pdf2/controller/usePdfController'
 import usePDFStore from '../stores/pdfStore'
 import PDFPageSelector from '../components/PDFPageSelector'
 import Dropdown from '../components/Dropdown'
 import { PDFDocument } from 'pdf-lib'
-import { CreditCard as Edit, FileText, Image as ImageIcon, Info, Clock, CircleDot, Maximize2, Home, ChevronRight, Copy, Layers, BookOpen, Square, Grid2x2, FlipHorizontal2, MoreHorizontal, Columns2, ArrowLeftRight, X, AlertTriangle, Zap, ShieldCheck, Printer, ShoppingCart, Loader, MapPin, Phone } from 'lucide-react'
+import { CreditCard as Edit, FileText, Image as ImageIcon, Info, Clock, CircleDot, Maximize2, Home, ChevronRight, Copy, Layers, BookOpen, Square, Grid2x2, FlipHorizontal2, MoreHorizontal, Columns2, ArrowLeftRight, X, AlertTriangle, Zap, ShieldCheck, Printer, ShoppingCart, Loader, MapPin, Phone, Palette, Scissors } from 'lucide-react'
 import { PAGE_SIZES, DEFAULT_PAGE_SIZE, getPageSize } from '../utils/pageSizes'
 import { getTodayDayName, getTodayHours, isShopOpen } from '../utils/shop'
 import { normalizePdfToA4 } from '../utils/pdf/normalizeToA4'
+import { convertDocumentToPdf, isConvertibleDocument } from '../utils/convert'
+import { getPaperDimensions, isLargerThanPaper, DEFAULT_POSTER_OVERLAP, resolveDocumentOrder, getPrintOrder, appendPdf } from '../utils/pdf2'
 
 const ImageEditor = lazy(() => import('../components/ImageEditor'))
 import PDFEditorModal from '../components/PDFEditorModal'
@@ -18,6 +20,26 @@ import PDFEditorSheetPopup from '../components/PDFEditorSheetPopup'
 import { useTour } from '../hooks/useTour'
 import { usePageTitle } from '../hooks/usePageTitle'
 
+const MORE_NUP_OPTIONS = [4, 6, 8, 9, 16].map(value => ({ value, label: `${value} per sheet` }))
+
+const NUP_ORDER_OPTIONS = [
+  { value: 'z', label: 'Across, then down' },
+  { value: 'n', label: 'Down, then across' },
+  { value: 'reverse', label: 'Right to left' }
+]
+
+// 'auto' prints at actual size on as many sheets as it takes
+const POSTER_SIZE_OPTIONS = [
+  { value: 'auto', label: 'Actual size' },
+  ...[[2, 2], [2, 3], [3, 3], [3, 4], [4, 4]].map(([rows, cols]) => ({ value: `${rows}x${cols}`, label: `${rows} × ${cols} sheets` }))
+]
+
+const POINTS_PER_MM = 72 / 25.4
+const POSTER_OVERLAP_OPTIONS = [0, DEFAULT_POSTER_OVERLAP, 28, 43].map(value => ({
+  value,
+  label: value === 0 ? 'No overlap' : `${Math.round(value / POINTS_PER_MM)} mm overlap`
+}))
+
 const OrderPage = () => {
   const { shopId } = useParams()
   const navigate = useNavigate()
@@ -32,17 +54,29 @@ const OrderPage = () => {
     files: [], // For multiple images
     filename: '',
     selectedPages: [],
+    pageOrder: null, // Document order with copies and blank pages; null = source order
+    colorPages: [], // Pages printed in color when colorMode is 'BW'
     selectedImages: [],
     copies: 1,
     paperSize: 'A4',
     colorMode: 'BW',
     printType: 'Single',
     pagesPerSheet: 1,
+    imposition: 'none', // 'booklet' = 2-up duplex saddle-stitch order
+    nupLayout: { order: 'z', borders: false, autoRotate: false }, // Grid options for more than 2 per sheet
+    poster: { overlap: DEFAULT_POSTER_OVERLAP, cutMarks: true, labels: true }, // Tiling options; rows/cols unset = actual size
     customerName: '',
     customerEmail: '',
     customerPhone: ''
   })
   const [costInfo, setCostInfo] = useState({ cost: 0 })
+  const [cart, setCart] = useState([]) // print_jobs rows of documents already uploaded for a multi-document order
+  const [colorSuggestion, setColorSuggestion] = useState(null) // { pages, cost, allColorCost } from color detection
+  const [posterLayout, setPosterLayout] = useState(null) // Resolved tile grid while printing as a poster
+  const [posterPreview, setPosterPreview] = useState([]) // Tile thumbnails of the first poster page
+  const [hasOversizedPages, setHasOversizedPages] = useState(false) // Pages too big to print readably on the paper
+  const [isDetectingColor, setIsDetectingColor] = useState(false)
+  const [colorDetectionProgress, setColorDetectionProgress] = useState(0)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [dragActive, setDragActive] = useState(false)
   const [loading, setLoading] = useState(true)
@@ -94,6 +128,7 @@ const OrderPage = () => {
   // Pre-uploaded file URL (uploaded in background for instant submit)
   const [preUploadedFileUrl, setPreUploadedFileUrl] = useState(null)
   const preUploadedFileUrlRef = useRef(null) // Ref for reliable polling
+  const convertedDocumentRef = useRef(null) // { file, paperSize } of an uploaded Word/text document
   const [isUploading, setIsUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState(0)
 
@@ -139,7 +174,7 @@ const OrderPage = () => {
   // Handle pagesPerSheet change with async conversion
   const handlePagesPerSheetChange = (newValue) => {
     // Update button state immediately
-    setOrderData(prev => ({ ...prev, pagesPerSheet: newValue }))
+    setOrderData(prev => ({ ...prev, pagesPerSheet: newValue, imposition: 'none' }))
     setIsConvertingNup(true)
     // Complete loading after conversion animation
     setTimeout(() => {
@@ -147,6 +182,26 @@ const OrderPage = () => {
     }, 300)
   }
 
+  // A booklet is always 2-up and double-sided: the pages are reordered so the
+  // printed stack folds in half and reads in order
+  const handleBookletSelect = () => {
+    setOrderData(prev => ({ ...prev, pagesPerSheet: 2, imposition: 'booklet', printType: 'Double' }))
+  }
+
+  // A poster tiles each page across several single-sided sheets to trim and tape
+  const handlePosterSelect = () => {
+    setOrderData(prev => ({ ...prev, pagesPerSheet: 1, imposition: 'poster', printType: 'Single' }))
+  }
+
+  const handlePosterChange = (changes) => {
+    setOrderData(prev => ({ ...prev, poster: { ...prev.poster, ...changes } }))
+  }
+
+  const handlePosterSizeChange = (value) => {
+    const [rows, cols] = value === 'auto' ? [undefined, undefined] : value.split('x').map(Number)
+    handlePosterChange({ rows, cols })
+  }
+
   // Convert readyPDFBlob to bytes for preview
   useEffect(() => {
     if (readyPDFBlob) {
@@ -208,7 +263,12 @@ const OrderPage = () => {
     if (pricing.length > 0) {
       calculateCost()
     }
-  }, [orderData.copies, orderData.paperSize, orderData.colorMode, orderData.printType, orderData.selectedPages, pdfPageCount, orderData.file, pricing])
+  }, [orderData.copies, orderData.paperSize, orderData.colorMode, orderData.colorPages, orderData.printType, orderData.pagesPerSheet, orderData.imposition, posterLayout, orderData.selectedPages, orderData.pageOrder, pdfPageCount, orderData.file, pricing])
+
+  // A color suggestion is only valid for the pages and options it was priced with
+  useEffect(() => {
+    setColorSuggestion(null)
+  }, [orderData.file, orderData.selectedPages, orderData.pageOrder, orderData.copies, orderData.paperSize, orderData.printType, orderData.pagesPerSheet, orderData.imposition, posterLayout, pdfPageCount])
 
   // Alternate text labels every 4 seconds
   useEffect(() => {
@@ -239,18 +299,69 @@ const OrderPage = () => {
     }
   }, [controller, orderData.selectedPages])
 
+  // Sync page order (copies, blank pages, appended documents) to PDF controller
+  useEffect(() => {
+    if (controller?.setDocumentOrder) {
+      controller.setDocumentOrder(orderData.pageOrder)
+    }
+  }, [controller, orderData.pageOrder, pdfPageCount])
+
   // Sync print settings to PDF controller
   useEffect(() => {
     if (controller) {
       controller.setOptions({
         paperSize: orderData.paperSize,
         colorMode: orderData.colorMode === 'BW' ? 'bw' : 'color',
+        colorPages: orderData.colorMode === 'BW' ? orderData.colorPages : [],
         copies: orderData.copies,
         pagesPerSheet: orderData.pagesPerSheet,
+        duplex: orderData.printType === 'Double',
+        imposition: orderData.imposition,
+        layout: orderData.nupLayout,
+        poster: orderData.poster,
         shopId: shopId
       })
+
+      // The tile grid follows the largest printed page, so read it back after syncing
+      setPosterLayout(orderData.imposition === 'poster' ? controller.getPosterLayout?.() || null : null)
+    }
+  }, [controller, orderData.paperSize, orderData.colorMode, orderData.colorPages, orderData.copies, orderData.pagesPerSheet, orderData.printType, orderData.imposition, orderData.nupLayout, orderData.poster, orderData.selectedPages, pdfPageCount, shopId])
+
+  // Large drawings are shrunk onto one sheet unless printed as a poster
+  useEffect(() => {
+    if (!controller?.isLoaded?.() || !pdfPageCount) {
+      setHasOversizedPages(false)
+      return
+    }
+    const paper = getPaperDimensions(orderData.paperSize)
+    const pageNumbers = orderData.selectedPages.length > 0
+      ? orderData.selectedPages
+      : Array.from({ length: pdfPageCount }, (_, i) => i + 1)
+    setHasOversizedPages(pageNumbers.some(pageNumber => {
+      const dimensions = controller.getPageMetadata(pageNumber)?.originalDimensions
+      return dimensions ? isLargerThanPaper(dimensions, paper) : false
+    }))
+  }, [controller, orderData.paperSize, orderData.selectedPages, pdfPageCount])
+
+  // Preview the first page's tiles as they print
+  useEffect(() => {
+    if (!posterLayout || !controller?.getSheetThumbnail || controller.getImposition?.() !== 'poster') {
+      setPosterPreview([])
+      return
+    }
+
+    let cancelled = false
+    const tileCount = posterLayout.rows * posterLayout.cols
+    Promise.all(Array.from({ length: tileCount }, (_, i) => controller.getSheetThumbnail(i + 1)))
+      .then(thumbnails => {
+        if (!cancelled) setPosterPreview(thumbnails)
+      })
+      .catch(error => console.warn('⚠️ Poster preview failed:', error))
+
+    return () => {
+      cancelled = true
     }
-  }, [controller, orderData.paperSize, orderData.colorMode, orderData.copies, orderData.pagesPerSheet, shopId])
+  }, [controller, posterLayout])
 
   // 2. Start Edit Button Tour when file is uploaded
   useEffect(() => {
@@ -396,34 +507,147 @@ const OrderPage = () => {
     }
   }
 
+  // Pages as they print: the document order (copies, blank pages) limited to
+  // the selected pages, or all pages while none are selected
+  const getPrintedPages = (selectedPages = orderData.selectedPages) => {
+    const selected = new Set(selectedPages)
+    const pageCount = Math.max(pdfPageCount || 0, ...selectedPages)
+    return getPrintOrder(
+      resolveDocumentOrder(orderData.pageOrder, pageCount),
+      pageNumber => selected.size === 0 || selected.has(pageNumber)
+    ).map(entry => entry.pageNumber)
+  }
+
   const calculateCost = async () => {
     if (!orderData.paperSize || !orderData.colorMode || !orderData.printType) {
       return
     }
 
-    const selectedCount = orderData.selectedPages.length
-    const totalCount = pdfPageCount
-
     // Default to 0 if no file is uploaded
-    const pageCount = orderData.file ? (selectedCount > 0 ? selectedCount : (totalCount || 0)) : 0
+    const pageCount = orderData.file ? getPrintedPages().length : 0
 
     console.log(`💰 Calculating cost for: ${pageCount} pages, ${orderData.copies} copies`)
 
-    const result = await calculateOrderCost(shopId, {
-      paperSize: orderData.paperSize,
-      colorMode: orderData.colorMode,
-      printType: orderData.printType,
-      copies: orderData.copies,
-      pages: pageCount
-    })
+    const result = await priceSelection(orderData.selectedPages)
 
     setCostInfo({ ...result, calculatedForPages: pageCount })
   }
 
+  // Options shared by every price of the current document (see pricing.js)
+  const getPricingOptions = () => ({
+    paperSize: orderData.paperSize,
+    printType: orderData.printType,
+    copies: orderData.copies,
+    pagesPerSheet: orderData.pagesPerSheet,
+    layout: orderData.nupLayout,
+    imposition: orderData.imposition,
+    posterTiles: posterLayout ? posterLayout.rows * posterLayout.cols : 1
+  })
+
+  // Color flag of each printed page, in print order, as the recipe will have
+  // it: blank pages (null) always print B&W
+  const getPageColors = (printedPages, colorPages, colorMode = orderData.colorMode) => {
+    return printedPages.map(pageNumber => pageNumber !== null && (colorMode === 'Color' || colorPages.includes(pageNumber)))
+  }
+
+  // Price the current options for a selection of pages, e.g. a page range the
+  // customer is still typing
+  const priceSelection = (selectedPages) => {
+    const printedPages = orderData.file ? getPrintedPages(selectedPages) : []
+
+    return calculateOrderCost(shopId, {
+      ...getPricingOptions(),
+      pageColors: getPageColors(printedPages, orderData.colorPages)
+    })
+  }
+
+  // Render every printed page, find the ones with real color content and
+  // price "those in color, the rest B&W" against printing everything in color
+  const detectColorPages = async () => {
+    if (!controller?.analyzePageColors || !controller.isLoaded()) {
+      alert('Color detection is available once the page preview has loaded.')
+      return
+    }
+
+    const pages = orderData.selectedPages.length > 0
+      ? [...orderData.selectedPages].sort((a, b) => a - b)
+      : Array.from({ length: pdfPageCount }, (_, i) => i + 1)
+
+    if (pages.length === 0) return
+
+    // Priced as printed: every copy of a page counts, blank pages print B&W
+    const printedPages = getPrintedPages()
+
+    setIsDetectingColor(true)
+    setColorDetectionProgress(0)
+
+    try {
+      console.log(`🎨 Detecting color content on ${pages.length} pages...`)
+
+      const detectedPages = await controller.analyzePageColors(pages, {
+        onProgress: (done, total) => setColorDetectionProgress(Math.round((done / total) * 100))
+      })
+
+      const [mixed, allColor] = await Promise.all([
+        calculateOrderCost(shopId, {
+          ...getPricingOptions(),
+          pageColors: getPageColors(printedPages, detectedPages, 'BW')
+        }),
+        calculateOrderCost(shopId, {
+          ...getPricingOptions(),
+          pageColors: getPageColors(printedPages, [], 'Color')
+        })
+      ])
+
+      setColorSuggestion({
+        pages: detectedPages,
+        cost: mixed.error ? null : mixed.cost,
+        allColorCost: allColor.error ? null : allColor.cost
+      })
+    } catch (error) {
+      console.error('❌ Color detection error:', error)
+      alert('Could not analyze page colors: ' + error.message)
+    } finally {
+      setIsDetectingColor(false)
+    }
+  }
+
+  const applyColorSuggestion = () => {
+    if (!colorSuggestion) return
+
+    setOrderData(prev => ({
+      ...prev,
+      colorMode: 'BW',
+      colorPages: colorSuggestion.pages
+    }))
+  }
+
+  const isColorSuggestionApplied = !!colorSuggestion &&
+    orderData.colorMode === 'BW' &&
+    orderData.colorPages.length === colorSuggestion.pages.length &&
+    colorSuggestion.pages.every(pageNumber => orderData.colorPages.includes(pageNumber))
+
+  // "3, 7, 12" - long lists are cut short so the hint stays on one or two lines
+  const formatPageList = (pages, limit = 8) => {
+    if (pages.length <= limit) return pages.join(', ')
+    return `${pages.slice(0, limit).join(', ')} and ${pages.length - limit} more`
+  }
+
   // Helper to get current effective page count for warning checks
-  const currentEffectivePageCount = orderData.file
-    ? (orderData.selectedPages.length > 0 ? orderData.selectedPages.length : (pdfPageCount || 0))
-    : 0
+  const currentEffectivePageCount = orderData.file ? getPrintedPages().length : 0
+
+  const hasCurrentDocument = !!orderData.file || orderData.files.length > 0
+  const canOrderCurrentDocument = hasCurrentDocument && costInfo.cost > 0 &&
+    !(orderData.file?.type === 'application/pdf' && orderData.selectedPages.length === 0) &&
+    !(orderData.files?.length > 0 && orderData.selectedImages.length === 0)
+  const cartTotal = cart.reduce((sum, job) => sum + Number(job.total_cost), 0)
+  // Booklet and grid layouts run on the PDF recipe; image batches bake their layout in
+  const usesRecipeLayout = orderData.file?.type === 'application/pdf'
+  const showsNupGrid = usesRecipeLayout && orderData.pagesPerSheet > 2 && orderData.imposition !== 'booklet'
+
+  const handleNupLayoutChange = (changes) => {
+    setOrderData(prev => ({ ...prev, nupLayout: { ...prev.nupLayout, ...changes } }))
+  }
 
   // Auto-convert images to PDF with progress tracking
   const convertImagesToPDFWithProgress = async (imageFiles) => {
@@ -531,7 +755,28 @@ const OrderPage = () => {
     }
   }
 
-  const handleFileChange = async (filesOrFile) => {
+  // Convert a Word or text document to a PDF on the selected paper size
+  const convertDocumentWithProgress = async (file, paperSize) => {
+    try {
+      setIsConvertingToPDF(true)
+      setConversionProgress(0)
+      setConversionMessage('Reading document...')
+
+      return await convertDocumentToPdf(file, {
+        pageSize: getPageSize(paperSize || 'A4'),
+        onProgress: (progress, message) => {
+          setConversionProgress(progress)
+          setConversionMessage(message)
+        }
+      })
+    } finally {
+      setIsConvertingToPDF(false)
+      setConversionProgress(0)
+      setConversionMessage('')
+    }
+  }
+
+  const handleFileChange = async (filesOrFile, paperSize = orderData.paperSize) => {
     if (!filesOrFile) return
 
     // Handle both single file and multiple files
@@ -545,6 +790,7 @@ const OrderPage = () => {
     setReadyPDFBlob(null)
     setPreUploadedFileUrl(null)
     preUploadedFileUrlRef.current = null
+    convertedDocumentRef.current = null
     setEditedPages({})
     setUploadProgress(0)
 
@@ -586,6 +832,8 @@ const OrderPage = () => {
         files: [],
         filename: firstFile.name,
         selectedPages: [],
+        pageOrder: null,
+        colorPages: [],
         selectedImages: []
       }))
       setShowEditor(false)
@@ -598,6 +846,37 @@ const OrderPage = () => {
         console.log('🚀 Pre-generating PDF for instant submission...')
         generateInitialPDF(firstFile, [])
       }
+    } else if (isConvertibleDocument(firstFile)) {
+      // Word/text documents - convert to PDF, then treat exactly like an uploaded PDF
+      try {
+        console.log(`📝 Converting ${firstFile.name} to PDF...`)
+        const { pdfFile, pageCount } = await convertDocumentWithProgress(firstFile, paperSize)
+
+        // Remember the source so a paper size change can re-flow it
+        convertedDocumentRef.current = { file: firstFile, paperSize }
+        setPdfPageCount(pageCount)
+
+        setOrderData(prev => ({
+          ...prev,
+          file: pdfFile,
+          files: [],
+          filename: pdfFile.name,
+          selectedPages: [],
+          pageOrder: null,
+          colorPages: [],
+          selectedImages: []
+        }))
+        setShowEditor(false)
+
+        console.log(`✅ Document converted to PDF (${pageCount} pages)`)
+
+        console.log('🚀 Pre-generating PDF for instant submission...')
+        generateInitialPDF(pdfFile, [])
+
+      } catch (error) {
+        console.error('❌ Error converting document:', error)
+        alert('Failed to convert document to PDF: ' + (error?.message || 'Unknown error occurred'))
+      }
     } else if (firstFile.type.startsWith('image/')) {
       // Images - auto-convert to PDF
       try {
@@ -620,6 +899,7 @@ const OrderPage = () => {
           files: [],
           filename: pdfFile.name,
           selectedPages: allPages, // Auto-select all pages - no need for page selector!
+          pageOrder: null,
           selectedImages: []
         }))
 
@@ -645,6 +925,17 @@ const OrderPage = () => {
     }
   }
 
+  // Converted documents are laid out for one paper size, so re-flow them
+  const handlePaperSizeChange = (size) => {
+    setOrderData(prev => ({ ...prev, paperSize: size }))
+
+    const converted = convertedDocumentRef.current
+    if (converted && converted.paperSize !== size) {
+      console.log(`📝 Paper size changed to ${size}, re-converting ${converted.file.name}`)
+      handleFileChange(converted.file, size)
+    }
+  }
+
   const handleDrag = (e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -679,6 +970,55 @@ const OrderPage = () => {
     }))
   }
 
+  const handlePageOrderChange = (pageOrder) => {
+    setOrderData(prev => ({
+      ...prev,
+      pageOrder
+    }))
+  }
+
+  // Append another PDF's pages to the document on screen. Existing pages keep
+  // their numbers (and edits); the new ones are selected and printed last.
+  const handleAddDocument = async (extraFile) => {
+    if (orderData.file?.type !== 'application/pdf') return
+
+    try {
+      console.log(`📎 Appending ${extraFile.name} to ${orderData.file.name}...`)
+      const { file, basePageCount, addedPageCount } = await appendPdf(orderData.file, extraFile)
+      const addedPages = Array.from({ length: addedPageCount }, (_, i) => basePageCount + i + 1)
+
+      // The background upload (if any) was of the old file
+      if (currentUploadRef) currentUploadRef.abort()
+      setPreUploadedFileUrl(null)
+      preUploadedFileUrlRef.current = null
+
+      setPdfPageCount(basePageCount + addedPageCount)
+      setOrderData(prev => ({
+        ...prev,
+        file,
+        // Pages missing from the page order print after it, so it needs no change
+        selectedPages: [...prev.selectedPages, ...addedPages]
+      }))
+      console.log(`✅ Added ${addedPageCount} pages (now ${basePageCount + addedPageCount})`)
+
+      if (file.size > 10 * 1024 * 1024) {
+        console.log('⚠️ Skipping background PDF generation for large file (>10MB)')
+      } else {
+        generateInitialPDF(file, [])
+      }
+    } catch (error) {
+      console.error('❌ Error adding document:', error)
+      alert('Could not add pages from ' + extraFile.name + ': ' + (error?.message || 'Unknown error occurred'))
+    }
+  }
+
+  const handleColorPagesChange = (pages) => {
+    setOrderData(prev => ({
+      ...prev,
+      colorPages: pages
+    }))
+  }
+
   // Handle pages loaded from PDFPageSelector
   const handlePagesLoaded = (pages, totalCount) => {
     console.log(`📦 OrderPage received ${pages.length} pages from selector, total: ${totalCount}`)
@@ -822,7 +1162,9 @@ const OrderPage = () => {
           ...prev,
           file: editedFileOrFiles,
           filename: editedFileOrFiles.name,
-          selectedPages: []
+          selectedPages: [],
+          pageOrder: null,
+          colorPages: []
         }))
       }
       setShowEditor(false)
@@ -867,6 +1209,8 @@ const OrderPage = () => {
       files: [],
       filename: '',
       selectedPages: [],
+      pageOrder: null,
+      colorPages: [],
       selectedImages: []
     }))
 
@@ -874,6 +1218,7 @@ const OrderPage = () => {
     setReadyPDFBlob(null)
     setPreUploadedFileUrl(null)
     preUploadedFileUrlRef.current = null
+    convertedDocumentRef.current = null
     setEditedPages({})
     setUploadProgress(0)
     setBackgroundUploadProgress(0)
@@ -889,52 +1234,6 @@ const OrderPage = () => {
     console.log('✅ [handleRemoveFile] Full cleanup complete')
   }
 
-  const processSelectedPages = async (originalFile, selectedPages) => {
-    try {
-      if (!selectedPages || selectedPages.length === 0) {
-        throw new Error('No pages selected')
-      }
-
-      // If all pages are selected, return original file
-      const arrayBuffer = await originalFile.arrayBuffer()
-      const pdfDoc = await PDFDocument.load(arrayBuffer)
-      const totalPages = pdfDoc.getPageCount()
-
-      if (selectedPages.length === totalPages &&
-        selectedPages.every((page, index) => page === index + 1)) {
-        console.log('✅ All pages selected, using original file')
-        return originalFile
-      }
-
-      console.log(`📄 Processing ${selectedPages.length} selected pages from ${totalPages} total pages`)
-
-      // Remove unselected pages (in reverse order to maintain indices)
-      const pagesToRemove = []
-      for (let i = 1; i <= totalPages; i++) {
-        if (!selectedPages.includes(i)) {
-          pagesToRemove.push(i - 1) // Convert to 0-based index
-        }
-      }
-
-      // Remove pages in reverse order
-      pagesToRemove.reverse().forEach(pageIndex => {
-        pdfDoc.removePage(pageIndex)
-      })
-
-      const modifiedPdfBytes = await pdfDoc.save()
-      const modifiedFile = new File([modifiedPdfBytes], originalFile.name, {
-        type: 'application/pdf'
-      })
-
-      console.log('✅ PDF processed successfully')
-      return modifiedFile
-
-    } catch (error) {
-      console.error('❌ Error processing PDF pages:', error)
-      throw new Error('Failed to process selected pages: ' + error.message)
-    }
-  }
-
   // Background PDF regeneration when edits are saved
   // Generate initial PDF right after upload (even without edits) AND upload it
   const generateInitialPDF = async (file, selectedPages = []) => {
@@ -1282,192 +1581,276 @@ const OrderPage = () => {
     }
   }
 
-  const handleSubmitOrder = async () => {
-    if (!orderData.customerName) {
-      alert('Please enter customer name')
-      return
-    }
-
-    // Validate file uploads
+  // Why the document on screen can't be ordered yet, or null
+  const getDocumentError = () => {
     if (orderData.file) {
       // Check if PDF has pages selected
       if (orderData.file.type === 'application/pdf' && orderData.selectedPages.length === 0) {
-        alert('Please select at least one page to print')
-        return
+        return 'Please select at least one page to print'
       }
     } else if (orderData.files && orderData.files.length > 0) {
       // Check if images are selected
       if (orderData.selectedImages.length === 0) {
-        alert('Please select at least one image to print')
-        return
+        return 'Please select at least one image to print'
       }
     } else {
-      alert('Please upload a file')
-      return
+      return 'Please upload a file'
     }
+    return null
+  }
 
-    // Show popup immediately
-    setShowSubmitPopup(true)
-    setSubmitPopupMessage('Preparing your order...')
-    setIsSubmitting(true)
-    const submitStartTime = performance.now()
-    const popupStartTime = performance.now()
-    console.log('🚀 [TIMING] === ORDER SUBMISSION STARTED ===')
+  // Resolve the uploaded URL of the document on screen, reusing the
+  // background upload when it has finished (or finishes while we wait)
+  const uploadCurrentDocument = async () => {
+    let fileUrl = null
 
-    try {
-      let fileUrl = null
+    // ⚡ INSTANT SUBMIT: Check if we already uploaded the file in background
+    if (preUploadedFileUrl) {
+      console.log('⚡⚡⚡ [TIMING] INSTANT SUBMIT! Using pre-uploaded file URL')
+      console.log('📎 Pre-uploaded URL:', preUploadedFileUrl)
+      fileUrl = preUploadedFileUrl
+      setSubmitPopupMessage('Finalizing order...')
+    } else if (currentUploadRef && isUploading) {
+      // Background upload is still running - continue from its progress
+      console.log(`📤 [TIMING] Background upload in progress at ${backgroundUploadProgress}%... continuing`)
+      setSubmitPopupMessage(`Uploading... ${Math.round(backgroundUploadProgress)}%`)
 
-      // ⚡ INSTANT SUBMIT: Check if we already uploaded the file in background
-      if (preUploadedFileUrl) {
-        console.log('⚡⚡⚡ [TIMING] INSTANT SUBMIT! Using pre-uploaded file URL')
-        console.log('📎 Pre-uploaded URL:', preUploadedFileUrl)
-        fileUrl = preUploadedFileUrl
-        setSubmitPopupMessage('Finalizing order...')
-      } else if (currentUploadRef && isUploading) {
-        // Background upload is still running - continue from its progress
-        console.log(`📤 [TIMING] Background upload in progress at ${backgroundUploadProgress}%... continuing`)
-        setSubmitPopupMessage(`Uploading... ${Math.round(backgroundUploadProgress)}%`)
-
-        // Wait for background upload to complete using ref for reliable polling
-        try {
-          const backgroundResult = await new Promise((resolve, reject) => {
-            const checkInterval = setInterval(() => {
-              // Check ref instead of state for reliable polling
-              if (preUploadedFileUrlRef.current) {
-                console.log('✅ Background upload completed while waiting!')
-                clearInterval(checkInterval)
-                resolve(preUploadedFileUrlRef.current)
-              }
-            }, 100)
-
-            // Timeout after 120 seconds
-            setTimeout(() => {
+      // Wait for background upload to complete using ref for reliable polling
+      try {
+        const backgroundResult = await new Promise((resolve, reject) => {
+          const checkInterval = setInterval(() => {
+            // Check ref instead of state for reliable polling
+            if (preUploadedFileUrlRef.current) {
+              console.log('✅ Background upload completed while waiting!')
               clearInterval(checkInterval)
-              reject(new Error('Background upload timeout'))
-            }, 120000)
-          })
+              resolve(preUploadedFileUrlRef.current)
+            }
+          }, 100)
 
-          fileUrl = backgroundResult
-          setSubmitPopupMessage('Finalizing order...')
-        } catch (error) {
-          console.log('⚠️ Background upload did not complete in time, starting new upload...')
-          // Cancel background and start fresh
-          if (currentUploadRef) {
-            currentUploadRef.abort()
-            setCurrentUploadRef(null)
-          }
-          // Continue to fallback upload below
+          // Timeout after 120 seconds
+          setTimeout(() => {
+            clearInterval(checkInterval)
+            reject(new Error('Background upload timeout'))
+          }, 120000)
+        })
+
+        fileUrl = backgroundResult
+        setSubmitPopupMessage('Finalizing order...')
+      } catch (error) {
+        console.log('⚠️ Background upload did not complete in time, starting new upload...')
+        // Cancel background and start fresh
+        if (currentUploadRef) {
+          currentUploadRef.abort()
+          setCurrentUploadRef(null)
         }
+        // Continue to fallback upload below
       }
+    }
 
-      if (!fileUrl) {
-        // Fallback: Upload now if not pre-uploaded
-        console.log('⚠️ [TIMING] File not pre-uploaded, uploading now...')
-
-        // Start visual progress from where background left off
-        const startProgress = backgroundUploadProgress > 0 ? backgroundUploadProgress : 0
-        console.log(`📊 Starting visual progress from ${startProgress}%`)
-
-        let fileToUpload = null
-        const hasEdits = Object.keys(editedPages).length > 0
-
-        // Handle different file types
-        const fileSelectionStart = performance.now()
-        if (orderData.file) {
-          // Check if we have pre-generated PDF with edits
-          if (hasEdits && readyPDFBlob) {
-            console.log('⚡ Using pre-generated PDF with edits')
-            fileToUpload = readyPDFBlob
-          } else if (readyPDFBlob) {
-            console.log('⚡ Using pre-generated PDF')
-            fileToUpload = readyPDFBlob
-          } else {
-            // Use original file
-            fileToUpload = orderData.file
-            console.log('📤 Using original file')
-          }
-        } else if (orderData.files && orderData.files.length > 0) {
-          // Multiple images - use pre-generated PDF if available
-          if (readyPDFBlob) {
-            console.log('⚡ Using pre-generated PDF')
-            fileToUpload = readyPDFBlob
-          } else {
-            setSubmitPopupMessage('Creating PDF from images...')
-            console.log('📤 Combining images into PDF...')
-            const pdfGenStart = performance.now()
-            fileToUpload = await createPDFFromImages(orderData.files, orderData.selectedImages, previewPageSize, orderData.pagesPerSheet)
-            console.log(`⏱️ [TIMING] PDF generation took: ${((performance.now() - pdfGenStart) / 1000).toFixed(2)}s`)
-          }
+    if (!fileUrl) {
+      // Fallback: Upload now if not pre-uploaded
+      console.log('⚠️ [TIMING] File not pre-uploaded, uploading now...')
+
+      // Start visual progress from where background left off
+      const startProgress = backgroundUploadProgress > 0 ? backgroundUploadProgress : 0
+      console.log(`📊 Starting visual progress from ${startProgress}%`)
+
+      let fileToUpload = null
+      const hasEdits = Object.keys(editedPages).length > 0
+
+      // Handle different file types
+      const fileSelectionStart = performance.now()
+      if (orderData.file) {
+        // Check if we have pre-generated PDF with edits
+        if (hasEdits && readyPDFBlob) {
+          console.log('⚡ Using pre-generated PDF with edits')
+          fileToUpload = readyPDFBlob
+        } else if (readyPDFBlob) {
+          console.log('⚡ Using pre-generated PDF')
+          fileToUpload = readyPDFBlob
         } else {
-          throw new Error('No file to upload')
+          // Use original file
+          fileToUpload = orderData.file
+          console.log('📤 Using original file')
         }
-        console.log(`⏱️ [TIMING] File selection took: ${((performance.now() - fileSelectionStart) / 1000).toFixed(2)}s`)
-        console.log(`📊 File size to upload: ${(fileToUpload.size / 1024 / 1024).toFixed(2)} MB`)
-
-        // Upload the file with chunked upload - continue from background progress
-        setSubmitPopupMessage(`Uploading... ${Math.round(startProgress)}%`)
-        const uploadStart = performance.now()
-
-        const quickFileResult = await uploadFileChunked(fileToUpload, shopId, (bytesUploaded, bytesTotal, percentage) => {
-          // Show smooth continuation from background progress
-          const actualProgress = parseFloat(percentage)
-          const visualProgress = Math.max(actualProgress, startProgress)
-          setUploadProgress(visualProgress)
-          setSubmitPopupMessage(`Uploading... ${Math.round(visualProgress)}%`)
-        })
+      } else if (orderData.files && orderData.files.length > 0) {
+        // Multiple images - use pre-generated PDF if available
+        if (readyPDFBlob) {
+          console.log('⚡ Using pre-generated PDF')
+          fileToUpload = readyPDFBlob
+        } else {
+          setSubmitPopupMessage('Creating PDF from images...')
+          console.log('📤 Combining images into PDF...')
+          const pdfGenStart = performance.now()
+          fileToUpload = await createPDFFromImages(orderData.files, orderData.selectedImages, previewPageSize, orderData.pagesPerSheet)
+          console.log(`⏱️ [TIMING] PDF generation took: ${((performance.now() - pdfGenStart) / 1000).toFixed(2)}s`)
+        }
+      } else {
+        throw new Error('No file to upload')
+      }
+      console.log(`⏱️ [TIMING] File selection took: ${((performance.now() - fileSelectionStart) / 1000).toFixed(2)}s`)
+      console.log(`📊 File size to upload: ${(fileToUpload.size / 1024 / 1024).toFixed(2)} MB`)
+
+      // Upload the file with chunked upload - continue from background progress
+      setSubmitPopupMessage(`Uploading... ${Math.round(startProgress)}%`)
+      const uploadStart = performance.now()
+
+      const quickFileResult = await uploadFileChunked(fileToUpload, shopId, (bytesUploaded, bytesTotal, percentage) => {
+        // Show smooth continuation from background progress
+        const actualProgress = parseFloat(percentage)
+        const visualProgress = Math.max(actualProgress, startProgress)
+        setUploadProgress(visualProgress)
+        setSubmitPopupMessage(`Uploading... ${Math.round(visualProgress)}%`)
+      })
+
+      console.log(`⏱️ [TIMING] Upload took: ${((performance.now() - uploadStart) / 1000).toFixed(2)}s`)
+      if (quickFileResult.error) throw new Error('File upload failed: ' + quickFileResult.error.message)
+
+      fileUrl = quickFileResult.data.publicUrl
+    }
+
+    return fileUrl
+  }
+
+  // print_jobs fields for the document on screen; customer details are added
+  // by the caller
+  const buildCurrentJob = (fileUrl) => {
+    const jobData = {
+      shop_id: shopId,
+      filename: orderData.filename,
+      file_url: fileUrl,
+      copies: orderData.copies,
+      paper_size: orderData.paperSize,
+      color_mode: orderData.colorMode,
+      print_type: orderData.printType,
+      pages_per_sheet: orderData.pagesPerSheet,
+      total_cost: costInfo.cost,
+      selected_pages: orderData.selectedPages,
+      total_pages: pdfPageCount
+    }
+
+    // Export recipe if using new controller
+    let recipe = null
+    let hasEdits = false
 
-        console.log(`⏱️ [TIMING] Upload took: ${((performance.now() - uploadStart) / 1000).toFixed(2)}s`)
-        if (quickFileResult.error) throw new Error('File upload failed: ' + quickFileResult.error.message)
+    if (USE_NEW_PDF_CONTROLLER && controller) {
+      try {
+        recipe = controller.exportRecipe()
+        // Check if any page has edits in the recipe
+        if (recipe && recipe.pages && Array.isArray(recipe.pages)) {
+          hasEdits = recipe.pages.some(p => p.hasEdits === true)
+        }
+        console.log('📄 Exported Recipe:', { recipe, hasEdits })
+      } catch (recipeError) {
+        console.error('❌ Failed to export recipe:', recipeError)
+      }
+    } else {
+      // Fallback checks
+      hasEdits = Object.keys(editedPages).length > 0
+    }
+
+    console.log('📝 Job Submission - Has Edits:', hasEdits)
+
+    return {
+      ...jobData,
+      recipe: recipe ? JSON.stringify(recipe) : null,
+      has_edits: hasEdits
+    }
+  }
+
+  // 🛒 Upload the document on screen, keep it with its own settings and
+  // recipe, then clear the page for the next document
+  const handleAddToCart = async () => {
+    const documentError = getDocumentError()
+    if (documentError) {
+      alert(documentError)
+      return
+    }
+
+    setShowSubmitPopup(true)
+    setSubmitPopupMessage('Adding to cart...')
+    setIsSubmitting(true)
+
+    try {
+      const fileUrl = await uploadCurrentDocument()
+      const job = buildCurrentJob(fileUrl)
+
+      setCart(prev => [...prev, job])
+      console.log(`🛒 Added ${job.filename} to cart (${formatCurrency(job.total_cost)})`)
+
+      handleRemoveFile()
+    } catch (error) {
+      console.error('❌ Error adding to cart:', error)
+      alert('Failed to add to cart: ' + error.message)
+    } finally {
+      setShowSubmitPopup(false)
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleRemoveFromCart = (fileUrl) => {
+    setCart(prev => prev.filter(job => job.file_url !== fileUrl))
+  }
+
+  const handleSubmitOrder = async () => {
+    if (!orderData.customerName) {
+      alert('Please enter customer name')
+      return
+    }
 
-        fileUrl = quickFileResult.data.publicUrl
+    // With documents in the cart, the one on screen is optional and joins
+    // the order as its last document
+    if (cart.length === 0 || hasCurrentDocument) {
+      const documentError = getDocumentError()
+      if (documentError) {
+        alert(documentError)
+        return
       }
+    }
+
+    // Show popup immediately
+    setShowSubmitPopup(true)
+    setSubmitPopupMessage('Preparing your order...')
+    setIsSubmitting(true)
+    const submitStartTime = performance.now()
+    const popupStartTime = performance.now()
+    console.log('🚀 [TIMING] === ORDER SUBMISSION STARTED ===')
 
-      // Create job record with the uploaded file URL
+    const customer = {
+      customer_name: orderData.customerName,
+      customer_email: orderData.customerEmail || null,
+      customer_phone: orderData.customerPhone || null
+    }
+
+    try {
+      const fileUrl = hasCurrentDocument ? await uploadCurrentDocument() : null
+
+      // Create job record(s) with the uploaded file URL
       setSubmitPopupMessage('Finalizing order...')
       const dbStart = performance.now()
-      const jobData = {
-        shop_id: shopId,
-        filename: orderData.filename,
-        file_url: fileUrl,
-        copies: orderData.copies,
-        paper_size: orderData.paperSize,
-        color_mode: orderData.colorMode,
-        print_type: orderData.printType,
-        pages_per_sheet: orderData.pagesPerSheet,
-        customer_name: orderData.customerName,
-        customer_email: orderData.customerEmail || null,
-        customer_phone: orderData.customerPhone || null,
-        total_cost: costInfo.cost,
-        selected_pages: orderData.selectedPages,
-        total_pages: pdfPageCount
-      }
 
-      // Export recipe if using new controller
-      let recipe = null
-      let hasEdits = false
+      if (cart.length > 0) {
+        const jobs = hasCurrentDocument ? [...cart, buildCurrentJob(fileUrl)] : cart
+        const orderResult = await submitOrder({ shop_id: shopId, ...customer }, jobs)
+        console.log(`⏱️ [TIMING] Database order creation took: ${((performance.now() - dbStart) / 1000).toFixed(3)}s`)
+        if (orderResult.error) throw new Error('Failed to submit order: ' + orderResult.error.message)
 
-      if (USE_NEW_PDF_CONTROLLER && controller) {
-        try {
-          recipe = controller.exportRecipe()
-          // Check if any page has edits in the recipe
-          if (recipe && recipe.pages && Array.isArray(recipe.pages)) {
-            hasEdits = recipe.pages.some(p => p.hasEdits === true)
-          }
-          console.log('📄 Exported Recipe:', { recipe, hasEdits })
-        } catch (recipeError) {
-          console.error('❌ Failed to export recipe:', recipeError)
+        console.log(`✅ Order with ${jobs.length} documents submitted in ${((performance.now() - submitStartTime) / 1000).toFixed(2)}s`)
+
+        const popupElapsed = performance.now() - popupStartTime
+        if (popupElapsed < 1500) {
+          setSubmitPopupMessage('Order submitted! ✓')
+          await new Promise(resolve => setTimeout(resolve, 1500 - popupElapsed))
         }
-      } else {
-        // Fallback checks
-        hasEdits = Object.keys(editedPages).length > 0
-      }
 
-      console.log('📝 Job Submission - Has Edits:', hasEdits)
+        setCart([])
+        navigate(`/payment/order/${orderResult.data.id}`)
+        return
+      }
 
       const jobResult = await submitPrintJob({
-        ...jobData,
-        recipe: recipe ? JSON.stringify(recipe) : null,
-        has_edits: hasEdits
+        ...buildCurrentJob(fileUrl),
+        ...customer
       })
       console.log(`⏱️ [TIMING] Database job creation took: ${((performance.now() - dbStart) / 1000).toFixed(3)}s`)
       if (jobResult.error) throw new Error('Failed to submit order: ' + jobResult.error.message)
@@ -1486,33 +1869,8 @@ const OrderPage = () => {
         await new Promise(resolve => setTimeout(resolve, minPopupTime - popupElapsed))
       }
 
-      // Navigate to status page
-      navigate(`/status/${jobId}`)
-
-      // BACKGROUND: Process PDF pages if needed (after navigation)
-      if (orderData.file?.type === 'application/pdf' && orderData.selectedPages.length > 0 && orderData.selectedPages.length < orderData.file.size) {
-        console.log('📄 Background: Processing PDF with selected pages...')
-          ; (async () => {
-            try {
-              const processedFile = await processSelectedPages(orderData.file, orderData.selectedPages)
-              const processedResult = await uploadFileChunked(processedFile, shopId)
-
-              if (processedResult.error) {
-                console.error('❌ Background processing failed:', processedResult.error)
-                return
-              }
-
-              // Update with processed file
-              await updatePrintJob(jobId, { file_url: processedResult.data.publicUrl })
-              console.log('✅ Background processing completed - Updated with processed PDF')
-            } catch (bgError) {
-              console.error('❌ Background processing error:', bgError)
-            }
-          })()
-      }
-
-      // Mark payment as paid (fast, no blocking)
-      await updatePaymentStatus(jobId, 'paid')
+      // Navigate to payment page
+      navigate(`/payment/${jobId}`)
 
     } catch (error) {
       console.error('❌ Error submitting order:', error)
@@ -1823,7 +2181,7 @@ const OrderPage = () => {
 
                     <p className="text-xs text-gray-500 text-center">
                       {isConvertingToPDF
-                        ? 'Please wait while we prepare your images...'
+                        ? 'Please wait while we prepare your file...'
                         : 'Optimizing pages with smart orientation detection...'
                       }
                     </p>
@@ -1885,7 +2243,7 @@ const OrderPage = () => {
                   <input
                     type="file"
                     onChange={(e) => handleFileChange(e.target.files)}
-                    accept=".pdf,.doc,.docx,.jpg,.png,.jpeg"
+                    accept=".pdf,.doc,.docx,.txt,.jpg,.png,.jpeg"
                     multiple
                     className="hidden"
                     id="file-upload"
@@ -1897,7 +2255,7 @@ const OrderPage = () => {
                     Choose Files
                   </label>
                   <p className="text-xs text-gray-500 mt-2">
-                    Supported: PDF, Images (JPG, PNG) - Multiple images allowed
+                    Supported: PDF, Word (DOCX), Text (TXT), Images (JPG, PNG) - Multiple images allowed
                   </p>
 
                   <div className="mt-6 flex justify-center">
@@ -1996,7 +2354,7 @@ const OrderPage = () => {
                     {availablePaperSizes.slice(0, 4).map(size => (
                       <button
                         key={size}
-                        onClick={() => setOrderData(prev => ({ ...prev, paperSize: size }))}
+                        onClick={() => handlePaperSizeChange(size)}
                         className={`px-3 py-2 text-xs font-medium rounded-lg transition-all ${orderData.paperSize === size
                           ? 'bg-blue-600 text-white shadow-md'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
@@ -2041,6 +2399,59 @@ const OrderPage = () => {
                       <span>Color</span>
                     </button>
                   </div>
+
+                  {/* Color detection */}
+                  {orderData.file?.type === 'application/pdf' && pdfPageCount > 0 && (
+                    <div className="mt-2">
+                      {!colorSuggestion ? (
+                        <button
+                          onClick={detectColorPages}
+                          disabled={isDetectingColor}
+                          className="w-full flex items-center justify-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg border border-purple-200 text-purple-700 hover:bg-purple-50 disabled:opacity-60 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {isDetectingColor ? (
+                            <>
+                              <Loader className="w-3.5 h-3.5 animate-spin" />
+                              <span>Checking pages for color... {colorDetectionProgress}%</span>
+                            </>
+                          ) : (
+                            <>
+                              <Palette className="w-3.5 h-3.5" />
+                              <span>Find pages that need color</span>
+                            </>
+                          )}
+                        </button>
+                      ) : (
+                        <div className="p-2 rounded-lg bg-purple-50 border border-purple-200 text-xs text-purple-900 space-y-1.5">
+                          {colorSuggestion.pages.length === 0 ? (
+                            <p>No color content found. Every page prints fine in B&W.</p>
+                          ) : (
+                            <p>
+                              Print page{colorSuggestion.pages.length === 1 ? '' : 's'} {formatPageList(colorSuggestion.pages)} in color, rest B&W.
+                            </p>
+                          )}
+                          {colorSuggestion.cost !== null && colorSuggestion.allColorCost !== null && (
+                            <p className="text-purple-700">
+                              {formatCurrency(colorSuggestion.cost)} instead of {formatCurrency(colorSuggestion.allColorCost)} for all color
+                              {colorSuggestion.allColorCost > colorSuggestion.cost && (
+                                <span className="font-semibold"> (save {formatCurrency(colorSuggestion.allColorCost - colorSuggestion.cost)})</span>
+                              )}
+                            </p>
+                          )}
+                          {isColorSuggestionApplied ? (
+                            <p className="font-medium text-green-700">Applied</p>
+                          ) : (
+                            <button
+                              onClick={applyColorSuggestion}
+                              className="px-2.5 py-1 text-xs font-medium rounded-md bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+                            >
+                              Apply suggestion
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Pages/Sheet + Print Type - Same Row */}
@@ -2050,8 +2461,8 @@ const OrderPage = () => {
                     <label className="block text-xs font-medium text-gray-700 mb-1.5">Pages/Sheet</label>
                     <div className="flex flex-col gap-1.5">
                       <button
-                        onClick={() => setOrderData(prev => ({ ...prev, pagesPerSheet: 1 }))}
-                        className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.pagesPerSheet === 1
+                        onClick={() => setOrderData(prev => ({ ...prev, pagesPerSheet: 1, imposition: 'none' }))}
+                        className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.pagesPerSheet === 1 && orderData.imposition !== 'poster'
                           ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md hover:shadow-lg'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                           }`}
@@ -2062,7 +2473,7 @@ const OrderPage = () => {
                       <button
                         onClick={() => handlePagesPerSheetChange(2)}
                         disabled={isConvertingNup}
-                        className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.pagesPerSheet === 2
+                        className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.pagesPerSheet === 2 && orderData.imposition !== 'booklet'
                           ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md hover:shadow-lg'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                           } ${isConvertingNup ? 'opacity-75 cursor-wait pointer-events-none' : ''}`}
@@ -2130,6 +2541,40 @@ const OrderPage = () => {
                           </span>
                         )}
                       </button>
+                      {usesRecipeLayout && (
+                        <button
+                          onClick={handleBookletSelect}
+                          title="Pages are reordered so the sheets fold in half into a stapled booklet"
+                          className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.imposition === 'booklet'
+                            ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md hover:shadow-lg'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                        >
+                          <BookOpen className="w-4 h-4" />
+                          <span>Booklet</span>
+                        </button>
+                      )}
+                      {usesRecipeLayout && (
+                        <button
+                          onClick={handlePosterSelect}
+                          title="Each page is split across several sheets to trim and tape together"
+                          className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all h-9 ${orderData.imposition === 'poster'
+                            ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md hover:shadow-lg'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                        >
+                          <Scissors className="w-4 h-4" />
+                          <span>Poster</span>
+                        </button>
+                      )}
+                      {usesRecipeLayout && (
+                        <Dropdown
+                          value={showsNupGrid ? orderData.pagesPerSheet : ''}
+                          onChange={handlePagesPerSheetChange}
+                          options={MORE_NUP_OPTIONS}
+                          placeholder="More per sheet"
+                        />
+                      )}
                     </div>
                   </div>
 
@@ -2139,20 +2584,24 @@ const OrderPage = () => {
                     <div className="flex flex-col gap-1.5">
                       <button
                         onClick={() => setOrderData(prev => ({ ...prev, printType: 'Single' }))}
+                        disabled={orderData.imposition === 'booklet'}
+                        title={orderData.imposition === 'booklet' ? 'Booklets are always printed double-sided' : undefined}
                         className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all ${orderData.printType === 'Single'
                           ? 'bg-blue-600 text-white shadow-md'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                          }`}
+                          } disabled:opacity-50 disabled:cursor-not-allowed`}
                       >
                         <FileText className="w-4 h-4" />
                         <span>Single</span>
                       </button>
                       <button
                         onClick={() => setOrderData(prev => ({ ...prev, printType: 'Double' }))}
+                        disabled={orderData.imposition === 'poster'}
+                        title={orderData.imposition === 'poster' ? 'Poster tiles are always printed single-sided' : undefined}
                         className={`flex items-center justify-center gap-2 px-2 py-2 text-xs font-medium rounded-lg transition-all ${orderData.printType === 'Double'
                           ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white shadow-md'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                          }`}
+                          } disabled:opacity-50 disabled:cursor-not-allowed`}
                       >
                         {/* Animated icon showing page flip from front to back */}
                         <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -2232,6 +2681,115 @@ const OrderPage = () => {
                   </div>
                 </div>
 
+                {/* Grid Layout - only for more than 2 per sheet */}
+                {showsNupGrid && (
+                  <div id="setting-nup-layout">
+                    <label className="block text-xs font-medium text-gray-700 mb-1.5">Page Order</label>
+                    <div className="flex flex-wrap items-center gap-3">
+                      <div className="flex-1 min-w-[160px]">
+                        <Dropdown
+                          value={orderData.nupLayout.order}
+                          onChange={(order) => handleNupLayoutChange({ order })}
+                          options={NUP_ORDER_OPTIONS}
+                        />
+                      </div>
+                      <label className="flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={orderData.nupLayout.borders}
+                          onChange={(e) => handleNupLayoutChange({ borders: e.target.checked })}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Borders
+                      </label>
+                      <label
+                        className="flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer"
+                        title="Turn landscape pages so they fill portrait cells, and the other way round"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={orderData.nupLayout.autoRotate}
+                          onChange={(e) => handleNupLayoutChange({ autoRotate: e.target.checked })}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Rotate to fit
+                      </label>
+                    </div>
+                  </div>
+                )}
+
+                {/* Large pages - suggest a poster instead of shrinking them */}
+                {usesRecipeLayout && hasOversizedPages && orderData.imposition !== 'poster' && (
+                  <div className="flex items-start gap-2 p-2.5 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+                    <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                    <div className="flex-1">
+                      Some pages are larger than {orderData.paperSize} and will be shrunk to fit.
+                      {' '}
+                      <button onClick={handlePosterSelect} className="font-semibold underline hover:text-amber-900">
+                        Print as a poster
+                      </button>
+                      {' '}to keep them full size.
+                    </div>
+                  </div>
+                )}
+
+                {/* Poster tiling */}
+                {usesRecipeLayout && orderData.imposition === 'poster' && (
+                  <div id="setting-poster">
+                    <label className="block text-xs font-medium text-gray-700 mb-1.5">Poster</label>
+                    <div className="flex flex-wrap items-center gap-3">
+                      <div className="flex-1 min-w-[140px]">
+                        <Dropdown
+                          value={orderData.poster.rows ? `${orderData.poster.rows}x${orderData.poster.cols}` : 'auto'}
+                          onChange={handlePosterSizeChange}
+                          options={POSTER_SIZE_OPTIONS}
+                        />
+                      </div>
+                      <div className="flex-1 min-w-[140px]">
+                        <Dropdown
+                          value={orderData.poster.overlap}
+                          onChange={(overlap) => handlePosterChange({ overlap })}
+                          options={POSTER_OVERLAP_OPTIONS}
+                        />
+                      </div>
+                      <label className="flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={orderData.poster.cutMarks}
+                          onChange={(e) => handlePosterChange({ cutMarks: e.target.checked })}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Cut marks
+                      </label>
+                      <label className="flex items-center gap-1.5 text-xs text-gray-700 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={orderData.poster.labels}
+                          onChange={(e) => handlePosterChange({ labels: e.target.checked })}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        Tile numbers
+                      </label>
+                    </div>
+                    {posterLayout && (
+                      <p className="text-xs text-gray-500 mt-1.5">
+                        {posterLayout.rows * posterLayout.cols} {orderData.paperSize} sheets per page
+                        ({posterLayout.rows} rows × {posterLayout.cols} columns, {posterLayout.landscape ? 'landscape' : 'portrait'})
+                      </p>
+                    )}
+                    {posterPreview.length > 0 && (
+                      <div
+                        className="grid gap-0.5 mt-2 max-w-[240px]"
+                        style={{ gridTemplateColumns: `repeat(${posterLayout.cols}, minmax(0, 1fr))` }}
+                      >
+                        {posterPreview.map((thumbnail, i) => (
+                          <img key={i} src={thumbnail} alt={`Tile ${i + 1}`} className="w-full border border-gray-200" />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Copies - Full Width Layout */}
                 <div id="setting-copies">
                   <label className="block text-xs font-medium text-gray-700 mb-1.5">Copies</label>
@@ -2319,7 +2877,15 @@ const OrderPage = () => {
                   onPagesSelected={handlePagesSelected}
                   pageSize={previewPageSize}
                   colorMode={orderData.colorMode}
+                  colorPages={orderData.colorPages}
+                  onColorPagesChange={handleColorPagesChange}
+                  pageOrder={orderData.pageOrder}
+                  onPageOrderChange={handlePageOrderChange}
+                  onAddDocument={handleAddDocument}
+                  priceSelection={orderData.paperSize && orderData.colorMode && orderData.printType ? priceSelection : undefined}
                   pagesPerSheet={orderData.pagesPerSheet}
+                  imposition={orderData.imposition}
+                  nupLayout={orderData.nupLayout}
                   onEditPage={handleDirectEditPage}
                   onEditSheet={handleDirectEditSheet}
                   onPagesLoaded={handlePagesLoaded}
@@ -2329,6 +2895,46 @@ const OrderPage = () => {
             </div>
           )}
 
+          {/* Cart - documents already added to this order */}
+          {cart.length > 0 && (
+            <div className="border border-gray-200 rounded-lg overflow-hidden">
+              <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200">
+                <span className="flex items-center gap-2 text-sm font-medium">
+                  <ShoppingCart className="w-4 h-4 text-blue-600" />
+                  Cart · {cart.length} document{cart.length === 1 ? '' : 's'}
+                </span>
+                <span className="text-sm font-semibold">{formatCurrency(cartTotal)}</span>
+              </div>
+              <ul className="divide-y divide-gray-100">
+                {cart.map(job => (
+                  <li key={job.file_url} className="flex items-center gap-3 px-3 py-2">
+                    <FileText className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm truncate">{job.filename}</p>
+                      <p className="text-xs text-gray-500">
+                        {job.selected_pages?.length || job.total_pages} page{(job.selected_pages?.length || job.total_pages) === 1 ? '' : 's'} · {job.copies} cop{job.copies === 1 ? 'y' : 'ies'} · {job.paper_size} {job.color_mode === 'BW' ? 'B&W' : 'Color'} {job.print_type}
+                      </p>
+                    </div>
+                    <span className="text-sm flex-shrink-0">{formatCurrency(job.total_cost)}</span>
+                    <button
+                      onClick={() => handleRemoveFromCart(job.file_url)}
+                      disabled={isSubmitting}
+                      className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Remove from cart"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {!hasCurrentDocument && (
+                <p className="px-3 py-2 text-xs text-gray-500 border-t border-gray-100">
+                  Upload another file to add it with its own settings, or submit the order.
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Customer Info */}
           <div className="space-y-3 sm:space-y-4">
             <div>
@@ -2395,14 +3001,28 @@ const OrderPage = () => {
                     )}
 
                     <div className="text-xs text-gray-600">
-                      <p>Price per page: {formatCurrency(costInfo.pricePerPage)}</p>
-                      <p>{orderData.copies} copies × {formatCurrency(costInfo.pricePerPage)} = {formatCurrency(costInfo.cost)}</p>
+                      <p>
+                        {costInfo.sheets} sheet{costInfo.sheets === 1 ? '' : 's'} · {costInfo.impressions} printed side{costInfo.impressions === 1 ? '' : 's'}
+                        {orderData.copies > 1 && ` (${orderData.copies} copies)`}
+                      </p>
+                      {costInfo.groups?.length === 1 && costInfo.pricePerSheet > 0 && (
+                        <p>{costInfo.sheets} × {formatCurrency(costInfo.pricePerSheet)} per sheet</p>
+                      )}
+                      {costInfo.groups?.length === 1 && costInfo.pricePerSide > 0 && (
+                        <p>{costInfo.impressions} × {formatCurrency(costInfo.pricePerSide)} per side</p>
+                      )}
+                      {costInfo.groups?.length > 1 && costInfo.groups.map(group => (
+                        <p key={group.colorMode}>
+                          {group.colorMode === 'BW' ? 'B&W' : 'Color'}: {group.impressions} side{group.impressions === 1 ? '' : 's'} · {formatCurrency(group.cost)}
+                        </p>
+                      ))}
+                      <p>Effective price per side: {formatCurrency(costInfo.pricePerPage)}</p>
                     </div>
                   </div>
                 )}
               </div>
             </div>
-          ) : (orderData.file || orderData.files.length > 0) ? (
+          ) : hasCurrentDocument ? (
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
               <p className="text-yellow-800 text-sm">
                 {pricing.length === 0
@@ -2428,16 +3048,35 @@ const OrderPage = () => {
             </div>
           )}
 
+          {cart.length > 0 && (
+            <div className="flex justify-between items-center px-3 text-sm">
+              <span className="font-medium">Order total ({cart.length + (canOrderCurrentDocument ? 1 : 0)} documents):</span>
+              <span className="text-lg font-bold text-blue-600">
+                {formatCurrency(cartTotal + (canOrderCurrentDocument ? costInfo.cost : 0))}
+              </span>
+            </div>
+          )}
+
+          {/* Add to Cart - order another file with its own settings */}
+          {hasCurrentDocument && (
+            <button
+              onClick={handleAddToCart}
+              disabled={isSubmitting || !canOrderCurrentDocument}
+              className="w-full border border-blue-600 text-blue-600 py-2.5 sm:py-3 px-4 sm:px-6 rounded-lg font-medium hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base flex items-center justify-center gap-2"
+            >
+              <ShoppingCart className="w-4 h-4" />
+              <span>Add to cart and print another file</span>
+            </button>
+          )}
+
           {/* Submit Button */}
           <button
             onClick={handleSubmitOrder}
             disabled={
               isSubmitting ||
-              (!orderData.file && (!orderData.files || orderData.files.length === 0)) ||
               !orderData.customerName ||
-              costInfo.cost <= 0 ||
-              (orderData.file?.type === 'application/pdf' && orderData.selectedPages.length === 0) ||
-              (orderData.files?.length > 0 && orderData.selectedImages.length === 0)
+              (cart.length === 0 && !canOrderCurrentDocument) ||
+              (hasCurrentDocument && !canOrderCurrentDocument)
             }
             className="w-full bg-blue-600 text-white py-2.5 sm:py-3 px-4 sm:px-6 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm sm:text-base flex items-center justify-center gap-2"
           >
@@ -2451,12 +3090,14 @@ const OrderPage = () => {
                 <Loader className="w-4 h-4 animate-spin" />
                 <span>Getting page count...</span>
               </>
+            ) : cart.length > 0 ? (
+              `Submit Order (${cart.length + (hasCurrentDocument ? 1 : 0)} documents)`
             ) : (
               'Submit Order'
             )}
           </button>
 
-          {(orderData.file || orderData.files.length > 0) && costInfo.cost <= 0 && pricing.length > 0 &&
+          {hasCurrentDocument && costInfo.cost <= 0 && pricing.length > 0 &&
             (orderData.file?.type !== 'application/pdf' || pdfPageCount > 0) &&
             costInfo.calculatedForPages === currentEffectivePageCount && (
               <p className="text-sm text-red-600 text-center">
@@ -1,15 +1,26 @@
 import React, { useState, useEffect } from 'react'
 import { useParams, useNavigate, Link } from 'react-router-dom'
-import { getJobStatus, updatePaymentStatus, getShopInfo, formatCurrency } from '../utils/supabase'
+import { getJobStatus, getOrder, getShopInfo, subscribeToJobUpdates, subscribeToOrderUpdates, formatCurrency } from '../utils/supabase'
+import { createPaymentOrder, getPaymentAmount, PAYMENT_METHODS } from '../utils/payments'
+import { buildUpiLink, generateUpiQrCode, getPaymentReference, isMobileDevice, isValidVpa } from '../utils/upi'
 
 import { usePageTitle } from '../hooks/usePageTitle'
 
 const PaymentPage = () => {
-  const { jobId } = useParams()
+  // /payment/:jobId pays for one document, /payment/order/:orderId for a
+  // multi-document order
+  const { jobId, orderId } = useParams()
+  const paymentId = orderId || jobId
+  const statusPath = orderId ? `/status/order/${orderId}` : `/status/${jobId}`
   const navigate = useNavigate()
-  const [job, setJob] = useState(null)
+  const [job, setJob] = useState(null) // The print job, or the order with its print_jobs
+  const [amountDue, setAmountDue] = useState(null) // Priced by the print server
   const [shop, setShop] = useState(null)
   const [paymentConfirmed, setPaymentConfirmed] = useState(false)
+  const [paymentMethod, setPaymentMethod] = useState('upi')
+  const [redirecting, setRedirecting] = useState(false)
+  const [upiLink, setUpiLink] = useState(null)
+  const [upiQrCode, setUpiQrCode] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
@@ -17,14 +28,85 @@ const PaymentPage = () => {
 
   useEffect(() => {
     loadJobDetails()
-  }, [jobId])
+
+    // payment_status is set by the server once the gateway webhook is verified
+    const subscription = orderId
+      ? subscribeToOrderUpdates(orderId, (table, record) => {
+        if (table === 'orders') {
+          setJob(prev => ({ ...prev, ...record }))
+        }
+      })
+      : subscribeToJobUpdates(jobId, (updatedJob) => {
+        setJob(updatedJob)
+      })
+
+    return () => {
+      if (subscription && subscription.unsubscribe) {
+        subscription.unsubscribe()
+      }
+    }
+  }, [jobId, orderId])
+
+  useEffect(() => {
+    if (job?.payment_status !== 'paid') return
+
+    setPaymentConfirmed(true)
+    const timer = setTimeout(() => {
+      navigate(statusPath)
+    }, 2000)
+
+    return () => clearTimeout(timer)
+  }, [job?.payment_status, statusPath, navigate])
+
+  // Direct UPI to the shop's VPA, with the server's amount and the job (or
+  // order) id pre-filled
+  const totalCost = amountDue ?? job?.total_cost
+  const shopVpa = shop?.upi_vpa
+  const shopName = shop?.name
+
+  useEffect(() => {
+    if (amountDue == null || !isValidVpa(shopVpa)) {
+      setUpiLink(null)
+      setUpiQrCode(null)
+      return
+    }
+
+    const link = buildUpiLink({
+      vpa: shopVpa,
+      payeeName: shopName,
+      amount: amountDue,
+      jobId: paymentId
+    })
+    setUpiLink(link)
+
+    let cancelled = false
+    generateUpiQrCode(link)
+      .then(dataUrl => {
+        if (!cancelled) setUpiQrCode(dataUrl)
+      })
+      .catch(error => console.error('❌ Failed to generate UPI QR code:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [paymentId, amountDue, shopVpa, shopName])
 
   const loadJobDetails = async () => {
     try {
       setLoading(true)
       setError(null)
 
-      const { data: jobData, error: jobError } = await getJobStatus(jobId)
+      // Priced first: the server stores its price on any job it reprices, so
+      // the job (or order) loaded next shows the same amounts
+      const { data: amountData, error: amountError } = await getPaymentAmount(orderId ? { printOrderId: orderId } : { printJobId: jobId })
+
+      if (amountError) {
+        throw new Error('Failed to get the amount due: ' + amountError.message)
+      }
+
+      setAmountDue(amountData.amount)
+
+      const { data: jobData, error: jobError } = orderId ? await getOrder(orderId) : await getJobStatus(jobId)
 
       if (jobError) {
         throw new Error('Failed to load order: ' + jobError.message)
@@ -50,23 +132,25 @@ const PaymentPage = () => {
     }
   }
 
-  const handlePaymentConfirmation = async () => {
+  const handlePayment = async () => {
     try {
-      const { error } = await updatePaymentStatus(jobId, 'paid')
+      setRedirecting(true)
+
+      const { data, error } = orderId
+        ? await createPaymentOrder({ printOrderId: orderId }, paymentMethod, `/payment/order/${orderId}`)
+        : await createPaymentOrder({ printJobId: jobId }, paymentMethod, `/payment/${jobId}`)
 
       if (error) {
-        throw new Error('Failed to update payment status: ' + error.message)
+        throw new Error(error.message)
       }
 
-      setPaymentConfirmed(true)
-
-      setTimeout(() => {
-        navigate(`/status/${jobId}`)
-      }, 2000)
+      // Hand over to the provider's hosted checkout; it returns to this page
+      window.location.href = data.checkoutUrl
 
     } catch (error) {
-      console.error('❌ Payment confirmation error:', error)
-      alert('Failed to confirm payment: ' + error.message)
+      console.error('❌ Payment error:', error)
+      alert('Failed to start payment: ' + error.message)
+      setRedirecting(false)
     }
   }
 
@@ -110,7 +194,7 @@ const PaymentPage = () => {
           <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
             <div className="bg-green-600 h-2 rounded-full animate-pulse" style={{ width: '100%' }}></div>
           </div>
-          <Link to={`/status/${jobId}`} className="text-blue-600 hover:underline">
+          <Link to={statusPath} className="text-blue-600 hover:underline">
             Click here if you're not redirected automatically
           </Link>
         </div>
@@ -143,63 +227,116 @@ const PaymentPage = () => {
                 <span>Shop:</span>
                 <span>{shop?.name || 'Loading...'}</span>
               </div>
-              <div className="flex justify-between">
-                <span>File:</span>
-                <span>{job.filename}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Copies:</span>
-                <span>{job.copies}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Paper:</span>
-                <span>{job.paper_size} {job.color_mode} {job.print_type}</span>
-              </div>
+              {job.print_jobs ? (
+                job.print_jobs.map(printJob => (
+                  <div key={printJob.id} className="flex justify-between gap-3">
+                    <span className="min-w-0">
+                      <span className="block truncate">{printJob.filename}</span>
+                      <span className="block text-xs text-gray-500">
+                        {printJob.copies} × {printJob.paper_size} {printJob.color_mode} {printJob.print_type}
+                      </span>
+                    </span>
+                    <span className="flex-shrink-0">{formatCurrency(printJob.total_cost)}</span>
+                  </div>
+                ))
+              ) : (
+                <>
+                  <div className="flex justify-between">
+                    <span>File:</span>
+                    <span>{job.filename}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Copies:</span>
+                    <span>{job.copies}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Paper:</span>
+                    <span>{job.paper_size} {job.color_mode} {job.print_type}</span>
+                  </div>
+                </>
+              )}
               <div className="flex justify-between font-semibold">
                 <span>Total:</span>
-                <span>{formatCurrency(job.total_cost)}</span>
+                <span>{formatCurrency(totalCost)}</span>
               </div>
             </div>
           </div>
 
-          {/* Payment QR Code */}
-          <div className="text-center mb-4 sm:mb-6">
-            <div className="bg-gray-100 w-48 h-48 sm:w-64 sm:h-64 mx-auto rounded-lg flex items-center justify-center mb-3 sm:mb-4">
-              <div className="text-center">
-                <div className="text-4xl mb-2">📱</div>
-                <p className="text-sm text-gray-600">UPI QR Code</p>
-                <p className="text-xs text-gray-500">Scan to pay {formatCurrency(job.total_cost)}</p>
-              </div>
+          {job.payment_status === 'failed' && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 sm:p-4 mb-4 sm:mb-6">
+              <p className="text-sm text-red-800 font-medium">⚠️ Your last payment did not go through</p>
+              <p className="text-xs sm:text-sm text-red-600 mt-1">No money was taken for this order. You can try again below.</p>
             </div>
-            <p className="text-xs sm:text-sm text-gray-600 px-4">
-              Scan with UPI app to pay
-            </p>
-          </div>
+          )}
 
-          {/* Payment Instructions */}
-          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 sm:p-4 mb-4 sm:mb-6">
-            <h3 className="text-sm sm:text-base font-medium text-blue-800 mb-2">Instructions:</h3>
-            <ol className="list-decimal list-inside text-xs sm:text-sm text-blue-700 space-y-1">
-              <li>Open your UPI app (Google Pay, PhonePe, Paytm, etc.)</li>
-              <li>Scan the QR code above</li>
-              <li>Enter the exact amount: {formatCurrency(job.total_cost)}</li>
-              <li>Complete the payment</li>
-              <li>Click the button below after payment is complete</li>
-            </ol>
+          {/* Payment Method */}
+          <div className="mb-4 sm:mb-6">
+            <h2 className="text-sm sm:text-base font-semibold mb-2">Pay with</h2>
+            <div className="space-y-2">
+              {PAYMENT_METHODS.map(method => (
+                <label
+                  key={method.value}
+                  className={`flex items-center p-3 border rounded-lg cursor-pointer ${paymentMethod === method.value ? 'border-blue-600 bg-blue-50' : 'border-gray-200'
+                    }`}
+                >
+                  <input
+                    type="radio"
+                    name="paymentMethod"
+                    value={method.value}
+                    checked={paymentMethod === method.value}
+                    onChange={() => setPaymentMethod(method.value)}
+                    className="mr-3"
+                  />
+                  <div>
+                    <p className="text-sm font-medium">{method.label}</p>
+                    <p className="text-xs text-gray-500">{method.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
           </div>
 
-          {/* Payment Confirmation */}
-          <div className="text-center">
-            <button
-              onClick={handlePaymentConfirmation}
-              className="w-full sm:w-auto bg-green-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-green-700 text-sm sm:text-base"
-            >
-              Payment Complete
-            </button>
-            <p className="text-xs text-gray-500 mt-2">
-              Click after payment
-            </p>
-          </div>
+          {paymentMethod === 'upi' && upiLink ? (
+            <div className="text-center">
+              <div className="w-48 h-48 sm:w-64 sm:h-64 mx-auto mb-3 sm:mb-4 flex items-center justify-center bg-gray-100 rounded-lg">
+                {upiQrCode ? (
+                  <img src={upiQrCode} alt={`UPI QR code to pay ${formatCurrency(totalCost)}`} className="w-full h-full rounded-lg" />
+                ) : (
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                )}
+              </div>
+              <p className="text-sm font-medium">Scan with any UPI app to pay {formatCurrency(totalCost)}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                Paying {shop.name} ({shop.upi_vpa}) · Reference {getPaymentReference(job.id)}
+              </p>
+
+              {isMobileDevice() && (
+                <a
+                  href={upiLink}
+                  className="inline-block w-full sm:w-auto mt-4 bg-green-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-green-700 text-sm sm:text-base"
+                >
+                  Pay with UPI app
+                </a>
+              )}
+
+              <p className="text-xs text-gray-500 mt-3">
+                The amount and order reference are filled in for you. The shop confirms your payment once it arrives.
+              </p>
+            </div>
+          ) : (
+            <div className="text-center">
+              <button
+                onClick={handlePayment}
+                disabled={redirecting}
+                className="w-full sm:w-auto bg-green-600 text-white px-6 py-2.5 sm:py-3 rounded-lg font-medium hover:bg-green-700 text-sm sm:text-base disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {redirecting ? 'Redirecting to payment...' : `Pay ${formatCurrency(totalCost)}`}
+              </button>
+              <p className="text-xs text-gray-500 mt-2">
+                Your order is confirmed automatically once the payment is verified
+              </p>
+            </div>
+          )}
         </div>
       </div>
     </div>
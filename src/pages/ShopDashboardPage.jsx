@@ -0,0 +1,789 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { useParams, Link, useSearchParams } from 'react-router-dom'
+import { Printer, CheckCircle, XCircle, Clock, RefreshCw, FileText, IndianRupee, Play, Square, Settings, PackageCheck, LogOut } from 'lucide-react'
+import {
+  getShopInfo,
+  getShopJobs,
+  subscribeToAllJobUpdates,
+  markJobAsPrinting,
+  markJobAsCompleted,
+  markJobAsCancelled,
+  updateJobStatus,
+  findJobsByPickupCode,
+  collectPrintJob,
+  getSession,
+  onSessionChange,
+  signOutShopOwner,
+  isShopOwner,
+  formatCurrency
+} from '../utils/supabase'
+import { getPaymentReference } from '../utils/upi'
+import { confirmManualPayment, getPaymentAmount } from '../utils/payments'
+import { formatPickupCode, normalizePickupCode } from '../utils/pickup'
+import { formatPageRanges } from '../utils/pdf2/services/pageRange'
+import { createPrintAgent, createElectronPrinterBackend, createFakePrinterBackend } from '../utils/printAgent'
+import { createElectronJobCache } from '../utils/offlineQueue'
+import Dropdown from '../components/Dropdown'
+import PrinterProfilesPanel from '../components/PrinterProfilesPanel'
+import ShopSignIn from '../components/ShopSignIn'
+
+import { usePageTitle } from '../hooks/usePageTitle'
+
+const JOB_STATUS_OPTIONS = [
+  { value: '', label: 'All jobs' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'printing', label: 'Printing' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'collected', label: 'Collected' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'failed', label: 'Failed' }
+]
+
+const PAYMENT_STATUS_OPTIONS = [
+  { value: '', label: 'All payments' },
+  { value: 'pending', label: 'Payment pending' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'failed', label: 'Payment failed' }
+]
+
+const DEFAULT_ETA_MINUTES = 15
+
+const getRecipe = (job) => {
+  try {
+    return (typeof job.recipe === 'string' ? JSON.parse(job.recipe) : job.recipe) || null
+  } catch {
+    return null
+  }
+}
+
+// Booklets and posters are only visible in the recipe: booklets reorder
+// pages for folding, posters split each page into tiles
+const getRecipePrint = (job) => getRecipe(job)?.print || null
+
+// A B&W job can still have pages picked for color, which are billed (and
+// must be printed) as color: "2-4, 9"
+const formatColorPages = (job) => {
+  const recipe = getRecipe(job)
+  if (recipe?.print?.colorMode !== 'bw' || !Array.isArray(recipe.pages)) return null
+
+  const colorPages = recipe.pages
+    .filter(page => !page.blank && page.colorMode === 'color')
+    .map(page => page.pageNumber)
+  return colorPages.length > 0 ? formatPageRanges(colorPages) : null
+}
+
+const formatLayout = (job) => {
+  const print = getRecipePrint(job)
+  if (print?.imposition === 'booklet') return ' · Booklet (flip on short edge, fold and staple)'
+  if (print?.imposition === 'poster' && print.poster) {
+    return ` · Poster ${print.poster.rows} × ${print.poster.cols} sheets per page (trim at the marks and tape)`
+  }
+  return job.pages_per_sheet > 1 ? ` · ${job.pages_per_sheet}-up` : ''
+}
+
+const matchesFilters = (job, filters) => {
+  if (filters.jobStatus && job.job_status !== filters.jobStatus) return false
+  if (filters.paymentStatus && job.payment_status !== filters.paymentStatus) return false
+  return true
+}
+
+const minutesFromNow = (minutes) => {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString()
+}
+
+// The desktop app prints through Electron; ?agent=fake runs the agent
+// against fake printers, which print nothing but do complete jobs
+const getAgentMode = (searchParams) => {
+  if (searchParams.get('agent') === 'fake') return 'fake'
+  return window.electron?.printDocument ? 'electron' : null
+}
+
+const ShopDashboardPage = () => {
+  const { shopId } = useParams()
+  const [searchParams] = useSearchParams()
+  const [shop, setShop] = useState(null)
+  const [jobs, setJobs] = useState([])
+  const [filters, setFilters] = useState({ jobStatus: '', paymentStatus: '' })
+  const [etaMinutes, setEtaMinutes] = useState({})
+  const [busyJobId, setBusyJobId] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [session, setSession] = useState(undefined) // undefined until the stored session is read
+  const [connectionStatus, setConnectionStatus] = useState('connecting')
+  const [agentState, setAgentState] = useState(null)
+  const [showPrinterSetup, setShowPrinterSetup] = useState(false)
+  const [pickupInput, setPickupInput] = useState('')
+  const [pickup, setPickup] = useState(null) // { code, jobs } found for the code entered
+  const [isHandingOver, setIsHandingOver] = useState(false)
+  const agentRef = useRef(null)
+  // Read by the realtime handler, so changing a filter doesn't resubscribe
+  const filtersRef = useRef(filters)
+  const agentMode = getAgentMode(searchParams)
+  const isOwner = isShopOwner(shop, session)
+
+  usePageTitle(shop?.name ? `Dashboard - ${shop.name}` : 'Dashboard')
+
+  useEffect(() => {
+    getSession().then(({ data }) => setSession(data))
+    const subscription = onSessionChange(setSession)
+    return () => subscription.unsubscribe()
+  }, [])
+
+  const loadShop = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+
+    const { data, error: shopError } = await getShopInfo(shopId)
+    if (shopError) {
+      console.error('❌ Error loading dashboard:', shopError)
+      setError('Failed to load shop: ' + shopError.message)
+    } else {
+      setShop(data)
+    }
+
+    setLoading(false)
+  }, [shopId])
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setError(null)
+
+      const { data, error: jobsError } = await getShopJobs(shopId, filters)
+      if (jobsError) {
+        throw new Error(jobsError.message)
+      }
+
+      setJobs(data)
+    } catch (error) {
+      console.error('❌ Error loading jobs:', error)
+      setError(error.message)
+    }
+  }, [shopId, filters])
+
+  useEffect(() => {
+    loadShop()
+  }, [loadShop])
+
+  useEffect(() => {
+    filtersRef.current = filters
+  }, [filters])
+
+  useEffect(() => {
+    if (isOwner) loadJobs()
+  }, [isOwner, loadJobs])
+
+  useEffect(() => {
+    if (!isOwner) return
+
+    // Keep the queue live: apply inserts, updates and deletes as they arrive
+    setConnectionStatus('connecting')
+    const subscription = subscribeToAllJobUpdates(shopId, (payload) => {
+      if (payload.eventType === 'DELETE') {
+        setJobs(prev => prev.filter(j => j.id !== payload.old?.id))
+        return
+      }
+
+      const updatedJob = payload.new
+      if (!updatedJob?.id) return
+
+      setJobs(prev => {
+        const rest = prev.filter(j => j.id !== updatedJob.id)
+        if (!matchesFilters(updatedJob, filtersRef.current)) {
+          return rest
+        }
+        return [updatedJob, ...rest].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      })
+    }, (status) => {
+      setConnectionStatus(status === 'SUBSCRIBED' ? 'connected' : 'error')
+    })
+
+    return () => {
+      if (subscription && subscription.unsubscribe) {
+        subscription.unsubscribe()
+      }
+    }
+  }, [shopId, isOwner])
+
+  // Print agent: one per shop, stopped when leaving the dashboard or signing out
+  useEffect(() => {
+    if (!agentMode || !isOwner) return
+
+    const agent = createPrintAgent({
+      shopId,
+      backend: agentMode === 'fake' ? createFakePrinterBackend() : createElectronPrinterBackend(),
+      // The desktop app keeps fetched jobs and unsent status updates across outages and restarts
+      ...(agentMode === 'electron' && window.electron.jobCache ? { cache: createElectronJobCache() } : {}),
+      onChange: setAgentState
+    })
+    agentRef.current = agent
+    setAgentState(agent.getState())
+
+    return () => {
+      agent.stop()
+      agentRef.current = null
+    }
+  }, [shopId, agentMode, isOwner])
+
+  const toggleAgent = async () => {
+    const agent = agentRef.current
+    if (!agent) return
+
+    if (agent.getState().running) {
+      agent.stop()
+      return
+    }
+
+    // A failed start (job cache, Electron IPC) stops the agent again so the
+    // toggle doesn't show it running
+    try {
+      await agent.start()
+    } catch (error) {
+      console.error('❌ Print agent failed to start:', error)
+      agent.stop()
+      alert('Could not start the print agent: ' + error.message)
+    }
+  }
+
+  const handleSignOut = async () => {
+    const { error } = await signOutShopOwner()
+    if (error) {
+      alert('Could not sign out: ' + error.message)
+      return
+    }
+    setJobs([])
+  }
+
+  const runJobAction = async (jobId, action) => {
+    try {
+      setBusyJobId(jobId)
+      const { data, error } = await action()
+
+      if (error) {
+        throw new Error(error.message)
+      }
+
+      // Apply immediately; the realtime event will confirm it
+      if (data) {
+        setJobs(prev => prev
+          .map(j => (j.id === data.id ? data : j))
+          .filter(j => matchesFilters(j, filters)))
+      }
+    } catch (error) {
+      console.error('❌ Job action failed:', error)
+      alert('Failed to update job: ' + error.message)
+    } finally {
+      setBusyJobId(null)
+    }
+  }
+
+  const getEta = (jobId) => etaMinutes[jobId] ?? DEFAULT_ETA_MINUTES
+
+  const handleStart = (job) => {
+    runJobAction(job.id, () => markJobAsPrinting(job.id, minutesFromNow(getEta(job.id))))
+  }
+
+  const handleSetEta = (job) => {
+    runJobAction(job.id, () => updateJobStatus(job.id, job.job_status, minutesFromNow(getEta(job.id))))
+  }
+
+  const handleComplete = (job) => {
+    runJobAction(job.id, () => markJobAsCompleted(job.id))
+  }
+
+  // Direct UPI payments go to the shop's VPA, so staff confirm them by
+  // reference against the amount the print server charges; it then settles
+  // the job, or its whole order
+  const handleConfirmPayment = async (job) => {
+    const { data: due, error: amountError } = await getPaymentAmount(
+      job.order_id ? { printOrderId: job.order_id } : { printJobId: job.id }
+    )
+    if (amountError) {
+      alert('Failed to get the amount due: ' + amountError.message)
+      return
+    }
+
+    const reference = getPaymentReference(job.id)
+    const scope = job.order_id ? ' (settles every document in its order)' : ''
+    if (!window.confirm(`Confirm ${formatCurrency(due.amount)} received for ${reference}${scope}?`)) return
+    runJobAction(job.id, async () => {
+      const { error } = await confirmManualPayment(job.id, due.amount, session.access_token)
+      return { data: error ? null : { ...job, payment_status: 'paid' }, error }
+    })
+  }
+
+  const handleCancel = (job) => {
+    if (!window.confirm(`Cancel job for ${job.customer_name || 'customer'}?`)) return
+    runJobAction(job.id, () => markJobAsCancelled(job.id))
+  }
+
+  // Customers show a pickup code (or its QR, which a scanner types in);
+  // prints are only handed over for the jobs it belongs to
+  const handleFindPickup = async (e) => {
+    e.preventDefault()
+    const code = normalizePickupCode(pickupInput)
+    if (!code) return
+
+    const { data, error } = await findJobsByPickupCode(shopId, code)
+    if (error) {
+      alert(error.message)
+      return
+    }
+    setPickup({ code, jobs: data })
+  }
+
+  const handleHandOver = async () => {
+    const ready = pickup.jobs.filter(job => job.job_status === 'completed' && job.payment_status === 'paid')
+    setIsHandingOver(true)
+
+    try {
+      const results = await Promise.all(ready.map(job => collectPrintJob(job.id, pickup.code)))
+      const collected = results.map(result => result.data).filter(Boolean)
+      const failures = results.filter(result => result.error)
+
+      setJobs(prev => prev
+        .map(j => collected.find(c => c.id === j.id) || j)
+        .filter(j => matchesFilters(j, filters)))
+      setPickup(prev => ({ ...prev, jobs: prev.jobs.map(j => collected.find(c => c.id === j.id) || j) }))
+
+      if (failures.length > 0) {
+        alert('Could not hand over every document: ' + failures.map(f => f.error.message).join('; '))
+      } else {
+        setPickupInput('')
+      }
+    } finally {
+      setIsHandingOver(false)
+    }
+  }
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'pending': return 'text-yellow-600 bg-yellow-100'
+      case 'printing': return 'text-blue-600 bg-blue-100'
+      case 'completed': return 'text-green-600 bg-green-100'
+      case 'collected': return 'text-teal-700 bg-teal-100'
+      case 'cancelled': return 'text-red-600 bg-red-100'
+      case 'failed': return 'text-red-600 bg-red-100'
+      default: return 'text-gray-600 bg-gray-100'
+    }
+  }
+
+  const getPaymentColor = (status) => {
+    switch (status) {
+      case 'paid': return 'text-green-600'
+      case 'failed': return 'text-red-600'
+      default: return 'text-yellow-600'
+    }
+  }
+
+  const queueCounts = jobs.reduce((counts, job) => {
+    counts[job.job_status] = (counts[job.job_status] || 0) + 1
+    return counts
+  }, {})
+
+  if ((loading && !shop) || session === undefined) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading job queue...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (error && !shop) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center max-w-md mx-auto p-6">
+          <div className="text-red-500 text-6xl mb-4">⚠️</div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Unable to Load Dashboard</h1>
+          <p className="text-gray-600 mb-6">{error}</p>
+          <button
+            onClick={loadShop}
+            className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Try Again
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (!shop) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Shop Not Found</h1>
+          <p className="text-gray-600">The shop you're looking for doesn't exist or is not active.</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!session) {
+    return <ShopSignIn shopName={shop.name} onSignedIn={setSession} />
+  }
+
+  if (!isOwner) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center max-w-md mx-auto p-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Not Your Shop</h1>
+          <p className="text-gray-600 mb-6">
+            {session.user.email} does not manage {shop.name}. Sign in with the shop owner's account.
+          </p>
+          <button
+            onClick={handleSignOut}
+            className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const pickupReadyCount = pickup
+    ? pickup.jobs.filter(job => job.job_status === 'completed' && job.payment_status === 'paid').length
+    : 0
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-5xl mx-auto px-4 py-4 sm:py-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3">
+          <div>
+            <h1 className="text-xl sm:text-2xl font-bold text-gray-900">{shop.name} — Job Queue</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {queueCounts.pending || 0} pending · {queueCounts.printing || 0} printing · {queueCounts.completed || 0} completed
+            </p>
+          </div>
+          <div className="flex items-center gap-2 sm:gap-3">
+            <div className="flex items-center gap-1 sm:gap-2 text-xs sm:text-sm">
+              <div className={`w-2 h-2 rounded-full ${connectionStatus === 'connected' ? 'bg-green-500' :
+                  connectionStatus === 'connecting' ? 'bg-yellow-500 animate-pulse' :
+                    'bg-red-500'
+                }`}></div>
+              <span className="text-gray-600">
+                {connectionStatus === 'connected' ? 'Live' :
+                  connectionStatus === 'connecting' ? 'Connecting' :
+                    'Offline'}
+              </span>
+            </div>
+            <button
+              onClick={loadJobs}
+              className="flex items-center gap-1.5 bg-blue-600 text-white px-3 sm:px-4 py-1.5 sm:py-2 rounded-lg text-xs sm:text-sm hover:bg-blue-700 transition-colors"
+            >
+              <RefreshCw className="w-4 h-4" />
+              Refresh
+            </button>
+            <button
+              id="dashboard-sign-out"
+              onClick={handleSignOut}
+              title={`Signed in as ${session.user.email}`}
+              className="flex items-center gap-1.5 bg-white border border-gray-300 text-gray-700 px-3 py-1.5 sm:py-2 rounded-lg text-xs sm:text-sm hover:bg-gray-50 transition-colors"
+            >
+              <LogOut className="w-4 h-4" />
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-4 py-4 sm:py-6">
+        {/* Filters */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4 sm:mb-6">
+          <Dropdown
+            value={filters.jobStatus}
+            onChange={(value) => setFilters(prev => ({ ...prev, jobStatus: value }))}
+            options={JOB_STATUS_OPTIONS}
+          />
+          <Dropdown
+            value={filters.paymentStatus}
+            onChange={(value) => setFilters(prev => ({ ...prev, paymentStatus: value }))}
+            options={PAYMENT_STATUS_OPTIONS}
+          />
+        </div>
+
+        <form id="dashboard-pickup" onSubmit={handleFindPickup} className="bg-white rounded-lg shadow-md p-4 mb-4 sm:mb-6">
+          <div className="flex items-center gap-2">
+            <PackageCheck className="w-5 h-5 text-gray-500 flex-shrink-0" />
+            <input
+              id="dashboard-pickup-code"
+              value={pickupInput}
+              onChange={(e) => {
+                setPickupInput(e.target.value)
+                setPickup(null)
+              }}
+              placeholder="Pickup code — type or scan"
+              autoComplete="off"
+              className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg font-mono uppercase tracking-wider"
+            />
+            <button
+              type="submit"
+              disabled={!normalizePickupCode(pickupInput)}
+              className="px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              Find
+            </button>
+          </div>
+
+          {pickup && (pickup.jobs.length === 0 ? (
+            <p className="mt-3 text-sm text-red-600">No job with pickup code {formatPickupCode(pickup.code)}. Do not hand over any prints.</p>
+          ) : (
+            <div className="mt-3 border-t border-gray-100 pt-3">
+              <ul className="space-y-1 text-sm">
+                {pickup.jobs.map(job => (
+                  <li key={job.id} className="flex items-center justify-between gap-3">
+                    <span className="min-w-0 truncate">
+                      <span className="font-medium">{job.customer_name}</span>
+                      <span className="text-gray-600"> · {job.filename}</span>
+                    </span>
+                    <span className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(job.job_status)}`}>
+                      {job.job_status}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <div className="flex items-center justify-between gap-3 mt-3">
+                <p className="text-xs text-gray-500">
+                  {pickupReadyCount === pickup.jobs.length
+                    ? 'Code verified. Hand over the prints listed above.'
+                    : `${pickup.jobs.length - pickupReadyCount} of ${pickup.jobs.length} not ready to hand over`}
+                </p>
+                <button
+                  id="dashboard-pickup-hand-over"
+                  type="button"
+                  onClick={handleHandOver}
+                  disabled={pickupReadyCount === 0 || isHandingOver}
+                  className="flex items-center gap-1.5 flex-shrink-0 px-3 py-1.5 rounded-lg text-sm bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                >
+                  <PackageCheck className="w-4 h-4" />
+                  {isHandingOver ? 'Saving...' : `Hand over ${pickupReadyCount} ${pickupReadyCount === 1 ? 'document' : 'documents'}`}
+                </button>
+              </div>
+            </div>
+          ))}
+        </form>
+
+        {agentState && (
+          <div id="dashboard-print-agent" className="bg-white rounded-lg shadow-md p-4 mb-4 sm:mb-6">
+            <div className="flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="font-medium flex items-center gap-2">
+                  <Printer className="w-4 h-4 text-gray-500" />
+                  Auto-print
+                  {agentMode === 'fake' && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-medium text-purple-700 bg-purple-100">Test printers</span>
+                  )}
+                  {agentState.offline && (
+                    <span id="dashboard-print-agent-offline" className="px-2 py-0.5 rounded-full text-xs font-medium text-amber-700 bg-amber-100">Offline</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {!agentState.running
+                    ? 'Off. Paid jobs wait for staff to start them.'
+                    : agentState.currentJobId
+                      ? `Printing ${jobs.find(j => j.id === agentState.currentJobId)?.filename || agentState.currentJobId.slice(0, 8)}${agentState.queued.length ? ` · ${agentState.queued.length} waiting` : ''}`
+                      : 'On. Paid jobs print as soon as they arrive.'}
+                </p>
+                {agentState.unsynced > 0 && (
+                  <p className="text-xs text-amber-700">
+                    {agentState.unsynced} status {agentState.unsynced === 1 ? 'update' : 'updates'} will sync when back online
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {agentMode === 'electron' && window.electron?.getPrinterProfiles && (
+                  <button
+                    id="dashboard-printer-setup-toggle"
+                    onClick={() => setShowPrinterSetup(prev => !prev)}
+                    className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm border transition-colors ${showPrinterSetup
+                      ? 'bg-gray-100 border-gray-300 text-gray-900'
+                      : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                  >
+                    <Settings className="w-4 h-4" />
+                    Printers
+                  </button>
+                )}
+                <button
+                  id="dashboard-print-agent-toggle"
+                  onClick={toggleAgent}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm flex-shrink-0 transition-colors ${agentState.running
+                    ? 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'
+                    : 'bg-blue-600 text-white hover:bg-blue-700'
+                    }`}
+                >
+                  {agentState.running ? <Square className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  {agentState.running ? 'Stop' : 'Start'}
+                </button>
+              </div>
+            </div>
+
+            {showPrinterSetup && <PrinterProfilesPanel />}
+
+            {agentState.log.length > 0 && (
+              <ul className="mt-3 border-t border-gray-100 pt-2 space-y-1 text-xs">
+                {agentState.log.slice(0, 5).map(entry => (
+                  <li key={`${entry.jobId}-${entry.status}-${entry.at}`} className="flex gap-2 text-gray-600">
+                    <span className="text-gray-400">{new Date(entry.at).toLocaleTimeString()}</span>
+                    <span className={`font-medium ${getStatusColor(entry.status).split(' ')[0]}`}>{entry.status}</span>
+                    <span className="truncate">
+                      {entry.filename}
+                      {entry.printer && ` → ${entry.printer}`}
+                      {entry.message && ` · ${entry.message}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        {jobs.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+            <FileText className="w-10 h-10 mx-auto mb-3 text-gray-400" />
+            No jobs match the current filters
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {jobs.map(job => {
+              const isBusy = busyJobId === job.id
+              const isOpen = job.job_status === 'pending' || job.job_status === 'printing' || job.job_status === 'failed'
+
+              return (
+                <div key={job.id} className="bg-white rounded-lg shadow-md p-4">
+                  <div className="flex flex-col sm:flex-row justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className="font-mono text-xs text-gray-500">{job.id.slice(0, 8)}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(job.job_status)}`}>
+                          {job.job_status}
+                        </span>
+                        <span className={`text-xs font-medium ${getPaymentColor(job.payment_status)}`}>
+                          {job.payment_status}
+                        </span>
+                        {job.payment_status !== 'paid' && (
+                          <span className="font-mono text-xs text-gray-400">{getPaymentReference(job.id)}</span>
+                        )}
+                      </div>
+                      <p className="font-medium truncate">{job.filename}</p>
+                      <p className="text-sm text-gray-600">
+                        {job.customer_name}{job.customer_phone ? ` · ${job.customer_phone}` : ''}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {job.copies} × {job.paper_size} {job.color_mode} {job.print_type}
+                        {formatLayout(job)}
+                        {' · '}{formatCurrency(job.total_cost)}
+                      </p>
+                      {formatColorPages(job) && (
+                        <p className="text-sm text-purple-700">
+                          Color pages: {formatColorPages(job)}
+                        </p>
+                      )}
+                      <p className="text-xs text-gray-400 mt-1">
+                        Received {new Date(job.created_at).toLocaleString()}
+                        {job.estimated_completion && ` · Est. completion ${new Date(job.estimated_completion).toLocaleTimeString()}`}
+                        {job.collected_at && ` · Collected ${new Date(job.collected_at).toLocaleString()}`}
+                      </p>
+                      {job.file_url && (
+                        <a
+                          href={job.file_url}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="text-xs text-blue-600 hover:underline"
+                        >
+                          Open file
+                        </a>
+                      )}
+                    </div>
+
+                    {isOpen && (
+                      <div className="flex flex-col gap-2 sm:items-end flex-shrink-0">
+                        <div className="flex items-center gap-2 text-sm">
+                          <Clock className="w-4 h-4 text-gray-500" />
+                          <input
+                            type="number"
+                            min="1"
+                            value={getEta(job.id)}
+                            onChange={(e) => setEtaMinutes(prev => ({ ...prev, [job.id]: Math.max(1, parseInt(e.target.value) || 1) }))}
+                            className="w-16 px-2 py-1 border border-gray-300 rounded"
+                          />
+                          <span className="text-gray-600">min</span>
+                          {job.job_status === 'printing' && (
+                            <button
+                              onClick={() => handleSetEta(job)}
+                              disabled={isBusy}
+                              className="text-blue-600 hover:underline disabled:opacity-50"
+                            >
+                              Set ETA
+                            </button>
+                          )}
+                        </div>
+                        <div className="flex gap-2">
+                          {job.payment_status !== 'paid' && (
+                            <button
+                              onClick={() => handleConfirmPayment(job)}
+                              disabled={isBusy}
+                              className="flex items-center gap-1 bg-white border border-green-300 text-green-700 px-3 py-1.5 rounded-lg text-sm hover:bg-green-50 disabled:opacity-50"
+                            >
+                              <IndianRupee className="w-4 h-4" />
+                              Confirm payment
+                            </button>
+                          )}
+                          {(job.job_status === 'pending' || job.job_status === 'failed') && (
+                            <button
+                              onClick={() => handleStart(job)}
+                              disabled={isBusy}
+                              className="flex items-center gap-1 bg-blue-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50"
+                            >
+                              <Printer className="w-4 h-4" />
+                              Start
+                            </button>
+                          )}
+                          {job.job_status === 'printing' && (
+                            <button
+                              onClick={() => handleComplete(job)}
+                              disabled={isBusy}
+                              className="flex items-center gap-1 bg-green-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-green-700 disabled:opacity-50"
+                            >
+                              <CheckCircle className="w-4 h-4" />
+                              Complete
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleCancel(job)}
+                            disabled={isBusy}
+                            className="flex items-center gap-1 bg-white border border-red-300 text-red-600 px-3 py-1.5 rounded-lg text-sm hover:bg-red-50 disabled:opacity-50"
+                          >
+                            <XCircle className="w-4 h-4" />
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link to={`/shop/${shopId}`} className="text-blue-600 hover:underline">
+            Back to Shop
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ShopDashboardPage
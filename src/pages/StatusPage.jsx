@@ -1,17 +1,59 @@
 import React, { useState, useEffect } from 'react'
-import { useParams, Link } from 'react-router-dom'
-import { getJobStatus, getShopInfo, subscribeToJobUpdates, startJobStatusPolling, formatCurrency } from '../utils/supabase'
+import { useParams, useSearchParams, Link } from 'react-router-dom'
+import { getJobStatus, getOrder, getPickupCode, getShopInfo, subscribeToJobUpdates, subscribeToOrderUpdates, startJobStatusPolling, startOrderStatusPolling, formatCurrency } from '../utils/supabase'
+import { formatPickupCode, generatePickupQrCode, getRememberedStatusKey, rememberStatusKey } from '../utils/pickup'
 
 import { usePageTitle } from '../hooks/usePageTitle'
 
+// An order is ready only once every document in it is; cancelled documents
+// don't hold it back
+const getOrderJobStatus = (printJobs) => {
+  const statuses = printJobs.map(printJob => printJob.job_status).filter(status => status !== 'cancelled')
+
+  if (statuses.length === 0) return 'cancelled'
+  if (statuses.includes('failed')) return 'failed'
+  if (statuses.every(status => status === 'collected')) return 'collected'
+  if (statuses.every(status => status === 'completed' || status === 'collected')) return 'completed'
+  if (statuses.some(status => status === 'printing' || status === 'completed' || status === 'collected')) return 'printing'
+  return 'pending'
+}
+
+// Latest change to a job, or to an order or any of its documents
+const getLastChange = (record) => {
+  const timestamps = [record.updated_at, ...(record.print_jobs || []).map(printJob => printJob.updated_at)]
+  return timestamps.filter(Boolean).sort().pop()
+}
+
+// Order-level view with the same fields the timeline reads from a single job
+const summarizeOrder = (order) => {
+  const estimates = order.print_jobs
+    .filter(printJob => printJob.job_status === 'printing' && printJob.estimated_completion)
+    .map(printJob => printJob.estimated_completion)
+    .sort()
+  const collectedAt = order.print_jobs.map(printJob => printJob.collected_at).filter(Boolean).sort()
+
+  return {
+    ...order,
+    job_status: getOrderJobStatus(order.print_jobs),
+    estimated_completion: estimates.pop() || null,
+    collected_at: collectedAt.pop() || null,
+    updated_at: getLastChange(order)
+  }
+}
+
 const StatusPage = () => {
-  const { jobId } = useParams()
-  const [job, setJob] = useState(null)
+  // /status/:jobId follows one document, /status/order/:orderId every
+  // document of a multi-document order
+  const { jobId, orderId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [job, setJob] = useState(null) // The print job, or the order with its print_jobs
   const [shop, setShop] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [lastUpdated, setLastUpdated] = useState(new Date())
   const [connectionStatus, setConnectionStatus] = useState('connecting')
+  const [pickupCode, setPickupCode] = useState(null)
+  const [pickupQr, setPickupQr] = useState(null)
 
   usePageTitle('Order Status')
 
@@ -19,20 +61,33 @@ const StatusPage = () => {
     loadJobStatus()
 
     // Set up real-time subscription
-    console.log('🔄 Setting up real-time updates for job:', jobId)
-    const subscription = subscribeToJobUpdates(jobId, (updatedJob) => {
-      console.log('🔄 Real-time job update received:', updatedJob)
-      setJob(updatedJob)
-      setLastUpdated(new Date())
-      setConnectionStatus('connected')
-    })
+    console.log('🔄 Setting up real-time updates for:', orderId ? `order ${orderId}` : `job ${jobId}`)
+    const subscription = orderId
+      ? subscribeToOrderUpdates(orderId, (table, record) => {
+        console.log('🔄 Real-time order update received:', table, record)
+        setJob(prevOrder => {
+          if (!prevOrder) return prevOrder
+          return table === 'orders'
+            ? { ...prevOrder, ...record }
+            : { ...prevOrder, print_jobs: prevOrder.print_jobs.map(printJob => printJob.id === record.id ? record : printJob) }
+        })
+        setLastUpdated(new Date())
+        setConnectionStatus('connected')
+      })
+      : subscribeToJobUpdates(jobId, (updatedJob) => {
+        console.log('🔄 Real-time job update received:', updatedJob)
+        setJob(updatedJob)
+        setLastUpdated(new Date())
+        setConnectionStatus('connected')
+      })
 
     // Set up polling as backup (every 30 seconds)
-    const stopPolling = startJobStatusPolling(jobId, (updatedJob) => {
+    const startPolling = orderId ? startOrderStatusPolling : startJobStatusPolling
+    const stopPolling = startPolling(orderId || jobId, (updatedJob) => {
       console.log('🔄 Polling update received:', updatedJob)
       setJob(prevJob => {
         // Only update if the job actually changed
-        if (!prevJob || prevJob.updated_at !== updatedJob.updated_at) {
+        if (!prevJob || getLastChange(prevJob) !== getLastChange(updatedJob)) {
           setLastUpdated(new Date())
           return updatedJob
         }
@@ -47,14 +102,14 @@ const StatusPage = () => {
       }
       stopPolling()
     }
-  }, [jobId])
+  }, [jobId, orderId])
 
   const loadJobStatus = async () => {
     try {
       setLoading(true)
       setError(null)
 
-      const { data: jobData, error: jobError } = await getJobStatus(jobId)
+      const { data: jobData, error: jobError } = orderId ? await getOrder(orderId) : await getJobStatus(jobId)
 
       if (jobError) {
         throw new Error('Failed to load order status: ' + jobError.message)
@@ -82,6 +137,54 @@ const StatusPage = () => {
     }
   }
 
+  // The status key in the link shows the pickup code (see pickup.js). The
+  // browser that placed the order remembers it and puts it in the link, so
+  // the link can be bookmarked or opened on another device.
+  const statusId = orderId || jobId
+  const linkStatusKey = searchParams.get('key')
+  const statusKey = linkStatusKey || getRememberedStatusKey(statusId)
+
+  useEffect(() => {
+    if (!statusKey) return
+    if (linkStatusKey) {
+      rememberStatusKey(statusId, linkStatusKey)
+    } else {
+      setSearchParams({ key: statusKey }, { replace: true })
+    }
+  }, [statusId, statusKey, linkStatusKey, setSearchParams])
+
+  useEffect(() => {
+    setPickupCode(null)
+    if (!statusKey) return
+
+    let cancelled = false
+    getPickupCode(statusId, statusKey).then(({ data }) => {
+      if (!cancelled) setPickupCode(data)
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [statusId, statusKey])
+
+  useEffect(() => {
+    if (!pickupCode) {
+      setPickupQr(null)
+      return
+    }
+
+    let cancelled = false
+    generatePickupQrCode(pickupCode)
+      .then(qr => {
+        if (!cancelled) setPickupQr(qr)
+      })
+      .catch(err => console.error('❌ Pickup QR code error:', err))
+
+    return () => {
+      cancelled = true
+    }
+  }, [pickupCode])
+
   const handleRefresh = () => {
     console.log('🔄 Manual refresh requested')
     loadJobStatus()
@@ -92,7 +195,9 @@ const StatusPage = () => {
       case 'pending': return 'text-yellow-600 bg-yellow-100'
       case 'printing': return 'text-blue-600 bg-blue-100'
       case 'completed': return 'text-green-600 bg-green-100'
+      case 'collected': return 'text-teal-700 bg-teal-100'
       case 'cancelled': return 'text-red-600 bg-red-100'
+      case 'failed': return 'text-red-600 bg-red-100'
       default: return 'text-gray-600 bg-gray-100'
     }
   }
@@ -102,7 +207,9 @@ const StatusPage = () => {
       case 'pending': return '⏳'
       case 'printing': return '🖨️'
       case 'completed': return '✅'
+      case 'collected': return '📦'
       case 'cancelled': return '❌'
+      case 'failed': return '⚠️'
       default: return '📄'
     }
   }
@@ -112,7 +219,9 @@ const StatusPage = () => {
       case 'pending': return 'Pending'
       case 'printing': return 'Printing'
       case 'completed': return 'Completed'
+      case 'collected': return 'Collected'
       case 'cancelled': return 'Cancelled'
+      case 'failed': return 'Print Failed'
       default: return 'Unknown'
     }
   }
@@ -157,6 +266,11 @@ const StatusPage = () => {
     )
   }
 
+  const current = job.print_jobs ? summarizeOrder(job) : job
+  const isPrinted = current.job_status === 'completed' || current.job_status === 'collected'
+  const showPickupCode = pickupCode && current.payment_status === 'paid' &&
+    current.job_status !== 'cancelled' && current.job_status !== 'collected'
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-2xl mx-auto px-4 py-4 sm:py-8">
@@ -210,76 +324,100 @@ const StatusPage = () => {
               <div>
                 <p className="text-sm sm:text-base font-medium">Order Received</p>
                 <p className="text-xs sm:text-sm text-gray-500 hidden sm:block">Your order has been received</p>
-                <p className="text-xs text-gray-400">{new Date(job.created_at).toLocaleString()}</p>
+                <p className="text-xs text-gray-400">{new Date(current.created_at).toLocaleString()}</p>
               </div>
             </div>
 
             <div className="flex items-center">
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${job.payment_status === 'paid' ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400'
+              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${current.payment_status === 'paid' ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400'
                 }`}>
-                {job.payment_status === 'paid' ? '✓' : '💳'}
+                {current.payment_status === 'paid' ? '✓' : '💳'}
               </div>
               <div>
                 <p className="font-medium">Payment</p>
                 <p className="text-sm text-gray-500">
-                  {job.payment_status === 'paid' ? 'Payment confirmed' : 'Waiting for payment'}
+                  {current.payment_status === 'paid' ? 'Payment confirmed' : current.payment_status === 'failed' ? 'Payment failed' : 'Waiting for payment'}
                 </p>
-                {job.payment_status === 'paid' && (
-                  <p className="text-xs text-gray-400">{new Date(job.updated_at).toLocaleString()}</p>
+                {current.payment_status === 'paid' && (
+                  <p className="text-xs text-gray-400">{new Date(current.updated_at).toLocaleString()}</p>
+                )}
+                {(current.payment_status === 'pending' || current.payment_status === 'failed') && (
+                  <Link to={orderId ? `/payment/order/${orderId}` : `/payment/${current.id}`} className="text-sm text-blue-600 hover:underline">
+                    {current.payment_status === 'failed' ? 'Try paying again' : 'Pay now'}
+                  </Link>
                 )}
               </div>
             </div>
 
             <div className="flex items-center">
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${job.job_status === 'printing' || job.job_status === 'completed'
+              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${current.job_status === 'printing' || isPrinted
                   ? 'bg-blue-100 text-blue-600' : 'bg-gray-100 text-gray-400'
                 }`}>
-                {job.job_status === 'printing' || job.job_status === 'completed' ? '🖨️' : '⏳'}
+                {current.job_status === 'printing' || isPrinted ? '🖨️' : '⏳'}
               </div>
               <div>
                 <p className="font-medium">Printing</p>
                 <p className="text-sm text-gray-500">
-                  {job.job_status === 'printing' ? 'Currently printing...' :
-                    job.job_status === 'completed' ? 'Printing completed' : 'Waiting to print'}
+                  {current.job_status === 'printing' ? 'Currently printing...' :
+                    isPrinted ? 'Printing completed' : 'Waiting to print'}
                 </p>
-                {job.job_status === 'printing' && job.estimated_completion && (
+                {current.job_status === 'printing' && current.estimated_completion && (
                   <p className="text-xs text-gray-400">
-                    Est. completion: {new Date(job.estimated_completion).toLocaleString()}
+                    Est. completion: {new Date(current.estimated_completion).toLocaleString()}
                   </p>
                 )}
               </div>
             </div>
 
             <div className="flex items-center">
-              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${job.job_status === 'completed' ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400'
+              <div className={`w-8 h-8 rounded-full flex items-center justify-center mr-4 ${isPrinted ? 'bg-green-100 text-green-600' : 'bg-gray-100 text-gray-400'
                 }`}>
-                {job.job_status === 'completed' ? '✅' : '📦'}
+                {isPrinted ? '✅' : '📦'}
               </div>
               <div>
                 <p className="font-medium">Ready for Pickup</p>
                 <p className="text-sm text-gray-500">
-                  {job.job_status === 'completed' ? 'Ready for pickup!' : 'Will be ready soon'}
+                  {current.job_status === 'collected' ? 'Collected' : current.job_status === 'completed' ? 'Ready for pickup!' : 'Will be ready soon'}
                 </p>
-                {job.job_status === 'completed' && (
-                  <p className="text-xs text-gray-400">{new Date(job.updated_at).toLocaleString()}</p>
+                {isPrinted && (
+                  <p className="text-xs text-gray-400">{new Date(current.collected_at || current.updated_at).toLocaleString()}</p>
                 )}
               </div>
             </div>
           </div>
 
+          {/* Pickup code: proves at the counter that these prints are yours */}
+          {showPickupCode && (
+            <div id="status-pickup-code" className="border-t pt-4 sm:pt-6 mb-4 sm:mb-6 flex flex-col sm:flex-row items-center gap-4">
+              {pickupQr && (
+                <img src={pickupQr} alt="Pickup QR code" className="w-32 h-32 sm:w-36 sm:h-36 border border-gray-200 rounded-lg" />
+              )}
+              <div className="text-center sm:text-left">
+                <p className="text-sm text-gray-600">Pickup code</p>
+                <p className="font-mono text-3xl font-bold tracking-widest">{formatPickupCode(pickupCode)}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Show this code or QR at the counter to collect your prints. Only share it with whoever collects them for you.
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  This page's link shows the code on any device. Bookmark it, and share it as carefully as the code.
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* Current Status */}
           <div className="border-t pt-4 sm:pt-6">
             <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-3 sm:mb-4 gap-2">
               <span className="text-base sm:text-lg font-medium">Status:</span>
-              <span className={`px-3 py-1 rounded-full text-xs sm:text-sm font-medium ${getStatusColor(job.job_status)}`}>
-                {getStatusIcon(job.job_status)} {getStatusText(job.job_status)}
+              <span className={`px-3 py-1 rounded-full text-xs sm:text-sm font-medium ${getStatusColor(current.job_status)}`}>
+                {getStatusIcon(current.job_status)} {getStatusText(current.job_status)}
               </span>
             </div>
 
-            {job.job_status === 'completed' && (
+            {current.job_status === 'completed' && (
               <div className="bg-green-50 border border-green-200 rounded-lg p-3 sm:p-4 text-center animate-pulse-glow">
                 <p className="text-green-800 font-medium text-base sm:text-lg">🎉 Ready for pickup!</p>
-                <p className="text-green-600 text-xs sm:text-sm mt-1">Visit the shop to collect</p>
+                <p className="text-green-600 text-xs sm:text-sm mt-1">Visit the shop and show your pickup code</p>
                 {shop && (
                   <div className="mt-3 text-sm">
                     <p className="font-medium">{shop.name}</p>
@@ -290,26 +428,42 @@ const StatusPage = () => {
               </div>
             )}
 
-            {job.job_status === 'printing' && (
+            {current.job_status === 'collected' && (
+              <div className="bg-teal-50 border border-teal-200 rounded-lg p-4 text-center">
+                <p className="text-teal-800 font-medium">📦 Your prints have been collected</p>
+                {current.collected_at && (
+                  <p className="text-teal-600 text-sm mt-1">Handed over {new Date(current.collected_at).toLocaleString()}</p>
+                )}
+              </div>
+            )}
+
+            {current.job_status === 'printing' && (
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-center">
                 <p className="text-blue-800 font-medium">🖨️ Your order is being printed!</p>
                 <p className="text-blue-600 text-sm mt-1">We'll update you when it's ready for pickup</p>
-                {job.estimated_completion && (
+                {current.estimated_completion && (
                   <p className="text-blue-600 text-sm mt-2">
-                    Estimated completion: {new Date(job.estimated_completion).toLocaleString()}
+                    Estimated completion: {new Date(current.estimated_completion).toLocaleString()}
                   </p>
                 )}
               </div>
             )}
 
-            {job.job_status === 'pending' && job.payment_status === 'paid' && (
+            {current.job_status === 'pending' && current.payment_status === 'paid' && (
               <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-center">
                 <p className="text-yellow-800 font-medium">⏳ Your order is in queue</p>
                 <p className="text-yellow-600 text-sm mt-1">We'll start printing it soon</p>
               </div>
             )}
 
-            {job.job_status === 'cancelled' && (
+            {current.job_status === 'failed' && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
+                <p className="text-red-800 font-medium">⚠️ There was a problem printing your order</p>
+                <p className="text-red-600 text-sm mt-1">The shop has been notified and will retry it</p>
+              </div>
+            )}
+
+            {current.job_status === 'cancelled' && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-center">
                 <p className="text-red-800 font-medium">❌ Your order has been cancelled</p>
                 <p className="text-red-600 text-sm mt-1">Please contact the shop for more information</p>
@@ -323,32 +477,52 @@ const StatusPage = () => {
             <div className="space-y-2 text-sm">
               <div className="flex justify-between">
                 <span>Order ID:</span>
-                <span className="font-mono">{job.id.slice(0, 8)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>File:</span>
-                <span>{job.filename}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Copies:</span>
-                <span>{job.copies}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Specifications:</span>
-                <span>{job.paper_size} {job.color_mode} {job.print_type}</span>
+                <span className="font-mono">{current.id.slice(0, 8)}</span>
               </div>
+              {current.print_jobs ? (
+                <div className="space-y-2 py-1">
+                  {current.print_jobs.map(printJob => (
+                    <div key={printJob.id} className="flex justify-between items-start gap-3 p-2 bg-gray-50 rounded-lg">
+                      <div className="min-w-0">
+                        <p className="truncate">{printJob.filename}</p>
+                        <p className="text-xs text-gray-500">
+                          {printJob.copies} × {printJob.paper_size} {printJob.color_mode} {printJob.print_type} · {formatCurrency(printJob.total_cost)}
+                        </p>
+                      </div>
+                      <span className={`flex-shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(printJob.job_status)}`}>
+                        {getStatusIcon(printJob.job_status)} {getStatusText(printJob.job_status)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <>
+                  <div className="flex justify-between">
+                    <span>File:</span>
+                    <span>{current.filename}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Copies:</span>
+                    <span>{current.copies}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Specifications:</span>
+                    <span>{current.paper_size} {current.color_mode} {current.print_type}</span>
+                  </div>
+                </>
+              )}
               <div className="flex justify-between">
                 <span>Customer:</span>
-                <span>{job.customer_name}</span>
+                <span>{current.customer_name}</span>
               </div>
               <div className="flex justify-between font-medium">
                 <span>Total Cost:</span>
-                <span>{formatCurrency(job.total_cost)}</span>
+                <span>{formatCurrency(current.total_cost)}</span>
               </div>
               <div className="flex justify-between">
                 <span>Payment Status:</span>
-                <span className={job.payment_status === 'paid' ? 'text-green-600' : 'text-yellow-600'}>
-                  {job.payment_status === 'paid' ? 'Paid' : 'Pending'}
+                <span className={current.payment_status === 'paid' ? 'text-green-600' : current.payment_status === 'failed' ? 'text-red-600' : 'text-yellow-600'}>
+                  {current.payment_status === 'paid' ? 'Paid' : current.payment_status === 'failed' ? 'Failed' : 'Pending'}
                 </span>
               </div>
             </div>
@@ -357,7 +531,7 @@ const StatusPage = () => {
           {/* Back to Shop */}
           <div className="border-t pt-4 sm:pt-6 mt-4 sm:mt-6 text-center">
             <Link
-              to={`/shop/${job.shop_id}`}
+              to={`/shop/${current.shop_id}`}
               className="text-blue-600 hover:underline"
             >
               Back to Shop
@@ -0,0 +1,184 @@
+import { JSDOM } from 'jsdom'
+import { beforeAll, describe, expect, it, vi } from 'vitest'
+import { parseDocx } from './docxParser'
+import { ParagraphBlock, TableBlock } from './types'
+import { createZip, ZipFixtureEntry } from './zipFixture'
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"'
+
+const STYLES = `<w:styles ${NS}>
+  <w:docDefaults><w:rPrDefault><w:rPr><w:sz w:val="24"/></w:rPr></w:rPrDefault></w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:pPr><w:jc w:val="center"/></w:pPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:rPr><w:i/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:pPr><w:contextualSpacing/></w:pPr></w:style>
+</w:styles>`
+
+const NUMBERING = `<w:numbering ${NS}>
+  <w:abstractNum w:abstractNumId="0">
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>
+    <w:lvl w:ilvl="1"><w:start w:val="1"/><w:numFmt w:val="lowerLetter"/><w:lvlText w:val="%1.%2)"/></w:lvl>
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="1">
+    <w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/><w:lvlText w:val="&#61623;"/></w:lvl>
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="2">
+    <w:lvl w:ilvl="0"><w:start w:val="4"/><w:numFmt w:val="upperRoman"/><w:lvlText w:val="%1"/></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+  <w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>
+  <w:num w:numId="3"><w:abstractNumId w:val="2"/></w:num>
+</w:numbering>`
+
+const RELS = `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Target="media/image1.png"/>
+  <Relationship Id="rId2" Target="/word/media/image2.gif"/>
+  <Relationship Id="rId3" Target="https://example.com/a.png" TargetMode="External"/>
+</Relationships>`
+
+// 1x1 PNG signature is all the parser looks at
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0])
+const GIF = new TextEncoder().encode('GIF89a')
+
+const run = (text: string, rPr = '') => `<w:r>${rPr ? `<w:rPr>${rPr}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`
+const para = (content: string, pPr = '') => `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${content}</w:p>`
+const listItem = (numId: number, ilvl: number, text: string) =>
+  para(run(text), `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`)
+const picture = (relId: string, cx: number, cy: number) =>
+  `<w:r><w:drawing><wp:inline><wp:extent cx="${cx}" cy="${cy}"/><a:graphic><a:graphicData><a:blip r:embed="${relId}"/></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`
+
+async function docx(body: string, extra: ZipFixtureEntry[] = []): Promise<Uint8Array> {
+  return createZip([
+    { name: 'word/document.xml', data: `<w:document ${NS}><w:body>${body}</w:body></w:document>` },
+    { name: 'word/styles.xml', data: STYLES },
+    { name: 'word/numbering.xml', data: NUMBERING },
+    { name: 'word/_rels/document.xml.rels', data: RELS },
+    { name: 'word/media/image1.png', data: PNG, method: 0 },
+    { name: 'word/media/image2.gif', data: GIF, method: 0 },
+    ...extra
+  ])
+}
+
+const paragraphs = (blocks: Awaited<ReturnType<typeof parseDocx>>) =>
+  blocks.filter((block): block is ParagraphBlock => block.type === 'paragraph')
+
+const texts = (blocks: Awaited<ReturnType<typeof parseDocx>>) =>
+  paragraphs(blocks).map(block => block.runs.map(r => r.text).join(''))
+
+describe('parseDocx', () => {
+  // Only the XML parser: the rest (Blob streams for inflating) is Node's
+  beforeAll(() => {
+    globalThis.DOMParser = new JSDOM().window.DOMParser
+  })
+
+  it('reads runs with their character formatting', async () => {
+    const [block] = await parseDocx(await docx(para(
+      run('Plain ') + run('bold ', '<w:b/>') + run('not bold ', '<w:b w:val="0"/>') +
+      run('italic underlined ', '<w:i/><w:u w:val="single"/>') + run('big', '<w:sz w:val="36"/>')
+    )))
+
+    expect((block as ParagraphBlock).runs).toEqual([
+      { text: 'Plain ', bold: false, italic: false, underline: false, fontSize: 12 },
+      { text: 'bold ', bold: true, italic: false, underline: false, fontSize: 12 },
+      { text: 'not bold ', bold: false, italic: false, underline: false, fontSize: 12 },
+      { text: 'italic underlined ', bold: false, italic: true, underline: true, fontSize: 12 },
+      { text: 'big', bold: false, italic: false, underline: false, fontSize: 18 }
+    ])
+  })
+
+  it('applies paragraph styles, headings and alignment', async () => {
+    const blocks = paragraphs(await parseDocx(await docx(
+      para(run('Title'), '<w:pStyle w:val="Title"/>') +
+      para(run('Chapter'), '<w:pStyle w:val="Heading1"/>') +
+      para(run('Quoted'), '<w:pStyle w:val="Quote"/><w:jc w:val="right"/>') +
+      para(run('Spaced'), '<w:spacing w:before="240" w:after="0"/>')
+    )))
+
+    expect(blocks[0]).toMatchObject({ headingLevel: 1, align: 'center', runs: [{ bold: true, fontSize: 26 }] })
+    expect(blocks[1]).toMatchObject({ headingLevel: 1, align: 'left', spaceBefore: 12, runs: [{ bold: true, fontSize: 16 }] })
+    expect(blocks[2]).toMatchObject({ headingLevel: 0, align: 'right', runs: [{ italic: true, fontSize: 12 }] })
+    expect(blocks[3]).toMatchObject({ spaceBefore: 12, spaceAfter: 0 })
+  })
+
+  it('numbers lists, restarting deeper levels and hanging the marker', async () => {
+    const blocks = paragraphs(await parseDocx(await docx(
+      listItem(1, 0, 'One') +
+      listItem(1, 1, 'One a') +
+      listItem(1, 1, 'One b') +
+      listItem(1, 0, 'Two') +
+      listItem(1, 1, 'Two a') +
+      listItem(2, 0, 'Bullet') +
+      listItem(3, 0, 'Roman') +
+      listItem(0, 0, 'Not a list item')
+    )))
+
+    expect(blocks.map(block => block.listMarker)).toEqual(['1.', '1.a)', '1.b)', '2.', '2.a)', '•', 'IV', null])
+    // left 720 - hanging 360 twips, no gaps inside a List Paragraph run
+    expect(blocks[0]).toMatchObject({ indent: 18, spaceBefore: 0, spaceAfter: 0 })
+    // Levels without indentation: 720 twips per level, 360 hanging
+    expect(blocks[1].indent).toBe(54)
+  })
+
+  it('reads tables with spans and vertical merges', async () => {
+    const cell = (content: string, tcPr = '') => `<w:tc>${tcPr ? `<w:tcPr>${tcPr}</w:tcPr>` : ''}${para(run(content))}</w:tc>`
+    const [table] = await parseDocx(await docx(
+      '<w:tbl><w:tblGrid><w:gridCol w:w="2000"/><w:gridCol w:w="3000"/><w:gridCol w:w="1000"/></w:tblGrid>' +
+      `<w:tr>${cell('Wide', '<w:gridSpan w:val="2"/>')}${cell('Tall', '<w:vMerge w:val="restart"/>')}</w:tr>` +
+      `<w:tr>${cell('A')}${cell('B')}${cell('hidden', '<w:vMerge/>')}</w:tr>` +
+      '</w:tbl>'
+    )) as TableBlock[]
+
+    expect(table.columnWidths).toEqual([2000, 3000, 1000])
+    expect(table.rows.map(row => row.map(c => c.span))).toEqual([[2, 1], [1, 1, 1]])
+    expect(table.rows[0][1].paragraphs[0].runs[0].text).toBe('Tall')
+    expect(table.rows[1][2].paragraphs).toEqual([])
+  })
+
+  it('splits paragraphs at pictures and page breaks', async () => {
+    const blocks = await parseDocx(await docx(
+      para(run('Before') + picture('rId1', 12700 * 100, 12700 * 50) + run('After')) +
+      para(run('Next page'), '<w:pageBreakBefore/>') +
+      para(run('Line') + '<w:r><w:br/></w:r>' + run('break') + '<w:r><w:br w:type="page"/></w:r>' + run('Last'))
+    ))
+
+    expect(blocks.map(block => block.type)).toEqual([
+      'paragraph', 'image', 'paragraph', 'pageBreak', 'paragraph', 'paragraph', 'pageBreak', 'paragraph'
+    ])
+    expect(blocks[1]).toMatchObject({ type: 'image', format: 'png', width: 100, height: 50 })
+    expect(texts(blocks)).toEqual(['Before', 'After', 'Next page', 'Line\nbreak', 'Last'])
+  })
+
+  it('skips pictures it cannot print', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const blocks = await parseDocx(await docx(
+      para(picture('rId2', 12700, 12700)) + para(picture('rId3', 12700, 12700)) + para(run('Text'))
+    ))
+
+    // Their paragraphs stay as blank lines
+    expect(blocks.map(block => block.type)).toEqual(['paragraph', 'paragraph', 'paragraph'])
+    expect(texts(blocks)).toEqual(['', '', 'Text'])
+    expect(warn).toHaveBeenCalledTimes(2)
+    warn.mockRestore()
+  })
+
+  it('keeps blank lines, hyperlinks and insertions but leaves out deletions', async () => {
+    const blocks = await parseDocx(await docx(
+      para('') +
+      para(`<w:hyperlink r:id="rId9">${run('link')}</w:hyperlink><w:ins>${run(' added')}</w:ins><w:del><w:r><w:delText>gone</w:delText></w:r></w:del>`) +
+      para(run('a') + '<w:r><w:tab/></w:r>' + run('b'))
+    ))
+
+    expect(texts(blocks)).toEqual(['', 'link added', 'a    b'])
+  })
+
+  it('rejects archives that are not Word documents', async () => {
+    await expect(parseDocx(await createZip([{ name: 'content.xml', data: '<a/>' }])))
+      .rejects.toThrow('This is not a Word document (word/document.xml is missing)')
+    await expect(parseDocx(await createZip([{ name: 'word/document.xml', data: '<w:document' }])))
+      .rejects.toThrow('The Word file contains invalid XML')
+  })
+})
@@ -0,0 +1,596 @@
+/**
+ * DOCX Parser
+ *
+ * Reads word/document.xml (plus styles, numbering and image relationships)
+ * into the flat block model in ./types. Covers what students' Word files
+ * actually contain: paragraphs with bold/italic/underline runs, headings,
+ * bulleted and numbered lists, tables and inline pictures. Text boxes,
+ * headers/footers, footnotes and tracked deletions are left out.
+ */
+
+import { ZipArchive } from './zipReader'
+import {
+  DocumentBlock,
+  ParagraphBlock,
+  TableBlock,
+  TableCell,
+  TextAlign,
+  TextRun
+} from './types'
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main'
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+const TWIPS_PER_POINT = 20
+const EMUS_PER_POINT = 12700
+
+// Word's own defaults when styles.xml doesn't say otherwise
+const DEFAULT_FONT_SIZE = 11
+const DEFAULT_SPACE_AFTER = 8
+const HEADING_FONT_SIZES: Record<number, number> = { 1: 16, 2: 13, 3: 12 }
+const TITLE_FONT_SIZE = 26
+
+interface RunStyle {
+  bold?: boolean
+  italic?: boolean
+  underline?: boolean
+  fontSize?: number
+}
+
+interface StyleDefinition {
+  name: string
+  basedOn: string | null
+  run: RunStyle
+  align?: TextAlign
+  contextualSpacing?: boolean
+}
+
+interface ListLevel {
+  format: string
+  text: string
+  start: number
+  left: number | null     // Twips; where the item text starts
+  hanging: number | null  // Twips; how far the marker sits left of it
+}
+
+interface ParseContext {
+  archive: ZipArchive
+  styles: Map<string, StyleDefinition>
+  defaultFontSize: number
+  defaultParagraphStyle: string | null
+  relationships: Map<string, string>
+  numbering: Map<string, Map<number, ListLevel>>
+  listCounters: Map<string, number[]>
+  images: Map<string, Promise<Uint8Array | null>>
+}
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+function parseXml(xml: string): Document {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The Word file contains invalid XML')
+  }
+  return doc
+}
+
+function childElements(el: Element, localName?: string): Element[] {
+  return Array.from(el.children).filter(child => !localName || child.localName === localName)
+}
+
+function firstChild(el: Element | null | undefined, localName: string): Element | null {
+  if (!el) return null
+  return childElements(el, localName)[0] || null
+}
+
+function findDescendant(el: Element, localName: string): Element | null {
+  for (const child of childElements(el)) {
+    if (child.localName === localName) return child
+    const found = findDescendant(child, localName)
+    if (found) return found
+  }
+  return null
+}
+
+function wAttr(el: Element | null, name: string): string | null {
+  if (!el) return null
+  return el.getAttributeNS(W_NS, name) ?? el.getAttribute(`w:${name}`)
+}
+
+// <w:b/>, <w:b w:val="true"/> and <w:b w:val="0"/>
+function toggleValue(el: Element | null): boolean | undefined {
+  if (!el) return undefined
+  const val = wAttr(el, 'val')
+  return val === null || !['0', 'false', 'off', 'none'].includes(val)
+}
+
+function readRunStyle(rPr: Element | null): RunStyle {
+  if (!rPr) return {}
+
+  const style: RunStyle = {
+    bold: toggleValue(firstChild(rPr, 'b')),
+    italic: toggleValue(firstChild(rPr, 'i')),
+    underline: toggleValue(firstChild(rPr, 'u'))
+  }
+
+  const size = Number(wAttr(firstChild(rPr, 'sz'), 'val'))
+  if (size > 0) {
+    style.fontSize = size / 2  // Half-points
+  }
+
+  return style
+}
+
+function mergeRunStyles(...styles: RunStyle[]): RunStyle {
+  const merged: RunStyle = {}
+  for (const style of styles) {
+    for (const key of Object.keys(style) as (keyof RunStyle)[]) {
+      if (style[key] !== undefined) {
+        (merged as Record<string, unknown>)[key] = style[key]
+      }
+    }
+  }
+  return merged
+}
+
+function readAlign(pPr: Element | null): TextAlign | undefined {
+  const jc = wAttr(firstChild(pPr, 'jc'), 'val')
+  if (jc === 'center') return 'center'
+  if (jc === 'right' || jc === 'end') return 'right'
+  if (jc) return 'left'
+  return undefined
+}
+
+// ============================================
+// STYLES, NUMBERING, RELATIONSHIPS
+// ============================================
+
+function parseStyles(xml: string | null): { styles: Map<string, StyleDefinition>; defaultFontSize: number; defaultParagraphStyle: string | null } {
+  const styles = new Map<string, StyleDefinition>()
+  if (!xml) return { styles, defaultFontSize: DEFAULT_FONT_SIZE, defaultParagraphStyle: null }
+
+  const root = parseXml(xml).documentElement
+
+  const defaultRun = readRunStyle(firstChild(firstChild(firstChild(root, 'docDefaults'), 'rPrDefault'), 'rPr'))
+  const defaultFontSize = defaultRun.fontSize || DEFAULT_FONT_SIZE
+  let defaultParagraphStyle: string | null = null
+
+  for (const style of childElements(root, 'style')) {
+    const id = wAttr(style, 'styleId')
+    if (!id) continue
+
+    // Paragraphs without a pStyle use the default one ("Normal")
+    if (wAttr(style, 'type') === 'paragraph' && ['1', 'true', 'on'].includes(wAttr(style, 'default') || '')) {
+      defaultParagraphStyle = id
+    }
+
+    styles.set(id, {
+      name: (wAttr(firstChild(style, 'name'), 'val') || id).toLowerCase(),
+      basedOn: wAttr(firstChild(style, 'basedOn'), 'val'),
+      run: readRunStyle(firstChild(style, 'rPr')),
+      align: readAlign(firstChild(style, 'pPr')),
+      contextualSpacing: toggleValue(firstChild(firstChild(style, 'pPr'), 'contextualSpacing'))
+    })
+  }
+
+  return { styles, defaultFontSize, defaultParagraphStyle }
+}
+
+function parseRelationships(xml: string | null): Map<string, string> {
+  const relationships = new Map<string, string>()
+  if (!xml) return relationships
+
+  for (const rel of Array.from(parseXml(xml).getElementsByTagName('Relationship'))) {
+    const id = rel.getAttribute('Id')
+    const target = rel.getAttribute('Target')
+    if (!id || !target || rel.getAttribute('TargetMode') === 'External') continue
+
+    // Targets are relative to word/ unless absolute within the package
+    relationships.set(id, target.startsWith('/') ? target.slice(1) : `word/${target}`)
+  }
+
+  return relationships
+}
+
+function parseNumbering(xml: string | null): Map<string, Map<number, ListLevel>> {
+  const numbering = new Map<string, Map<number, ListLevel>>()
+  if (!xml) return numbering
+
+  const root = parseXml(xml).documentElement
+  const abstractLevels = new Map<string, Map<number, ListLevel>>()
+
+  for (const abstractNum of childElements(root, 'abstractNum')) {
+    const levels = new Map<number, ListLevel>()
+    for (const lvl of childElements(abstractNum, 'lvl')) {
+      const ind = firstChild(firstChild(lvl, 'pPr'), 'ind')
+      const left = wAttr(ind, 'left') ?? wAttr(ind, 'start')
+      const hanging = wAttr(ind, 'hanging')
+
+      levels.set(Number(wAttr(lvl, 'ilvl')) || 0, {
+        format: wAttr(firstChild(lvl, 'numFmt'), 'val') || 'bullet',
+        text: wAttr(firstChild(lvl, 'lvlText'), 'val') || '',
+        start: Number(wAttr(firstChild(lvl, 'start'), 'val')) || 1,
+        left: left !== null ? Number(left) : null,
+        hanging: hanging !== null ? Number(hanging) : null
+      })
+    }
+    abstractLevels.set(wAttr(abstractNum, 'abstractNumId') || '', levels)
+  }
+
+  for (const num of childElements(root, 'num')) {
+    const abstractId = wAttr(firstChild(num, 'abstractNumId'), 'val') || ''
+    numbering.set(wAttr(num, 'numId') || '', abstractLevels.get(abstractId) || new Map())
+  }
+
+  return numbering
+}
+
+// Walk up basedOn links; the nearest definition wins
+function resolveStyle(ctx: ParseContext, styleId: string | null): { run: RunStyle; align?: TextAlign; contextualSpacing?: boolean; name: string } {
+  const chain: StyleDefinition[] = []
+  let current = styleId ? ctx.styles.get(styleId) : undefined
+
+  while (current && chain.length < 10) {
+    chain.unshift(current)
+    current = current.basedOn ? ctx.styles.get(current.basedOn) : undefined
+  }
+
+  return {
+    run: mergeRunStyles(...chain.map(style => style.run)),
+    align: chain.map(style => style.align).filter(Boolean).pop(),
+    contextualSpacing: chain.map(style => style.contextualSpacing).filter(value => value !== undefined).pop(),
+    name: chain.length > 0 ? chain[chain.length - 1].name : ''
+  }
+}
+
+function getHeadingLevel(styleName: string): number {
+  if (styleName === 'title') return 1
+  const match = /^heading (\d)$/.exec(styleName)
+  return match ? Number(match[1]) : 0
+}
+
+// ============================================
+// LIST MARKERS
+// ============================================
+
+function toRoman(value: number): string {
+  const numerals: [number, string][] = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+  ]
+  let result = ''
+  for (const [amount, numeral] of numerals) {
+    while (value >= amount) {
+      result += numeral
+      value -= amount
+    }
+  }
+  return result
+}
+
+function toLetters(value: number): string {
+  let result = ''
+  while (value > 0) {
+    const remainder = (value - 1) % 26
+    result = String.fromCharCode(97 + remainder) + result
+    value = Math.floor((value - 1) / 26)
+  }
+  return result
+}
+
+function formatListNumber(value: number, format: string): string {
+  switch (format) {
+    case 'lowerLetter': return toLetters(value)
+    case 'upperLetter': return toLetters(value).toUpperCase()
+    case 'lowerRoman': return toRoman(value)
+    case 'upperRoman': return toRoman(value).toUpperCase()
+    default: return String(value)
+  }
+}
+
+function nextListMarker(ctx: ParseContext, numId: string, ilvl: number): string | null {
+  // numId 0 explicitly removes numbering
+  if (numId === '0') return null
+
+  const levels = ctx.numbering.get(numId)
+  const level = levels?.get(ilvl)
+
+  if (!level || level.format === 'bullet' || level.format === 'none') {
+    return level?.format === 'none' ? null : '•'
+  }
+
+  // Counting restarts for deeper levels whenever a parent level advances
+  const counters = ctx.listCounters.get(numId) || []
+  counters[ilvl] = counters[ilvl] === undefined ? level.start : counters[ilvl] + 1
+  counters.length = ilvl + 1
+  ctx.listCounters.set(numId, counters)
+
+  // lvlText is a template such as "%1." or "%1.%2)"
+  return level.text.replace(/%(\d)/g, (_, n) => {
+    const levelIndex = Number(n) - 1
+    const value = counters[levelIndex] ?? levels?.get(levelIndex)?.start ?? 1
+    return formatListNumber(value, levels?.get(levelIndex)?.format || 'decimal')
+  }) || '•'
+}
+
+// ============================================
+// BODY
+// ============================================
+
+function detectImageFormat(data: Uint8Array): 'png' | 'jpg' | null {
+  if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) return 'png'
+  if (data[0] === 0xff && data[1] === 0xd8) return 'jpg'
+  return null
+}
+
+function readImage(ctx: ParseContext, relId: string): Promise<Uint8Array | null> {
+  const target = ctx.relationships.get(relId)
+  if (!target) return Promise.resolve(null)
+
+  if (!ctx.images.has(target)) {
+    ctx.images.set(target, ctx.archive.read(target))
+  }
+  return ctx.images.get(target)!
+}
+
+async function parseParagraph(ctx: ParseContext, p: Element): Promise<DocumentBlock[]> {
+  const pPr = firstChild(p, 'pPr')
+  const style = resolveStyle(ctx, wAttr(firstChild(pPr, 'pStyle'), 'val') || ctx.defaultParagraphStyle)
+  const headingLevel = getHeadingLevel(style.name)
+
+  const headingDefaults: RunStyle = headingLevel > 0
+    ? { bold: true, fontSize: style.name === 'title' ? TITLE_FONT_SIZE : HEADING_FONT_SIZES[headingLevel] || ctx.defaultFontSize }
+    : {}
+  const paragraphRun = mergeRunStyles({ fontSize: ctx.defaultFontSize }, headingDefaults, style.run)
+
+  // Spacing and indentation are stored in twips
+  const spacing = firstChild(pPr, 'spacing')
+  const readSpacing = (name: string, fallback: number): number => {
+    const value = Number(wAttr(spacing, name) ?? NaN)
+    return Number.isFinite(value) ? value / TWIPS_PER_POINT : fallback
+  }
+
+  // List Paragraph and similar styles drop the gap between their own items
+  const contextualSpacing = toggleValue(firstChild(pPr, 'contextualSpacing')) ?? style.contextualSpacing ?? false
+
+  const numPr = firstChild(pPr, 'numPr')
+  const numId = wAttr(firstChild(numPr, 'numId'), 'val') || ''
+  const ilvl = Number(wAttr(firstChild(numPr, 'ilvl'), 'val')) || 0
+  const listMarker = numPr ? nextListMarker(ctx, numId, ilvl) : null
+  const listLevel = listMarker ? ctx.numbering.get(numId)?.get(ilvl) : undefined
+
+  // Direct indentation wins over the list level's; Word indents each list
+  // level by 720 twips with a 360 twip hanging marker when neither says
+  const ind = firstChild(pPr, 'ind')
+  const left = Number(wAttr(ind, 'left') ?? wAttr(ind, 'start') ?? listLevel?.left ?? (listMarker ? 720 * (ilvl + 1) : 0))
+  const hanging = listMarker ? Number(wAttr(ind, 'hanging') ?? listLevel?.hanging ?? 360) : 0
+
+  const makeParagraph = (runs: TextRun[], isFirst: boolean): ParagraphBlock => ({
+    type: 'paragraph',
+    runs,
+    align: readAlign(pPr) || style.align || 'left',
+    // For list items this is where the marker goes
+    indent: Math.max(0, left - hanging) / TWIPS_PER_POINT,
+    listMarker: isFirst ? listMarker : null,
+    headingLevel,
+    spaceBefore: contextualSpacing ? 0 : readSpacing('before', headingLevel > 0 ? 12 : 0),
+    spaceAfter: contextualSpacing ? 0 : readSpacing('after', headingLevel > 0 ? 4 : DEFAULT_SPACE_AFTER)
+  })
+
+  // Pictures and page breaks split the paragraph into several blocks
+  const blocks: DocumentBlock[] = []
+  let runs: TextRun[] = []
+  let emittedParagraph = false
+
+  const flushText = (force: boolean) => {
+    if (runs.length === 0 && !force) return
+    blocks.push(makeParagraph(runs, !emittedParagraph))
+    emittedParagraph = true
+    runs = []
+  }
+
+  const addImage = async (relId: string | null, extent: Element | null) => {
+    if (!relId) return
+    const data = await readImage(ctx, relId)
+    const format = data ? detectImageFormat(data) : null
+
+    if (!data || !format) {
+      console.warn(`⚠️ [DOCX] Skipping unsupported image ${relId}`)
+      return
+    }
+
+    flushText(false)
+    blocks.push({
+      type: 'image',
+      data,
+      format,
+      width: Number(extent?.getAttribute('cx')) / EMUS_PER_POINT || 0,
+      height: Number(extent?.getAttribute('cy')) / EMUS_PER_POINT || 0
+    })
+  }
+
+  const walk = async (el: Element, charStyle: RunStyle): Promise<void> => {
+    for (const node of childElements(el)) {
+      switch (node.localName) {
+        case 'pPr':
+        case 'rPr':
+        case 'del':
+        case 'instrText':
+          break
+
+        case 'AlternateContent': {
+          // Choice and Fallback hold the same content; read it once
+          const choice = firstChild(node, 'Choice') || firstChild(node, 'Fallback')
+          if (choice) await walk(choice, charStyle)
+          break
+        }
+
+        case 'r': {
+          const rPr = firstChild(node, 'rPr')
+          const runStyle = mergeRunStyles(
+            paragraphRun,
+            charStyle,
+            resolveStyle(ctx, wAttr(firstChild(rPr, 'rStyle'), 'val')).run,
+            readRunStyle(rPr)
+          )
+
+          const pushText = (text: string) => {
+            runs.push({
+              text,
+              bold: !!runStyle.bold,
+              italic: !!runStyle.italic,
+              underline: !!runStyle.underline,
+              fontSize: runStyle.fontSize || ctx.defaultFontSize
+            })
+          }
+
+          for (const part of childElements(node)) {
+            if (part.localName === 't') {
+              pushText(part.textContent || '')
+            } else if (part.localName === 'tab') {
+              pushText('    ')
+            } else if (part.localName === 'cr') {
+              pushText('\n')
+            } else if (part.localName === 'br') {
+              if (wAttr(part, 'type') === 'page') {
+                flushText(false)
+                blocks.push({ type: 'pageBreak' })
+              } else {
+                pushText('\n')
+              }
+            } else if (part.localName === 'drawing') {
+              const blip = findDescendant(part, 'blip')
+              await addImage(blip?.getAttributeNS(R_NS, 'embed') || null, findDescendant(part, 'extent'))
+            } else if (part.localName === 'pict') {
+              const imageData = findDescendant(part, 'imagedata')
+              await addImage(imageData?.getAttributeNS(R_NS, 'id') || null, null)
+            } else if (part.localName === 'AlternateContent') {
+              const choice = firstChild(part, 'Choice') || firstChild(part, 'Fallback')
+              const blip = choice ? findDescendant(choice, 'blip') : null
+              if (blip) await addImage(blip.getAttributeNS(R_NS, 'embed'), findDescendant(choice!, 'extent'))
+            }
+          }
+          break
+        }
+
+        default:
+          // Hyperlinks, insertions, content controls, smart tags, simple fields
+          await walk(node, charStyle)
+      }
+    }
+  }
+
+  if (toggleValue(firstChild(pPr, 'pageBreakBefore'))) {
+    blocks.push({ type: 'pageBreak' })
+  }
+
+  await walk(p, {})
+
+  // An empty paragraph is still a blank line; one holding only a picture isn't
+  flushText(!emittedParagraph && blocks.every(block => block.type === 'pageBreak'))
+
+  return blocks
+}
+
+async function parseTable(ctx: ParseContext, tbl: Element): Promise<TableBlock> {
+  const columnWidths = childElements(firstChild(tbl, 'tblGrid') || tbl, 'gridCol')
+    .map(col => Number(wAttr(col, 'w')) || 0)
+
+  const rows: TableCell[][] = []
+
+  for (const tr of childElements(tbl, 'tr')) {
+    const cells: TableCell[] = []
+
+    for (const tc of childElements(tr, 'tc')) {
+      const tcPr = firstChild(tc, 'tcPr')
+      const span = Number(wAttr(firstChild(tcPr, 'gridSpan'), 'val')) || 1
+      const vMerge = firstChild(tcPr, 'vMerge')
+      const paragraphs: ParagraphBlock[] = []
+
+      // Vertically merged continuation cells repeat nothing
+      if (!vMerge || wAttr(vMerge, 'val') === 'restart') {
+        for (const block of await parseBlocks(ctx, tc)) {
+          if (block.type === 'paragraph') paragraphs.push(block)
+          if (block.type === 'table') paragraphs.push(...flattenTable(block))
+        }
+      }
+
+      cells.push({ span, paragraphs })
+    }
+
+    rows.push(cells)
+  }
+
+  return { type: 'table', columnWidths, rows }
+}
+
+// Nested tables are rare; print their rows as plain lines inside the cell
+function flattenTable(table: TableBlock): ParagraphBlock[] {
+  return table.rows.map(row => {
+    const runs: TextRun[] = row.flatMap((cell, i) => {
+      const cellRuns = cell.paragraphs.flatMap(p => p.runs)
+      if (i === 0) return cellRuns
+      const separator = { ...(cellRuns[0] || row[0].paragraphs[0]?.runs[0]), text: ' | ' }
+      return separator.fontSize ? [separator, ...cellRuns] : cellRuns
+    })
+    return {
+      type: 'paragraph',
+      runs,
+      align: 'left',
+      indent: 0,
+      listMarker: null,
+      headingLevel: 0,
+      spaceBefore: 0,
+      spaceAfter: 0
+    } as ParagraphBlock
+  })
+}
+
+async function parseBlocks(ctx: ParseContext, container: Element): Promise<DocumentBlock[]> {
+  const blocks: DocumentBlock[] = []
+
+  for (const el of childElements(container)) {
+    if (el.localName === 'p') {
+      blocks.push(...await parseParagraph(ctx, el))
+    } else if (el.localName === 'tbl') {
+      blocks.push(await parseTable(ctx, el))
+    } else if (el.localName === 'sdt') {
+      const content = firstChild(el, 'sdtContent')
+      if (content) blocks.push(...await parseBlocks(ctx, content))
+    }
+  }
+
+  return blocks
+}
+
+/**
+ * Parse a .docx file into document blocks
+ */
+export async function parseDocx(bytes: Uint8Array): Promise<DocumentBlock[]> {
+  const archive = new ZipArchive(bytes)
+
+  const documentXml = await archive.readText('word/document.xml')
+  if (!documentXml) {
+    throw new Error('This is not a Word document (word/document.xml is missing)')
+  }
+
+  const { styles, defaultFontSize, defaultParagraphStyle } = parseStyles(await archive.readText('word/styles.xml'))
+
+  const ctx: ParseContext = {
+    archive,
+    styles,
+    defaultFontSize,
+    defaultParagraphStyle,
+    relationships: parseRelationships(await archive.readText('word/_rels/document.xml.rels')),
+    numbering: parseNumbering(await archive.readText('word/numbering.xml')),
+    listCounters: new Map(),
+    images: new Map()
+  }
+
+  const body = firstChild(parseXml(documentXml).documentElement, 'body')
+  if (!body) return []
+
+  return parseBlocks(ctx, body)
+}
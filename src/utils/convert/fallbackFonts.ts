@@ -0,0 +1,70 @@
+/**
+ * Fallback Fonts
+ *
+ * Noto fonts for text the standard PDF fonts can't print (they only cover
+ * WinAnsi): Noto Sans for the rest of Latin, Greek, Cyrillic and symbols
+ * such as ₹, plus one font per Indian script. pdfLayout only downloads the
+ * ones a document needs. There is just the regular weight of each, so bold
+ * and italic text in these fonts prints upright.
+ */
+
+import notoSansUrl from '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf?url'
+import devanagariUrl from '@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf?url'
+import bengaliUrl from '@expo-google-fonts/noto-sans-bengali/400Regular/NotoSansBengali_400Regular.ttf?url'
+import gurmukhiUrl from '@expo-google-fonts/noto-sans-gurmukhi/400Regular/NotoSansGurmukhi_400Regular.ttf?url'
+import gujaratiUrl from '@expo-google-fonts/noto-sans-gujarati/400Regular/NotoSansGujarati_400Regular.ttf?url'
+import tamilUrl from '@expo-google-fonts/noto-sans-tamil/400Regular/NotoSansTamil_400Regular.ttf?url'
+import teluguUrl from '@expo-google-fonts/noto-sans-telugu/400Regular/NotoSansTelugu_400Regular.ttf?url'
+import kannadaUrl from '@expo-google-fonts/noto-sans-kannada/400Regular/NotoSansKannada_400Regular.ttf?url'
+import malayalamUrl from '@expo-google-fonts/noto-sans-malayalam/400Regular/NotoSansMalayalam_400Regular.ttf?url'
+
+export interface FallbackFont {
+  name: string
+  script: RegExp | null     // Characters this font is for; null = any
+  url: string
+}
+
+export type FallbackFontLoader = (font: FallbackFont) => Promise<ArrayBuffer | Uint8Array>
+
+// Script fonts first: Noto Sans takes whatever they don't
+export const FALLBACK_FONTS: FallbackFont[] = [
+  { name: 'Noto Sans Devanagari', script: /\p{scx=Devanagari}/u, url: devanagariUrl },
+  { name: 'Noto Sans Bengali', script: /\p{scx=Bengali}/u, url: bengaliUrl },
+  { name: 'Noto Sans Gurmukhi', script: /\p{scx=Gurmukhi}/u, url: gurmukhiUrl },
+  { name: 'Noto Sans Gujarati', script: /\p{scx=Gujarati}/u, url: gujaratiUrl },
+  { name: 'Noto Sans Tamil', script: /\p{scx=Tamil}/u, url: tamilUrl },
+  { name: 'Noto Sans Telugu', script: /\p{scx=Telugu}/u, url: teluguUrl },
+  { name: 'Noto Sans Kannada', script: /\p{scx=Kannada}/u, url: kannadaUrl },
+  { name: 'Noto Sans Malayalam', script: /\p{scx=Malayalam}/u, url: malayalamUrl },
+  { name: 'Noto Sans', script: null, url: notoSansUrl }
+]
+
+/**
+ * Fallback fonts for a set of characters, one per character at most: its
+ * script's font, or Noto Sans if it has none. Characters shared by several
+ * scripts (e.g. the danda) reuse a font that's already picked rather than
+ * adding another.
+ */
+export function pickFallbackFonts(characters: string[]): FallbackFont[] {
+  const anyScript = FALLBACK_FONTS.filter(font => !font.script)
+  const picked: FallbackFont[] = []
+
+  for (const char of characters) {
+    const forScript = FALLBACK_FONTS.filter(font => font.script?.test(char))
+    const candidates = forScript.length > 0 ? forScript : anyScript
+    if (!candidates.some(font => picked.includes(font))) {
+      picked.push(candidates[0])
+    }
+  }
+
+  // Keep FALLBACK_FONTS order so script fonts are tried before Noto Sans
+  return FALLBACK_FONTS.filter(font => picked.includes(font))
+}
+
+export const loadFallbackFont: FallbackFontLoader = async font => {
+  const response = await fetch(font.url)
+  if (!response.ok) {
+    throw new Error(`Couldn't load the ${font.name} font (${response.status})`)
+  }
+  return response.arrayBuffer()
+}
@@ -0,0 +1,162 @@
+/**
+ * Document Conversion
+ *
+ * Turns Word (.docx) and plain-text uploads into a paginated PDF on the
+ * chosen paper size. The result is an ordinary PDF File, so it goes through
+ * the same pdf2 DocumentLoader, page selector and recipe path as any PDF.
+ *
+ * Usage:
+ *   const { pdfFile, pageCount } = await convertDocumentToPdf(file, {
+ *     pageSize: getPageSize('A4'),
+ *     onProgress: (progress, message) => ...
+ *   })
+ */
+
+import { parseDocx } from './docxParser'
+import { layoutDocument } from './pdfLayout'
+import { ConversionPageSize, ConversionProgressCallback, DocumentBlock, ParagraphBlock } from './types'
+
+export type {
+  TextAlign,
+  TextRun,
+  ParagraphBlock,
+  ImageBlock,
+  TableCell,
+  TableBlock,
+  PageBreakBlock,
+  DocumentBlock,
+  ConversionPageSize,
+  ConversionProgressCallback
+} from './types'
+export { parseDocx } from './docxParser'
+export { layoutDocument, UnsupportedCharactersError } from './pdfLayout'
+export type { LayoutOptions } from './pdfLayout'
+export { ZipArchive } from './zipReader'
+
+export type ConvertibleDocumentType = 'docx' | 'doc' | 'txt'
+
+export interface ConvertDocumentOptions {
+  pageSize: ConversionPageSize
+  onProgress?: ConversionProgressCallback
+}
+
+export interface ConvertDocumentResult {
+  pdfFile: File
+  pageCount: number
+}
+
+const TEXT_FONT_SIZE = 10
+const TAB_WIDTH = 4
+
+const MIME_TYPES: Record<string, ConvertibleDocumentType> = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'text/plain': 'txt'
+}
+
+/**
+ * Detect a document type we can convert, by MIME type or extension
+ * (Windows often reports an empty type for .docx)
+ */
+export function getConvertibleType(file: File): ConvertibleDocumentType | null {
+  if (MIME_TYPES[file.type]) return MIME_TYPES[file.type]
+
+  const extension = file.name.split('.').pop()?.toLowerCase()
+  if (extension === 'docx' || extension === 'doc' || extension === 'txt') {
+    return extension
+  }
+  return null
+}
+
+export function isConvertibleDocument(file: File): boolean {
+  return getConvertibleType(file) !== null
+}
+
+/**
+ * Plain text: monospaced so hand-aligned columns survive, form feeds
+ * start a new page
+ */
+export function textToBlocks(text: string): DocumentBlock[] {
+  const blocks: DocumentBlock[] = []
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+
+  normalized.split('\f').forEach((pageText, pageIndex) => {
+    if (pageIndex > 0) blocks.push({ type: 'pageBreak' })
+
+    for (const line of pageText.split('\n')) {
+      const paragraph: ParagraphBlock = {
+        type: 'paragraph',
+        runs: [{
+          text: line.replace(/\t/g, ' '.repeat(TAB_WIDTH)),
+          bold: false,
+          italic: false,
+          underline: false,
+          fontSize: TEXT_FONT_SIZE
+        }],
+        align: 'left',
+        indent: 0,
+        listMarker: null,
+        headingLevel: 0,
+        spaceBefore: 0,
+        spaceAfter: 0,
+        monospace: true
+      }
+      blocks.push(paragraph)
+    }
+  })
+
+  return blocks
+}
+
+/**
+ * Convert a .docx or .txt file into a PDF File
+ */
+export async function convertDocumentToPdf(
+  file: File,
+  options: ConvertDocumentOptions
+): Promise<ConvertDocumentResult> {
+  const { pageSize, onProgress } = options
+  const type = getConvertibleType(file)
+
+  if (type === 'doc') {
+    throw new Error('Old Word (.doc) files can\'t be converted here. Save it as .docx or PDF in Word and upload it again.')
+  }
+  if (!type) {
+    throw new Error(`Unsupported document type: ${file.name}`)
+  }
+
+  console.log(`📝 [Convert] ${type.toUpperCase()} → PDF: ${file.name}`)
+  onProgress?.(5, 'Reading document...')
+
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  const blocks = type === 'docx'
+    ? await parseDocx(bytes)
+    : textToBlocks(new TextDecoder('utf-8').decode(bytes))
+
+  onProgress?.(30, 'Laying out pages...')
+
+  // Long text files have thousands of blocks; only report whole-percent steps
+  let lastProgress = 30
+  const doc = await layoutDocument(blocks, {
+    pageSize,
+    onProgress: (done, total) => {
+      const progress = 30 + Math.round((done / total) * 60)
+      if (progress > lastProgress) {
+        lastProgress = progress
+        onProgress?.(progress, 'Laying out pages...')
+      }
+    }
+  })
+
+  onProgress?.(95, 'Finalizing PDF...')
+  const pdfBytes = await doc.save()
+  const pageCount = doc.getPageCount()
+
+  console.log(`✅ [Convert] ${file.name} → ${pageCount} page(s)`)
+  onProgress?.(100, 'Conversion complete!')
+
+  return {
+    pdfFile: new File([new Uint8Array(pdfBytes)], file.name.replace(/\.[^.]+$/, '') + '.pdf', { type: 'application/pdf' }),
+    pageCount
+  }
+}
@@ -0,0 +1,67 @@
+import { readFile } from 'node:fs/promises'
+import { describe, expect, it } from 'vitest'
+import { FallbackFont } from './fallbackFonts'
+import { layoutDocument, UnsupportedCharactersError } from './pdfLayout'
+import { DocumentBlock } from './types'
+
+const A4 = { width: 595.28, height: 841.89 }
+
+const paragraph = (text: string, listMarker: string | null = null): DocumentBlock => ({
+  type: 'paragraph',
+  runs: [{ text, bold: false, italic: false, underline: false, fontSize: 11 }],
+  align: 'left',
+  indent: 0,
+  listMarker,
+  headingLevel: 0,
+  spaceBefore: 0,
+  spaceAfter: 0
+})
+
+// The font files from node_modules, recording which ones were asked for
+function fontLoader() {
+  const loaded: string[] = []
+  const loadFont = async (font: FallbackFont) => {
+    loaded.push(font.name)
+    const file = font.name.replace(/ /g, '')
+    const pkg = font.name.toLowerCase().replace(/ /g, '-')
+    return readFile(`node_modules/@expo-google-fonts/${pkg}/400Regular/${file}_400Regular.ttf`)
+  }
+  return { loaded, loadFont }
+}
+
+describe('layoutDocument', () => {
+  it('uses only the standard fonts for WinAnsi text', async () => {
+    const { loaded, loadFont } = fontLoader()
+    const doc = await layoutDocument([paragraph('Plain café text – “quoted”'), paragraph('Item', '•')], { pageSize: A4, loadFont })
+
+    expect(loaded).toEqual([])
+    expect(doc.getPageCount()).toBe(1)
+  })
+
+  it('embeds the fallback fonts that ₹ and Devanagari text need', async () => {
+    const { loaded, loadFont } = fontLoader()
+    const doc = await layoutDocument([
+      paragraph('Total: ₹250'),
+      paragraph('नमस्ते दुनिया। प्रिंट की कीमत ₹5 है'),
+      paragraph('Item', 'क.')
+    ], { pageSize: A4, loadFont })
+
+    expect(loaded).toEqual(['Noto Sans Devanagari', 'Noto Sans'])
+    expect((await doc.save()).length).toBeGreaterThan(0)
+  })
+
+  it('wraps long words of fallback text across lines', async () => {
+    const { loadFont } = fontLoader()
+    const doc = await layoutDocument([paragraph('₹'.repeat(8000))], { pageSize: A4, loadFont })
+
+    expect(doc.getPageCount()).toBeGreaterThan(1)
+  })
+
+  it('rejects characters that no font covers', async () => {
+    const { loadFont } = fontLoader()
+    const layout = layoutDocument([paragraph('Thanks 🙂 谢谢')], { pageSize: A4, loadFont })
+
+    await expect(layout).rejects.toBeInstanceOf(UnsupportedCharactersError)
+    await expect(layout).rejects.toMatchObject({ characters: ['🙂', '谢'] })
+  })
+})
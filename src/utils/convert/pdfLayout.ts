@@ -0,0 +1,589 @@
+/**
+ * PDF Layout
+ *
+ * Flows document blocks onto pages of the chosen paper size with pdf-lib:
+ * word-wrapped rich text, list markers, tables that continue across pages
+ * and pictures scaled to fit. Uses the standard PDF fonts, which only
+ * cover WinAnsi (Latin) text, and embeds Noto fallback fonts (see
+ * fallbackFonts.ts) for characters such as ₹ or Devanagari. Text that no
+ * font covers (e.g. emoji, Chinese) is rejected with
+ * UnsupportedCharactersError rather than printed as '?'.
+ */
+
+// @pdf-lib/fontkit shapes Indic scripts with a generator compiled for a
+// global regeneratorRuntime
+import 'regenerator-runtime/runtime'
+import fontkit from '@pdf-lib/fontkit'
+import { PDFDocument, PDFFont, PDFPage, StandardFonts, rgb } from 'pdf-lib'
+import { FallbackFontLoader, loadFallbackFont, pickFallbackFonts } from './fallbackFonts'
+import {
+  ConversionPageSize,
+  DocumentBlock,
+  ImageBlock,
+  ParagraphBlock,
+  TableBlock,
+  TextRun
+} from './types'
+
+export interface LayoutOptions {
+  pageSize: ConversionPageSize
+  margin?: number
+  onProgress?: (done: number, total: number) => void
+  loadFont?: FallbackFontLoader   // Fetches the font file by default
+}
+
+const DEFAULT_MARGIN = 56          // ~2 cm
+const LINE_HEIGHT = 1.2
+const LIST_MARKER_GAP = 6
+const MIN_LIST_INDENT = 18
+const CELL_PADDING = 4
+const TABLE_BORDER = rgb(0.6, 0.6, 0.6)
+const TEXT_COLOR = rgb(0, 0, 0)
+
+interface FontSet {
+  regular: PDFFont
+  bold: PDFFont
+  italic: PDFFont
+  boldItalic: PDFFont
+  mono: PDFFont
+  fallbacks: PDFFont[]    // Tried in order for characters the above lack
+}
+
+interface Segment {
+  text: string
+  font: PDFFont
+  size: number
+  underline: boolean
+  width: number
+}
+
+interface Line {
+  segments: Segment[]
+  height: number
+  ascent: number
+  x: number           // Offset from the block's left edge
+  marker?: Segment[]
+  markerX?: number
+}
+
+// Characters shown in the error message, at most
+const MAX_REPORTED_CHARACTERS = 5
+
+// Invisible characters (byte order marks, zero-width spaces, control codes)
+// print as nothing, whatever the font
+const INVISIBLE_CHARACTER = /[\p{Cc}\p{Cf}]/u
+
+// Combining marks and joiners belong with the character before them
+const ATTACHED_CHARACTER = /[\p{M}\u200C\u200D]/u
+
+// A character with the marks after it, which must not be split apart
+const CLUSTER = /.\p{M}*/gsu
+
+export class UnsupportedCharactersError extends Error {
+  characters: string[]
+
+  constructor(characters: string[]) {
+    const sample = characters.slice(0, MAX_REPORTED_CHARACTERS).map(char => `"${char}"`).join(', ')
+    super(
+      `This document has characters that can't be converted here (${sample}). ` +
+      'Save it as PDF and upload the PDF instead.'
+    )
+    this.name = 'UnsupportedCharactersError'
+    this.characters = characters
+  }
+}
+
+// ============================================
+// TEXT
+// ============================================
+
+const charsetCache = new WeakMap<PDFFont, Set<number>>()
+
+function getCharset(font: PDFFont): Set<number> {
+  let charset = charsetCache.get(font)
+  if (!charset) {
+    charset = new Set(font.getCharacterSet())
+    charsetCache.set(font, charset)
+  }
+  return charset
+}
+
+// Drop invisible characters; layoutDocument() has already rejected text
+// with anything else no font can encode
+function encodable(text: string, font: PDFFont): string {
+  const charset = getCharset(font)
+
+  let result = ''
+  for (const char of text) {
+    const code = char.codePointAt(0)!
+    if (code === 0x20 || charset.has(code)) {
+      result += char
+    } else if (!INVISIBLE_CHARACTER.test(char)) {
+      result += '?'
+    }
+  }
+  return result
+}
+
+function collectParagraphs(blocks: DocumentBlock[]): ParagraphBlock[] {
+  return blocks.flatMap(block => {
+    if (block.type === 'paragraph') return [block]
+    if (block.type === 'table') return block.rows.flat().flatMap(cell => cell.paragraphs)
+    return []
+  })
+}
+
+/**
+ * Visible characters in the blocks that none of the fonts can encode, each once
+ */
+function findUnsupportedCharacters(blocks: DocumentBlock[], fonts: PDFFont[]): string[] {
+  const charsets = fonts.map(getCharset)
+  const unsupported = new Set<string>()
+
+  for (const paragraph of collectParagraphs(blocks)) {
+    const texts = paragraph.runs.map(run => run.text)
+    if (paragraph.listMarker) texts.push(paragraph.listMarker)
+
+    for (const text of texts) {
+      for (const char of text.normalize('NFC')) {
+        const code = char.codePointAt(0)!
+        if (code !== 0x20 && !charsets.some(charset => charset.has(code)) &&
+            !/\s/.test(char) && !INVISIBLE_CHARACTER.test(char)) {
+          unsupported.add(char)
+        }
+      }
+    }
+  }
+
+  return Array.from(unsupported)
+}
+
+function pickFont(fonts: FontSet, run: TextRun, monospace: boolean): PDFFont {
+  if (monospace) return fonts.mono
+  if (run.bold && run.italic) return fonts.boldItalic
+  if (run.bold) return fonts.bold
+  if (run.italic) return fonts.italic
+  return fonts.regular
+}
+
+function makeSegment(text: string, font: PDFFont, size: number, underline: boolean): Segment {
+  const safe = encodable(text, font)
+  return { text: safe, font, size, underline, width: font.widthOfTextAtSize(safe, size) }
+}
+
+/**
+ * Split text into pieces that each use one font: the styled font where it
+ * has the character, otherwise the first fallback that does
+ */
+function splitByFont(text: string, font: PDFFont, fallbacks: PDFFont[]): { text: string; font: PDFFont }[] {
+  if (fallbacks.length === 0) return [{ text, font }]
+
+  const fonts = [font, ...fallbacks]
+  const pieces: { text: string; font: PDFFont }[] = []
+
+  for (const char of text) {
+    const code = char.codePointAt(0)!
+    const last = pieces[pieces.length - 1]
+
+    let charFont = fonts.find(candidate => getCharset(candidate).has(code)) || font
+    if (last && ATTACHED_CHARACTER.test(char) && getCharset(last.font).has(code)) {
+      charFont = last.font
+    }
+
+    if (last && last.font === charFont) {
+      last.text += char
+    } else {
+      pieces.push({ text: char, font: charFont })
+    }
+  }
+
+  return pieces
+}
+
+/**
+ * Break a paragraph into lines no wider than maxWidth
+ */
+function layoutParagraph(paragraph: ParagraphBlock, maxWidth: number, fonts: FontSet): Line[] {
+  const monospace = !!paragraph.monospace
+  const baseSize = paragraph.runs[0]?.fontSize || 11
+
+  const toSegments = (text: string, font: PDFFont, size: number, underline: boolean): Segment[] =>
+    splitByFont(text, font, fonts.fallbacks).map(piece => makeSegment(piece.text, piece.font, size, underline))
+
+  // List items hang their text after the marker
+  let textIndent = paragraph.indent
+  let marker: Segment[] | undefined
+  if (paragraph.listMarker) {
+    const markerFont = monospace ? fonts.mono : fonts.regular
+    marker = toSegments(paragraph.listMarker.normalize('NFC'), markerFont, baseSize, false)
+    const markerWidth = marker.reduce((sum, seg) => sum + seg.width, 0)
+    textIndent = paragraph.indent + Math.max(MIN_LIST_INDENT, markerWidth + LIST_MARKER_GAP)
+  }
+
+  const width = Math.max(maxWidth - textIndent, baseSize * 2)
+  const lines: Line[] = []
+  let current: Segment[] = []
+  let currentWidth = 0
+
+  const pushLine = () => {
+    // Trailing spaces don't count towards alignment
+    while (current.length > 0 && current[current.length - 1].text.trim() === '') {
+      currentWidth -= current.pop()!.width
+    }
+
+    const size = current.reduce((max, seg) => Math.max(max, seg.size), current.length > 0 ? 0 : baseSize)
+    let x = textIndent
+    if (paragraph.align === 'center') x += (width - currentWidth) / 2
+    if (paragraph.align === 'right') x += width - currentWidth
+
+    // One drawText per style change rather than per word
+    const segments: Segment[] = []
+    for (const seg of current) {
+      const last = segments[segments.length - 1]
+      if (last && last.font === seg.font && last.size === seg.size && last.underline === seg.underline) {
+        segments[segments.length - 1] = { ...last, text: last.text + seg.text, width: last.width + seg.width }
+      } else {
+        segments.push(seg)
+      }
+    }
+
+    lines.push({ segments, height: size * LINE_HEIGHT, ascent: size, x })
+    current = []
+    currentWidth = 0
+  }
+
+  const push = (segment: Segment) => {
+    current.push(segment)
+    currentWidth += segment.width
+  }
+
+  // A word is one segment per font it uses, kept on one line
+  const addWord = (word: Segment[]) => {
+    const wordWidth = word.reduce((sum, seg) => sum + seg.width, 0)
+    const isSpace = word.every(seg => seg.text.trim() === '')
+
+    // No leading spaces on wrapped lines
+    if (isSpace && current.length === 0 && lines.length > 0) return
+
+    if (currentWidth + wordWidth > width && current.length > 0) {
+      pushLine()
+      if (isSpace) return
+    }
+
+    if (wordWidth <= width) {
+      word.forEach(push)
+      return
+    }
+
+    // A single word wider than the line is split between characters,
+    // keeping combining marks with their base character
+    for (const segment of word) {
+      let chunk = ''
+      for (const cluster of segment.text.match(CLUSTER) || []) {
+        const next = chunk + cluster
+        if (currentWidth + segment.font.widthOfTextAtSize(next, segment.size) > width && (chunk || current.length > 0)) {
+          if (chunk) push(makeSegment(chunk, segment.font, segment.size, segment.underline))
+          pushLine()
+          chunk = cluster
+        } else {
+          chunk = next
+        }
+      }
+      if (chunk) push(makeSegment(chunk, segment.font, segment.size, segment.underline))
+    }
+  }
+
+  for (const run of paragraph.runs) {
+    const font = pickFont(fonts, run, monospace)
+    const parts = run.text.normalize('NFC').split('\n')
+
+    parts.forEach((part, index) => {
+      if (index > 0) pushLine()
+      for (const token of part.match(/\s+|\S+/g) || []) {
+        addWord(toSegments(token, font, run.fontSize, run.underline))
+      }
+    })
+  }
+
+  if (current.length > 0 || lines.length === 0) {
+    pushLine()
+  }
+
+  if (marker) {
+    lines[0].marker = marker
+    lines[0].markerX = paragraph.indent
+  }
+
+  return lines
+}
+
+function drawLine(page: PDFPage, line: Line, left: number, top: number): void {
+  const baseline = top - line.ascent
+
+  if (line.marker) {
+    let markerX = left + line.markerX!
+    for (const segment of line.marker) {
+      page.drawText(segment.text, { x: markerX, y: baseline, size: segment.size, font: segment.font, color: TEXT_COLOR })
+      markerX += segment.width
+    }
+  }
+
+  let x = left + line.x
+  for (const segment of line.segments) {
+    page.drawText(segment.text, { x, y: baseline, size: segment.size, font: segment.font, color: TEXT_COLOR })
+
+    if (segment.underline && segment.text.trim() !== '') {
+      page.drawLine({
+        start: { x, y: baseline - segment.size * 0.12 },
+        end: { x: x + segment.width, y: baseline - segment.size * 0.12 },
+        thickness: Math.max(0.5, segment.size / 18),
+        color: TEXT_COLOR
+      })
+    }
+
+    x += segment.width
+  }
+}
+
+// ============================================
+// PAGE FLOW
+// ============================================
+
+class PageWriter {
+  private doc: PDFDocument
+  private pageSize: ConversionPageSize
+  readonly margin: number
+  page!: PDFPage
+  y = 0
+  private isEmpty = true
+
+  constructor(doc: PDFDocument, pageSize: ConversionPageSize, margin: number) {
+    this.doc = doc
+    this.pageSize = pageSize
+    this.margin = margin
+    this.newPage()
+  }
+
+  get contentWidth(): number {
+    return this.pageSize.width - this.margin * 2
+  }
+
+  get contentHeight(): number {
+    return this.pageSize.height - this.margin * 2
+  }
+
+  get remaining(): number {
+    return this.y - this.margin
+  }
+
+  get atPageTop(): boolean {
+    return this.isEmpty
+  }
+
+  newPage(): void {
+    this.page = this.doc.addPage([this.pageSize.width, this.pageSize.height])
+    this.y = this.pageSize.height - this.margin
+    this.isEmpty = true
+  }
+
+  // Start a new page unless `height` still fits (or the page is blank anyway)
+  reserve(height: number): void {
+    if (height > this.remaining && !this.isEmpty) {
+      this.newPage()
+    }
+  }
+
+  // Vertical gaps are dropped at the top of a page
+  space(height: number): void {
+    if (this.isEmpty) return
+    this.y -= Math.min(height, this.remaining)
+  }
+
+  advance(height: number): void {
+    this.y -= height
+    this.isEmpty = false
+  }
+}
+
+function writeParagraph(writer: PageWriter, paragraph: ParagraphBlock, fonts: FontSet): void {
+  writer.space(paragraph.spaceBefore)
+
+  for (const line of layoutParagraph(paragraph, writer.contentWidth, fonts)) {
+    writer.reserve(line.height)
+    drawLine(writer.page, line, writer.margin, writer.y)
+    writer.advance(line.height)
+  }
+
+  writer.space(paragraph.spaceAfter)
+}
+
+async function writeImage(writer: PageWriter, doc: PDFDocument, block: ImageBlock): Promise<void> {
+  const image = block.format === 'png' ? await doc.embedPng(block.data) : await doc.embedJpg(block.data)
+
+  // Fall back to the pixel size when the document didn't record one
+  const width = block.width || image.width * 0.75
+  const height = block.height || image.height * 0.75
+  const scale = Math.min(1, writer.contentWidth / width, writer.contentHeight / height)
+
+  writer.reserve(height * scale)
+  writer.page.drawImage(image, {
+    x: writer.margin,
+    y: writer.y - height * scale,
+    width: width * scale,
+    height: height * scale
+  })
+  writer.advance(height * scale)
+  writer.space(6)
+}
+
+function writeTable(writer: PageWriter, table: TableBlock, fonts: FontSet): void {
+  const columnCount = Math.max(
+    table.columnWidths.length,
+    ...table.rows.map(row => row.reduce((sum, cell) => sum + cell.span, 0))
+  )
+  if (columnCount === 0) return
+
+  // Scale the document's grid to the content width; equal columns if it has none
+  const grid = Array.from({ length: columnCount }, (_, i) => table.columnWidths[i] || 0)
+  const gridTotal = grid.reduce((sum, w) => sum + w, 0)
+  const columns = grid.map(w => gridTotal > 0 && w > 0
+    ? (w / gridTotal) * writer.contentWidth
+    : writer.contentWidth / columnCount)
+
+  for (const row of table.rows) {
+    if (row.length === 0) continue
+
+    let column = 0
+    const cells = row.map(cell => {
+      const x = columns.slice(0, column).reduce((sum, w) => sum + w, 0)
+      const width = columns.slice(column, column + cell.span).reduce((sum, w) => sum + w, 0)
+      column += cell.span
+
+      const lines = cell.paragraphs.flatMap((paragraph, i) => {
+        const laidOut = layoutParagraph({ ...paragraph, spaceBefore: 0 }, width - CELL_PADDING * 2, fonts)
+        // Keep the paragraph gap between paragraphs of the same cell
+        if (i < cell.paragraphs.length - 1 && paragraph.spaceAfter > 0) {
+          laidOut.push({ segments: [], height: Math.min(paragraph.spaceAfter, 6), ascent: 0, x: 0 })
+        }
+        return laidOut
+      })
+
+      return { x, width, lines }
+    })
+
+    // Rows taller than the space left continue on the next page
+    const rowHeight = Math.max(...cells.map(cell => cell.lines.reduce((sum, line) => sum + line.height, 0))) + CELL_PADDING * 2
+    writer.reserve(Math.min(rowHeight, writer.contentHeight))
+
+    while (cells.some(cell => cell.lines.length > 0)) {
+      const available = writer.remaining - CELL_PADDING * 2
+      let sliceHeight = 0
+
+      for (const cell of cells) {
+        let used = 0
+        let top = writer.y - CELL_PADDING
+
+        while (cell.lines.length > 0 && (used + cell.lines[0].height <= available || used === 0)) {
+          const line = cell.lines.shift()!
+          drawLine(writer.page, line, writer.margin + cell.x + CELL_PADDING, top)
+          top -= line.height
+          used += line.height
+        }
+
+        sliceHeight = Math.max(sliceHeight, used)
+      }
+
+      sliceHeight += CELL_PADDING * 2
+      for (const cell of cells) {
+        writer.page.drawRectangle({
+          x: writer.margin + cell.x,
+          y: writer.y - sliceHeight,
+          width: cell.width,
+          height: sliceHeight,
+          borderColor: TABLE_BORDER,
+          borderWidth: 0.5
+        })
+      }
+
+      writer.advance(sliceHeight)
+      if (cells.some(cell => cell.lines.length > 0)) {
+        writer.newPage()
+      }
+    }
+  }
+
+  writer.space(8)
+}
+
+/**
+ * Embed the fallback fonts for characters the standard fonts lack.
+ * Whole fonts rather than subsets, so fontkit can shape scripts whose
+ * letters combine (Devanagari conjuncts, vowel signs).
+ */
+async function embedFallbackFonts(
+  doc: PDFDocument,
+  characters: string[],
+  loadFont: FallbackFontLoader
+): Promise<PDFFont[]> {
+  const needed = pickFallbackFonts(characters)
+  if (needed.length === 0) return []
+
+  doc.registerFontkit(fontkit)
+
+  const embedded: PDFFont[] = []
+  for (const font of needed) {
+    embedded.push(await doc.embedFont(await loadFont(font), { subset: false }))
+  }
+  return embedded
+}
+
+/**
+ * Lay out blocks into a new PDF document.
+ * Throws UnsupportedCharactersError for text that no font can print.
+ */
+export async function layoutDocument(blocks: DocumentBlock[], options: LayoutOptions): Promise<PDFDocument> {
+  const doc = await PDFDocument.create()
+
+  const regular = await doc.embedFont(StandardFonts.Helvetica)
+
+  // Every standard font shares the WinAnsi character set
+  const fallbacks = await embedFallbackFonts(
+    doc,
+    findUnsupportedCharacters(blocks, [regular]),
+    options.loadFont ?? loadFallbackFont
+  )
+
+  const unsupported = findUnsupportedCharacters(blocks, [regular, ...fallbacks])
+  if (unsupported.length > 0) {
+    throw new UnsupportedCharactersError(unsupported)
+  }
+
+  const fonts: FontSet = {
+    regular,
+    bold: await doc.embedFont(StandardFonts.HelveticaBold),
+    italic: await doc.embedFont(StandardFonts.HelveticaOblique),
+    boldItalic: await doc.embedFont(StandardFonts.HelveticaBoldOblique),
+    mono: await doc.embedFont(StandardFonts.Courier),
+    fallbacks
+  }
+
+  const writer = new PageWriter(doc, options.pageSize, options.margin ?? DEFAULT_MARGIN)
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i]
+
+    if (block.type === 'paragraph') {
+      writeParagraph(writer, block, fonts)
+    } else if (block.type === 'image') {
+      await writeImage(writer, doc, block)
+    } else if (block.type === 'table') {
+      writeTable(writer, block, fonts)
+    } else if (block.type === 'pageBreak' && !writer.atPageTop) {
+      writer.newPage()
+    }
+
+    options.onProgress?.(i + 1, blocks.length)
+  }
+
+  return doc
+}
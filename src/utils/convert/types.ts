@@ -0,0 +1,58 @@
+/**
+ * Document model shared by the DOCX/TXT parsers and the PDF layout engine.
+ * All sizes are in PDF points (72 points = 1 inch).
+ */
+
+export type TextAlign = 'left' | 'center' | 'right'
+
+export interface TextRun {
+  text: string        // '\n' forces a line break
+  bold: boolean
+  italic: boolean
+  underline: boolean
+  fontSize: number
+}
+
+export interface ParagraphBlock {
+  type: 'paragraph'
+  runs: TextRun[]
+  align: TextAlign
+  indent: number              // Left indent
+  listMarker: string | null   // '•', '1.', 'a)' ...
+  headingLevel: number        // 0 = body text
+  spaceBefore: number
+  spaceAfter: number
+  monospace?: boolean
+}
+
+export interface ImageBlock {
+  type: 'image'
+  data: Uint8Array
+  format: 'png' | 'jpg'
+  width: number   // Size in the source document; scaled down to fit the page
+  height: number
+}
+
+export interface TableCell {
+  span: number    // Number of grid columns covered
+  paragraphs: ParagraphBlock[]
+}
+
+export interface TableBlock {
+  type: 'table'
+  columnWidths: number[]  // Relative; scaled to the content width
+  rows: TableCell[][]
+}
+
+export interface PageBreakBlock {
+  type: 'pageBreak'
+}
+
+export type DocumentBlock = ParagraphBlock | ImageBlock | TableBlock | PageBreakBlock
+
+export interface ConversionPageSize {
+  width: number
+  height: number
+}
+
+export type ConversionProgressCallback = (progress: number, message: string) => void
@@ -0,0 +1,100 @@
+/**
+ * ZIP fixtures for the conversion tests
+ *
+ * Writes small archives the way Office does (local headers, central
+ * directory, end record), so zipReader and docxParser can be tested
+ * without binary files in the repo. Not used by the app.
+ */
+
+export interface ZipFixtureEntry {
+  name: string
+  data: string | Uint8Array
+  method?: number             // 0 stored, 8 deflated (default); others are written as stored bytes
+  localExtra?: Uint8Array     // Extra field in the local header only
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff
+  for (const byte of data) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+async function deflateRaw(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([new Uint8Array(data)]).stream().pipeThrough(new CompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Build a ZIP archive from entries, with an optional archive comment
+ */
+export async function createZip(entries: ZipFixtureEntry[], comment = ''): Promise<Uint8Array> {
+  const encoder = new TextEncoder()
+  const localParts: Uint8Array[] = []
+  const centralParts: Uint8Array[] = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name)
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data
+    const method = entry.method ?? 8
+    const stored = method === 8 ? await deflateRaw(data) : data
+    const extra = entry.localExtra ?? new Uint8Array(0)
+
+    const local = new Uint8Array(30 + name.length + extra.length)
+    const lv = new DataView(local.buffer)
+    lv.setUint32(0, 0x04034b50, true)
+    lv.setUint16(4, 20, true)
+    lv.setUint16(8, method, true)
+    lv.setUint32(14, crc32(data), true)
+    lv.setUint32(18, stored.length, true)
+    lv.setUint32(22, data.length, true)
+    lv.setUint16(26, name.length, true)
+    lv.setUint16(28, extra.length, true)
+    local.set(name, 30)
+    local.set(extra, 30 + name.length)
+
+    const central = new Uint8Array(46 + name.length)
+    const cv = new DataView(central.buffer)
+    cv.setUint32(0, 0x02014b50, true)
+    cv.setUint16(4, 20, true)
+    cv.setUint16(6, 20, true)
+    cv.setUint16(10, method, true)
+    cv.setUint32(16, crc32(data), true)
+    cv.setUint32(20, stored.length, true)
+    cv.setUint32(24, data.length, true)
+    cv.setUint16(28, name.length, true)
+    cv.setUint32(42, offset, true)
+    central.set(name, 46)
+
+    localParts.push(local, stored)
+    centralParts.push(central)
+    offset += local.length + stored.length
+  }
+
+  const commentBytes = encoder.encode(comment)
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new Uint8Array(22 + commentBytes.length)
+  const ev = new DataView(end.buffer)
+  ev.setUint32(0, 0x06054b50, true)
+  ev.setUint16(8, entries.length, true)
+  ev.setUint16(10, entries.length, true)
+  ev.setUint32(12, centralSize, true)
+  ev.setUint32(16, offset, true)
+  ev.setUint16(20, commentBytes.length, true)
+  end.set(commentBytes, 22)
+
+  const parts = [...localParts, ...centralParts, end]
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    zip.set(part, position)
+    position += part.length
+  }
+  return zip
+}
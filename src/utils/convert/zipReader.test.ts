@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest'
+import { ZipArchive } from './zipReader'
+import { createZip } from './zipFixture'
+
+const text = 'Hello, archive. '.repeat(50)
+
+describe('ZipArchive', () => {
+  it('lists and reads stored and deflated entries', async () => {
+    const archive = new ZipArchive(await createZip([
+      { name: 'stored.txt', data: text, method: 0 },
+      { name: 'word/document.xml', data: text },
+      { name: 'word/media/résumé.txt', data: 'नमस्ते' }
+    ]))
+
+    expect(archive.getEntryNames()).toEqual(['stored.txt', 'word/document.xml', 'word/media/résumé.txt'])
+    expect(archive.has('word/document.xml')).toBe(true)
+    expect(await archive.readText('stored.txt')).toBe(text)
+    expect(await archive.readText('word/document.xml')).toBe(text)
+    expect(await archive.readText('word/media/résumé.txt')).toBe('नमस्ते')
+  })
+
+  it('returns null for entries it does not have', async () => {
+    const archive = new ZipArchive(await createZip([{ name: 'a.txt', data: 'a' }]))
+
+    expect(archive.has('b.txt')).toBe(false)
+    expect(await archive.read('b.txt')).toBeNull()
+    expect(await archive.readText('b.txt')).toBeNull()
+  })
+
+  it('returns copies of stored data', async () => {
+    const archive = new ZipArchive(await createZip([{ name: 'a.bin', data: new Uint8Array([1, 2, 3]), method: 0 }]))
+    const first = (await archive.read('a.bin'))!
+    first[0] = 9
+
+    expect(Array.from((await archive.read('a.bin'))!)).toEqual([1, 2, 3])
+  })
+
+  it('finds the end record behind an archive comment', async () => {
+    const archive = new ZipArchive(await createZip([{ name: 'a.txt', data: 'a' }], 'Made by a test'))
+
+    expect(await archive.readText('a.txt')).toBe('a')
+  })
+
+  it('skips a local extra field the central directory does not list', async () => {
+    const archive = new ZipArchive(await createZip([
+      { name: 'a.txt', data: 'after the extra field', method: 0, localExtra: new Uint8Array(12).fill(0xaa) }
+    ]))
+
+    expect(await archive.readText('a.txt')).toBe('after the extra field')
+  })
+
+  it('rejects files that are not ZIP archives', () => {
+    expect(() => new ZipArchive(new TextEncoder().encode('%PDF-1.7 not a zip at all'))).toThrow('Not a ZIP archive')
+    expect(() => new ZipArchive(new Uint8Array(0))).toThrow('Not a ZIP archive')
+  })
+
+  it('rejects compression methods Office does not write', async () => {
+    const archive = new ZipArchive(await createZip([{ name: 'a.bz2', data: 'BZh9', method: 12 }]))
+
+    await expect(archive.read('a.bz2')).rejects.toThrow('Unsupported ZIP compression method 12 for a.bz2')
+  })
+
+  it('rejects a damaged central directory or local header', async () => {
+    const zip = await createZip([{ name: 'a.txt', data: 'a', method: 0 }])
+
+    const badLocal = zip.slice()
+    badLocal[0] = 0
+    await expect(new ZipArchive(badLocal).read('a.txt')).rejects.toThrow('Corrupt ZIP entry: a.txt')
+
+    // The central directory starts after the local header and its 1 byte of data
+    const badCentral = zip.slice()
+    badCentral[30 + 'a.txt'.length + 1] = 0
+    expect(() => new ZipArchive(badCentral)).toThrow('Corrupt ZIP central directory')
+  })
+})
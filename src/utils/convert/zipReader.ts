@@ -0,0 +1,123 @@
+/**
+ * Minimal ZIP reader
+ *
+ * DOCX files are ZIP archives. Only what Office writes is supported: stored
+ * or deflated entries listed in the central directory. Inflating uses the
+ * browser's native DecompressionStream, so no archive library is bundled.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+
+export interface ZipEntry {
+  name: string
+  compressedSize: number
+  uncompressedSize: number
+  method: number
+  localHeaderOffset: number
+}
+
+export class ZipArchive {
+  private bytes: Uint8Array
+  private view: DataView
+  private entries: Map<string, ZipEntry>
+
+  constructor(bytes: Uint8Array) {
+    this.bytes = bytes
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    this.entries = this.readCentralDirectory()
+  }
+
+  has(name: string): boolean {
+    return this.entries.has(name)
+  }
+
+  getEntryNames(): string[] {
+    return Array.from(this.entries.keys())
+  }
+
+  /**
+   * Read an entry's uncompressed bytes, or null if it doesn't exist
+   */
+  async read(name: string): Promise<Uint8Array | null> {
+    const entry = this.entries.get(name)
+    if (!entry) return null
+
+    const offset = entry.localHeaderOffset
+    if (this.view.getUint32(offset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP entry: ${name}`)
+    }
+
+    // The local header repeats name and extra field with its own lengths
+    const nameLength = this.view.getUint16(offset + 26, true)
+    const extraLength = this.view.getUint16(offset + 28, true)
+    const dataStart = offset + 30 + nameLength + extraLength
+    const data = this.bytes.subarray(dataStart, dataStart + entry.compressedSize)
+
+    if (entry.method === METHOD_STORED) {
+      return data.slice()
+    }
+
+    if (entry.method === METHOD_DEFLATED) {
+      return inflateRaw(data)
+    }
+
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`)
+  }
+
+  async readText(name: string): Promise<string | null> {
+    const data = await this.read(name)
+    return data ? new TextDecoder('utf-8').decode(data) : null
+  }
+
+  private readCentralDirectory(): Map<string, ZipEntry> {
+    const eocdOffset = this.findEndOfCentralDirectory()
+    const entryCount = this.view.getUint16(eocdOffset + 10, true)
+    let offset = this.view.getUint32(eocdOffset + 16, true)
+
+    const entries = new Map<string, ZipEntry>()
+    const decoder = new TextDecoder('utf-8')
+
+    for (let i = 0; i < entryCount; i++) {
+      if (this.view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt ZIP central directory')
+      }
+
+      const method = this.view.getUint16(offset + 10, true)
+      const compressedSize = this.view.getUint32(offset + 20, true)
+      const uncompressedSize = this.view.getUint32(offset + 24, true)
+      const nameLength = this.view.getUint16(offset + 28, true)
+      const extraLength = this.view.getUint16(offset + 30, true)
+      const commentLength = this.view.getUint16(offset + 32, true)
+      const localHeaderOffset = this.view.getUint32(offset + 42, true)
+      const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+      entries.set(name, { name, compressedSize, uncompressedSize, method, localHeaderOffset })
+      offset += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+  }
+
+  private findEndOfCentralDirectory(): number {
+    // The record is 22 bytes plus an optional comment of up to 64KB
+    const minOffset = Math.max(0, this.bytes.length - 22 - 0xffff)
+
+    for (let offset = this.bytes.length - 22; offset >= minOffset; offset--) {
+      if (this.view.getUint32(offset, true) === EOCD_SIGNATURE) {
+        return offset
+      }
+    }
+
+    throw new Error('Not a ZIP archive')
+  }
+}
+
+async function inflateRaw(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([new Uint8Array(data)]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
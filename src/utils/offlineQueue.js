@@ -0,0 +1,165 @@
+// Offline support for the print agent (printAgent.js). The job cache keeps
+// fetched jobs printable without Supabase; status updates that can't be sent
+// wait in its outbox and are replayed through updateJobStatus later.
+//
+// Cache interface (desktop: electron/jobCache.cjs over IPC; otherwise kept
+// in memory for the session):
+//   putJob({ job, file })        getJob(jobId) → { job, file, printedAt } | null
+//   listJobs() → [{ job, printedAt }]            markPrinted(jobId)
+//   removeJob(jobId)
+//   queueStatusUpdate(update)    listStatusUpdates() → [update]
+//   removeStatusUpdate(jobId)
+// where update = { jobId, status, from, queuedAt, revision }, at most one per job.
+
+const TERMINAL_STATUSES = ['completed', 'collected', 'cancelled', 'failed']
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status)
+
+// Supabase reports a dropped connection only through the fetch error text
+const OFFLINE_ERROR_PATTERN = /failed to fetch|fetch failed|networkerror|network request failed|load failed|err_internet_disconnected/i
+
+export const isOfflineError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+  return OFFLINE_ERROR_PATTERN.test(error?.message || '')
+}
+
+export const createElectronJobCache = (bridge = window.electron) => bridge.jobCache
+
+export const createMemoryJobCache = () => {
+  const jobs = new Map()
+  let outbox = []
+
+  return {
+    putJob: async ({ job, file }) => {
+      jobs.set(job.id, { job, file, cachedAt: new Date().toISOString(), printedAt: jobs.get(job.id)?.printedAt || null })
+    },
+    getJob: async (jobId) => jobs.get(jobId) || null,
+    listJobs: async () => [...jobs.values()].map(({ file, ...entry }) => ({ ...entry, size: file.byteLength })),
+    markPrinted: async (jobId) => {
+      const entry = jobs.get(jobId)
+      if (entry) entry.printedAt = new Date().toISOString()
+    },
+    removeJob: async (jobId) => {
+      jobs.delete(jobId)
+    },
+    queueStatusUpdate: async (update) => {
+      const index = outbox.findIndex(u => u.jobId === update.jobId)
+      outbox = index === -1 ? [...outbox, update] : outbox.map((u, i) => i === index ? update : u)
+    },
+    listStatusUpdates: async () => outbox,
+    removeStatusUpdate: async (jobId) => {
+      outbox = outbox.filter(u => u.jobId !== jobId)
+    }
+  }
+}
+
+// Sends job status changes, or queues them while offline.
+//
+// Each update carries the status the agent last saw (from). Replaying is a
+// compare-and-set: it is applied only while the job is still in that state.
+// If the job has reached the new status already it is dropped; if it has
+// moved on otherwise (staff cancelled it, another device printed it, it was
+// deleted) it is dropped and reported through onConflict(update, job).
+// Several offline changes to one job collapse into one update.
+export const createStatusSync = ({ cache, updateJobStatus, getJobStatus, onConflict = null, onApplied = null }) => {
+  let flushing = null
+
+  const queue = async ({ jobId, status, from }) => {
+    const waiting = (await cache.listStatusUpdates()).find(u => u.jobId === jobId)
+    await cache.queueStatusUpdate({
+      jobId,
+      status,
+      from: waiting ? waiting.from : from,
+      queuedAt: waiting ? waiting.queuedAt : new Date().toISOString(),
+      revision: waiting ? waiting.revision + 1 : 1
+    })
+  }
+
+  // Drop a replayed update, unless a newer change to the job replaced it
+  // meanwhile; once applied, that one starts from the status just set
+  const settle = async (update, applied) => {
+    const current = (await cache.listStatusUpdates()).find(u => u.jobId === update.jobId)
+    if (!current) return
+
+    if (current.revision === update.revision) {
+      await cache.removeStatusUpdate(update.jobId)
+    } else if (applied) {
+      await cache.queueStatusUpdate({ ...current, from: update.status })
+    }
+  }
+
+  // { sent: true } | { queued: true } | { error }
+  const setStatus = async (jobId, status, from) => {
+    // An older change to this job is still waiting; keep them in order
+    const waiting = (await cache.listStatusUpdates()).some(u => u.jobId === jobId)
+    if (waiting) {
+      await queue({ jobId, status, from })
+      return { queued: true }
+    }
+
+    const { error } = await updateJobStatus(jobId, status)
+    if (!error) return { sent: true }
+    if (!isOfflineError(error)) return { error }
+
+    await queue({ jobId, status, from })
+    return { queued: true }
+  }
+
+  const replay = async (update) => {
+    const { data: job, error } = await getJobStatus(update.jobId)
+    if (error) return isOfflineError(error) ? 'offline' : 'retry'
+
+    if (job?.job_status === update.status) {
+      await settle(update, true)
+      onApplied?.(update)
+      return 'applied'
+    }
+    if (!job || job.job_status !== update.from) {
+      await settle(update, false)
+      onConflict?.(update, job)
+      return 'conflict'
+    }
+
+    const { error: updateError } = await updateJobStatus(update.jobId, update.status)
+    if (updateError) return isOfflineError(updateError) ? 'offline' : 'retry'
+
+    await settle(update, true)
+    onApplied?.(update)
+    return 'applied'
+  }
+
+  // Replay waiting updates, oldest first; stops at the first sign of being offline.
+  // Resolves to { applied, conflicts, waiting }
+  const flush = () => {
+    if (flushing) return flushing
+
+    flushing = (async () => {
+      const result = { applied: 0, conflicts: 0, waiting: 0 }
+      const updates = [...await cache.listStatusUpdates()].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt))
+
+      for (let i = 0; i < updates.length; i++) {
+        const outcome = await replay(updates[i])
+        if (outcome === 'offline') {
+          result.waiting += updates.length - i
+          break
+        }
+        if (outcome === 'applied') result.applied++
+        else if (outcome === 'conflict') result.conflicts++
+        else result.waiting++
+      }
+
+      if (result.applied || result.conflicts) {
+        console.log(`🔄 [StatusSync] Replayed ${result.applied} status updates, ${result.conflicts} conflicts, ${result.waiting} waiting`)
+      }
+      return result
+    })().finally(() => {
+      flushing = null
+    })
+
+    return flushing
+  }
+
+  const countWaiting = async () => (await cache.listStatusUpdates()).length
+
+  return { setStatus, flush, countWaiting }
+}
@@ -0,0 +1,93 @@
+// Client for the print server's payment API (server/payments.js).
+// payment_status is only ever changed by the server, after a verified webhook
+// or the shop owner's confirmation of a direct UPI payment.
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || ''
+
+export const PAYMENT_METHODS = [
+  { value: 'upi', label: 'UPI', description: 'Google Pay, PhonePe, Paytm or any UPI app' },
+  { value: 'card', label: 'Card', description: 'Debit or credit card' }
+]
+
+// target is { printJobId } for a single document or { printOrderId } for a
+// multi-document order
+export const createPaymentOrder = async (target, method, returnUrl) => {
+  try {
+    console.log('💳 Creating payment order:', { ...target, method })
+
+    const response = await fetch(`${apiBaseUrl}/api/payments/orders`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...target, method, returnUrl })
+    })
+
+    const body = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `HTTP ${response.status}`)
+    }
+
+    console.log('✅ Payment order created:', body.orderId)
+    return { data: body, error: null }
+
+  } catch (error) {
+    console.error('❌ Payment order error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+// The amount due as the server prices it, for { printJobId } or
+// { printOrderId }. Direct UPI payments and their confirmation use this, never
+// the total_cost stored with the job.
+export const getPaymentAmount = async (target) => {
+  try {
+    const response = await fetch(`${apiBaseUrl}/api/payments/amount`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(target)
+    })
+
+    const body = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `HTTP ${response.status}`)
+    }
+
+    return { data: body, error: null }
+
+  } catch (error) {
+    console.error('❌ Payment amount error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+// Shop owner confirms a direct UPI payment (dashboard) of the amount they
+// were shown by getPaymentAmount(). accessToken is the owner's Supabase
+// session token; the server checks it owns the job's shop and that the
+// amount is still what it charges.
+export const confirmManualPayment = async (printJobId, amount, accessToken) => {
+  try {
+    console.log('💵 Confirming manual payment:', printJobId, amount)
+
+    const response = await fetch(`${apiBaseUrl}/api/payments/manual/${printJobId}/confirm`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      },
+      body: JSON.stringify({ amount })
+    })
+
+    const body = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `HTTP ${response.status}`)
+    }
+
+    return { data: body, error: null }
+
+  } catch (error) {
+    console.error('❌ Manual payment error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
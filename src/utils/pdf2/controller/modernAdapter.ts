@@ -12,18 +12,29 @@ import {
   PageMetadata,
   ProgressCallback,
   RecipeOptions,
-  PageDimensions
+  PageDimensions,
+  Imposition,
+  PagesPerSheet,
+  NupLayout,
+  PosterLayout,
+  DocumentPage,
+  CropBox
 } from '../types'
 import { MetadataStore } from '../state/metadataStore'
 import { EditOrchestrator } from '../edits/editOrchestrator'
+import { ContentDetectionService, ContentDetectionOptions } from '../edits/contentDetectionService'
+import { HistoryListener } from '../state/commandHistory'
 import { ProgressBus } from '../services/progressBus'
 import { PageState } from '../services/pageState'
 import { SelectionState } from '../services/selectionState'
+import { toPageRanges } from '../services/pageRange'
 import { DocumentLoader, LoadResult } from '../services/documentLoader'
 import { PagePreviewService } from '../services/pagePreviewService'
 import { ThumbnailService } from '../services/thumbnailService'
 import { RecipeService } from '../services/recipeService'
 import { GridService } from '../services/gridService'
+import { getPaperDimensions } from '../services/recipeExecutor'
+import { ColorAnalysisService } from '../services/colorAnalysisService'
 import { UIStateManager } from '../ui/uiState'
 import { CanvasInteraction } from '../ui/canvasInteraction'
 import { logDetailedMemory } from '../../memoryProfiler'
@@ -51,6 +62,8 @@ export class ModernAdapter implements PdfController {
   private thumbnailService: ThumbnailService
   private recipeService: RecipeService
   private gridService: GridService
+  private colorAnalysisService: ColorAnalysisService
+  private contentDetectionService: ContentDetectionService
   private editOrchestrator: EditOrchestrator
   private uiState: UIStateManager
   private canvasInteraction: CanvasInteraction
@@ -62,6 +75,7 @@ export class ModernAdapter implements PdfController {
   private previewCache: Map<number, HTMLCanvasElement> = new Map()
   private pendingRenders: Map<number, Promise<HTMLCanvasElement>> = new Map()
   private pageVersions: Map<number, number> = new Map()  // Version tracking for cache invalidation
+  private documentOrder: DocumentPage[] | null = null  // Reapplied on load (appended PDFs keep the order)
 
   constructor(options: ModernAdapterOptions = {}) {
     this.options = { ...DEFAULT_OPTIONS, ...options }
@@ -83,6 +97,8 @@ export class ModernAdapter implements PdfController {
     )
     this.recipeService = new RecipeService(this.metadataStore, this.pageState)
     this.gridService = new GridService(this.pagePreviewService, this.pageState)
+    this.colorAnalysisService = new ColorAnalysisService(this.documentLoader, this.metadataStore)
+    this.contentDetectionService = new ContentDetectionService(this.documentLoader)
     this.editOrchestrator = new EditOrchestrator(this.metadataStore)
     this.uiState = new UIStateManager()
     this.canvasInteraction = new CanvasInteraction()
@@ -141,6 +157,9 @@ export class ModernAdapter implements PdfController {
 
       const result: LoadResult = await this.documentLoader.loadFile(file)
 
+      // Page metadata outlives documents; color results must not
+      this.metadataStore.clearColorAnalysis()
+
       const pdfParseEnd = performance.now()
       const pdfParseTime = ((pdfParseEnd - pdfParseStart) / 1000).toFixed(2)
       console.log(`⏱️ [PDF PARSE COMPLETE] PDF.js loading took ${pdfParseTime}s`)
@@ -165,6 +184,7 @@ export class ModernAdapter implements PdfController {
 
       // Initialize page state
       this.pageState.init(result.pages, result.documentId)
+      this.pageState.setOrder(this.documentOrder)
 
       // Set source for recipe
       this.recipeService.setSource(file, result.totalPages)
@@ -366,8 +386,13 @@ export class ModernAdapter implements PdfController {
    */
   applyEdit(pageNum: number, edit: EditCommand): void {
     this.editOrchestrator.applyEdit(pageNum, edit)
+    this.invalidatePage(pageNum)
+  }
 
-    // Invalidate all caches for this page
+  /**
+   * Invalidate all caches for a page after its metadata changed
+   */
+  private invalidatePage(pageNum: number): void {
     this.incrementPageVersion(pageNum)  // Prevents stale renders from writing to cache
     this.previewCache.delete(pageNum)
     this.pendingRenders.delete(pageNum)
@@ -376,16 +401,67 @@ export class ModernAdapter implements PdfController {
     this.gridService.invalidateSheetsForPage(pageNum)
   }
 
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+
+  /**
+   * Undo the last edit step
+   * @returns Pages it changed, or null when there was nothing to undo
+   */
+  undo(): number[] | null {
+    const pages = this.editOrchestrator.getHistory().undo()
+    pages?.forEach(pageNum => this.invalidatePage(pageNum))
+    return pages
+  }
+
+  /**
+   * Redo the last undone edit step
+   * @returns Pages it changed, or null when there was nothing to redo
+   */
+  redo(): number[] | null {
+    const pages = this.editOrchestrator.getHistory().redo()
+    pages?.forEach(pageNum => this.invalidatePage(pageNum))
+    return pages
+  }
+
+  canUndo(): boolean {
+    return this.editOrchestrator.getHistory().canUndo()
+  }
+
+  canRedo(): boolean {
+    return this.editOrchestrator.getHistory().canRedo()
+  }
+
+  /**
+   * Start grouping edits into one undo step (e.g. "apply to all pages").
+   * Every beginEditGroup() needs a matching endEditGroup().
+   */
+  beginEditGroup(label: string): void {
+    this.editOrchestrator.getHistory().beginTransaction(label)
+  }
+
+  endEditGroup(): void {
+    this.editOrchestrator.getHistory().endTransaction()
+  }
+
+  /**
+   * Listen for undo / redo availability changes
+   * @returns Unsubscribe function
+   */
+  onHistoryChange(listener: HistoryListener): () => void {
+    return this.editOrchestrator.getHistory().onChange(listener)
+  }
+
   /**
    * Set selected pages
    */
   setSelectedPages(pageNumbers: number[]): void {
-    this.selectionState.clearAll()
-    pageNumbers.forEach(pageNum => this.selectionState.select(pageNum))
+    this.selectionState.selectRanges(toPageRanges(pageNumbers))
 
     // Also sync to pageState which is used by recipeService
     this.pageState.includeAll()
-    const allPageNumbers = this.pageState.getOrder()
+    const allPageNumbers = this.pageState.getAll().map(p => p.pageNumber)
     allPageNumbers.forEach(pageNum => {
       if (!pageNumbers.includes(pageNum)) {
         this.pageState.excludePage(pageNum)
@@ -393,11 +469,45 @@ export class ModernAdapter implements PdfController {
     })
   }
 
+  /**
+   * Set the order pages print in, with copies and blank pages (null = source
+   * order). Pages the order lacks print after it.
+   */
+  setDocumentOrder(order: DocumentPage[] | null): void {
+    if (JSON.stringify(order) === JSON.stringify(this.documentOrder)) return
+
+    this.documentOrder = order ? [...order] : null
+    this.pageState.setOrder(this.documentOrder)
+    this.gridService.clearCache()
+  }
+
+  /**
+   * Get the document order, fitted to the loaded document
+   */
+  getDocumentOrder(): DocumentPage[] {
+    return this.pageState.getOrder()
+  }
+
+  /**
+   * Get the number of pages that print: selected pages with their copies,
+   * plus blank pages
+   */
+  getPrintPageCount(): number {
+    return this.pageState.getPrintCount()
+  }
+
   /**
    * Set print options for recipe
    */
   setOptions(options: Partial<RecipeOptions>): void {
     this.recipeService.setOptions(options)
+
+    // The preview grid must match what the recipe prints
+    if (options.layout) {
+      this.gridService.setLayoutOptions(options.layout)
+    }
+    const { poster, paperSize } = this.recipeService.getOptions()
+    this.gridService.setPosterOptions(poster, getPaperDimensions(paperSize))
   }
 
   /**
@@ -695,17 +805,52 @@ export class ModernAdapter implements PdfController {
     return this.metadataStore.get(pageNum)
   }
 
+  /**
+   * Detect which of the given pages hold real color content.
+   * Results are stored per page in the MetadataStore.
+   */
+  async analyzePageColors(
+    pageNumbers: number[],
+    options: { signal?: AbortSignal; onProgress?: (done: number, total: number) => void } = {}
+  ): Promise<number[]> {
+    return this.colorAnalysisService.findColorPages(pageNumbers, {}, options.signal, options.onProgress)
+  }
+
+  /**
+   * Propose a crop trimming a page's empty margins and scanner borders.
+   * Nothing is applied; accept it with applyEdit({ type: 'crop' }).
+   * @returns The crop, or null when there is nothing worth trimming
+   */
+  async detectContentCrop(
+    pageNum: number,
+    options: Partial<ContentDetectionOptions> & { signal?: AbortSignal } = {}
+  ): Promise<CropBox | null> {
+    const { signal, ...detection } = options
+    return this.contentDetectionService.detectCrop(pageNum, detection, signal)
+  }
+
+  /**
+   * Remove a page's crop
+   */
+  clearCrop(pageNum: number): void {
+    this.editOrchestrator.clearCrop(pageNum)
+    this.invalidatePage(pageNum)
+  }
+
+  /**
+   * Give every page the same edits as the source page
+   */
+  applyToAll(sourcePageNum: number): void {
+    this.editOrchestrator.applyToAll(sourcePageNum)
+    this.invalidateAllPages()
+  }
+
   /**
    * Reset page
    */
   resetPage(pageNum: number): void {
     this.editOrchestrator.resetPage(pageNum)
-    this.incrementPageVersion(pageNum)  // Prevents stale renders from writing to cache
-    this.previewCache.delete(pageNum)
-    this.pendingRenders.delete(pageNum)
-    this.pagePreviewService.clearPageCache(pageNum)
-    this.thumbnailService.invalidate(pageNum)
-    this.gridService.invalidateSheetsForPage(pageNum)
+    this.invalidatePage(pageNum)
   }
 
   /**
@@ -713,9 +858,15 @@ export class ModernAdapter implements PdfController {
    */
   resetAll(): void {
     this.editOrchestrator.resetAll()
+    this.invalidateAllPages()
+  }
 
+  /**
+   * Invalidate all caches after many pages changed
+   */
+  private invalidateAllPages(): void {
     // Increment version for ALL pages (not just those with entries)
-    // This invalidates any in-flight renders started before this reset
+    // This invalidates any in-flight renders started before this change
     const totalPages = this.pageState.getTotalPages()
     for (let i = 1; i <= totalPages; i++) {
       this.incrementPageVersion(i)
@@ -735,6 +886,7 @@ export class ModernAdapter implements PdfController {
   destroy(): void {
     console.log('🧹 [ModernAdapter] Destroying adapter and releasing memory...')
     this.documentLoader.destroy()
+    this.editOrchestrator.getHistory().clear()
     this.pageVersions.clear()
     this.previewCache.clear()
     this.pendingRenders.clear()
@@ -766,6 +918,8 @@ export class ModernAdapter implements PdfController {
       thumbnailService: this.thumbnailService,
       recipeService: this.recipeService,
       gridService: this.gridService,
+      colorAnalysisService: this.colorAnalysisService,
+      contentDetectionService: this.contentDetectionService,
       editOrchestrator: this.editOrchestrator,
       uiState: this.uiState,
       canvasInteraction: this.canvasInteraction
@@ -860,7 +1014,7 @@ export class ModernAdapter implements PdfController {
   /**
    * Set pages per sheet (1, 2, or 4)
    */
-  setPagesPerSheet(pps: 1 | 2 | 4): void {
+  setPagesPerSheet(pps: PagesPerSheet): void {
     console.log(`📄 [ModernAdapter] Setting pagesPerSheet to ${pps}`)
     this.gridService.setPagesPerSheet(pps)
   }
@@ -868,12 +1022,42 @@ export class ModernAdapter implements PdfController {
   /**
    * Get current pages per sheet
    */
-  getPagesPerSheet(): 1 | 2 | 4 {
+  getPagesPerSheet(): PagesPerSheet {
     return this.gridService.getPagesPerSheet()
   }
 
   /**
-   * Get total sheet count (pages / pagesPerSheet)
+   * Get the N-up layout used for sheet previews
+   */
+  getNupLayout(): NupLayout {
+    return this.gridService.getLayout()
+  }
+
+  /**
+   * Get the poster grid the tiles are cut with (imposition 'poster')
+   */
+  getPosterLayout(): PosterLayout {
+    return this.gridService.getPosterLayout()
+  }
+
+  /**
+   * Set imposition ('booklet' = 2-up saddle-stitch sides, 'poster' = tiles)
+   */
+  setImposition(imposition: Imposition): void {
+    console.log(`📖 [ModernAdapter] Setting imposition to ${imposition}`)
+    this.gridService.setImposition(imposition)
+  }
+
+  /**
+   * Get current imposition
+   */
+  getImposition(): Imposition {
+    return this.gridService.getImposition()
+  }
+
+  /**
+   * Get total sheet count (pages / pagesPerSheet, printed sides for a booklet,
+   * tiles for a poster)
    */
   getSheetCount(): number {
     return this.gridService.getSheetCount()
@@ -893,6 +1077,13 @@ export class ModernAdapter implements PdfController {
     return this.gridService.getSheetPages(sheetNumber)
   }
 
+  /**
+   * Get pages per cell of a sheet (null = booklet blank)
+   */
+  getSheetSlots(sheetNumber: number): (number | null)[] {
+    return this.gridService.getSheetSlots(sheetNumber)
+  }
+
   /**
    * Get all sheets
    */
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+import { findContentBounds } from './contentDetectionService'
+
+const WIDTH = 100
+const HEIGHT = 140
+
+// A white RGBA page with a fill(left, top, right, bottom, gray) painter
+const createPage = (background = 255, alpha = 255) => {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4)
+  const fill = (left: number, top: number, right: number, bottom: number, gray: number) => {
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const i = (y * WIDTH + x) * 4
+        data.set([gray, gray, gray, 255], i)
+      }
+    }
+  }
+  for (let i = 0; i < data.length; i += 4) data.set([background, background, background, alpha], i)
+  return { data, fill }
+}
+
+const expectCrop = (crop: ReturnType<typeof findContentBounds>, expected: { left: number, top: number, right: number, bottom: number }) => {
+  expect(crop).not.toBeNull()
+  expect(crop!.x).toBeCloseTo(expected.left / WIDTH)
+  expect(crop!.y).toBeCloseTo(expected.top / HEIGHT)
+  expect(crop!.x + crop!.width).toBeCloseTo(expected.right / WIDTH)
+  expect(crop!.y + crop!.height).toBeCloseTo(expected.bottom / HEIGHT)
+}
+
+describe('findContentBounds', () => {
+  it('finds nothing on a blank or transparent page', () => {
+    expect(findContentBounds(createPage().data, WIDTH, HEIGHT)).toBeNull()
+    expect(findContentBounds(createPage(0, 0).data, WIDTH, HEIGHT)).toBeNull()
+  })
+
+  it('crops to the content with a little padding', () => {
+    const page = createPage()
+    page.fill(20, 30, 80, 110, 0)
+
+    // Padding is 1% of each side: 1px across, 1.4px down
+    expectCrop(findContentBounds(page.data, WIDTH, HEIGHT), { left: 19, top: 28.6, right: 81, bottom: 111.4 })
+  })
+
+  it('trims a grey scanner border without padding back into it', () => {
+    const page = createPage()
+    page.fill(0, 0, WIDTH, 10, 128)
+    page.fill(0, 0, 10, HEIGHT, 128)
+    page.fill(10, 40, 70, 100, 0)
+
+    expectCrop(findContentBounds(page.data, WIDTH, HEIGHT), { left: 10, top: 38.6, right: 71, bottom: 101.4 })
+  })
+
+  it('ignores faint marks within the tolerance', () => {
+    const page = createPage()
+    page.fill(5, 5, 15, 15, 230)
+    page.fill(20, 30, 80, 110, 0)
+
+    expectCrop(findContentBounds(page.data, WIDTH, HEIGHT), { left: 19, top: 28.6, right: 81, bottom: 111.4 })
+  })
+
+  it('proposes no crop when the content already reaches the edges', () => {
+    const page = createPage()
+    page.fill(1, 1, WIDTH - 1, HEIGHT - 1, 0)
+
+    expect(findContentBounds(page.data, WIDTH, HEIGHT)).toBeNull()
+  })
+
+  it('needs at least two pixels each way', () => {
+    expect(findContentBounds(new Uint8ClampedArray(4), 1, 1)).toBeNull()
+  })
+})
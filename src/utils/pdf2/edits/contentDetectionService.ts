@@ -0,0 +1,234 @@
+/**
+ * ContentDetectionService
+ *
+ * Proposes a crop that trims empty margins and scanner borders. The page is
+ * rendered small and its content bounds are found in two passes:
+ *
+ * 1. Scanner borders: an edge that is dark or grey (the scanner lid around a
+ *    sheet) is trimmed line by line while the lines stay that color.
+ * 2. Margins: inside what is left, the paper color is taken from the outer
+ *    frame and the crop is the bounding box of pixels that differ from it.
+ *
+ * The result is a normalized CropBox in the same coordinates CropService
+ * uses, or null when there is nothing worth trimming (blank pages, pages
+ * whose content already reaches the edges).
+ */
+
+import { CropBox } from '../types'
+import { DocumentLoader } from '../services/documentLoader'
+
+export interface ContentDetectionOptions {
+  size: number             // Render size in pixels of the page's longer side
+  tolerance: number        // 0-255; channel difference still counted as background
+  noiseRatio: number       // 0-1; share of a line that must differ to hold content (ignores specks)
+  borderLightness: number  // 0-255; edges darker than this are scanner borders
+  padding: number          // 0-1; margin kept around the content, as a fraction of the page
+  minTrim: number          // 0-1; smaller trims are not proposed
+}
+
+const DEFAULT_OPTIONS: ContentDetectionOptions = {
+  size: 400,
+  tolerance: 40,
+  noiseRatio: 0.005,
+  borderLightness: 200,
+  padding: 0.01,
+  minTrim: 0.02
+}
+
+// Borders never take more than this share of a side
+const MAX_BORDER_RATIO = 0.45
+
+interface PixelRegion {
+  left: number     // inclusive
+  top: number      // inclusive
+  right: number    // exclusive
+  bottom: number   // exclusive
+}
+
+type Rgb = [number, number, number]
+
+/**
+ * Find the content crop of raw RGBA pixel data (as returned by getImageData)
+ */
+export function findContentBounds(
+  data: Uint8ClampedArray,
+  width: number,
+  height: number,
+  options: Partial<ContentDetectionOptions> = {}
+): CropBox | null {
+  const opts = { ...DEFAULT_OPTIONS, ...options }
+  if (width < 2 || height < 2) return null
+
+  const pixel = (x: number, y: number): Rgb => {
+    const i = (y * width + x) * 4
+    // Transparent pixels print as paper
+    if (data[i + 3] === 0) return [255, 255, 255]
+    return [data[i], data[i + 1], data[i + 2]]
+  }
+  const differs = (x: number, y: number, color: Rgb): boolean => {
+    const [r, g, b] = pixel(x, y)
+    return Math.max(Math.abs(r - color[0]), Math.abs(g - color[1]), Math.abs(b - color[2])) > opts.tolerance
+  }
+
+  // Count of pixels on a row or column (within the region) that differ from a color
+  const countRow = (y: number, region: PixelRegion, color: Rgb): number => {
+    let count = 0
+    for (let x = region.left; x < region.right; x++) {
+      if (differs(x, y, color)) count++
+    }
+    return count
+  }
+  const countColumn = (x: number, region: PixelRegion, color: Rgb): number => {
+    let count = 0
+    for (let y = region.top; y < region.bottom; y++) {
+      if (differs(x, y, color)) count++
+    }
+    return count
+  }
+  const medianColor = (samples: Rgb[]): Rgb => {
+    const channel = (c: number) => {
+      const values = samples.map(s => s[c]).sort((a, b) => a - b)
+      return values[Math.floor(values.length / 2)]
+    }
+    return [channel(0), channel(1), channel(2)]
+  }
+  const rowColors = (y: number, region: PixelRegion): Rgb[] => {
+    const colors: Rgb[] = []
+    for (let x = region.left; x < region.right; x++) colors.push(pixel(x, y))
+    return colors
+  }
+  const columnColors = (x: number, region: PixelRegion): Rgb[] => {
+    const colors: Rgb[] = []
+    for (let y = region.top; y < region.bottom; y++) colors.push(pixel(x, y))
+    return colors
+  }
+  const isBorderColor = (color: Rgb) => Math.min(...color) < opts.borderLightness
+
+  // Pass 1: trim dark / grey scanner borders, one side at a time
+  const region: PixelRegion = { left: 0, top: 0, right: width, bottom: height }
+  const maxRows = Math.floor(height * MAX_BORDER_RATIO)
+  const maxColumns = Math.floor(width * MAX_BORDER_RATIO)
+  const isBorderLine = (differing: number, length: number) => differing <= length * 0.1
+
+  const topColor = medianColor(rowColors(0, region))
+  if (isBorderColor(topColor)) {
+    while (region.top < maxRows && isBorderLine(countRow(region.top, region, topColor), width)) region.top++
+  }
+  const bottomColor = medianColor(rowColors(height - 1, region))
+  if (isBorderColor(bottomColor)) {
+    while (height - region.bottom < maxRows && isBorderLine(countRow(region.bottom - 1, region, bottomColor), width)) region.bottom--
+  }
+  const rows = region.bottom - region.top
+  const leftColor = medianColor(columnColors(0, region))
+  if (isBorderColor(leftColor)) {
+    while (region.left < maxColumns && isBorderLine(countColumn(region.left, region, leftColor), rows)) region.left++
+  }
+  const rightColor = medianColor(columnColors(width - 1, region))
+  if (isBorderColor(rightColor)) {
+    while (width - region.right < maxColumns && isBorderLine(countColumn(region.right - 1, region, rightColor), rows)) region.right--
+  }
+
+  // Pass 2: bounding box of everything that isn't paper
+  const paper = medianColor([
+    ...rowColors(region.top, region),
+    ...rowColors(region.bottom - 1, region),
+    ...columnColors(region.left, region),
+    ...columnColors(region.right - 1, region)
+  ])
+  const minRowCount = Math.max(1, (region.right - region.left) * opts.noiseRatio)
+  const minColumnCount = Math.max(1, (region.bottom - region.top) * opts.noiseRatio)
+
+  let top = region.top
+  while (top < region.bottom && countRow(top, region, paper) < minRowCount) top++
+  if (top === region.bottom) return null  // blank page
+
+  let bottom = region.bottom
+  while (bottom > top && countRow(bottom - 1, region, paper) < minRowCount) bottom--
+  let left = region.left
+  while (left < region.right && countColumn(left, region, paper) < minColumnCount) left++
+  let right = region.right
+  while (right > left && countColumn(right - 1, region, paper) < minColumnCount) right--
+  if (right <= left || bottom <= top) return null
+
+  // Keep a little paper around the content, but never reach back into a border
+  const padX = width * opts.padding
+  const padY = height * opts.padding
+  const x0 = Math.max(region.left, left - padX) / width
+  const y0 = Math.max(region.top, top - padY) / height
+  const x1 = Math.min(region.right, right + padX) / width
+  const y1 = Math.min(region.bottom, bottom + padY) / height
+
+  const crop: CropBox = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 }
+  if (1 - crop.width < opts.minTrim && 1 - crop.height < opts.minTrim) return null
+
+  return crop
+}
+
+export class ContentDetectionService {
+  private documentLoader: DocumentLoader
+
+  constructor(documentLoader: DocumentLoader) {
+    this.documentLoader = documentLoader
+  }
+
+  /**
+   * Propose a crop for one page
+   */
+  async detectCrop(
+    pageNumber: number,
+    options: Partial<ContentDetectionOptions> = {},
+    signal?: AbortSignal
+  ): Promise<CropBox | null> {
+    const opts = { ...DEFAULT_OPTIONS, ...options }
+    const canvas = document.createElement('canvas')
+
+    try {
+      // Raw render: crops are relative to the page itself, not its A4 letterbox
+      await this.documentLoader.renderPageAtSize(pageNumber, canvas, opts.size, opts.size, signal, false)
+
+      if (signal?.aborted) {
+        throw new DOMException('Content detection aborted', 'AbortError')
+      }
+
+      const ctx = canvas.getContext('2d', { willReadFrequently: true })
+      if (!ctx) {
+        throw new Error('Failed to get canvas context')
+      }
+
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+      return findContentBounds(data, canvas.width, canvas.height, opts)
+    } finally {
+      canvas.width = 0
+      canvas.height = 0
+    }
+  }
+
+  /**
+   * Propose crops for pages one at a time
+   * @returns Proposed crop per page; pages with nothing to trim are left out
+   */
+  async detectCrops(
+    pageNumbers: number[],
+    options: Partial<ContentDetectionOptions> = {},
+    signal?: AbortSignal,
+    onProgress?: (done: number, total: number) => void
+  ): Promise<Map<number, CropBox>> {
+    const crops = new Map<number, CropBox>()
+
+    for (let i = 0; i < pageNumbers.length; i++) {
+      if (signal?.aborted) {
+        throw new DOMException('Content detection aborted', 'AbortError')
+      }
+
+      const crop = await this.detectCrop(pageNumbers[i], options, signal)
+      if (crop) {
+        crops.set(pageNumbers[i], crop)
+      }
+
+      onProgress?.(i + 1, pageNumbers.length)
+    }
+
+    console.log(`✂️ [ContentDetection] ${crops.size}/${pageNumbers.length} pages can be trimmed`)
+    return crops
+  }
+}
@@ -3,18 +3,22 @@
  * 
  * Combines all edit services and ensures correct transform order:
  * CROP → ROTATE → SCALE → TRANSLATE
+ * Stamps are drawn over the result, on the page rather than its content.
  * 
  * This is the single entry point for all edit operations.
  * It dispatches to the appropriate service and maintains consistency.
+ * Every change is recorded in a CommandHistory for undo / redo.
  */
 
 import {
   EditCommand,
   CropBox,
   PageTransforms,
-  RotationDegrees
+  RotationDegrees,
+  Stamp
 } from '../types'
 import { MetadataStore } from '../state/metadataStore'
+import { CommandHistory } from '../state/commandHistory'
 import { CropService } from './cropService'
 import { RotationService } from './rotationService'
 import { ScaleService } from './scaleService'
@@ -24,18 +28,28 @@ export class EditOrchestrator {
   private cropService: CropService
   private rotationService: RotationService
   private scaleService: ScaleService
+  private history: CommandHistory
 
   constructor(store: MetadataStore) {
     this.store = store
     this.cropService = new CropService(store)
     this.rotationService = new RotationService(store, this.cropService)
     this.scaleService = new ScaleService(store)
+    this.history = new CommandHistory(store)
   }
 
   /**
    * Apply an edit command to a page
    */
   applyEdit(pageNumber: number, command: EditCommand): PageTransforms {
+    this.history.record([pageNumber], command.type, () => this.dispatch(pageNumber, command))
+    return this.getTransforms(pageNumber)
+  }
+
+  /**
+   * Run an edit command against the store (not recorded)
+   */
+  private dispatch(pageNumber: number, command: EditCommand): void {
     switch (command.type) {
       case 'crop':
         this.cropService.setCrop(pageNumber, command.value as CropBox)
@@ -63,11 +77,21 @@ export class EditOrchestrator {
         this.store.resetPage(pageNumber)
         break
 
+      case 'setStamp':
+        this.store.setStamp(pageNumber, command.value)
+        break
+
+      case 'removeStamp':
+        this.store.removeStamp(pageNumber, command.value)
+        break
+
+      case 'clearStamps':
+        this.store.clearStamps(pageNumber)
+        break
+
       default:
         console.warn(`[EditOrchestrator] Unknown edit type:`, command)
     }
-
-    return this.getTransforms(pageNumber)
   }
 
   /**
@@ -81,9 +105,11 @@ export class EditOrchestrator {
    * Apply multiple edits in sequence
    */
   applyEdits(pageNumber: number, commands: EditCommand[]): PageTransforms {
-    for (const command of commands) {
-      this.applyEdit(pageNumber, command)
-    }
+    this.history.transact('edit', () => {
+      for (const command of commands) {
+        this.applyEdit(pageNumber, command)
+      }
+    })
     return this.getTransforms(pageNumber)
   }
 
@@ -95,63 +121,81 @@ export class EditOrchestrator {
    * Set crop
    */
   setCrop(pageNumber: number, crop: CropBox): boolean {
-    return this.cropService.setCrop(pageNumber, crop)
+    return this.history.record([pageNumber], 'crop', () => this.cropService.setCrop(pageNumber, crop))
   }
 
   /**
    * Clear crop
    */
   clearCrop(pageNumber: number): void {
-    this.cropService.clearCrop(pageNumber)
+    this.history.record([pageNumber], 'crop', () => this.cropService.clearCrop(pageNumber))
   }
 
   /**
    * Rotate clockwise
    */
   rotateClockwise(pageNumber: number): RotationDegrees {
-    return this.rotationService.rotateClockwise(pageNumber)
+    return this.history.record([pageNumber], 'rotate', () => this.rotationService.rotateClockwise(pageNumber))
   }
 
   /**
    * Rotate counter-clockwise
    */
   rotateCounterClockwise(pageNumber: number): RotationDegrees {
-    return this.rotationService.rotateCounterClockwise(pageNumber)
+    return this.history.record([pageNumber], 'rotate', () => this.rotationService.rotateCounterClockwise(pageNumber))
   }
 
   /**
    * Set scale
    */
   setScale(pageNumber: number, scale: number): number {
-    return this.scaleService.setScale(pageNumber, scale)
+    return this.history.record([pageNumber], 'scale', () => this.scaleService.setScale(pageNumber, scale))
   }
 
   /**
    * Set offset
    */
   setOffset(pageNumber: number, offsetX: number, offsetY: number): void {
-    this.store.setOffset(pageNumber, offsetX, offsetY)
+    this.history.record([pageNumber], 'translate', () => this.store.setOffset(pageNumber, offsetX, offsetY))
+  }
+
+  /**
+   * Get the stamps printed over a page
+   */
+  getStamps(pageNumber: number): Stamp[] {
+    return this.store.getStamps(pageNumber)
+  }
+
+  /**
+   * Copy a page's stamps to every page (e.g. page numbers for the whole job)
+   */
+  applyStampsToAll(sourcePageNumber: number): void {
+    this.history.record(this.getPageNumbers(), 'stamps', () => this.store.applyStampsToAll(sourcePageNumber))
+  }
+
+  private getPageNumbers(): number[] {
+    return this.store.getAllMetadata().map(meta => meta.pageNumber)
   }
 
   /**
    * Reset page to original state
    */
   resetPage(pageNumber: number): void {
-    this.store.resetPage(pageNumber)
+    this.history.record([pageNumber], 'reset', () => this.store.resetPage(pageNumber))
   }
 
   /**
    * Reset all pages
    */
   resetAll(): void {
-    this.store.resetAll()
+    this.history.record(this.getPageNumbers(), 'reset all', () => this.store.resetAll())
   }
 
   /**
    * Apply current page transforms to all pages
    */
   applyToAll(sourcePageNumber: number): void {
-    this.store.applyToAll(sourcePageNumber)
+    this.history.record(this.getPageNumbers(), 'apply to all', () => this.store.applyToAll(sourcePageNumber))
   }
 
   // ============================================
@@ -170,6 +214,10 @@ export class EditOrchestrator {
     return this.scaleService
   }
 
+  getHistory(): CommandHistory {
+    return this.history
+  }
+
   // ============================================
   // STATE QUERIES
   // ============================================
@@ -23,9 +23,15 @@ export type {
   CropBox,
   RotationDegrees,
   PageTransforms,
+  StampKind,
+  StampPosition,
+  Stamp,
+  RecipeStamp,
   PageDimensions,
   PageInfo,
+  DocumentPage,
   PageMetadata,
+  PageColorAnalysis,
   PageData,
   EditType,
   CropCommand,
@@ -33,6 +39,9 @@ export type {
   ScaleCommand,
   TranslateCommand,
   ResetCommand,
+  SetStampCommand,
+  RemoveStampCommand,
+  ClearStampsCommand,
   EditCommand,
   RecipeSource,
   RecipePrint,
@@ -46,6 +55,10 @@ export type {
   DragState,
   ImageRect,
   PagesPerSheet,
+  NupOrder,
+  NupLayout,
+  Imposition,
+  PosterLayout,
   GridSheet
 } from './types'
 
@@ -56,6 +69,8 @@ export { DEFAULT_TRANSFORMS } from './types'
 // ============================================
 
 export { MetadataStore } from './state/metadataStore'
+export { CommandHistory } from './state/commandHistory'
+export type { HistoryEntry, HistoryState, HistoryListener } from './state/commandHistory'
 
 // ============================================
 // EDITS
@@ -65,6 +80,8 @@ export { CropService } from './edits/cropService'
 export { RotationService } from './edits/rotationService'
 export { ScaleService } from './edits/scaleService'
 export { EditOrchestrator } from './edits/editOrchestrator'
+export { ContentDetectionService, findContentBounds } from './edits/contentDetectionService'
+export type { ContentDetectionOptions } from './edits/contentDetectionService'
 
 // ============================================
 // SERVICES
@@ -75,6 +92,24 @@ export type { ProgressEventType, ProgressEvent, ProgressListener } from './servi
 
 export { PageState } from './services/pageState'
 export { SelectionState } from './services/selectionState'
+export { parsePageRange, toPageRanges, formatPageRanges } from './services/pageRange'
+export type { PageRange, PageRangeResult } from './services/pageRange'
+
+export {
+  createDocumentOrder,
+  resolveDocumentOrder,
+  movePage,
+  duplicatePage,
+  insertBlankPage,
+  isRemovablePage,
+  removePage,
+  isSourceOrder,
+  getPrintOrder
+} from './services/documentOrder'
+export { appendPdf } from './services/documentMerge'
+export type { AppendPdfResult } from './services/documentMerge'
+export { getPrintSides, countPrintSheets } from './services/printSheets'
+export type { PrintSheetOptions, PrintSheetCounts } from './services/printSheets'
 
 export { DocumentLoader } from './services/documentLoader'
 export type { LoadResult } from './services/documentLoader'
@@ -87,9 +122,77 @@ export type { ThumbnailOptions } from './services/thumbnailService'
 export { RecipeService } from './services/recipeService'
 export type { RecipeOptions } from './services/recipeService'
 
-export { GridService } from './services/gridService'
+export { GridService, getGridLayout } from './services/gridService'
 export type { GridLayout } from './services/gridService'
 
+export {
+  NUP_PRESETS,
+  NUP_ORDERS,
+  isNupPreset,
+  resolveNupLayout,
+  resolvePrintLayout,
+  getNupCapacity,
+  getNupCellOrder,
+  getNupCells,
+  getNupSheetSize,
+  shouldRotateIntoCell
+} from './services/nupLayout'
+export type { NupCell } from './services/nupLayout'
+export { compositeNupSheet, compositeNupGrid } from './services/nupCompositor'
+export type { NupSheetConfig, NupGridConfig } from './services/nupCompositor'
+
+export { imposeBooklet, getBookletPageCount, getBookletSheetCount } from './services/bookletImposition'
+export type { BookletSide, BookletSideName } from './services/bookletImposition'
+
+export {
+  DEFAULT_POSTER_OVERLAP,
+  DEFAULT_POSTER_MARGIN,
+  MAX_POSTER_GRID,
+  resolvePosterLayout,
+  getLargestPage,
+  getPosterSheet,
+  getPosterSize,
+  getPosterScale,
+  getPosterTiles,
+  formatPosterTileLabel,
+  isLargerThanPaper
+} from './services/posterTiling'
+export type { PosterTile } from './services/posterTiling'
+export { compositePosterTile } from './services/posterCompositor'
+export type { PosterTileConfig } from './services/posterCompositor'
+
+export {
+  STAMP_MARGIN,
+  STAMP_KINDS,
+  STAMP_POSITIONS,
+  STAMP_DEFAULTS,
+  MIN_STAMP_FONT_SIZE,
+  MAX_STAMP_FONT_SIZE,
+  createStamp,
+  formatStampText,
+  resolveStamps,
+  getStampUnit,
+  getStampPlacement,
+  parseStampColor
+} from './services/stampLayout'
+export type { StampPlacement } from './services/stampLayout'
+export { drawStamps } from './services/stampCompositor'
+
+export { ColorAnalysisService, analyzePixels } from './services/colorAnalysisService'
+export type { ColorAnalysisOptions } from './services/colorAnalysisService'
+
+export {
+  CURRENT_RECIPE_VERSION,
+  RecipeValidationError,
+  migrateRecipe,
+  validateRecipe,
+  prepareRecipe
+} from './services/recipeValidator'
+export type { RecipeIssue, RecipeIssueCode, RecipeValidationResult } from './services/recipeValidator'
+
+export { executeRecipe, getPaperDimensions } from './services/recipeExecutor'
+export type { ExecuteRecipeOptions } from './services/recipeExecutor'
+
 // ============================================
 // UI
 // ============================================
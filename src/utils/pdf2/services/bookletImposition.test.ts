@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest'
+import { imposeBooklet, getBookletPageCount, getBookletSheetCount } from './bookletImposition'
+
+describe('imposeBooklet', () => {
+  it('orders an 8-page booklet for saddle stitching', () => {
+    expect(imposeBooklet(8)).toEqual([
+      { sheetNumber: 1, side: 'front', slots: [8, 1] },
+      { sheetNumber: 1, side: 'back', slots: [2, 7] },
+      { sheetNumber: 2, side: 'front', slots: [6, 3] },
+      { sheetNumber: 2, side: 'back', slots: [4, 5] }
+    ])
+  })
+
+  it('pads to a multiple of 4 with blanks just inside the back cover', () => {
+    expect(imposeBooklet(6).map(side => side.slots)).toEqual([
+      [null, 1],
+      [2, null],
+      [6, 3],
+      [4, 5]
+    ])
+  })
+
+  it('puts every page on exactly one slot', () => {
+    const slots = imposeBooklet(11).flatMap(side => side.slots)
+
+    expect(slots.filter(position => position === null)).toHaveLength(1)
+    expect(slots.filter(position => position !== null).sort((a, b) => a! - b!)).toEqual(
+      Array.from({ length: 11 }, (_, i) => i + 1)
+    )
+  })
+
+  it('pairs facing pages on each side so they add up to the padded count + 1', () => {
+    for (const side of imposeBooklet(16)) {
+      expect(side.slots[0]! + side.slots[1]!).toBe(17)
+    }
+  })
+
+  it('has no sides for an empty document', () => {
+    expect(imposeBooklet(0)).toEqual([])
+  })
+})
+
+describe('getBookletPageCount / getBookletSheetCount', () => {
+  it('rounds up to whole sheets of four pages', () => {
+    expect([1, 4, 5, 9].map(getBookletPageCount)).toEqual([4, 4, 8, 12])
+    expect([1, 4, 5, 9].map(getBookletSheetCount)).toEqual([1, 1, 2, 3])
+  })
+})
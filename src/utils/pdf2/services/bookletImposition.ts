@@ -0,0 +1,60 @@
+/**
+ * BookletImposition
+ *
+ * Saddle-stitch page order: each duplex landscape sheet carries four pages,
+ * two per side, so that the stacked sheets folded in half read in order.
+ * For an 8-page booklet:
+ *
+ *   sheet 1  front [8, 1]  back [2, 7]
+ *   sheet 2  front [6, 3]  back [4, 5]
+ *
+ * Positions are 1-based indexes into the pages in reading order (the selected
+ * pages, not source page numbers). The page count is padded with blanks to a
+ * multiple of 4; blanks go at the end, just inside the back cover.
+ */
+
+export type BookletSideName = 'front' | 'back'
+
+export interface BookletSide {
+  sheetNumber: number     // Physical sheet, 1-based
+  side: BookletSideName
+  slots: [number | null, number | null]  // [left, right] positions; null = blank
+}
+
+/**
+ * Pages in the folded booklet, including blanks
+ */
+export function getBookletPageCount(pageCount: number): number {
+  return Math.ceil(Math.max(0, pageCount) / 4) * 4
+}
+
+/**
+ * Number of physical sheets for a booklet of pageCount pages
+ */
+export function getBookletSheetCount(pageCount: number): number {
+  return getBookletPageCount(pageCount) / 4
+}
+
+/**
+ * Printed sides in print order (sheet 1 front, sheet 1 back, sheet 2 front, ...)
+ */
+export function imposeBooklet(pageCount: number): BookletSide[] {
+  const paddedCount = getBookletPageCount(pageCount)
+  const position = (n: number): number | null => (n <= pageCount ? n : null)
+  const sides: BookletSide[] = []
+
+  for (let i = 0; i < paddedCount / 4; i++) {
+    sides.push({
+      sheetNumber: i + 1,
+      side: 'front',
+      slots: [position(paddedCount - 2 * i), position(1 + 2 * i)]
+    })
+    sides.push({
+      sheetNumber: i + 1,
+      side: 'back',
+      slots: [position(2 + 2 * i), position(paddedCount - 1 - 2 * i)]
+    })
+  }
+
+  return sides
+}
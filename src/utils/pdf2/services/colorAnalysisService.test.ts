@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { PageColorAnalysis } from '../types'
+import { MetadataStore } from '../state/metadataStore'
+import { DocumentLoader } from './documentLoader'
+import { analyzePixels, ColorAnalysisService } from './colorAnalysisService'
+
+// RGBA pixel data from [r, g, b, a] tuples, each repeated `count` times
+function pixels(...runs: [number[], number][]): Uint8ClampedArray {
+  return new Uint8ClampedArray(runs.flatMap(([rgba, count]) => Array.from({ length: count }, () => rgba).flat()))
+}
+
+const WHITE = [255, 255, 255, 255]
+const GRAY = [90, 90, 90, 255]
+const RED = [220, 30, 30, 255]
+const TINTED = [250, 240, 225, 255]   // Scanner tint: chroma 25
+const CLEAR = [255, 0, 0, 0]
+
+describe('analyzePixels', () => {
+  it('reports grayscale pages as B&W', () => {
+    expect(analyzePixels(pixels([WHITE, 900], [GRAY, 100]))).toEqual({ hasColor: false, colorRatio: 0, sampledPixels: 1000 })
+  })
+
+  it('ignores a faint tint below the chroma threshold', () => {
+    expect(analyzePixels(pixels([TINTED, 1000])).hasColor).toBe(false)
+    expect(analyzePixels(pixels([TINTED, 1000]), { chromaThreshold: 20 }).hasColor).toBe(true)
+  })
+
+  it('needs a minimum share of colored pixels', () => {
+    // 1 in 1000 is below the default 0.2%, 2 in 1000 reaches it
+    expect(analyzePixels(pixels([WHITE, 999], [RED, 1]))).toMatchObject({ hasColor: false, colorRatio: 0.001 })
+    expect(analyzePixels(pixels([WHITE, 998], [RED, 2]))).toMatchObject({ hasColor: true, colorRatio: 0.002 })
+    expect(analyzePixels(pixels([WHITE, 999], [RED, 1]), { minColorRatio: 0.001 }).hasColor).toBe(true)
+  })
+
+  it('skips transparent pixels', () => {
+    expect(analyzePixels(pixels([CLEAR, 500], [GRAY, 10]))).toEqual({ hasColor: false, colorRatio: 0, sampledPixels: 10 })
+    expect(analyzePixels(pixels([CLEAR, 10]))).toEqual({ hasColor: false, colorRatio: 0, sampledPixels: 0 })
+  })
+})
+
+describe('ColorAnalysisService', () => {
+  const analysis = (hasColor: boolean): PageColorAnalysis => ({ hasColor, colorRatio: hasColor ? 0.5 : 0, sampledPixels: 4 })
+
+  function createService(data = pixels([RED, 4])) {
+    const cache = new Map<string, PageColorAnalysis>()
+    const store = {
+      getColorAnalysis: (page: number, key: string) => cache.get(`${page}@${key}`) ?? null,
+      setColorAnalysis: (page: number, value: PageColorAnalysis, key: string) => cache.set(`${page}@${key}`, value)
+    } as unknown as MetadataStore
+    const loader = {
+      renderPageToCanvas: vi.fn(async (_page: number, canvas: { width: number; height: number }) => {
+        canvas.width = 2
+        canvas.height = 2
+      })
+    }
+
+    const canvas = {
+      width: 0,
+      height: 0,
+      getContext: () => ({ getImageData: () => ({ data }) })
+    }
+    vi.stubGlobal('document', { createElement: () => canvas })
+
+    const service = new ColorAnalysisService(loader as unknown as DocumentLoader, store)
+    return { service, loader, canvas, cache }
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('renders a page raw at the analysis scale and releases the canvas', async () => {
+    const { service, loader, canvas } = createService()
+
+    expect(await service.analyzePage(3, { scale: 0.5 })).toEqual({ hasColor: true, colorRatio: 1, sampledPixels: 4 })
+    expect(loader.renderPageToCanvas).toHaveBeenCalledWith(3, canvas, 0.5, undefined, false)
+    expect(canvas).toMatchObject({ width: 0, height: 0 })
+  })
+
+  it('reuses stored results only for the same options', async () => {
+    const { service, loader, cache } = createService()
+
+    await service.analyzePage(1)
+    await service.analyzePage(1)
+    expect(loader.renderPageToCanvas).toHaveBeenCalledTimes(1)
+    expect(Array.from(cache.keys())).toEqual(['1@0.25:40:0.002'])
+
+    await service.analyzePage(1, { chromaThreshold: 10 })
+    expect(loader.renderPageToCanvas).toHaveBeenCalledTimes(2)
+  })
+
+  it('finds the color pages and reports progress', async () => {
+    const { service } = createService()
+    vi.spyOn(service, 'analyzePage').mockImplementation(async page => analysis(page % 2 === 0))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const progress: number[] = []
+
+    const colorPages = await service.findColorPages([1, 2, 3, 4], {}, undefined, done => progress.push(done))
+
+    expect(colorPages).toEqual([2, 4])
+    expect(progress).toEqual([1, 2, 3, 4])
+  })
+
+  it('stops when aborted', async () => {
+    const { service } = createService()
+    const controller = new AbortController()
+    vi.spyOn(service, 'analyzePage').mockImplementation(async () => {
+      controller.abort()
+      return analysis(true)
+    })
+
+    await expect(service.findColorPages([1, 2], {}, controller.signal)).rejects.toMatchObject({ name: 'AbortError' })
+    expect(service.analyzePage).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,140 @@
+/**
+ * ColorAnalysisService
+ *
+ * Decides whether a page holds real color content or is effectively grayscale.
+ * Pages are rendered at a low scale and every pixel's chroma (max - min of its
+ * RGB channels) is checked. Scans and anti-aliasing leave a faint tint on
+ * "black and white" pages, so only clearly colored pixels count, and a page
+ * needs a minimum share of them before it is reported as color.
+ */
+
+import { PageColorAnalysis } from '../types'
+import { DocumentLoader } from './documentLoader'
+import { MetadataStore } from '../state/metadataStore'
+
+export interface ColorAnalysisOptions {
+  scale: number            // Render scale; 0.25 of an A4 page is ~150x210 px
+  chromaThreshold: number  // 0-255; a pixel above this counts as colored
+  minColorRatio: number    // 0-1; share of colored pixels for a color page
+}
+
+const DEFAULT_OPTIONS: ColorAnalysisOptions = {
+  scale: 0.25,
+  chromaThreshold: 40,
+  minColorRatio: 0.002
+}
+
+/**
+ * Classify raw RGBA pixel data (as returned by getImageData)
+ */
+export function analyzePixels(
+  data: Uint8ClampedArray,
+  options: Partial<ColorAnalysisOptions> = {}
+): PageColorAnalysis {
+  const opts = { ...DEFAULT_OPTIONS, ...options }
+  let sampledPixels = 0
+  let colorPixels = 0
+
+  for (let i = 0; i < data.length; i += 4) {
+    // Transparent pixels print as paper
+    if (data[i + 3] === 0) continue
+
+    const r = data[i]
+    const g = data[i + 1]
+    const b = data[i + 2]
+    const chroma = Math.max(r, g, b) - Math.min(r, g, b)
+
+    sampledPixels++
+    if (chroma > opts.chromaThreshold) {
+      colorPixels++
+    }
+  }
+
+  const colorRatio = sampledPixels > 0 ? colorPixels / sampledPixels : 0
+
+  return {
+    hasColor: colorRatio >= opts.minColorRatio,
+    colorRatio,
+    sampledPixels
+  }
+}
+
+export class ColorAnalysisService {
+  private documentLoader: DocumentLoader
+  private metadataStore: MetadataStore
+
+  constructor(documentLoader: DocumentLoader, metadataStore: MetadataStore) {
+    this.documentLoader = documentLoader
+    this.metadataStore = metadataStore
+  }
+
+  /**
+   * Analyze one page, reusing the stored result when there is one for the
+   * same options
+   */
+  async analyzePage(
+    pageNumber: number,
+    options: Partial<ColorAnalysisOptions> = {},
+    signal?: AbortSignal
+  ): Promise<PageColorAnalysis> {
+    const opts = { ...DEFAULT_OPTIONS, ...options }
+    const cacheKey = `${opts.scale}:${opts.chromaThreshold}:${opts.minColorRatio}`
+
+    const cached = this.metadataStore.getColorAnalysis(pageNumber, cacheKey)
+    if (cached) return cached
+
+    const canvas = document.createElement('canvas')
+
+    try {
+      // Raw render: the A4 letterbox would only add white pixels
+      await this.documentLoader.renderPageToCanvas(pageNumber, canvas, opts.scale, signal, false)
+
+      if (signal?.aborted) {
+        throw new DOMException('Color analysis aborted', 'AbortError')
+      }
+
+      const ctx = canvas.getContext('2d', { willReadFrequently: true })
+      if (!ctx) {
+        throw new Error('Failed to get canvas context')
+      }
+
+      const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height)
+      const analysis = analyzePixels(data, opts)
+
+      this.metadataStore.setColorAnalysis(pageNumber, analysis, cacheKey)
+      return analysis
+    } finally {
+      // Release the backing store right away; analysis runs over whole documents
+      canvas.width = 0
+      canvas.height = 0
+    }
+  }
+
+  /**
+   * Analyze pages one at a time and return the ones holding color content
+   */
+  async findColorPages(
+    pageNumbers: number[],
+    options: Partial<ColorAnalysisOptions> = {},
+    signal?: AbortSignal,
+    onProgress?: (done: number, total: number) => void
+  ): Promise<number[]> {
+    const colorPages: number[] = []
+
+    for (let i = 0; i < pageNumbers.length; i++) {
+      if (signal?.aborted) {
+        throw new DOMException('Color analysis aborted', 'AbortError')
+      }
+
+      const analysis = await this.analyzePage(pageNumbers[i], options, signal)
+      if (analysis.hasColor) {
+        colorPages.push(pageNumbers[i])
+      }
+
+      onProgress?.(i + 1, pageNumbers.length)
+    }
+
+    console.log(`🎨 [ColorAnalysis] ${colorPages.length}/${pageNumbers.length} pages have color`)
+    return colorPages
+  }
+}
@@ -308,13 +308,15 @@ export class DocumentLoader {
   }
 
   /**
-   * Render page at specific dimensions
+   * Render page at specific dimensions (fitted inside them)
    */
   async renderPageAtSize(
     pageNumber: number,
     canvas: HTMLCanvasElement,
     targetWidth: number,
-    targetHeight: number
+    targetHeight: number,
+    signal?: AbortSignal,
+    applyA4Normalization: boolean = true
   ): Promise<void> {
     const page = this.pageProxies.get(pageNumber)
     if (!page) {
@@ -326,7 +328,7 @@ export class DocumentLoader {
     const scaleY = targetHeight / originalViewport.height
     const scale = Math.min(scaleX, scaleY)
 
-    await this.renderPageToCanvas(pageNumber, canvas, scale)
+    await this.renderPageToCanvas(pageNumber, canvas, scale, signal, applyA4Normalization)
   }
 
   /**
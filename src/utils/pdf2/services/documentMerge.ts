@@ -0,0 +1,38 @@
+/**
+ * DocumentMerge
+ *
+ * Appends the pages of a second PDF to the job's PDF, so one print job can
+ * combine documents (a cover letter and a report, an appendix). Existing
+ * pages keep their page numbers, so their edits, color marks and place in the
+ * document order stay valid; the new pages are numbered after them.
+ */
+
+import { PDFDocument } from 'pdf-lib'
+
+export interface AppendPdfResult {
+  file: File              // the combined PDF, named like the original
+  basePageCount: number   // pages the original had
+  addedPageCount: number  // pages appended after them
+}
+
+/**
+ * Combine two PDFs: all of base, then all of extra
+ */
+export async function appendPdf(base: File, extra: File): Promise<AppendPdfResult> {
+  const [baseDoc, extraDoc] = await Promise.all([
+    base.arrayBuffer().then(bytes => PDFDocument.load(bytes, { ignoreEncryption: true })),
+    extra.arrayBuffer().then(bytes => PDFDocument.load(bytes, { ignoreEncryption: true }))
+  ])
+
+  const basePageCount = baseDoc.getPageCount()
+  const copied = await baseDoc.copyPages(extraDoc, extraDoc.getPageIndices())
+  copied.forEach(page => baseDoc.addPage(page))
+
+  const bytes = await baseDoc.save({ useObjectStreams: true })
+
+  return {
+    file: new File([new Uint8Array(bytes)], base.name, { type: 'application/pdf' }),
+    basePageCount,
+    addedPageCount: copied.length
+  }
+}
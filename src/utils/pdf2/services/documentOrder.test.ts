@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest'
+import {
+  createDocumentOrder,
+  resolveDocumentOrder,
+  movePage,
+  duplicatePage,
+  insertBlankPage,
+  removePage,
+  isSourceOrder,
+  getPrintOrder
+} from './documentOrder'
+import { DocumentPage } from '../types'
+
+// Page numbers of an order, 0 for blanks and '2c' for a copy of page 2
+const describeOrder = (order: DocumentPage[]) => order.map(entry => {
+  if (entry.pageNumber === null) return 0
+  return entry.copy ? `${entry.pageNumber}c` : entry.pageNumber
+})
+
+describe('createDocumentOrder', () => {
+  it('lists the source pages once, in order', () => {
+    expect(createDocumentOrder(3)).toEqual([
+      { id: 'page-1', pageNumber: 1 },
+      { id: 'page-2', pageNumber: 2 },
+      { id: 'page-3', pageNumber: 3 }
+    ])
+    expect(describeOrder(createDocumentOrder(2, 4))).toEqual([4, 5])
+  })
+})
+
+describe('editing an order', () => {
+  it('moves a page without changing the original order', () => {
+    const order = createDocumentOrder(4)
+
+    expect(describeOrder(movePage(order, 3, 0))).toEqual([4, 1, 2, 3])
+    expect(describeOrder(movePage(order, 0, 2))).toEqual([2, 3, 1, 4])
+    expect(describeOrder(order)).toEqual([1, 2, 3, 4])
+  })
+
+  it('ignores moves out of range', () => {
+    const order = createDocumentOrder(2)
+
+    expect(movePage(order, 0, 5)).toBe(order)
+    expect(movePage(order, -1, 0)).toBe(order)
+  })
+
+  it('inserts copies after the page and blanks before the index', () => {
+    const withCopy = duplicatePage(createDocumentOrder(3), 1)
+    const withBlanks = insertBlankPage(insertBlankPage(withCopy, 0), 99)
+
+    expect(describeOrder(withCopy)).toEqual([1, 2, '2c', 3])
+    expect(describeOrder(withBlanks)).toEqual([0, 1, 2, '2c', 3, 0])
+    expect(new Set(withBlanks.map(entry => entry.id)).size).toBe(withBlanks.length)
+  })
+
+  it('duplicates a blank as another blank', () => {
+    const order = duplicatePage(insertBlankPage(createDocumentOrder(1), 1), 1)
+
+    expect(describeOrder(order)).toEqual([1, 0, 0])
+  })
+
+  it('removes copies and blanks but never source pages', () => {
+    const order = insertBlankPage(duplicatePage(createDocumentOrder(2), 0), 3)
+
+    expect(describeOrder(removePage(order, 1))).toEqual([1, 2, 0])
+    expect(describeOrder(removePage(order, 3))).toEqual([1, '1c', 2])
+    expect(removePage(order, 0)).toBe(order)
+  })
+})
+
+describe('resolveDocumentOrder', () => {
+  it('is the source order without a saved order', () => {
+    expect(resolveDocumentOrder(null, 2)).toEqual(createDocumentOrder(2))
+  })
+
+  it('drops pages past the end and appends pages the order lacks', () => {
+    const saved: DocumentPage[] = [
+      { id: 'page-3', pageNumber: 3 },
+      { id: 'page-5', pageNumber: 5 },
+      { id: 'blank-a', pageNumber: null },
+      { id: 'page-3-again', pageNumber: 3 },
+      { id: 'copy-a', pageNumber: 3, copy: true }
+    ]
+
+    expect(describeOrder(resolveDocumentOrder(saved, 4))).toEqual([3, 0, '3c', 1, 2, 4])
+  })
+})
+
+describe('isSourceOrder / getPrintOrder', () => {
+  it('only calls an untouched order the source order', () => {
+    expect(isSourceOrder(createDocumentOrder(3))).toBe(true)
+    expect(isSourceOrder(movePage(createDocumentOrder(3), 0, 1))).toBe(false)
+    expect(isSourceOrder(duplicatePage(createDocumentOrder(3), 2))).toBe(false)
+  })
+
+  it('prints blanks and the included pages with their copies', () => {
+    const order = insertBlankPage(duplicatePage(createDocumentOrder(3), 1), 0)
+
+    expect(describeOrder(getPrintOrder(order, pageNumber => pageNumber !== 2))).toEqual([0, 1, 3])
+    expect(describeOrder(getPrintOrder(order, pageNumber => pageNumber === 2))).toEqual([0, 2, '2c'])
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * DocumentOrder
+ *
+ * The order pages print in: every source page once, in any order, plus
+ * copies of pages and inserted blank pages. Orders are plain DocumentPage
+ * arrays, so they can live in React state (OrderPage) as well as PageState;
+ * every operation returns a new array.
+ *
+ * Source pages are never removed from the order, only deselected. A
+ * deselected page drops out of the print together with its copies.
+ */
+
+import { DocumentPage } from '../types'
+
+let nextId = 0
+
+function createId(prefix: string): string {
+  nextId += 1
+  return `${prefix}-${Date.now().toString(36)}-${nextId}`
+}
+
+/**
+ * Source order: pages 1..pageCount, no copies or blanks
+ */
+export function createDocumentOrder(pageCount: number, firstPage: number = 1): DocumentPage[] {
+  return Array.from({ length: Math.max(0, pageCount) }, (_, i) => ({
+    id: `page-${firstPage + i}`,
+    pageNumber: firstPage + i
+  }))
+}
+
+/**
+ * Fit an order to a document of pageCount pages: entries for pages that no
+ * longer exist are dropped and source pages the order lacks are appended.
+ * A missing order is the source order.
+ */
+export function resolveDocumentOrder(order: DocumentPage[] | null | undefined, pageCount: number): DocumentPage[] {
+  if (!order) return createDocumentOrder(pageCount)
+
+  const seen = new Set<number>()
+  const resolved = order.filter(entry => {
+    if (entry.pageNumber === null) return true
+    if (entry.pageNumber < 1 || entry.pageNumber > pageCount) return false
+    if (entry.copy) return true
+    if (seen.has(entry.pageNumber)) return false
+    seen.add(entry.pageNumber)
+    return true
+  })
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    if (!seen.has(pageNumber)) {
+      resolved.push({ id: `page-${pageNumber}`, pageNumber })
+    }
+  }
+
+  return resolved
+}
+
+/**
+ * Move the entry at fromIndex so it ends up at toIndex
+ */
+export function movePage(order: DocumentPage[], fromIndex: number, toIndex: number): DocumentPage[] {
+  if (fromIndex < 0 || fromIndex >= order.length) return order
+  if (toIndex < 0 || toIndex >= order.length || fromIndex === toIndex) return order
+
+  const moved = [...order]
+  const [entry] = moved.splice(fromIndex, 1)
+  moved.splice(toIndex, 0, entry)
+  return moved
+}
+
+/**
+ * Insert a copy of the entry at index right after it (a blank stays a blank)
+ */
+export function duplicatePage(order: DocumentPage[], index: number): DocumentPage[] {
+  const entry = order[index]
+  if (!entry) return order
+
+  const copy: DocumentPage = entry.pageNumber === null
+    ? { id: createId('blank'), pageNumber: null }
+    : { id: createId('copy'), pageNumber: entry.pageNumber, copy: true }
+
+  return [...order.slice(0, index + 1), copy, ...order.slice(index + 1)]
+}
+
+/**
+ * Insert a blank page before index (index = order.length appends)
+ */
+export function insertBlankPage(order: DocumentPage[], index: number): DocumentPage[] {
+  const at = Math.max(0, Math.min(index, order.length))
+  return [...order.slice(0, at), { id: createId('blank'), pageNumber: null }, ...order.slice(at)]
+}
+
+/**
+ * Whether an entry can be removed from the order (copies and blanks only)
+ */
+export function isRemovablePage(entry: DocumentPage): boolean {
+  return entry.pageNumber === null || !!entry.copy
+}
+
+/**
+ * Remove a copy or blank; source pages are deselected instead
+ */
+export function removePage(order: DocumentPage[], index: number): DocumentPage[] {
+  const entry = order[index]
+  if (!entry || !isRemovablePage(entry)) return order
+  return order.filter((_, i) => i !== index)
+}
+
+/**
+ * Whether an order prints the document as it is
+ */
+export function isSourceOrder(order: DocumentPage[]): boolean {
+  return order.every((entry, index) => entry.pageNumber === index + 1 && !entry.copy)
+}
+
+/**
+ * Entries that print, in order: blanks, and pages (with their copies) that
+ * are included
+ */
+export function getPrintOrder(order: DocumentPage[], isIncluded: (pageNumber: number) => boolean): DocumentPage[] {
+  return order.filter(entry => entry.pageNumber === null || isIncluded(entry.pageNumber))
+}
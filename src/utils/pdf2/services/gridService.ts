@@ -1,33 +1,63 @@
 /**
  * GridService
  * 
- * Handles N-up grid layouts (1, 2, or 4 pages per sheet).
+ * Handles N-up grid layouts: the pages-per-sheet presets or any rows × cols
+ * grid, laid out by nupLayout.ts exactly as the recipe prints them.
  * Generates combined preview canvases for multi-page sheets.
+ *
+ * In booklet imposition every printed side is its own preview "sheet"
+ * (2-up, saddle-stitch order), so sheet numbers count sides, not paper.
+ * In poster imposition every tile is a sheet: page 1's tiles, then page 2's.
+ * Pages fill sheets in document order (PageState), so copies repeat a page
+ * and inserted blank pages leave their cell or tiles empty.
  */
 
-import { PagesPerSheet, GridSheet, PageDimensions } from '../types'
+import { PagesPerSheet, GridSheet, PageDimensions, PageInfo, Imposition, NupLayout, PosterLayout } from '../types'
 import { PagePreviewService } from './pagePreviewService'
 import { PageState } from './pageState'
 import {
-  compositeNupSheet
+  compositeNupGrid,
+  A4_PORTRAIT,
+  A4_LANDSCAPE
 } from './nupCompositor'
+import { imposeBooklet, BookletSide } from './bookletImposition'
+import { resolveNupLayout, resolvePrintLayout, getNupCapacity, getNupCells } from './nupLayout'
+import {
+  resolvePosterLayout,
+  getLargestPage,
+  getPosterSheet,
+  getPosterSize,
+  getPosterScale,
+  getPosterTiles,
+  PosterTile
+} from './posterTiling'
+import { compositePosterTile } from './posterCompositor'
+
+// Poster tiles render the whole page at poster scale; cap the canvas size
+const MAX_POSTER_RENDER = 4096
 
 export interface GridLayout {
   rows: number
   cols: number
-  gap: number  // pixels between pages
+  gap: number  // points between pages
 }
 
-const LAYOUTS: Record<PagesPerSheet, GridLayout> = {
-  1: { rows: 1, cols: 1, gap: 0 },
-  2: { rows: 1, cols: 2, gap: 10 },
-  4: { rows: 2, cols: 2, gap: 10 }
+/**
+ * Get the grid for a pages-per-sheet value (values without a preset are one row)
+ */
+export function getGridLayout(pagesPerSheet: number): GridLayout {
+  const { rows, cols, gutter } = resolveNupLayout(pagesPerSheet)
+  return { rows, cols, gap: gutter }
 }
 
 export class GridService {
   private previewService: PagePreviewService
   private pageState: PageState
   private pagesPerSheet: PagesPerSheet = 1
+  private imposition: Imposition = 'none'
+  private layoutOptions: Partial<NupLayout> = {}
+  private posterOptions: Partial<PosterLayout> = {}
+  private paper: PageDimensions = A4_PORTRAIT
   private sheetCache: Map<number, GridSheet> = new Map()
 
   constructor(previewService: PagePreviewService, pageState: PageState) {
@@ -52,25 +82,95 @@ export class GridService {
     return this.pagesPerSheet
   }
 
+  /**
+   * Set N-up layout overrides (order, borders, spacing, auto-rotation, or
+   * rows/cols for a custom grid)
+   */
+  setLayoutOptions(options: Partial<NupLayout>): void {
+    if (JSON.stringify(options) !== JSON.stringify(this.layoutOptions)) {
+      this.layoutOptions = { ...options }
+      this.sheetCache.clear()
+    }
+  }
+
+  /**
+   * Set poster overrides and the paper the tiles print on
+   */
+  setPosterOptions(options: Partial<PosterLayout>, paper: PageDimensions): void {
+    if (JSON.stringify({ options, paper }) !== JSON.stringify({ options: this.posterOptions, paper: this.paper })) {
+      this.posterOptions = { ...options }
+      this.paper = { width: paper.width, height: paper.height }
+      if (this.imposition === 'poster') this.sheetCache.clear()
+    }
+  }
+
+  /**
+   * Set imposition ('booklet' previews 2-up saddle-stitch sides, 'poster' tiles)
+   */
+  setImposition(imposition: Imposition): void {
+    if (imposition !== this.imposition) {
+      this.imposition = imposition
+      this.sheetCache.clear()
+    }
+  }
+
+  /**
+   * Get current imposition
+   */
+  getImposition(): Imposition {
+    return this.imposition
+  }
+
   /**
    * Get total number of sheets
    */
   getSheetCount(): number {
-    const includedCount = this.pageState.getIncludedCount()
-    return Math.ceil(includedCount / this.pagesPerSheet)
+    const includedCount = this.pageState.getPrintCount()
+
+    if (this.imposition === 'booklet') {
+      return imposeBooklet(includedCount).length
+    }
+
+    if (this.imposition === 'poster') {
+      const { rows, cols } = this.getPosterLayout()
+      return includedCount * rows * cols
+    }
+
+    return Math.ceil(includedCount / getNupCapacity(this.getLayout()))
   }
 
   /**
-   * Get page numbers for a sheet
+   * Get page numbers in each cell of a sheet, with null for blank pages
+   * (inserted ones and booklet padding)
    */
-  getSheetPages(sheetNumber: number): number[] {
-    const included = this.pageState.getIncluded()
-    const startIndex = (sheetNumber - 1) * this.pagesPerSheet
-    const endIndex = startIndex + this.pagesPerSheet
+  getSheetSlots(sheetNumber: number): (number | null)[] {
+    const printed = this.pageState.getPrintOrder()
+
+    if (this.imposition === 'booklet') {
+      const side = this.getBookletSide(sheetNumber)
+      if (!side) return []
+      return side.slots.map(position => position === null ? null : printed[position - 1]?.pageNumber ?? null)
+    }
+
+    if (this.imposition === 'poster') {
+      const found = this.getPosterTile(sheetNumber)
+      return found ? [found.page?.pageNumber ?? null] : []
+    }
+
+    const capacity = getNupCapacity(this.getLayout())
+    const startIndex = (sheetNumber - 1) * capacity
+    const endIndex = startIndex + capacity
 
-    return included
+    return printed
       .slice(startIndex, endIndex)
-      .map(p => p.pageNumber)
+      .map(p => p ? p.pageNumber : null)
+  }
+
+  /**
+   * Get page numbers for a sheet
+   */
+  getSheetPages(sheetNumber: number): number[] {
+    return this.getSheetSlots(sheetNumber).filter((pageNumber): pageNumber is number => pageNumber !== null)
   }
 
   /**
@@ -89,7 +189,9 @@ export class GridService {
           sheetNumber: i,
           pages: this.getSheetPages(i),
           canvas: null,
-          thumbnail: null
+          thumbnail: null,
+          side: this.getBookletSide(i)?.side,
+          tile: this.getPosterTileIndex(i)
         })
       }
     }
@@ -105,32 +207,37 @@ export class GridService {
     sheetWidth: number,
     sheetHeight: number
   ): Promise<HTMLCanvasElement> {
+    if (this.imposition === 'poster') {
+      return this.renderPosterTile(sheetNumber, sheetWidth, sheetHeight)
+    }
+
     const pages = this.getSheetPages(sheetNumber)
-    const isNupMode = this.pagesPerSheet > 1  // N-up mode when more than 1 page per sheet
+    const layout = this.getLayout()
+    const isNupMode = getNupCapacity(layout) > 1  // N-up mode when more than 1 page per sheet
 
     if (isNupMode) {
       console.log('%c════════════════════════════════════════', 'color: red; font-weight: bold')
-      console.log('%c🔲 [GRID SERVICE] Rendering N-UP Sheet ' + sheetNumber + ' (pagesPerSheet=' + this.pagesPerSheet + ')', 'color: red; font-weight: bold; background: #ffeeee; padding: 2px 6px;')
+      console.log('%c🔲 [GRID SERVICE] Rendering N-UP Sheet ' + sheetNumber + ' (' + layout.rows + '×' + layout.cols + ', ' + layout.order + ')', 'color: red; font-weight: bold; background: #ffeeee; padding: 2px 6px;')
       console.log('%c════════════════════════════════════════', 'color: red; font-weight: bold')
-    }
 
-    // For 2-up mode, use NupCompositor for proper A4 landscape layout
-    if (this.pagesPerSheet === 2) {
-      // Calculate target page dimensions based on sheet size
-      // A 2-up sheet is 2 pages side-by-side
-      const targetPageWidth = (sheetWidth - 20) / 2  // roughly half width minus margins/gap
-      const targetPageHeight = sheetHeight - 16       // full height minus margins
+      // Margin and gutter are points on the printed sheet; scale them to the preview
+      const unit = sheetWidth / (layout.landscape ? A4_LANDSCAPE.width : A4_PORTRAIT.width)
+      const [cell] = getNupCells(layout, sheetWidth, sheetHeight, unit)
 
-      // Get page canvases (render at appropriate size for the target sheet)
+      // Auto-rotated pages are drawn turned, so render them big enough either way
+      const targetPageWidth = layout.autoRotate ? Math.max(cell.width, cell.height) : cell.width
+      const targetPageHeight = layout.autoRotate ? Math.max(cell.width, cell.height) : cell.height
+
+      // Get page canvases (render at appropriate size for the target cell)
       // Pass isNupMode: true to disable A4 normalization for N-up pages
-      const page1Canvas = pages[0]
-        ? await this.previewService.getPreview(pages[0], targetPageWidth, targetPageHeight, undefined, isNupMode)
-        : null
-      const page2Canvas = pages[1]
-        ? await this.previewService.getPreview(pages[1], targetPageWidth, targetPageHeight, undefined, isNupMode)
-        : null
-
-      if (!page1Canvas) {
+      const pageCanvases: (HTMLCanvasElement | null)[] = []
+      for (const pageNum of this.getSheetSlots(sheetNumber)) {
+        pageCanvases.push(pageNum
+          ? await this.previewService.getPreview(pageNum, targetPageWidth, targetPageHeight, undefined, isNupMode)
+          : null)
+      }
+
+      if (pageCanvases.every(pageCanvas => !pageCanvas)) {
         // No pages to render
         const empty = document.createElement('canvas')
         empty.width = sheetWidth
@@ -143,12 +250,10 @@ export class GridService {
         return empty
       }
 
-      // Use NupCompositor for proper landscape layout
-      const compositeCanvas = compositeNupSheet(page1Canvas, page2Canvas, {
+      const compositeCanvas = compositeNupGrid(pageCanvases, layout, {
         sheetWidth,
         sheetHeight,
-        gap: 10,
-        margin: 8
+        unit
       })
 
       // Cache the sheet
@@ -156,14 +261,14 @@ export class GridService {
         sheetNumber,
         pages,
         canvas: compositeCanvas,
-        thumbnail: null
+        thumbnail: null,
+        side: this.getBookletSide(sheetNumber)?.side
       })
 
       return compositeCanvas
     }
 
-    // Default behavior for 1-up and 4-up modes
-    const layout = LAYOUTS[this.pagesPerSheet]
+    // 1-up: the page centered on the sheet
 
     const result = document.createElement('canvas')
     result.width = sheetWidth
@@ -181,8 +286,8 @@ export class GridService {
     }
 
     // Calculate cell dimensions
-    const cellWidth = (sheetWidth - (layout.cols - 1) * layout.gap) / layout.cols
-    const cellHeight = (sheetHeight - (layout.rows - 1) * layout.gap) / layout.rows
+    const cellWidth = (sheetWidth - (layout.cols - 1) * layout.gutter) / layout.cols
+    const cellHeight = (sheetHeight - (layout.rows - 1) * layout.gutter) / layout.rows
 
     // Render each page into its cell
     for (let i = 0; i < pages.length; i++) {
@@ -190,8 +295,8 @@ export class GridService {
       const row = Math.floor(i / layout.cols)
       const col = i % layout.cols
 
-      const x = col * (cellWidth + layout.gap)
-      const y = row * (cellHeight + layout.gap)
+      const x = col * (cellWidth + layout.gutter)
+      const y = row * (cellHeight + layout.gutter)
 
       const pageCanvas = await this.previewService.getPreview(pageNum, cellWidth, cellHeight, undefined, isNupMode)
 
@@ -226,8 +331,11 @@ export class GridService {
       return cached.thumbnail
     }
 
-    // Render at small size
-    const canvas = await this.renderSheet(sheetNumber, maxWidth, maxHeight)
+    // Render at small size (landscape poster tiles on their side)
+    const turned = this.imposition === 'poster' && this.getPosterLayout().landscape
+    const canvas = turned
+      ? await this.renderSheet(sheetNumber, maxHeight, maxWidth)
+      : await this.renderSheet(sheetNumber, maxWidth, maxHeight)
     const thumbnail = canvas.toDataURL('image/jpeg', 0.7)
 
     // Update cache
@@ -247,11 +355,15 @@ export class GridService {
     paperHeight: number
   ): PageDimensions {
     // For N-up, the effective page size changes
-    const layout = LAYOUTS[this.pagesPerSheet]
-    return {
-      width: (paperWidth - (layout.cols - 1) * layout.gap) / layout.cols,
-      height: (paperHeight - (layout.rows - 1) * layout.gap) / layout.rows
+    const layout = this.getLayout()
+    if (getNupCapacity(layout) === 1) {
+      return { width: paperWidth, height: paperHeight }
     }
+
+    const sheetWidth = layout.landscape ? Math.max(paperWidth, paperHeight) : Math.min(paperWidth, paperHeight)
+    const sheetHeight = layout.landscape ? Math.min(paperWidth, paperHeight) : Math.max(paperWidth, paperHeight)
+    const [cell] = getNupCells(layout, sheetWidth, sheetHeight)
+    return { width: cell.width, height: cell.height }
   }
 
   /**
@@ -265,13 +377,35 @@ export class GridService {
    * Invalidate all sheets containing a page
    */
   invalidateSheetsForPage(pageNumber: number): void {
-    const included = this.pageState.getIncluded()
-    const pageIndex = included.findIndex(p => p.pageNumber === pageNumber)
+    // Copies show the page in more than one place
+    const printed = this.pageState.getPrintOrder()
+    const pageIndexes = printed.flatMap((p, index) => p?.pageNumber === pageNumber ? [index] : [])
 
-    if (pageIndex === -1) return
+    if (pageIndexes.length === 0) return
 
-    const sheetNumber = Math.floor(pageIndex / this.pagesPerSheet) + 1
-    this.sheetCache.delete(sheetNumber)
+    if (this.imposition === 'booklet') {
+      imposeBooklet(printed.length).forEach((side, sideIndex) => {
+        if (side.slots.some(position => position !== null && pageIndexes.includes(position - 1))) {
+          this.sheetCache.delete(sideIndex + 1)
+        }
+      })
+      return
+    }
+
+    if (this.imposition === 'poster') {
+      const { rows, cols } = this.getPosterLayout()
+      for (const pageIndex of pageIndexes) {
+        for (let tile = 1; tile <= rows * cols; tile++) {
+          this.sheetCache.delete(pageIndex * rows * cols + tile)
+        }
+      }
+      return
+    }
+
+    const capacity = getNupCapacity(this.getLayout())
+    for (const pageIndex of pageIndexes) {
+      this.sheetCache.delete(Math.floor(pageIndex / capacity) + 1)
+    }
   }
 
   /**
@@ -282,9 +416,99 @@ export class GridService {
   }
 
   /**
-   * Get layout for current pages per sheet
+   * Get the N-up layout for the current pages per sheet, overrides and imposition
+   */
+  getLayout(): NupLayout {
+    return resolvePrintLayout(this.pagesPerSheet, this.layoutOptions, this.imposition)
+  }
+
+  /**
+   * Poster grid for the included pages, resolved like RecipeService does
+   */
+  getPosterLayout(): PosterLayout {
+    const content = getLargestPage(this.pageState.getIncluded()) || this.paper
+    return resolvePosterLayout(content, this.paper, this.posterOptions)
+  }
+
+  /**
+   * Render one poster tile: the whole page at poster scale, clipped to the tile
+   */
+  private async renderPosterTile(
+    sheetNumber: number,
+    sheetWidth: number,
+    sheetHeight: number
+  ): Promise<HTMLCanvasElement> {
+    const poster = this.getPosterLayout()
+    const found = this.getPosterTile(sheetNumber)
+    const tile = found?.tile || getPosterTiles(poster, this.paper)[0]
+    const unit = sheetWidth / getPosterSheet(poster, this.paper).sheetWidth
+
+    let pageCanvas: HTMLCanvasElement | null = null
+    let content = { x: 0, y: 0, width: 0, height: 0 }
+
+    if (found?.page) {
+      const { page } = found
+      // Preview renders are capped at 2x, like every page preview
+      const pixelsPerPoint = Math.min(
+        2,
+        unit * getPosterScale(poster, this.paper, page),
+        MAX_POSTER_RENDER / Math.max(page.width, page.height)
+      )
+      pageCanvas = await this.previewService.getPreview(
+        page.pageNumber,
+        page.width * pixelsPerPoint,
+        page.height * pixelsPerPoint,
+        undefined,
+        true
+      )
+
+      // The preview already carries crop and rotation; center it as the print does
+      const visual = { width: pageCanvas.width / pixelsPerPoint, height: pageCanvas.height / pixelsPerPoint }
+      const scale = getPosterScale(poster, this.paper, visual)
+      const size = getPosterSize(poster, this.paper)
+      const width = visual.width * scale
+      const height = visual.height * scale
+      content = { x: (size.width - width) / 2, y: (size.height - height) / 2, width, height }
+    }
+
+    const canvas = compositePosterTile(pageCanvas, content, tile, poster, { sheetWidth, sheetHeight, unit })
+
+    this.sheetCache.set(sheetNumber, {
+      sheetNumber,
+      pages: found?.page ? [found.page.pageNumber] : [],
+      canvas,
+      thumbnail: null,
+      tile: { row: tile.row, col: tile.col }
+    })
+
+    return canvas
+  }
+
+  /**
+   * Page (null = blank page) and tile a poster sheet shows, or null outside
+   * poster mode
+   */
+  private getPosterTile(sheetNumber: number): { page: PageInfo | null; tile: PosterTile } | null {
+    if (this.imposition !== 'poster') return null
+
+    const tiles = getPosterTiles(this.getPosterLayout(), this.paper)
+    const printed = this.pageState.getPrintOrder()
+    const pageIndex = Math.floor((sheetNumber - 1) / tiles.length)
+    if (pageIndex >= printed.length) return null
+
+    return { page: printed[pageIndex], tile: tiles[(sheetNumber - 1) % tiles.length] }
+  }
+
+  private getPosterTileIndex(sheetNumber: number): { row: number; col: number } | undefined {
+    const found = this.getPosterTile(sheetNumber)
+    return found ? { row: found.tile.row, col: found.tile.col } : undefined
+  }
+
+  /**
+   * Booklet side shown as a sheet, or null outside booklet mode
    */
-  getLayout(): GridLayout {
-    return { ...LAYOUTS[this.pagesPerSheet] }
+  private getBookletSide(sheetNumber: number): BookletSide | null {
+    if (this.imposition !== 'booklet') return null
+    return imposeBooklet(this.pageState.getPrintCount())[sheetNumber - 1] || null
   }
 }
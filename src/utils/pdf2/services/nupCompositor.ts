@@ -1,10 +1,14 @@
 /**
  * NupCompositor
  * 
- * Creates N-up composite sheets for 2 pages per sheet layout.
- * Output is A4 Landscape with 2 portrait pages side-by-side.
+ * Creates N-up composite preview sheets on canvas.
+ * compositeNupGrid handles any layout from nupLayout.ts; compositeNupSheet is
+ * the 2-up case (A4 Landscape with 2 portrait pages side-by-side).
  */
 
+import { NupLayout } from '../types'
+import { resolveNupLayout, getNupCells, shouldRotateIntoCell } from './nupLayout'
+
 // A4 dimensions in points (72 dpi)
 export const A4_PORTRAIT = { width: 595.3, height: 841.9 }
 export const A4_LANDSCAPE = { width: 841.9, height: 595.3 }
@@ -17,6 +21,13 @@ export interface NupSheetConfig {
     backgroundColor: string
 }
 
+export interface NupGridConfig {
+    sheetWidth: number   // Output sheet width in pixels
+    sheetHeight: number  // Output sheet height in pixels
+    unit: number         // Pixels per point, for the layout margin and gutter
+    backgroundColor: string
+}
+
 const DEFAULT_CONFIG: NupSheetConfig = {
     sheetWidth: A4_LANDSCAPE.width,
     sheetHeight: A4_LANDSCAPE.height,
@@ -28,22 +39,52 @@ const DEFAULT_CONFIG: NupSheetConfig = {
 /**
  * Composite 2 pages into a single landscape sheet
  * 
- * @param page1Canvas - First page canvas (required)
- * @param page2Canvas - Second page canvas (null for odd last page)
+ * @param page1Canvas - First page canvas (null for a booklet blank)
+ * @param page2Canvas - Second page canvas (null for odd last page or a booklet blank)
  * @param config - Optional configuration override
  * @returns Composite canvas with both pages side-by-side
  */
 export function compositeNupSheet(
-    page1Canvas: HTMLCanvasElement,
+    page1Canvas: HTMLCanvasElement | null,
     page2Canvas: HTMLCanvasElement | null,
     config: Partial<NupSheetConfig> = {}
 ): HTMLCanvasElement {
     const cfg = { ...DEFAULT_CONFIG, ...config }
 
-    // Create output canvas (landscape orientation)
+    // gap and margin are already in pixels here
+    return compositeNupGrid(
+        [page1Canvas, page2Canvas],
+        resolveNupLayout(2, { margin: cfg.margin, gutter: cfg.gap }),
+        {
+            sheetWidth: cfg.sheetWidth,
+            sheetHeight: cfg.sheetHeight,
+            unit: 1,
+            backgroundColor: cfg.backgroundColor
+        }
+    )
+}
+
+/**
+ * Composite pages onto one N-up sheet following a layout (see nupLayout.ts)
+ *
+ * @param pageCanvases - Page canvases in fill order; null leaves a cell empty
+ * @param layout - Grid, fill order, spacing, borders and auto-rotation
+ * @param config - Output size; unit defaults to the sheet width over A4 in points
+ * @returns Composite canvas
+ */
+export function compositeNupGrid(
+    pageCanvases: (HTMLCanvasElement | null)[],
+    layout: NupLayout,
+    config: Partial<NupGridConfig> = {}
+): HTMLCanvasElement {
+    const a4 = layout.landscape ? A4_LANDSCAPE : A4_PORTRAIT
+    const sheetWidth = config.sheetWidth ?? a4.width
+    const sheetHeight = config.sheetHeight ?? a4.height
+    const unit = config.unit ?? sheetWidth / a4.width
+
     const canvas = document.createElement('canvas')
-    canvas.width = cfg.sheetWidth
-    canvas.height = cfg.sheetHeight
+    canvas.width = sheetWidth
+    canvas.height = sheetHeight
 
     const ctx = canvas.getContext('2d')
     if (!ctx) {
@@ -51,49 +92,53 @@ export function compositeNupSheet(
     }
 
     // Fill background
-    ctx.fillStyle = cfg.backgroundColor
+    ctx.fillStyle = config.backgroundColor ?? DEFAULT_CONFIG.backgroundColor
     ctx.fillRect(0, 0, canvas.width, canvas.height)
 
-    // Calculate available space for each page cell
-    const availableWidth = (cfg.sheetWidth - cfg.margin * 2 - cfg.gap) / 2
-    const availableHeight = cfg.sheetHeight - cfg.margin * 2
-
-    // Draw page 1 (left side)
-    const pos1 = calculatePagePosition(
-        page1Canvas.width,
-        page1Canvas.height,
-        cfg.margin,
-        cfg.margin,
-        availableWidth,
-        availableHeight
-    )
-    ctx.drawImage(page1Canvas, pos1.x, pos1.y, pos1.width, pos1.height)
-
-    // Draw dashed border around page 1 area
-    drawPageBorder(ctx, cfg.margin, cfg.margin, availableWidth, availableHeight)
-
-    // Draw page 2 (right side) if exists
-    const rightCellX = cfg.margin + availableWidth + cfg.gap
-
-    if (page2Canvas) {
-        const pos2 = calculatePagePosition(
-            page2Canvas.width,
-            page2Canvas.height,
-            rightCellX,
-            cfg.margin,
-            availableWidth,
-            availableHeight
-        )
-        ctx.drawImage(page2Canvas, pos2.x, pos2.y, pos2.width, pos2.height)
-        drawPageBorder(ctx, rightCellX, cfg.margin, availableWidth, availableHeight)
-    } else {
-        // Empty second cell for odd page count - draw empty border
-        drawPageBorder(ctx, rightCellX, cfg.margin, availableWidth, availableHeight, true)
-    }
+    getNupCells(layout, sheetWidth, sheetHeight, unit).forEach((cell, index) => {
+        const pageCanvas = pageCanvases[index]
+
+        if (pageCanvas) {
+            const rotate = shouldRotateIntoCell(layout, pageCanvas.width, pageCanvas.height, cell)
+            drawPageInCell(ctx, pageCanvas, cell, rotate)
+            drawPageBorder(ctx, cell.x, cell.y, cell.width, cell.height)
+        } else {
+            // Empty cell (last sheet, booklet blank) - draw empty border
+            drawPageBorder(ctx, cell.x, cell.y, cell.width, cell.height, true)
+        }
+
+        if (layout.borders) {
+            drawCellRule(ctx, cell.x, cell.y, cell.width, cell.height)
+        }
+    })
 
     return canvas
 }
 
+/**
+ * Draw a page centered in its cell, turned a quarter turn clockwise if rotate is set
+ */
+function drawPageInCell(
+    ctx: CanvasRenderingContext2D,
+    pageCanvas: HTMLCanvasElement,
+    cell: { x: number; y: number; width: number; height: number },
+    rotate: boolean
+): void {
+    if (!rotate) {
+        const pos = calculatePagePosition(pageCanvas.width, pageCanvas.height, cell.x, cell.y, cell.width, cell.height)
+        ctx.drawImage(pageCanvas, pos.x, pos.y, pos.width, pos.height)
+        return
+    }
+
+    // Fit the turned page, then draw it unturned around the cell center
+    const pos = calculatePagePosition(pageCanvas.height, pageCanvas.width, cell.x, cell.y, cell.width, cell.height)
+    ctx.save()
+    ctx.translate(pos.x + pos.width / 2, pos.y + pos.height / 2)
+    ctx.rotate(Math.PI / 2)
+    ctx.drawImage(pageCanvas, -pos.height / 2, -pos.width / 2, pos.height, pos.width)
+    ctx.restore()
+}
+
 /**
  * Calculate position and size for a page within its cell (centered, scaled to fit)
  */
@@ -139,6 +184,23 @@ function drawPageBorder(
     ctx.restore()
 }
 
+/**
+ * Draw the printed rule around a cell (layout.borders)
+ */
+function drawCellRule(
+    ctx: CanvasRenderingContext2D,
+    x: number,
+    y: number,
+    width: number,
+    height: number
+): void {
+    ctx.save()
+    ctx.strokeStyle = '#111827'
+    ctx.lineWidth = 1
+    ctx.strokeRect(x, y, width, height)
+    ctx.restore()
+}
+
 /**
  * Create N-up sheet from page data URLs
  * Convenience method for when you have data URLs instead of canvases
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest'
+import {
+  resolveNupLayout,
+  resolvePrintLayout,
+  getNupCapacity,
+  getNupCellOrder,
+  getNupCells,
+  getNupSheetSize,
+  shouldRotateIntoCell
+} from './nupLayout'
+
+const A4 = { width: 595, height: 842 }
+
+describe('resolveNupLayout', () => {
+  it('uses the preset grid and orientation', () => {
+    expect(resolveNupLayout(2)).toMatchObject({ rows: 1, cols: 2, landscape: true, order: 'z', margin: 10, gutter: 10 })
+    expect(resolveNupLayout(6)).toMatchObject({ rows: 3, cols: 2, landscape: false })
+  })
+
+  it('turns a custom grid landscape when it is wider than tall', () => {
+    expect(resolveNupLayout(6, { rows: 2, cols: 3 })).toMatchObject({ rows: 2, cols: 3, landscape: true })
+    expect(resolveNupLayout(6, { rows: 2, cols: 3, landscape: false }).landscape).toBe(false)
+  })
+
+  it('puts counts without a preset on one row', () => {
+    expect(resolveNupLayout(3)).toMatchObject({ rows: 1, cols: 3, landscape: true })
+  })
+})
+
+describe('resolvePrintLayout', () => {
+  it('prints booklets 2-up landscape in reading order, keeping spacing', () => {
+    const layout = resolvePrintLayout(4, { rows: 2, cols: 2, order: 'n', gutter: 0 }, 'booklet')
+
+    expect(layout).toMatchObject({ rows: 1, cols: 2, landscape: true, order: 'z', gutter: 0 })
+    expect(getNupCapacity(layout)).toBe(2)
+  })
+
+  it('prints posters one tile per sheet', () => {
+    expect(getNupCapacity(resolvePrintLayout(4, {}, 'poster'))).toBe(1)
+  })
+})
+
+describe('getNupCellOrder', () => {
+  it('fills rows, columns or right-to-left rows', () => {
+    const cells = (order: 'z' | 'n' | 'reverse') => getNupCellOrder(2, 2, order).map(({ row, col }) => `${row}${col}`)
+
+    expect(cells('z')).toEqual(['00', '01', '10', '11'])
+    expect(cells('n')).toEqual(['00', '10', '01', '11'])
+    expect(cells('reverse')).toEqual(['01', '00', '11', '10'])
+  })
+})
+
+describe('getNupCells', () => {
+  it('splits the sheet inside the margin with gutters between cells', () => {
+    const layout = resolveNupLayout(4)
+    const cells = getNupCells(layout, A4.width, A4.height)
+
+    // (595 - 2 * 10 - 10) / 2 and (842 - 2 * 10 - 10) / 2
+    expect(cells[0]).toEqual({ x: 10, y: 10, width: 282.5, height: 406, row: 0, col: 0 })
+    expect(cells[3]).toEqual({ x: 302.5, y: 426, width: 282.5, height: 406, row: 1, col: 1 })
+  })
+
+  it('scales margin and gutter by the drawing unit', () => {
+    const layout = resolveNupLayout(2, { margin: 20, gutter: 10 })
+    const [left, right] = getNupCells(layout, 1684, 1190, 2)
+
+    expect(left).toMatchObject({ x: 40, y: 40, width: 792, height: 1110 })
+    expect(right.x).toBe(40 + 792 + 20)
+  })
+
+  it('returns cells in fill order', () => {
+    const layout = resolveNupLayout(2, { order: 'reverse' })
+    const [first] = getNupCells(layout, A4.height, A4.width)
+
+    expect(first.col).toBe(1)
+  })
+})
+
+describe('getNupSheetSize', () => {
+  it('turns the paper for landscape layouts', () => {
+    expect(getNupSheetSize({ landscape: true }, A4)).toEqual({ width: 842, height: 595 })
+    expect(getNupSheetSize({ landscape: false }, A4)).toEqual(A4)
+  })
+})
+
+describe('shouldRotateIntoCell', () => {
+  const wideCell = { width: 400, height: 280 }
+
+  it('turns a portrait page into a landscape cell when that makes it larger', () => {
+    expect(shouldRotateIntoCell({ autoRotate: true }, 595, 842, wideCell)).toBe(true)
+  })
+
+  it('leaves pages alone without auto-rotation or when the orientation matches', () => {
+    expect(shouldRotateIntoCell({ autoRotate: false }, 595, 842, wideCell)).toBe(false)
+    expect(shouldRotateIntoCell({ autoRotate: true }, 842, 595, wideCell)).toBe(false)
+    expect(shouldRotateIntoCell({ autoRotate: true }, 500, 500, wideCell)).toBe(false)
+  })
+})
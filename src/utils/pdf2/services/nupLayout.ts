@@ -0,0 +1,175 @@
+/**
+ * NupLayout
+ *
+ * Geometry for N-up sheets: any rows × cols grid, the order pages fill the
+ * cells, margin/gutter and auto-rotation. Pure math with no DOM or pdf-lib,
+ * so the preview (GridService / NupCompositor) and the print output
+ * (RecipeExecutor) place pages identically.
+ *
+ * Margin and gutter are in points on the printed sheet. Callers drawing at
+ * another resolution pass `unit` (pixels per point).
+ */
+
+import { NupLayout, NupOrder, PagesPerSheet, Imposition } from '../types'
+
+export const DEFAULT_NUP_MARGIN = 10
+export const DEFAULT_NUP_GUTTER = 10
+
+export const NUP_ORDERS: NupOrder[] = ['z', 'n', 'reverse']
+
+// Presets pick the sheet orientation whose cells best fit portrait pages
+export const NUP_PRESETS: Record<PagesPerSheet, { rows: number; cols: number; landscape: boolean }> = {
+  1: { rows: 1, cols: 1, landscape: false },
+  2: { rows: 1, cols: 2, landscape: true },
+  4: { rows: 2, cols: 2, landscape: false },
+  6: { rows: 3, cols: 2, landscape: false },
+  8: { rows: 2, cols: 4, landscape: true },
+  9: { rows: 3, cols: 3, landscape: false },
+  16: { rows: 4, cols: 4, landscape: false }
+}
+
+export interface NupCell {
+  x: number       // left edge, y-down sheet coordinates
+  y: number       // top edge
+  width: number
+  height: number
+  row: number
+  col: number
+}
+
+/**
+ * Check whether a pages-per-sheet value has a preset grid
+ */
+export function isNupPreset(pagesPerSheet: number): pagesPerSheet is PagesPerSheet {
+  return Object.prototype.hasOwnProperty.call(NUP_PRESETS, pagesPerSheet)
+}
+
+/**
+ * Full layout for a pages-per-sheet value, with any overrides applied.
+ * Values without a preset become a single row; pass rows/cols for other grids.
+ */
+export function resolveNupLayout(pagesPerSheet: number, overrides: Partial<NupLayout> = {}): NupLayout {
+  const preset = isNupPreset(pagesPerSheet)
+    ? NUP_PRESETS[pagesPerSheet]
+    : { rows: 1, cols: Math.max(1, Math.floor(pagesPerSheet) || 1), landscape: true }
+
+  const rows = overrides.rows ?? preset.rows
+  const cols = overrides.cols ?? preset.cols
+
+  return {
+    rows,
+    cols,
+    // A custom grid without an explicit orientation goes wide when it has more columns
+    landscape: overrides.landscape ?? (overrides.rows || overrides.cols ? cols > rows : preset.landscape),
+    order: overrides.order ?? 'z',
+    borders: overrides.borders ?? false,
+    margin: overrides.margin ?? DEFAULT_NUP_MARGIN,
+    gutter: overrides.gutter ?? DEFAULT_NUP_GUTTER,
+    autoRotate: overrides.autoRotate ?? false
+  }
+}
+
+/**
+ * Layout a job prints with: booklets are always 2-up landscape in reading
+ * order, keeping only the spacing/border overrides; posters are 1-up tiles
+ */
+export function resolvePrintLayout(
+  pagesPerSheet: number,
+  overrides: Partial<NupLayout> = {},
+  imposition: Imposition = 'none'
+): NupLayout {
+  if (imposition === 'booklet') {
+    return resolveNupLayout(2, { ...overrides, rows: 1, cols: 2, landscape: true, order: 'z' })
+  }
+  if (imposition === 'poster') {
+    return resolveNupLayout(1)
+  }
+  return resolveNupLayout(pagesPerSheet, overrides)
+}
+
+/**
+ * Pages a layout holds per sheet side
+ */
+export function getNupCapacity(layout: Pick<NupLayout, 'rows' | 'cols'>): number {
+  return layout.rows * layout.cols
+}
+
+/**
+ * Grid positions in the order pages fill them:
+ * 'z' = rows left to right, top to bottom
+ * 'n' = columns top to bottom, left to right
+ * 'reverse' = rows right to left, top to bottom (right-to-left documents)
+ */
+export function getNupCellOrder(rows: number, cols: number, order: NupOrder): { row: number; col: number }[] {
+  const positions: { row: number; col: number }[] = []
+
+  if (order === 'n') {
+    for (let col = 0; col < cols; col++) {
+      for (let row = 0; row < rows; row++) {
+        positions.push({ row, col })
+      }
+    }
+    return positions
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      positions.push({ row, col: order === 'reverse' ? cols - 1 - col : col })
+    }
+  }
+  return positions
+}
+
+/**
+ * Cell rectangles of a sheet in fill order (y-down, origin top-left)
+ */
+export function getNupCells(
+  layout: NupLayout,
+  sheetWidth: number,
+  sheetHeight: number,
+  unit: number = 1
+): NupCell[] {
+  const margin = layout.margin * unit
+  const gutter = layout.gutter * unit
+  const cellWidth = (sheetWidth - margin * 2 - gutter * (layout.cols - 1)) / layout.cols
+  const cellHeight = (sheetHeight - margin * 2 - gutter * (layout.rows - 1)) / layout.rows
+
+  return getNupCellOrder(layout.rows, layout.cols, layout.order).map(({ row, col }) => ({
+    x: margin + col * (cellWidth + gutter),
+    y: margin + row * (cellHeight + gutter),
+    width: cellWidth,
+    height: cellHeight,
+    row,
+    col
+  }))
+}
+
+/**
+ * Sheet size for a layout on portrait paper dimensions
+ */
+export function getNupSheetSize(
+  layout: Pick<NupLayout, 'landscape'>,
+  paper: { width: number; height: number }
+): { width: number; height: number } {
+  return layout.landscape
+    ? { width: paper.height, height: paper.width }
+    : { width: paper.width, height: paper.height }
+}
+
+/**
+ * Whether auto-rotation turns a page a quarter turn: only when the page and
+ * the cell have opposite orientations and turning it makes it larger.
+ * contentWidth/contentHeight are the page as it will otherwise be drawn.
+ */
+export function shouldRotateIntoCell(
+  layout: Pick<NupLayout, 'autoRotate'>,
+  contentWidth: number,
+  contentHeight: number,
+  cell: { width: number; height: number }
+): boolean {
+  if (!layout.autoRotate || contentWidth === contentHeight) return false
+
+  const fit = Math.min(cell.width / contentWidth, cell.height / contentHeight)
+  const rotatedFit = Math.min(cell.width / contentHeight, cell.height / contentWidth)
+  return rotatedFit > fit
+}
@@ -3,12 +3,16 @@
  * 
  * Renders page previews with transforms applied.
  * Handles the visual preview for the canvas display.
+ * Stamps are drawn on top, numbered by source page (the print numbers them
+ * by position in the job, see RecipeService).
  */
 
-import { PageTransforms } from '../types'
+import { PageTransforms, Stamp } from '../types'
 import { DocumentLoader } from './documentLoader'
 import { MetadataStore } from '../state/metadataStore'
 import { ProgressBus } from './progressBus'
+import { resolveStamps, getStampUnit } from './stampLayout'
+import { drawStamps } from './stampCompositor'
 
 export class PagePreviewService {
   private documentLoader: DocumentLoader
@@ -39,7 +43,8 @@ export class PagePreviewService {
     isNupMode: boolean = false  // When true, disable A4 normalization
   ): Promise<HTMLCanvasElement> {
     const transforms = this.metadataStore.getTransforms(pageNumber)
-    const cacheKey = this.getCacheKey(pageNumber, transforms, containerWidth, containerHeight) + (isNupMode ? '_nup' : '')
+    const stamps = this.metadataStore.getStamps(pageNumber)
+    const cacheKey = this.getCacheKey(pageNumber, transforms, containerWidth, containerHeight, stamps) + (isNupMode ? '_nup' : '')
 
     // Check cache
     if (this.previewCache.has(cacheKey)) {
@@ -62,6 +67,16 @@ export class PagePreviewService {
     // Apply transforms
     const transformedCanvas = this.applyTransforms(baseCanvas, transforms)
 
+    const dimensions = this.documentLoader.getPageDimensions(pageNumber)
+    if (stamps.length > 0 && dimensions) {
+      this.applyStamps(
+        transformedCanvas,
+        pageNumber,
+        stamps,
+        getStampUnit(transformedCanvas.width, transformedCanvas.height, dimensions)
+      )
+    }
+
     // Cache result
     this.addToCache(cacheKey, transformedCanvas)
 
@@ -91,6 +106,17 @@ export class PagePreviewService {
     return current
   }
 
+  /**
+   * Draw a page's stamps over its canvas
+   */
+  private applyStamps(canvas: HTMLCanvasElement, pageNumber: number, stamps: Stamp[], unit: number): void {
+    const ctx = canvas.getContext('2d')
+    if (!ctx) return
+
+    const resolved = resolveStamps(stamps, pageNumber, this.documentLoader.getTotalPages())
+    drawStamps(ctx, resolved, canvas.width, canvas.height, unit)
+  }
+
   /**
    * Apply crop to canvas
    */
@@ -181,13 +207,15 @@ export class PagePreviewService {
     pageNumber: number,
     transforms: PageTransforms,
     width: number,
-    height: number
+    height: number,
+    stamps: Stamp[] = []
   ): string {
     return JSON.stringify({
       page: pageNumber,
       transforms,
       width: Math.round(width),
-      height: Math.round(height)
+      height: Math.round(height),
+      stamps
     })
   }
 
@@ -395,6 +423,13 @@ export class PagePreviewService {
     )
 
     ctx.restore()
+
+    // Stamps sit on the paper, not the transformed content
+    const stamps = this.metadataStore.getStamps(pageNumber)
+    if (stamps.length > 0) {
+      this.applyStamps(pageCanvas, pageNumber, stamps, renderScale)
+    }
+
     return pageCanvas
   }
   /**
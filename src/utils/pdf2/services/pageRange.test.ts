@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { parsePageRange, toPageRanges, formatPageRanges } from './pageRange'
+
+const pages = (expression: string, totalPages = 12) => parsePageRange(expression, totalPages).pages
+const error = (expression: string, totalPages = 12) => parsePageRange(expression, totalPages).error
+
+describe('parsePageRange', () => {
+  it('combines pages, spans and open-ended spans', () => {
+    expect(pages('1-3, 8, 10-')).toEqual([1, 2, 3, 8, 10, 11, 12])
+    expect(pages('-2; 5')).toEqual([1, 2, 5])
+  })
+
+  it('flips reversed spans and accepts en dashes', () => {
+    expect(pages('5-3')).toEqual([3, 4, 5])
+    expect(pages('3–5')).toEqual([3, 4, 5])
+  })
+
+  it('understands keywords, case-insensitively', () => {
+    expect(pages('odd', 6)).toEqual([1, 3, 5])
+    expect(pages('EVEN', 6)).toEqual([2, 4, 6])
+    expect(pages('first 2, last 2', 6)).toEqual([1, 2, 5, 6])
+    expect(pages('last 20', 3)).toEqual([1, 2, 3])
+    expect(pages('all', 3)).toEqual([1, 2, 3])
+  })
+
+  it('removes duplicates and returns the runs', () => {
+    expect(parsePageRange('4, 1-3, 2', 12)).toEqual({
+      pages: [1, 2, 3, 4],
+      ranges: [{ start: 1, end: 4 }],
+      error: null
+    })
+  })
+
+  it('selects nothing for an empty expression', () => {
+    expect(parsePageRange(' , ', 12)).toEqual({ pages: [], ranges: [], error: null })
+    expect(parsePageRange('', 0)).toEqual({ pages: [], ranges: [], error: null })
+  })
+
+  describe('errors', () => {
+    it('rejects terms that are not pages or ranges', () => {
+      expect(error('1, two')).toBe('"two" is not a page or range')
+      expect(error('-')).toBe('"-" is not a page or range')
+      expect(error('1-2-3')).toBe('"1-2-3" is not a page or range')
+    })
+
+    it('rejects pages outside the document', () => {
+      expect(error('0-2')).toBe('Pages start at 1')
+      expect(error('3, 13')).toBe('Page 13 is past the end (12 pages)')
+    })
+
+    it('rejects first/last counts that select nothing', () => {
+      expect(error('first 0')).toBe('"first 0" selects no pages')
+    })
+
+    it('rejects any selection from an empty document', () => {
+      expect(error('1', 0)).toBe('The document has no pages')
+    })
+
+    it('returns no pages with an error, even if other terms were valid', () => {
+      expect(parsePageRange('1-3, 40', 12)).toMatchObject({ pages: [], ranges: [] })
+    })
+  })
+})
+
+describe('toPageRanges / formatPageRanges', () => {
+  it('groups consecutive pages', () => {
+    expect(toPageRanges([8, 1, 2, 3, 3])).toEqual([{ start: 1, end: 3 }, { start: 8, end: 8 }])
+  })
+
+  it('writes an expression parsePageRange reads back', () => {
+    const expression = formatPageRanges([1, 2, 3, 4, 5, 8, 10, 11, 12])
+
+    expect(expression).toBe('1-5, 8, 10-12')
+    expect(pages(expression)).toEqual([1, 2, 3, 4, 5, 8, 10, 11, 12])
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * PageRange
+ *
+ * Page-range expressions for selecting pages by typing instead of clicking:
+ * "1-5, 8, 10-", "odd", "even", "last 3". Pure parsing with no state, so the
+ * selector can preview an expression before applying it and SelectionState
+ * can apply the resulting ranges.
+ *
+ * Terms are separated by commas and combine (union):
+ *   7        one page
+ *   3-9      pages 3 to 9 (reversed ranges are flipped)
+ *   10-      page 10 to the last page
+ *   -4       page 1 to page 4
+ *   odd      odd pages          even   even pages
+ *   first 3  first three pages  last 3 last three pages
+ *   all      every page
+ */
+
+export interface PageRange {
+  start: number   // first page, inclusive
+  end: number     // last page, inclusive
+}
+
+export interface PageRangeResult {
+  pages: number[]        // selected page numbers, sorted, no duplicates
+  ranges: PageRange[]    // the same pages as consecutive runs
+  error: string | null   // first problem found; pages are empty when set
+}
+
+const SINGLE_PAGE = /^(\d+)$/
+const PAGE_SPAN = /^(\d*)\s*[-–]\s*(\d*)$/
+const FIRST_LAST = /^(first|last)\s*(\d+)$/
+
+/**
+ * Parse an expression against a document of totalPages pages.
+ * An empty expression selects nothing and is not an error.
+ */
+export function parsePageRange(expression: string, totalPages: number): PageRangeResult {
+  const terms = expression.toLowerCase().split(/[,;]/).map(term => term.trim()).filter(Boolean)
+  const selected = new Set<number>()
+
+  const fail = (error: string): PageRangeResult => ({ pages: [], ranges: [], error })
+  const addSpan = (start: number, end: number) => {
+    for (let page = Math.min(start, end); page <= Math.max(start, end); page++) {
+      selected.add(page)
+    }
+  }
+
+  if (totalPages < 1) {
+    return terms.length > 0 ? fail('The document has no pages') : { pages: [], ranges: [], error: null }
+  }
+
+  for (const term of terms) {
+    if (term === 'all') {
+      addSpan(1, totalPages)
+      continue
+    }
+
+    if (term === 'odd' || term === 'even') {
+      for (let page = term === 'odd' ? 1 : 2; page <= totalPages; page += 2) {
+        selected.add(page)
+      }
+      continue
+    }
+
+    const firstLast = term.match(FIRST_LAST)
+    if (firstLast) {
+      const count = Math.min(parseInt(firstLast[2], 10), totalPages)
+      if (count < 1) return fail(`"${term}" selects no pages`)
+      if (firstLast[1] === 'first') {
+        addSpan(1, count)
+      } else {
+        addSpan(totalPages - count + 1, totalPages)
+      }
+      continue
+    }
+
+    const single = term.match(SINGLE_PAGE)
+    const span = term.match(PAGE_SPAN)
+    let start: number
+    let end: number
+    if (single) {
+      start = end = parseInt(single[1], 10)
+    } else if (span && (span[1] || span[2])) {
+      start = span[1] ? parseInt(span[1], 10) : 1
+      end = span[2] ? parseInt(span[2], 10) : totalPages
+    } else {
+      return fail(`"${term}" is not a page or range`)
+    }
+
+    for (const page of [start, end]) {
+      if (page < 1) return fail('Pages start at 1')
+      if (page > totalPages) return fail(`Page ${page} is past the end (${totalPages} pages)`)
+    }
+    addSpan(start, end)
+  }
+
+  const pages = Array.from(selected).sort((a, b) => a - b)
+  return { pages, ranges: toPageRanges(pages), error: null }
+}
+
+/**
+ * Group page numbers into consecutive runs: [1, 2, 3, 8] → 1-3, 8
+ */
+export function toPageRanges(pageNumbers: number[]): PageRange[] {
+  const sorted = Array.from(new Set(pageNumbers)).sort((a, b) => a - b)
+  const ranges: PageRange[] = []
+
+  for (const page of sorted) {
+    const last = ranges[ranges.length - 1]
+    if (last && page === last.end + 1) {
+      last.end = page
+    } else {
+      ranges.push({ start: page, end: page })
+    }
+  }
+
+  return ranges
+}
+
+/**
+ * Write page numbers as a compact expression, e.g. "1-5, 8, 10-12"
+ */
+export function formatPageRanges(pageNumbers: number[]): string {
+  return toPageRanges(pageNumbers)
+    .map(range => range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`)
+    .join(', ')
+}
@@ -2,13 +2,25 @@
  * PageState
  * 
  * Manages arrays of pages: page order, inclusion/exclusion, reordering.
- * Stores the list of pages from the PDF and their current order.
+ * Stores the list of pages from the PDF (in source order) and the document
+ * order they print in, with copies and blank pages (see documentOrder.ts).
  */
 
-import { PageInfo, PageDimensions } from '../types'
+import { PageInfo, PageDimensions, DocumentPage } from '../types'
+import {
+  createDocumentOrder,
+  resolveDocumentOrder,
+  movePage,
+  duplicatePage,
+  insertBlankPage,
+  removePage,
+  isSourceOrder,
+  getPrintOrder
+} from './documentOrder'
 
 export class PageState {
   private pages: PageInfo[] = []
+  private order: DocumentPage[] = []
   private excludedPages: Set<number> = new Set()
   private totalPages: number = 0
   private documentId: string = ''
@@ -19,6 +31,7 @@ export class PageState {
   init(pageInfos: PageInfo[], documentId: string): void {
     this.pages = [...pageInfos]
     this.totalPages = pageInfos.length
+    this.order = createDocumentOrder(pageInfos.length)
     this.documentId = documentId
     this.excludedPages.clear()
   }
@@ -31,7 +44,7 @@ export class PageState {
   }
 
   /**
-   * Get only included pages (not excluded)
+   * Get only included pages (not excluded), once each in source order
    */
   getIncluded(): PageInfo[] {
     return this.pages.filter(p => !this.excludedPages.has(p.pageNumber))
@@ -52,7 +65,7 @@ export class PageState {
   }
 
   /**
-   * Get page by index in current order
+   * Get page by index in source order
    */
   getPageByIndex(index: number): PageInfo | null {
     return this.pages[index] || null
@@ -84,39 +97,76 @@ export class PageState {
   // ============================================
 
   /**
-   * Reorder pages: move page from fromIndex to toIndex
+   * Get the document order: every entry, included or not
+   */
+  getOrder(): DocumentPage[] {
+    return [...this.order]
+  }
+
+  /**
+   * Set the document order (fitted to this document's pages; null = source order)
+   */
+  setOrder(order: DocumentPage[] | null): void {
+    this.order = resolveDocumentOrder(order, this.totalPages)
+  }
+
+  /**
+   * Reorder pages: move the entry at fromIndex to toIndex
    */
   reorder(fromIndex: number, toIndex: number): void {
-    if (fromIndex < 0 || fromIndex >= this.pages.length) return
-    if (toIndex < 0 || toIndex >= this.pages.length) return
-    if (fromIndex === toIndex) return
+    this.order = movePage(this.order, fromIndex, toIndex)
+  }
 
-    const [removed] = this.pages.splice(fromIndex, 1)
-    this.pages.splice(toIndex, 0, removed)
+  /**
+   * Insert a copy of the entry at index after it
+   */
+  duplicate(index: number): void {
+    this.order = duplicatePage(this.order, index)
   }
 
   /**
-   * Get current order as array of page numbers
+   * Insert a blank page before index
    */
-  getOrder(): number[] {
-    return this.pages.map(p => p.pageNumber)
+  insertBlank(index: number): void {
+    this.order = insertBlankPage(this.order, index)
   }
 
   /**
-   * Set custom order
+   * Remove a copy or blank page (source pages are excluded instead)
    */
-  setOrder(pageNumbers: number[]): void {
-    const pageMap = new Map(this.pages.map(p => [p.pageNumber, p]))
-    this.pages = pageNumbers
-      .map(num => pageMap.get(num))
-      .filter((p): p is PageInfo => p !== undefined)
+  remove(index: number): void {
+    this.order = removePage(this.order, index)
   }
 
   /**
    * Reset to original order
    */
   resetOrder(): void {
-    this.pages.sort((a, b) => a.pageNumber - b.pageNumber)
+    this.order = createDocumentOrder(this.totalPages)
+  }
+
+  /**
+   * Check if the order differs from the source document
+   */
+  isReordered(): boolean {
+    return !isSourceOrder(this.order)
+  }
+
+  /**
+   * Get the pages that print, in document order: copies repeat their page,
+   * null is a blank page
+   */
+  getPrintOrder(): (PageInfo | null)[] {
+    const pageMap = new Map(this.pages.map(p => [p.pageNumber, p]))
+    return getPrintOrder(this.order, pageNumber => !this.excludedPages.has(pageNumber) && pageMap.has(pageNumber))
+      .map(entry => entry.pageNumber === null ? null : pageMap.get(entry.pageNumber) || null)
+  }
+
+  /**
+   * Get the number of pages that print (copies and blanks included)
+   */
+  getPrintCount(): number {
+    return this.getPrintOrder().length
   }
 
   // ============================================
@@ -198,7 +248,7 @@ export class PageState {
   }
 
   /**
-   * Get index of page in current order
+   * Get index of page in source order
    */
   getIndex(pageNumber: number): number {
     return this.pages.findIndex(p => p.pageNumber === pageNumber)
@@ -209,6 +259,7 @@ export class PageState {
    */
   clear(): void {
     this.pages = []
+    this.order = []
     this.excludedPages.clear()
     this.totalPages = 0
     this.documentId = ''
@@ -0,0 +1,176 @@
+/**
+ * PosterCompositor
+ *
+ * Draws poster tile previews on canvas: the slice of a page that one sheet
+ * prints, with the same margin, overlap, cut marks and label as the
+ * RecipeExecutor output (see posterTiling.ts).
+ */
+
+import { PosterLayout } from '../types'
+import { PosterTile, formatPosterTileLabel } from './posterTiling'
+
+export interface PosterTileConfig {
+    sheetWidth: number   // Output sheet width in pixels
+    sheetHeight: number  // Output sheet height in pixels
+    unit: number         // Pixels per point
+    backgroundColor: string
+}
+
+const CUT_MARK_LENGTH = 12  // points, as printed
+const CUT_MARK_GAP = 2
+const MIN_LABEL_PIXELS = 5
+
+/**
+ * Composite one poster tile
+ *
+ * @param pageCanvas - The whole page, drawn to fill `content` (null = blank tile)
+ * @param content - Where the page sits on the poster, in points (y-down)
+ * @param tile - The tile to draw
+ * @param layout - Grid, margin, overlap, marks and labels
+ * @param config - Output size and pixels per point
+ * @returns Tile canvas
+ */
+export function compositePosterTile(
+    pageCanvas: HTMLCanvasElement | null,
+    content: { x: number; y: number; width: number; height: number },
+    tile: PosterTile,
+    layout: PosterLayout,
+    config: Partial<PosterTileConfig> & Pick<PosterTileConfig, 'sheetWidth' | 'sheetHeight' | 'unit'>
+): HTMLCanvasElement {
+    const { sheetWidth, sheetHeight, unit } = config
+
+    const canvas = document.createElement('canvas')
+    canvas.width = sheetWidth
+    canvas.height = sheetHeight
+
+    const ctx = canvas.getContext('2d')
+    if (!ctx) {
+        throw new Error('Failed to get canvas 2D context')
+    }
+
+    ctx.fillStyle = config.backgroundColor ?? '#ffffff'
+    ctx.fillRect(0, 0, sheetWidth, sheetHeight)
+
+    const margin = layout.margin * unit
+    const tileWidth = tile.width * unit
+    const tileHeight = tile.height * unit
+
+    if (pageCanvas) {
+        ctx.save()
+        ctx.beginPath()
+        ctx.rect(margin, margin, tileWidth, tileHeight)
+        ctx.clip()
+        ctx.drawImage(
+            pageCanvas,
+            margin + (content.x - tile.x) * unit,
+            margin + (content.y - tile.y) * unit,
+            content.width * unit,
+            content.height * unit
+        )
+        ctx.restore()
+    }
+
+    drawOverlap(ctx, tile, layout, unit)
+
+    // Printable area, like the N-up cell guides
+    ctx.save()
+    ctx.strokeStyle = pageCanvas ? '#3B82F6' : '#d1d5db'
+    ctx.lineWidth = 1
+    ctx.setLineDash([4, 4])
+    ctx.strokeRect(margin, margin, tileWidth, tileHeight)
+    ctx.restore()
+
+    if (layout.cutMarks) {
+        drawCutMarks(ctx, margin, margin, tileWidth, tileHeight, unit)
+    }
+
+    if (layout.labels) {
+        drawLabel(ctx, formatPosterTileLabel(tile, layout), margin, sheetHeight, unit)
+    }
+
+    return canvas
+}
+
+/**
+ * Tint the strips the neighbouring tiles repeat (right and bottom edges)
+ */
+function drawOverlap(
+    ctx: CanvasRenderingContext2D,
+    tile: PosterTile,
+    layout: PosterLayout,
+    unit: number
+): void {
+    const overlap = layout.overlap * unit
+    if (overlap <= 0) return
+
+    const margin = layout.margin * unit
+    const tileWidth = tile.width * unit
+    const tileHeight = tile.height * unit
+
+    ctx.save()
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.12)'
+    if (tile.col < layout.cols - 1) {
+        ctx.fillRect(margin + tileWidth - overlap, margin, overlap, tileHeight)
+    }
+    if (tile.row < layout.rows - 1) {
+        ctx.fillRect(margin, margin + tileHeight - overlap, tileWidth, overlap)
+    }
+    ctx.restore()
+}
+
+/**
+ * Trim marks outside the corners of the printable area
+ */
+function drawCutMarks(
+    ctx: CanvasRenderingContext2D,
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+    unit: number
+): void {
+    const length = Math.min(CUT_MARK_LENGTH * unit, x - CUT_MARK_GAP * unit)
+    if (length <= 0) return
+
+    const gap = CUT_MARK_GAP * unit
+
+    ctx.save()
+    ctx.strokeStyle = '#111827'
+    ctx.lineWidth = 1
+    ctx.beginPath()
+    for (const edgeX of [x, x + width]) {
+        ctx.moveTo(edgeX, y - gap)
+        ctx.lineTo(edgeX, y - gap - length)
+        ctx.moveTo(edgeX, y + height + gap)
+        ctx.lineTo(edgeX, y + height + gap + length)
+    }
+    for (const edgeY of [y, y + height]) {
+        ctx.moveTo(x - gap, edgeY)
+        ctx.lineTo(x - gap - length, edgeY)
+        ctx.moveTo(x + width + gap, edgeY)
+        ctx.lineTo(x + width + gap + length, edgeY)
+    }
+    ctx.stroke()
+    ctx.restore()
+}
+
+/**
+ * Tile index in the bottom margin (skipped when too small to read)
+ */
+function drawLabel(
+    ctx: CanvasRenderingContext2D,
+    text: string,
+    margin: number,
+    sheetHeight: number,
+    unit: number
+): void {
+    const size = Math.min(7 * unit, margin * 0.45)
+    if (size < MIN_LABEL_PIXELS) return
+
+    ctx.save()
+    ctx.fillStyle = '#4b5563'
+    ctx.font = `${size}px Helvetica, Arial, sans-serif`
+    ctx.textBaseline = 'middle'
+    ctx.fillText(text, margin + (CUT_MARK_LENGTH + CUT_MARK_GAP * 2) * unit, sheetHeight - margin / 2)
+    ctx.restore()
+}
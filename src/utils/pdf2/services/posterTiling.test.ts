@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import {
+  resolvePosterLayout,
+  getPosterSize,
+  getPosterScale,
+  getPosterTiles,
+  getLargestPage,
+  formatPosterTileLabel,
+  isLargerThanPaper,
+  MAX_POSTER_GRID
+} from './posterTiling'
+
+const A4 = { width: 595, height: 842 }
+const A3 = { width: 842, height: 1191 }
+const A1 = { width: 1684, height: 2384 }
+
+// With the default 18pt margin and overlap, an A4 tile is 559 × 806 points
+// and each extra tile adds 541 (portrait width) or 788 (portrait height)
+
+describe('resolvePosterLayout', () => {
+  it('prints A3 at actual size on 2 × 2 portrait A4 sheets', () => {
+    expect(resolvePosterLayout(A3, A4)).toEqual({
+      rows: 2,
+      cols: 2,
+      landscape: false,
+      margin: 18,
+      overlap: 18,
+      cutMarks: true,
+      labels: true,
+      actualSize: true
+    })
+  })
+
+  it('picks the sheet orientation that needs fewer sheets', () => {
+    // Portrait needs 4 × 4 = 16 sheets, landscape 5 × 3 = 15
+    expect(resolvePosterLayout(A1, A4)).toMatchObject({ rows: 5, cols: 3, landscape: true })
+    expect(resolvePosterLayout(A1, A4, { landscape: false })).toMatchObject({ rows: 4, cols: 4, landscape: false })
+  })
+
+  it('caps the grid', () => {
+    const layout = resolvePosterLayout({ width: 100000, height: 100000 }, A4)
+
+    expect(layout.rows).toBe(MAX_POSTER_GRID)
+    expect(layout.cols).toBe(MAX_POSTER_GRID)
+    expect(getPosterScale(layout, A4, { width: 100000, height: 100000 })).toBeLessThan(1)
+  })
+
+  it('scales content to fill a chosen grid', () => {
+    const layout = resolvePosterLayout(A3, A4, { rows: 2, cols: 2 })
+
+    expect(layout).toMatchObject({ rows: 2, cols: 2, landscape: false, actualSize: false })
+    // The 1100 × 1594 poster is limited by its width: 1100 / 842
+    expect(getPosterScale(layout, A4, A3)).toBeCloseTo(1100 / 842)
+  })
+
+  it('keeps the overlap under half a tile', () => {
+    expect(resolvePosterLayout(A3, A4, { overlap: 1000 }).overlap).toBe((595 - 36) / 2)
+  })
+})
+
+describe('getPosterSize / getPosterTiles', () => {
+  const layout = resolvePosterLayout(A3, A4)
+
+  it('assembles the tiles minus their overlaps', () => {
+    expect(getPosterSize(layout, A4)).toEqual({ width: 2 * 559 - 18, height: 2 * 806 - 18 })
+  })
+
+  it('returns one tile per sheet, rows first, each repeating the overlap', () => {
+    const tiles = getPosterTiles(layout, A4)
+
+    expect(tiles).toHaveLength(4)
+    expect(tiles.map(tile => [tile.row, tile.col, tile.x, tile.y])).toEqual([
+      [0, 0, 0, 0],
+      [0, 1, 541, 0],
+      [1, 0, 0, 788],
+      [1, 1, 541, 788]
+    ])
+    expect(tiles.every(tile => tile.width === 559 && tile.height === 806)).toBe(true)
+  })
+
+  it('tiles every page of an A1 poster on 15 sheets', () => {
+    expect(getPosterTiles(resolvePosterLayout(A1, A4), A4)).toHaveLength(15)
+  })
+})
+
+describe('helpers', () => {
+  it('finds the largest page of a job', () => {
+    expect(getLargestPage([A4, A1, A3])).toBe(A1)
+    expect(getLargestPage([])).toBeNull()
+  })
+
+  it('labels tiles from 1', () => {
+    expect(formatPosterTileLabel({ row: 1, col: 0 }, { rows: 3, cols: 4 })).toBe('Row 2 of 3 · Column 1 of 4')
+  })
+
+  it('flags pages too big for the paper in either orientation', () => {
+    expect(isLargerThanPaper(A3, A4)).toBe(true)
+    expect(isLargerThanPaper({ width: 842, height: 595 }, A4)).toBe(false)
+    expect(isLargerThanPaper({ width: 612, height: 792 }, A4)).toBe(false)
+  })
+})
@@ -0,0 +1,171 @@
+/**
+ * PosterTiling
+ *
+ * The opposite of N-up: one large page (an A1 drawing, a banner) printed
+ * across rows × cols sheets that are trimmed and taped together. Pure math
+ * with no DOM or pdf-lib, so the preview (GridService) and the print output
+ * (RecipeExecutor) cut the poster identically.
+ *
+ * Each sheet prints a tile inside its margin. Neighbouring tiles repeat
+ * `overlap` points of each other, so a tile can be trimmed at the cut marks
+ * and glued over the next one without a gap. All sizes are in points;
+ * tiles are y-down in poster coordinates (origin top-left of the poster).
+ */
+
+import { PageDimensions, PosterLayout } from '../types'
+
+export const DEFAULT_POSTER_OVERLAP = 18   // 1/4 inch
+export const DEFAULT_POSTER_MARGIN = 18
+export const MAX_POSTER_GRID = 8
+
+export interface PosterTile {
+  row: number
+  col: number
+  x: number       // left edge of the tile in the poster
+  y: number       // top edge of the tile in the poster
+  width: number
+  height: number
+}
+
+/**
+ * Sheet size for the layout and the printable tile area inside its margin
+ */
+export function getPosterSheet(
+  layout: Pick<PosterLayout, 'landscape' | 'margin'>,
+  paper: PageDimensions
+): { sheetWidth: number; sheetHeight: number; tileWidth: number; tileHeight: number } {
+  const sheetWidth = layout.landscape ? paper.height : paper.width
+  const sheetHeight = layout.landscape ? paper.width : paper.height
+
+  return {
+    sheetWidth,
+    sheetHeight,
+    tileWidth: sheetWidth - layout.margin * 2,
+    tileHeight: sheetHeight - layout.margin * 2
+  }
+}
+
+/**
+ * Size of the assembled poster: the tiles minus the overlaps between them
+ */
+export function getPosterSize(layout: PosterLayout, paper: PageDimensions): PageDimensions {
+  const { tileWidth, tileHeight } = getPosterSheet(layout, paper)
+  return {
+    width: layout.cols * tileWidth - (layout.cols - 1) * layout.overlap,
+    height: layout.rows * tileHeight - (layout.rows - 1) * layout.overlap
+  }
+}
+
+/**
+ * Tiles needed to print content at actual size on one sheet orientation
+ */
+function countTiles(content: PageDimensions, tileWidth: number, tileHeight: number, overlap: number): { rows: number; cols: number } {
+  const tiles = (length: number, tile: number) => Math.max(1, Math.ceil((length - overlap) / (tile - overlap)))
+  return {
+    rows: Math.min(MAX_POSTER_GRID, tiles(content.height, tileHeight)),
+    cols: Math.min(MAX_POSTER_GRID, tiles(content.width, tileWidth))
+  }
+}
+
+/**
+ * Full poster layout for the largest page of a job.
+ * Without rows/cols the grid is the fewest sheets that print the content at
+ * actual size; with them the content is scaled to fill the grid.
+ */
+export function resolvePosterLayout(
+  content: PageDimensions,
+  paper: PageDimensions,
+  overrides: Partial<PosterLayout> = {}
+): PosterLayout {
+  const margin = overrides.margin ?? DEFAULT_POSTER_MARGIN
+  const common = {
+    margin,
+    // More overlap than half a tile would make tiles repeat each other entirely
+    overlap: Math.min(overrides.overlap ?? DEFAULT_POSTER_OVERLAP, (Math.min(paper.width, paper.height) - margin * 2) / 2),
+    cutMarks: overrides.cutMarks ?? true,
+    labels: overrides.labels ?? true
+  }
+
+  if (overrides.rows && overrides.cols) {
+    const { rows, cols } = overrides
+    const fill = (landscape: boolean) => getPosterScale({ ...common, rows, cols, landscape, actualSize: false }, paper, content)
+    return {
+      ...common,
+      rows,
+      cols,
+      landscape: overrides.landscape ?? fill(true) > fill(false),
+      actualSize: false
+    }
+  }
+
+  // Try both sheet orientations and keep the one needing fewer sheets
+  const options = [false, true].map(landscape => {
+    const { tileWidth, tileHeight } = getPosterSheet({ landscape, margin }, paper)
+    return { landscape, ...countTiles(content, tileWidth, tileHeight, common.overlap) }
+  })
+  const fitting = overrides.landscape === undefined
+    ? options.reduce((best, option) => option.rows * option.cols < best.rows * best.cols ? option : best)
+    : options[overrides.landscape ? 1 : 0]
+
+  return { ...common, ...fitting, actualSize: true }
+}
+
+/**
+ * The page with the largest area, which sizes the grid for the whole job
+ */
+export function getLargestPage(pages: PageDimensions[]): PageDimensions | null {
+  return pages.reduce<PageDimensions | null>(
+    (largest, page) => !largest || page.width * page.height > largest.width * largest.height ? page : largest,
+    null
+  )
+}
+
+/**
+ * Scale the content prints at: 1 for actual size (shrunk only if the grid
+ * was capped), otherwise whatever fills the poster
+ */
+export function getPosterScale(layout: PosterLayout, paper: PageDimensions, content: PageDimensions): number {
+  const poster = getPosterSize(layout, paper)
+  const fit = Math.min(poster.width / content.width, poster.height / content.height)
+  return layout.actualSize ? Math.min(1, fit) : fit
+}
+
+/**
+ * Tiles of one page in print order: rows top to bottom, left to right
+ */
+export function getPosterTiles(layout: PosterLayout, paper: PageDimensions): PosterTile[] {
+  const { tileWidth, tileHeight } = getPosterSheet(layout, paper)
+  const tiles: PosterTile[] = []
+
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      tiles.push({
+        row,
+        col,
+        x: col * (tileWidth - layout.overlap),
+        y: row * (tileHeight - layout.overlap),
+        width: tileWidth,
+        height: tileHeight
+      })
+    }
+  }
+
+  return tiles
+}
+
+/**
+ * Index printed in the margin of a tile, e.g. "Row 2 of 3 · Column 1 of 4"
+ */
+export function formatPosterTileLabel(tile: Pick<PosterTile, 'row' | 'col'>, layout: Pick<PosterLayout, 'rows' | 'cols'>): string {
+  return `Row ${tile.row + 1} of ${layout.rows} · Column ${tile.col + 1} of ${layout.cols}`
+}
+
+/**
+ * Whether a page is too big for the paper to print readably on one sheet
+ * (in either orientation), i.e. a poster candidate
+ */
+export function isLargerThanPaper(content: PageDimensions, paper: PageDimensions, tolerance: number = 1.2): boolean {
+  const long = Math.max(content.width, content.height)
+  const short = Math.min(content.width, content.height)
+  return long > Math.max(paper.width, paper.height) * tolerance || short > Math.min(paper.width, paper.height) * tolerance
+}
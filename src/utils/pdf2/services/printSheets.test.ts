@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest'
+import { countPrintSheets, getPrintSides } from './printSheets'
+
+const bw = (count: number) => Array<boolean>(count).fill(false)
+const withColor = (count: number, ...colorPages: number[]) => bw(count).map((_, i) => colorPages.includes(i + 1))
+
+describe('getPrintSides', () => {
+  it('prints one page per side by default', () => {
+    expect(getPrintSides([false, true, false], { pagesPerSheet: 1, duplex: false })).toEqual([false, true, false])
+  })
+
+  it('colors an N-up side when any of its pages is in color', () => {
+    expect(getPrintSides(withColor(10, 6), { pagesPerSheet: 4, duplex: false })).toEqual([false, true, false])
+  })
+
+  it('fills custom grids to their capacity', () => {
+    const sides = getPrintSides(bw(13), { pagesPerSheet: 6, layout: { rows: 2, cols: 3 }, duplex: false })
+    expect(sides).toHaveLength(3)
+  })
+
+  it('follows booklet slots, padding to a multiple of four', () => {
+    // Sheet 1: [-, 1] / [2, -]; sheet 2: [-, 3] / [4, 5]
+    expect(getPrintSides(withColor(5, 5), { pagesPerSheet: 1, imposition: 'booklet', duplex: true }))
+      .toEqual([false, false, false, true])
+  })
+
+  it('prints every poster tile as its own side', () => {
+    const sides = getPrintSides([true, false], { pagesPerSheet: 1, imposition: 'poster', posterTiles: 4, duplex: false })
+    expect(sides).toEqual([true, true, true, true, false, false, false, false])
+  })
+})
+
+describe('countPrintSheets', () => {
+  it('uses one sheet per side when single-sided', () => {
+    expect(countPrintSheets(withColor(3, 2), { pagesPerSheet: 1, duplex: false }))
+      .toEqual({ sides: 3, colorSides: 1, sheets: 3, colorSheets: 1 })
+  })
+
+  it('pairs sides onto sheets when duplex, coloring a sheet with either side in color', () => {
+    expect(countPrintSheets(withColor(5, 2), { pagesPerSheet: 1, duplex: true }))
+      .toEqual({ sides: 5, colorSides: 1, sheets: 3, colorSheets: 1 })
+    expect(countPrintSheets(withColor(4, 1, 4), { pagesPerSheet: 1, duplex: true }))
+      .toEqual({ sides: 4, colorSides: 2, sheets: 2, colorSheets: 2 })
+  })
+
+  it('combines N-up and duplex', () => {
+    // 4-up: 9 sides, 5 sheets; page 17 is on side 5 (sheet 3)
+    expect(countPrintSheets(withColor(34, 17), { pagesPerSheet: 4, duplex: true }))
+      .toEqual({ sides: 9, colorSides: 1, sheets: 5, colorSheets: 1 })
+  })
+
+  it('always prints booklets duplex', () => {
+    expect(countPrintSheets(withColor(5, 5), { pagesPerSheet: 1, imposition: 'booklet', duplex: false }))
+      .toEqual({ sides: 4, colorSides: 1, sheets: 2, colorSheets: 1 })
+  })
+
+  it('always prints posters single-sided', () => {
+    expect(countPrintSheets([true, false], { pagesPerSheet: 1, imposition: 'poster', posterTiles: 4, duplex: true }))
+      .toEqual({ sides: 8, colorSides: 4, sheets: 8, colorSheets: 4 })
+  })
+
+  it('counts nothing for no pages', () => {
+    expect(countPrintSheets([], { pagesPerSheet: 2, duplex: true }))
+      .toEqual({ sides: 0, colorSides: 0, sheets: 0, colorSheets: 0 })
+  })
+})
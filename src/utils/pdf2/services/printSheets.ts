@@ -0,0 +1,83 @@
+/**
+ * PrintSheets
+ *
+ * What a job puts on paper, side by side as recipeExecutor.ts lays it out,
+ * for pricing. N-up and booklet sides share one sheet between several pages,
+ * so a side needs color as soon as one of its pages does, and a duplex sheet
+ * is a color sheet as soon as one of its sides is.
+ *
+ * Pages are given in print order (recipe.pages order) as color flags:
+ * true = printed in color; blank pages are false.
+ */
+
+import { Imposition, NupLayout } from '../types'
+import { imposeBooklet } from './bookletImposition'
+import { resolvePrintLayout, getNupCapacity } from './nupLayout'
+
+export interface PrintSheetOptions {
+  pagesPerSheet: number
+  layout?: Partial<NupLayout>
+  imposition?: Imposition
+  posterTiles?: number  // sheets per page of a poster
+  duplex: boolean
+}
+
+export interface PrintSheetCounts {
+  sides: number
+  colorSides: number
+  sheets: number
+  colorSheets: number
+}
+
+/**
+ * Color flag of every printed side, in output order (one copy)
+ */
+export function getPrintSides(pageColors: boolean[], options: PrintSheetOptions): boolean[] {
+  const imposition = options.imposition ?? 'none'
+
+  if (imposition === 'poster') {
+    const tiles = Math.max(1, options.posterTiles ?? 1)
+    return pageColors.flatMap(color => Array<boolean>(tiles).fill(color))
+  }
+
+  if (imposition === 'booklet') {
+    return imposeBooklet(pageColors.length).map(side =>
+      side.slots.some(position => position !== null && pageColors[position - 1] === true)
+    )
+  }
+
+  const capacity = getNupCapacity(resolvePrintLayout(options.pagesPerSheet, options.layout, imposition))
+  const sides: boolean[] = []
+  for (let start = 0; start < pageColors.length; start += capacity) {
+    sides.push(pageColors.slice(start, start + capacity).some(Boolean))
+  }
+  return sides
+}
+
+/**
+ * Sides and sheets of one copy, and how many of each need color. Posters are
+ * always single-sided; booklets always duplex.
+ */
+export function countPrintSheets(pageColors: boolean[], options: PrintSheetOptions): PrintSheetCounts {
+  const sides = getPrintSides(pageColors, options)
+  const imposition = options.imposition ?? 'none'
+  const duplex = imposition === 'booklet' || (imposition !== 'poster' && options.duplex)
+
+  let sheets = sides.length
+  let colorSheets = sides.filter(Boolean).length
+
+  if (duplex) {
+    sheets = Math.ceil(sides.length / 2)
+    colorSheets = 0
+    for (let s = 0; s < sides.length; s += 2) {
+      if (sides[s] || sides[s + 1]) colorSheets++
+    }
+  }
+
+  return {
+    sides: sides.length,
+    colorSides: sides.filter(Boolean).length,
+    sheets,
+    colorSheets
+  }
+}
@@ -0,0 +1,125 @@
+import { PDFDocument, PageSizes } from 'pdf-lib'
+import { describe, expect, it } from 'vitest'
+import { Recipe } from '../types'
+import { executeRecipe, getPaperDimensions } from './recipeExecutor'
+import { CURRENT_RECIPE_VERSION, RecipeValidationError } from './recipeValidator'
+
+const [A4_WIDTH, A4_HEIGHT] = PageSizes.A4
+
+// Source PDF with one page per size given
+async function sourcePdf(...sizes: [number, number][]): Promise<Uint8Array> {
+  const doc = await PDFDocument.create()
+  for (const size of sizes) {
+    doc.addPage(size).drawText('x', { x: 10, y: 10 })
+  }
+  return doc.save()
+}
+
+const page = (pageNumber: number, transforms: Record<string, unknown> = {}) => ({
+  pageNumber,
+  blank: pageNumber === 0,
+  colorMode: 'bw',
+  stamps: [],
+  transforms: { crop: null, rotation: 0, scale: 100, offsetX: 0, offsetY: 0, ...transforms },
+  hasEdits: false,
+  isCropped: false,
+  fitCropToPage: false
+})
+
+const recipe = (pages: ReturnType<typeof page>[], print: Record<string, unknown> = {}, totalPages = 3) => ({
+  version: CURRENT_RECIPE_VERSION,
+  type: 'print_job',
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  source: { totalPages },
+  destination: { shopId: null },
+  print: { paperSize: 'A4', colorMode: 'bw', pagesPerSheet: 1, copies: 1, duplex: false, imposition: 'none', ...print },
+  pages
+}) as unknown as Recipe
+
+// Output page sizes, rounded to whole points
+async function pageSizes(bytes: Uint8Array): Promise<string[]> {
+  const doc = await PDFDocument.load(bytes)
+  return doc.getPages().map(p => `${Math.round(p.getWidth())}x${Math.round(p.getHeight())}`)
+}
+
+const PORTRAIT = `${Math.round(A4_WIDTH)}x${Math.round(A4_HEIGHT)}`
+const LANDSCAPE = `${Math.round(A4_HEIGHT)}x${Math.round(A4_WIDTH)}`
+
+describe('getPaperDimensions', () => {
+  it('looks paper sizes up by name, falling back to A4', () => {
+    expect(getPaperDimensions('letter')).toEqual({ width: 612, height: 792 })
+    expect(getPaperDimensions('A3')).toEqual({ width: PageSizes.A3[0], height: PageSizes.A3[1] })
+    expect(getPaperDimensions('Tabloid')).toEqual({ width: A4_WIDTH, height: A4_HEIGHT })
+  })
+})
+
+describe('executeRecipe', () => {
+  const source = () => sourcePdf([A4_WIDTH, A4_HEIGHT], [A4_HEIGHT, A4_WIDTH], [A4_WIDTH, A4_HEIGHT])
+
+  it('prints pages 1-up in recipe order, with copies and blank sheets', async () => {
+    const output = await executeRecipe(await source(), recipe([page(3), page(1), page(0), page(1)]))
+
+    expect(await pageSizes(output)).toEqual([PORTRAIT, PORTRAIT, PORTRAIT, PORTRAIT])
+  })
+
+  it('turns the sheet to match landscape, rotated and cropped content', async () => {
+    const output = await executeRecipe(await source(), recipe([
+      page(2),
+      page(1, { rotation: 90 }),
+      // The left half of a landscape page is portrait
+      page(2, { crop: { x: 0, y: 0, width: 0.5, height: 1 } })
+    ]))
+
+    expect(await pageSizes(output)).toEqual([LANDSCAPE, LANDSCAPE, PORTRAIT])
+  })
+
+  it('prints on the recipe paper size', async () => {
+    const output = await executeRecipe(await source(), recipe([page(1)], { paperSize: 'Letter' }))
+
+    expect(await pageSizes(output)).toEqual(['612x792'])
+  })
+
+  it('fills N-up sheets in the layout orientation', async () => {
+    const pages = [page(1), page(2), page(3), page(1), page(2)]
+
+    expect(await pageSizes(await executeRecipe(await source(), recipe(pages, { pagesPerSheet: 4 }))))
+      .toEqual([PORTRAIT, PORTRAIT])
+    expect(await pageSizes(await executeRecipe(await source(), recipe(pages, { pagesPerSheet: 2 }))))
+      .toEqual([LANDSCAPE, LANDSCAPE, LANDSCAPE])
+  })
+
+  it('imposes booklets as landscape sides, padded to whole sheets', async () => {
+    const output = await executeRecipe(
+      await source(),
+      recipe([page(1), page(2), page(3), page(1), page(2)], { pagesPerSheet: 2, duplex: true, imposition: 'booklet' })
+    )
+
+    expect(await pageSizes(output)).toEqual([LANDSCAPE, LANDSCAPE, LANDSCAPE, LANDSCAPE])
+  })
+
+  it('cuts each poster page into one sheet per tile', async () => {
+    const poster = { rows: 2, cols: 3, landscape: false, actualSize: false, cutMarks: true, labels: true, overlap: 10, margin: 20 }
+    const output = await executeRecipe(await source(), recipe([page(1), page(0)], { imposition: 'poster', poster }))
+
+    expect(await pageSizes(output)).toHaveLength(12)
+  })
+
+  it('accepts stored JSON and reports progress up to completion', async () => {
+    const progress: [number, string | undefined][] = []
+    const stored = JSON.stringify({
+      ...recipe([]),
+      pages: [{ ...page(1), stamps: [{ kind: 'watermark', text: 'DRAFT', position: 'center', fontSize: 48, opacity: 0.3, rotation: 45, color: '#ff0000' }] }]
+    })
+
+    await executeRecipe(await source(), stored, { onProgress: (value, stage) => progress.push([value, stage]) })
+
+    expect(progress[0]).toEqual([0, 'loading'])
+    expect(progress[progress.length - 1]).toEqual([100, 'complete'])
+  })
+
+  it('rejects invalid recipes and pages the source does not have', async () => {
+    await expect(executeRecipe(await source(), recipe([page(1)], { copies: 0 }))).rejects.toBeInstanceOf(RecipeValidationError)
+    await expect(executeRecipe(await sourcePdf([A4_WIDTH, A4_HEIGHT]), recipe([page(3)])))
+      .rejects.toThrow('Recipe page 3 is outside the source document (1 pages)')
+  })
+})
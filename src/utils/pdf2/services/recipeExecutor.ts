@@ -0,0 +1,587 @@
+/**
+ * RecipeExecutor
+ *
+ * Renders the final print PDF from the original PDF plus a Recipe.
+ * Uses pdf-lib only (no DOM / canvas), so the same code runs in the browser
+ * for a final proof and on the server / Electron side for printing.
+ *
+ * Per page, transforms are applied in order: CROP → ROTATE → SCALE → TRANSLATE
+ * - crop: normalized 0-1 box in the raw (unrotated) page, y from top
+ * - rotation: clockwise degrees, added to the page's own /Rotate
+ * - scale: percentage on top of the fit-to-sheet scale
+ * - offsetX/offsetY: page points, y down (same as the preview)
+ *
+ * N-up sheets follow print.layout (see nupLayout.ts): fill order, margin,
+ * gutter, optional cell borders and auto-rotation, which turns a page a
+ * quarter turn clockwise when it fills its cell better that way.
+ *
+ * Copies and duplex are printer settings and are not baked into the output.
+ * Booklet imposition is: each output page is one printed side in print order
+ * (see bookletImposition.ts), to be printed duplex, flipped on the short edge.
+ * Poster imposition is too: each page becomes print.poster.rows × cols tile
+ * sheets (see posterTiling.ts), with cut marks and labels in the margin.
+ *
+ * Pages print in recipe order, which may repeat a page (copies) and include
+ * blank pages: an empty sheet, cell or set of tiles.
+ *
+ * Stamps (watermarks, page numbers, header/footer text) are drawn over the
+ * area a page was placed in, scaled with it (see stampLayout.ts).
+ */
+
+import {
+  PDFDocument,
+  PDFPage,
+  PDFEmbeddedPage,
+  PageSizes,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+  rgb,
+  StandardFonts,
+  PDFFont
+} from 'pdf-lib'
+import { Recipe, RecipePage, ProgressCallback, NupLayout, PosterLayout, PageDimensions } from '../types'
+import { prepareRecipe } from './recipeValidator'
+import { imposeBooklet } from './bookletImposition'
+import { resolveNupLayout, resolvePrintLayout, getNupCapacity, getNupCells, getNupSheetSize, shouldRotateIntoCell } from './nupLayout'
+import { getPosterSheet, getPosterSize, getPosterScale, getPosterTiles, formatPosterTileLabel, PosterTile } from './posterTiling'
+import { getStampPlacement, getStampUnit, parseStampColor } from './stampLayout'
+
+export interface ExecuteRecipeOptions {
+  onProgress?: ProgressCallback
+}
+
+interface EmbeddedRecipePage {
+  embedded: PDFEmbeddedPage
+  page: PDFPage
+}
+
+interface Rect {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+const CELL_BORDER_WIDTH = 0.5
+const CUT_MARK_WIDTH = 0.5
+const CUT_MARK_LENGTH = 12
+const CUT_MARK_GAP = 2
+const MAX_LABEL_SIZE = 7
+
+const PAPER_SIZES: Record<string, [number, number]> = {
+  A3: PageSizes.A3,
+  A4: PageSizes.A4,
+  A5: PageSizes.A5,
+  LETTER: PageSizes.Letter,
+  LEGAL: PageSizes.Legal
+}
+
+/**
+ * Get portrait paper dimensions for a paper size name (falls back to A4)
+ */
+export function getPaperDimensions(paperSize: string): { width: number; height: number } {
+  const [width, height] = PAPER_SIZES[(paperSize || 'A4').toUpperCase()] || PageSizes.A4
+  return { width, height }
+}
+
+/**
+ * Execute a recipe against the original PDF bytes and return the output PDF bytes.
+ * The recipe is migrated and validated first (throws RecipeValidationError).
+ */
+export async function executeRecipe(
+  sourceBytes: Uint8Array | ArrayBuffer,
+  recipeInput: Recipe | string,
+  options: ExecuteRecipeOptions = {}
+): Promise<Uint8Array> {
+  const { onProgress } = options
+  const recipe = prepareRecipe(recipeInput)
+
+  onProgress?.(0, 'loading')
+
+  const sourceDoc = await PDFDocument.load(sourceBytes, { ignoreEncryption: true })
+  const sourcePageCount = sourceDoc.getPageCount()
+
+  for (const page of recipe.pages) {
+    if (!page.blank && (page.pageNumber < 1 || page.pageNumber > sourcePageCount)) {
+      throw new Error(`Recipe page ${page.pageNumber} is outside the source document (${sourcePageCount} pages)`)
+    }
+  }
+
+  const outputDoc = await PDFDocument.create()
+  const layout = resolveNupLayout(recipe.print.pagesPerSheet, recipe.print.layout)
+  const pagesPerSheet = getNupCapacity(layout)
+  const paper = getPaperDimensions(recipe.print.paperSize)
+
+  // Embed every selected page once, with its crop as the bounding box.
+  // Copies reuse their page's embed; blank pages have nothing to embed.
+  const embeds = new Map<string, Promise<EmbeddedRecipePage>>()
+  const embedded = await Promise.all(recipe.pages.map(page => {
+    if (page.blank) return null
+
+    const key = `${page.pageNumber}:${JSON.stringify(page.transforms.crop)}`
+    let embed = embeds.get(key)
+    if (!embed) {
+      embed = embedRecipePage(outputDoc, sourceDoc.getPage(page.pageNumber - 1), page)
+      embeds.set(key, embed)
+    }
+    return embed
+  }))
+
+  const stampFont = recipe.pages.some(page => page.stamps?.length)
+    ? await outputDoc.embedFont(StandardFonts.Helvetica)
+    : null
+
+  onProgress?.(20, 'composing')
+
+  if (recipe.print.imposition === 'poster' && recipe.print.poster) {
+    // Every page is cut into the same grid of tiles, one sheet each
+    const poster = recipe.print.poster
+    const { sheetWidth, sheetHeight } = getPosterSheet(poster, paper)
+    const tiles = getPosterTiles(poster, paper)
+    const font = poster.labels ? await outputDoc.embedFont(StandardFonts.Helvetica) : null
+
+    recipe.pages.forEach((recipePage, index) => {
+      const source = embedded[index]
+      const content = source && getPosterContentRect(source.embedded, recipePage, source.page, poster, paper)
+
+      for (const tile of tiles) {
+        const sheet = outputDoc.addPage([sheetWidth, sheetHeight])
+        if (source && content) {
+          placePosterTile(sheet, source.embedded, recipePage, source.page, content, tile, poster, stampFont, paper)
+        }
+
+        if (poster.cutMarks) drawCutMarks(sheet, tile, poster)
+        if (font) {
+          // Position in the job, which differs from the source page once reordered
+          const page = recipe.pages.length > 1 ? ` · Page ${index + 1}` : ''
+          drawTileLabel(sheet, font, formatPosterTileLabel(tile, poster) + page, poster.margin)
+        }
+      }
+
+      onProgress?.(20 + ((index + 1) / recipe.pages.length) * 70, 'composing')
+    })
+  } else if (pagesPerSheet === 1) {
+    recipe.pages.forEach((recipePage, index) => {
+      const source = embedded[index]
+
+      if (source) {
+        const sheetSize = getSheetForPage(paper, recipePage, source.page)
+        const sheet = outputDoc.addPage([sheetSize.width, sheetSize.height])
+
+        const rect = { x: 0, y: 0, width: sheetSize.width, height: sheetSize.height }
+        placePage(sheet, source.embedded, recipePage, source.page, rect, true)
+        drawPageStamps(sheet, stampFont, recipePage, rect, paper)
+      } else {
+        // Blank page: an empty portrait sheet
+        outputDoc.addPage([paper.width, paper.height])
+      }
+
+      onProgress?.(20 + ((index + 1) / recipe.pages.length) * 70, 'composing')
+    })
+  } else if (recipe.print.imposition === 'booklet') {
+    // Two pages per landscape side in saddle-stitch order; blanks stay empty
+    const bookletLayout = resolvePrintLayout(2, recipe.print.layout, 'booklet')
+    const { width: sheetWidth, height: sheetHeight } = getNupSheetSize(bookletLayout, paper)
+    const cells = getSheetCells(bookletLayout, sheetWidth, sheetHeight)
+    const sides = imposeBooklet(recipe.pages.length)
+
+    sides.forEach((side, s) => {
+      const sheet = outputDoc.addPage([sheetWidth, sheetHeight])
+
+      side.slots.forEach((position, c) => {
+        const source = position !== null ? embedded[position - 1] : null
+        if (position !== null && source) {
+          placeNupPage(sheet, source.embedded, recipe.pages[position - 1], source.page, cells[c], bookletLayout)
+          drawPageStamps(sheet, stampFont, recipe.pages[position - 1], cells[c], paper)
+        }
+        if (bookletLayout.borders) drawCellBorder(sheet, cells[c])
+      })
+
+      onProgress?.(20 + ((s + 1) / sides.length) * 70, 'composing')
+    })
+  } else {
+    const { width: sheetWidth, height: sheetHeight } = getNupSheetSize(layout, paper)
+    const cells = getSheetCells(layout, sheetWidth, sheetHeight)
+    const sheetCount = Math.ceil(recipe.pages.length / pagesPerSheet)
+
+    for (let s = 0; s < sheetCount; s++) {
+      const sheet = outputDoc.addPage([sheetWidth, sheetHeight])
+
+      for (let c = 0; c < pagesPerSheet; c++) {
+        const index = s * pagesPerSheet + c
+        if (index >= recipe.pages.length) break
+
+        const source = embedded[index]
+        if (source) {
+          placeNupPage(sheet, source.embedded, recipe.pages[index], source.page, cells[c], layout)
+          drawPageStamps(sheet, stampFont, recipe.pages[index], cells[c], paper)
+        }
+        if (layout.borders) drawCellBorder(sheet, cells[c])
+      }
+
+      onProgress?.(20 + ((s + 1) / sheetCount) * 70, 'composing')
+    }
+  }
+
+  onProgress?.(90, 'saving')
+  const bytes = await outputDoc.save({ useObjectStreams: true })
+  onProgress?.(100, 'complete')
+
+  return bytes
+}
+
+/**
+ * Embed a source page, using the recipe crop as the bounding box
+ */
+async function embedRecipePage(
+  outputDoc: PDFDocument,
+  sourcePage: PDFPage,
+  recipePage: RecipePage
+): Promise<EmbeddedRecipePage> {
+  const box = sourcePage.getCropBox()
+  const crop = recipePage.transforms.crop
+
+  if (!crop) {
+    const embedded = await outputDoc.embedPage(sourcePage, {
+      left: box.x,
+      bottom: box.y,
+      right: box.x + box.width,
+      top: box.y + box.height
+    })
+    return { embedded, page: sourcePage }
+  }
+
+  // Crop is y-down from the top edge; PDF space is y-up from the bottom
+  const left = box.x + crop.x * box.width
+  const right = left + crop.width * box.width
+  const top = box.y + (1 - crop.y) * box.height
+  const bottom = top - crop.height * box.height
+
+  const embedded = await outputDoc.embedPage(sourcePage, { left, bottom, right, top })
+  return { embedded, page: sourcePage }
+}
+
+/**
+ * Total clockwise rotation: the page's own /Rotate plus the user rotation
+ */
+function getTotalRotation(recipePage: RecipePage, sourcePage: PDFPage): number {
+  const pageRotation = recipePage.normalization?.rotation ?? sourcePage.getRotation().angle
+  return (((pageRotation + recipePage.transforms.rotation) % 360) + 360) % 360
+}
+
+/**
+ * Pick the 1-up sheet size: the recipe paper size, oriented like the content.
+ * Uncropped A4 jobs use the normalization target so the output matches the preview.
+ */
+function getSheetForPage(
+  paper: { width: number; height: number },
+  recipePage: RecipePage,
+  sourcePage: PDFPage
+): { width: number; height: number } {
+  const norm = recipePage.normalization
+  const userSwapped = recipePage.transforms.rotation === 90 || recipePage.transforms.rotation === 270
+
+  if (norm?.targetWidth && norm?.targetHeight && !recipePage.transforms.crop && paper.width === PageSizes.A4[0]) {
+    return userSwapped
+      ? { width: norm.targetHeight, height: norm.targetWidth }
+      : { width: norm.targetWidth, height: norm.targetHeight }
+  }
+
+  const box = sourcePage.getCropBox()
+  const crop = recipePage.transforms.crop
+  const contentWidth = box.width * (crop?.width ?? 1)
+  const contentHeight = box.height * (crop?.height ?? 1)
+  const rotation = getTotalRotation(recipePage, sourcePage)
+  const swapped = rotation === 90 || rotation === 270
+  const landscape = swapped ? contentHeight > contentWidth : contentWidth > contentHeight
+
+  return landscape
+    ? { width: paper.height, height: paper.width }
+    : { width: paper.width, height: paper.height }
+}
+
+/**
+ * Cells of an N-up sheet in fill order (PDF coordinates, y-up)
+ */
+function getSheetCells(layout: NupLayout, sheetWidth: number, sheetHeight: number): Rect[] {
+  return getNupCells(layout, sheetWidth, sheetHeight).map(cell => ({
+    x: cell.x,
+    y: sheetHeight - cell.y - cell.height,
+    width: cell.width,
+    height: cell.height
+  }))
+}
+
+function drawCellBorder(sheet: PDFPage, rect: Rect): void {
+  sheet.drawRectangle({
+    ...rect,
+    borderColor: rgb(0, 0, 0),
+    borderWidth: CELL_BORDER_WIDTH
+  })
+}
+
+/**
+ * Place a page in an N-up cell, turned a quarter turn when auto-rotation fits it better
+ */
+function placeNupPage(
+  sheet: PDFPage,
+  embedded: PDFEmbeddedPage,
+  recipePage: RecipePage,
+  sourcePage: PDFPage,
+  rect: Rect,
+  layout: NupLayout
+): void {
+  const rotation = getTotalRotation(recipePage, sourcePage)
+  const swapped = rotation === 90 || rotation === 270
+  const visualWidth = swapped ? embedded.height : embedded.width
+  const visualHeight = swapped ? embedded.width : embedded.height
+  const extraRotation = shouldRotateIntoCell(layout, visualWidth, visualHeight, rect) ? 90 : 0
+
+  placePage(sheet, embedded, recipePage, sourcePage, rect, false, extraRotation)
+}
+
+/**
+ * Where a page sits on the assembled poster (y-down poster points): scaled
+ * per the layout and centered
+ */
+function getPosterContentRect(
+  embedded: PDFEmbeddedPage,
+  recipePage: RecipePage,
+  sourcePage: PDFPage,
+  poster: PosterLayout,
+  paper: PageDimensions
+): Rect {
+  const rotation = getTotalRotation(recipePage, sourcePage)
+  const swapped = rotation === 90 || rotation === 270
+  const visual = {
+    width: swapped ? embedded.height : embedded.width,
+    height: swapped ? embedded.width : embedded.height
+  }
+  const scale = getPosterScale(poster, paper, visual)
+  const size = getPosterSize(poster, paper)
+  const width = visual.width * scale
+  const height = visual.height * scale
+
+  return { x: (size.width - width) / 2, y: (size.height - height) / 2, width, height }
+}
+
+/**
+ * Draw the part of a page that falls in one tile. The whole page is placed
+ * relative to the tile's printable area and clipped to it.
+ */
+function placePosterTile(
+  sheet: PDFPage,
+  embedded: PDFEmbeddedPage,
+  recipePage: RecipePage,
+  sourcePage: PDFPage,
+  content: Rect,
+  tile: PosterTile,
+  poster: PosterLayout,
+  stampFont: PDFFont | null,
+  paper: PageDimensions
+): void {
+  const sheetHeight = sheet.getHeight()
+  const left = poster.margin + content.x - tile.x
+  const top = poster.margin + content.y - tile.y
+  const rect = {
+    x: left,
+    y: sheetHeight - top - content.height,
+    width: content.width,
+    height: content.height
+  }
+
+  sheet.pushOperators(
+    pushGraphicsState(),
+    rectangle(poster.margin, poster.margin, tile.width, tile.height),
+    clip(),
+    endPath()
+  )
+
+  placePage(sheet, embedded, recipePage, sourcePage, rect, false)
+  drawPageStamps(sheet, stampFont, recipePage, rect, paper)
+
+  sheet.pushOperators(popGraphicsState())
+}
+
+/**
+ * Trim marks at the tile corners, plus dashed ticks where the next tile's
+ * trimmed edge lines up (the overlap) on sides that have a neighbour
+ */
+function drawCutMarks(sheet: PDFPage, tile: PosterTile, poster: PosterLayout): void {
+  const { margin, overlap } = poster
+  const length = Math.min(CUT_MARK_LENGTH, margin - CUT_MARK_GAP)
+  if (length <= 0) return
+
+  const left = margin
+  const right = margin + tile.width
+  const bottom = margin
+  const top = margin + tile.height
+  const mark = { thickness: CUT_MARK_WIDTH, color: rgb(0, 0, 0) }
+
+  for (const x of [left, right]) {
+    sheet.drawLine({ ...mark, start: { x, y: top + CUT_MARK_GAP }, end: { x, y: top + CUT_MARK_GAP + length } })
+    sheet.drawLine({ ...mark, start: { x, y: bottom - CUT_MARK_GAP }, end: { x, y: bottom - CUT_MARK_GAP - length } })
+  }
+  for (const y of [bottom, top]) {
+    sheet.drawLine({ ...mark, start: { x: left - CUT_MARK_GAP, y }, end: { x: left - CUT_MARK_GAP - length, y } })
+    sheet.drawLine({ ...mark, start: { x: right + CUT_MARK_GAP, y }, end: { x: right + CUT_MARK_GAP + length, y } })
+  }
+
+  if (overlap <= 0) return
+
+  const guide = { ...mark, color: rgb(0.5, 0.5, 0.5), dashArray: [2, 2] }
+  if (tile.col < poster.cols - 1) {
+    const x = right - overlap
+    sheet.drawLine({ ...guide, start: { x, y: top + CUT_MARK_GAP }, end: { x, y: top + CUT_MARK_GAP + length } })
+    sheet.drawLine({ ...guide, start: { x, y: bottom - CUT_MARK_GAP }, end: { x, y: bottom - CUT_MARK_GAP - length } })
+  }
+  if (tile.row < poster.rows - 1) {
+    // Rows run top to bottom, so the next row overlaps this tile's bottom edge
+    const y = bottom + overlap
+    sheet.drawLine({ ...guide, start: { x: left - CUT_MARK_GAP, y }, end: { x: left - CUT_MARK_GAP - length, y } })
+    sheet.drawLine({ ...guide, start: { x: right + CUT_MARK_GAP, y }, end: { x: right + CUT_MARK_GAP + length, y } })
+  }
+}
+
+/**
+ * Tile index in the bottom margin, clear of the corner marks
+ */
+function drawTileLabel(sheet: PDFPage, font: PDFFont, text: string, margin: number): void {
+  const size = Math.min(MAX_LABEL_SIZE, margin * 0.45)
+  if (size < 4) return
+
+  sheet.drawText(text, {
+    x: margin + CUT_MARK_LENGTH + CUT_MARK_GAP * 2,
+    y: (margin - size) / 2,
+    size,
+    font,
+    color: rgb(0.3, 0.3, 0.3)
+  })
+}
+
+/**
+ * Draw a page's stamps over the rectangle the page was placed in, scaled
+ * like the page and clipped to it
+ */
+function drawPageStamps(
+  sheet: PDFPage,
+  font: PDFFont | null,
+  recipePage: RecipePage,
+  rect: Rect,
+  paper: PageDimensions
+): void {
+  if (!font || !recipePage.stamps?.length) return
+
+  const unit = getStampUnit(rect.width, rect.height, paper)
+  const characters = new Set(font.getCharacterSet())
+
+  sheet.pushOperators(
+    pushGraphicsState(),
+    rectangle(rect.x, rect.y, rect.width, rect.height),
+    clip(),
+    endPath()
+  )
+
+  for (const stamp of recipePage.stamps) {
+    // Standard fonts only cover Latin-1; anything else would make pdf-lib throw
+    const text = Array.from(stamp.text, char => characters.has(char.codePointAt(0) ?? 0) ? char : '?').join('')
+    const size = stamp.fontSize * unit
+    const placement = getStampPlacement(stamp, font.widthOfTextAtSize(text, size), rect.width, rect.height, unit)
+    const { r, g, b } = parseStampColor(stamp.color)
+
+    // Placement is y-down from the top of rect; PDF space is y-up, and the
+    // baseline start turns with the text around the anchor
+    const cos = Math.cos(placement.radians)
+    const sin = Math.sin(placement.radians)
+    const originX = placement.originX
+    const originY = -placement.originY
+
+    sheet.drawText(text, {
+      x: rect.x + placement.x + cos * originX - sin * originY,
+      y: rect.y + rect.height - placement.y + sin * originX + cos * originY,
+      size,
+      font,
+      color: rgb(r, g, b),
+      opacity: stamp.opacity,
+      rotate: degrees(stamp.rotation)
+    })
+  }
+
+  sheet.pushOperators(popGraphicsState())
+}
+
+/**
+ * Draw one embedded page into a target rectangle:
+ * fit (or normalize) → user scale → rotate around the center → translate
+ */
+function placePage(
+  sheet: PDFPage,
+  embedded: PDFEmbeddedPage,
+  recipePage: RecipePage,
+  sourcePage: PDFPage,
+  rect: Rect,
+  allowNormalization: boolean,
+  extraRotation: number = 0
+): void {
+  const { transforms } = recipePage
+  const rotation = (getTotalRotation(recipePage, sourcePage) + extraRotation) % 360
+  const swapped = rotation === 90 || rotation === 270
+
+  const contentWidth = embedded.width
+  const contentHeight = embedded.height
+  const visualWidth = swapped ? contentHeight : contentWidth
+  const visualHeight = swapped ? contentWidth : contentHeight
+
+  const fitScale = Math.min(rect.width / visualWidth, rect.height / visualHeight)
+  const norm = recipePage.normalization
+
+  // Uncropped 1-up pages keep the A4 normalization margin, like the preview.
+  // Cropped pages are focused: the crop fills the sheet.
+  // Normalization was computed before the user rotation, so undo it here.
+  let baseScale = fitScale
+  if (allowNormalization && norm && !transforms.crop && norm.scale !== 1 && norm.targetWidth && norm.targetHeight) {
+    const userSwapped = transforms.rotation === 90 || transforms.rotation === 270
+    const normWidth = swapped !== userSwapped ? contentHeight : contentWidth
+    const normHeight = swapped !== userSwapped ? contentWidth : contentHeight
+    const normFit = Math.min(norm.targetWidth / normWidth, norm.targetHeight / normHeight)
+    baseScale = fitScale * (norm.scale / normFit)
+  }
+
+  const scale = baseScale * (transforms.scale / 100)
+  const drawWidth = contentWidth * scale
+  const drawHeight = contentHeight * scale
+
+  // Offsets are y-down page points, scaled with the content like the preview
+  const centerX = rect.x + rect.width / 2 + (transforms.offsetX || 0) * scale
+  const centerY = rect.y + rect.height / 2 - (transforms.offsetY || 0) * scale
+
+  // pdf-lib rotates counter-clockwise around (x, y); solve for the origin
+  // that puts the rotated content's center on (centerX, centerY)
+  const theta = (-rotation * Math.PI) / 180
+  const cos = Math.cos(theta)
+  const sin = Math.sin(theta)
+  const x = centerX - (cos * drawWidth / 2 - sin * drawHeight / 2)
+  const y = centerY - (sin * drawWidth / 2 + cos * drawHeight / 2)
+
+  // Clip to the target so scaled / offset content never bleeds into neighbours
+  sheet.pushOperators(
+    pushGraphicsState(),
+    rectangle(rect.x, rect.y, rect.width, rect.height),
+    clip(),
+    endPath()
+  )
+
+  sheet.drawPage(embedded, {
+    x,
+    y,
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(-rotation)
+  })
+
+  sheet.pushOperators(popGraphicsState())
+}
@@ -11,10 +11,18 @@ import {
   RecipePrint,
   RecipePage,
   RecipeOptions,
-  CropBox
+  CropBox,
+  PosterLayout,
+  PageInfo,
+  DEFAULT_TRANSFORMS
 } from '../types'
 import { MetadataStore } from '../state/metadataStore'
 import { PageState } from './pageState'
+import { resolvePrintLayout, getNupCapacity } from './nupLayout'
+import { resolvePosterLayout, getLargestPage } from './posterTiling'
+import { getPaperDimensions } from './recipeExecutor'
+import { resolveStamps } from './stampLayout'
+import { CURRENT_RECIPE_VERSION } from './recipeValidator'
 
 const DEFAULT_OPTIONS: RecipeOptions = {
   paperSize: 'A4',
@@ -23,7 +31,11 @@ const DEFAULT_OPTIONS: RecipeOptions = {
   copies: 1,
   pagesPerSheet: 1,
   quality: 'normal',
-  shopId: null
+  shopId: null,
+  colorPages: [],
+  imposition: 'none',
+  layout: {},
+  poster: {}
 }
 
 export class RecipeService {
@@ -71,44 +83,36 @@ export class RecipeService {
       throw new Error('Source file info not set')
     }
 
-    const includedPages = this.pageState.getIncluded()
-    const pages: RecipePage[] = includedPages.map(pageInfo => {
-      const metadata = this.metadataStore.get(pageInfo.pageNumber)
-      const transforms = this.metadataStore.getTransforms(pageInfo.pageNumber)
-
-      // 1. Crop is now already in RAW coordinates (visual raw page space)
-      // because PDFEditorPopup uses getRawPreview(..., true) which disables A4 normalization.
-      // So no denormalization is needed.
-      let exportedCrop = transforms.crop ? { ...transforms.crop } : null
-
-      return {
-        pageNumber: pageInfo.pageNumber,
-        originalDimensions: metadata?.originalDimensions || {
-          width: pageInfo.width,
-          height: pageInfo.height
-        },
-        transforms: {
-          ...transforms,
-          crop: exportedCrop
-        },
-        hasEdits: this.metadataStore.isEdited(pageInfo.pageNumber),
-        isCropped: metadata?.isCropped || false,
-        fitCropToPage: metadata?.fitCropToPage || false,
-        normalization: metadata?.normalization
-      }
-    })
+    // Pages in document order: copies repeat their page, null is a blank.
+    // Stamps are numbered by position in the job; blank pages take a number
+    // but print nothing.
+    const colorPages = new Set(this.options.colorPages)
+    const printOrder = this.pageState.getPrintOrder()
+    const pages: RecipePage[] = printOrder.map((pageInfo, index) => pageInfo
+      ? this.getRecipePage(pageInfo, colorPages, index + 1, printOrder.length)
+      : this.getBlankPage())
+
+    // A booklet is always 2-up and duplex, a poster 1-up and simplex,
+    // whatever the N-up/duplex options say
+    const isBooklet = this.options.imposition === 'booklet'
+    const isPoster = this.options.imposition === 'poster'
+    const layout = resolvePrintLayout(this.options.pagesPerSheet, this.options.layout, this.options.imposition)
+    const pagesPerSheet = getNupCapacity(layout)
 
     const print: RecipePrint = {
       paperSize: this.options.paperSize,
       colorMode: this.options.colorMode,
-      duplex: this.options.duplex,
+      duplex: isBooklet || (!isPoster && this.options.duplex),
       copies: this.options.copies,
-      pagesPerSheet: this.options.pagesPerSheet,
-      quality: this.options.quality
+      pagesPerSheet,
+      quality: this.options.quality,
+      imposition: this.options.imposition,
+      layout: pagesPerSheet > 1 ? layout : undefined,
+      poster: isPoster ? this.getPosterLayout() : undefined
     }
 
     return {
-      version: '2.0',
+      version: CURRENT_RECIPE_VERSION,
       type: 'print_job',
       generatedAt: new Date().toISOString(),
       source: this.sourceInfo,
@@ -120,6 +124,67 @@ export class RecipeService {
     }
   }
 
+  /**
+   * Recipe entry for a source page: its edits, crop flags, color mode and
+   * stamps for the page at `position` of a job of `total` pages
+   */
+  private getRecipePage(pageInfo: PageInfo, colorPages: Set<number>, position: number, total: number): RecipePage {
+    const metadata = this.metadataStore.get(pageInfo.pageNumber)
+    const transforms = this.metadataStore.getTransforms(pageInfo.pageNumber)
+    const stamps = resolveStamps(this.metadataStore.getStamps(pageInfo.pageNumber), position, total)
+
+    // 1. Crop is now already in RAW coordinates (visual raw page space)
+    // because PDFEditorPopup uses getRawPreview(..., true) which disables A4 normalization.
+    // So no denormalization is needed.
+    let exportedCrop = transforms.crop ? { ...transforms.crop } : null
+
+    return {
+      pageNumber: pageInfo.pageNumber,
+      originalDimensions: metadata?.originalDimensions || {
+        width: pageInfo.width,
+        height: pageInfo.height
+      },
+      transforms: {
+        ...transforms,
+        crop: exportedCrop
+      },
+      hasEdits: this.metadataStore.isEdited(pageInfo.pageNumber),
+      isCropped: metadata?.isCropped || false,
+      fitCropToPage: metadata?.fitCropToPage || false,
+      blank: false,
+      colorMode: colorPages.has(pageInfo.pageNumber) ? 'color' : this.options.colorMode,
+      stamps,
+      normalization: metadata?.normalization
+    }
+  }
+
+  /**
+   * Recipe entry for an inserted blank page: paper-sized, nothing to draw
+   */
+  private getBlankPage(): RecipePage {
+    return {
+      pageNumber: 0,
+      blank: true,
+      originalDimensions: getPaperDimensions(this.options.paperSize),
+      transforms: { ...DEFAULT_TRANSFORMS },
+      hasEdits: false,
+      isCropped: false,
+      fitCropToPage: false,
+      colorMode: 'bw',
+      stamps: []
+    }
+  }
+
+  /**
+   * Poster grid for the included pages: sized by the largest page so every
+   * page of the job is cut the same way
+   */
+  getPosterLayout(): PosterLayout {
+    const paper = getPaperDimensions(this.options.paperSize)
+    const content = getLargestPage(this.pageState.getIncluded()) || paper
+    return resolvePosterLayout(content, paper, this.options.poster)
+  }
+
   /**
    * Generate recipe as JSON string
    */
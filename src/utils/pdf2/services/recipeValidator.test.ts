@@ -0,0 +1,183 @@
+import { describe, expect, it } from 'vitest'
+import {
+  CURRENT_RECIPE_VERSION,
+  migrateRecipe,
+  prepareRecipe,
+  validateRecipe,
+  RecipeValidationError
+} from './recipeValidator'
+
+const transforms = { crop: null, rotation: 0, scale: 100, offsetX: 0, offsetY: 0 }
+
+const page = (pageNumber: number, overrides: Record<string, unknown> = {}) => ({
+  pageNumber,
+  blank: false,
+  colorMode: 'bw',
+  stamps: [],
+  transforms,
+  hasEdits: false,
+  isCropped: false,
+  fitCropToPage: false,
+  ...overrides
+})
+
+const recipe = (overrides: Record<string, unknown> = {}, print: Record<string, unknown> = {}) => ({
+  version: CURRENT_RECIPE_VERSION,
+  type: 'print_job',
+  generatedAt: '2026-01-01T00:00:00.000Z',
+  source: { totalPages: 3 },
+  destination: { shopId: null },
+  print: { paperSize: 'A4', colorMode: 'bw', pagesPerSheet: 1, copies: 1, duplex: false, imposition: 'none', ...print },
+  pages: [page(1), page(2), page(3)],
+  ...overrides
+})
+
+// The codes and paths of the problems found, to compare in one go
+const issues = (input: unknown) => validateRecipe(input).errors.map(({ code, path }) => `${code} ${path}`)
+
+describe('migrateRecipe', () => {
+  it('upgrades a 2.0 recipe to the current version, filling in what it meant', () => {
+    const migrated = migrateRecipe({
+      version: '2.0',
+      source: { totalPages: 2 },
+      print: { paperSize: 'A4', colorMode: 'color', pagesPerSheet: 4, copies: 1, duplex: true },
+      pages: [{ pageNumber: 1, transforms }, { pageNumber: 2, transforms }]
+    })
+
+    expect(migrated.version).toBe('2.6')
+    expect(migrated.print).toMatchObject({
+      imposition: 'none',
+      layout: { rows: 2, cols: 2, order: 'z', borders: false, autoRotate: false }
+    })
+    expect(migrated.pages).toEqual([
+      { pageNumber: 1, transforms, colorMode: 'color', blank: false, stamps: [] },
+      { pageNumber: 2, transforms, colorMode: 'color', blank: false, stamps: [] }
+    ])
+  })
+
+  it('keeps fields an older recipe already has', () => {
+    const migrated = migrateRecipe({
+      version: '2.0',
+      print: { paperSize: 'A4', colorMode: 'color', pagesPerSheet: 1, copies: 1, duplex: false, imposition: 'booklet' },
+      pages: [{ pageNumber: 1, transforms, colorMode: 'bw' }]
+    })
+
+    expect(migrated.print.imposition).toBe('booklet')
+    expect(migrated.print.layout).toBeUndefined()
+    expect(migrated.pages[0].colorMode).toBe('bw')
+  })
+
+  it('treats recipes without a version as 1.0', () => {
+    const migrated = migrateRecipe({
+      source: { totalPages: 1 },
+      print: { paperSize: 'A4', colorMode: 'bw', pagesPerSheet: 1, copies: 1, duplex: false },
+      pages: [{ pageNumber: 1, transforms: { rotation: 90, crop: { x: 0, y: 0, width: 0.5, height: 0.5 } } }]
+    })
+
+    expect(migrated).toMatchObject({ version: '2.6', type: 'print_job', destination: { shopId: null } })
+    expect(migrated.pages[0]).toMatchObject({
+      transforms: { rotation: 90, scale: 100, offsetX: 0, offsetY: 0 },
+      isCropped: true,
+      hasEdits: false
+    })
+    expect(validateRecipe(migrated).valid).toBe(true)
+  })
+
+  it('rejects versions it has no path from', () => {
+    expect(() => migrateRecipe({ version: '3.0' })).toThrow(RecipeValidationError)
+    expect(() => migrateRecipe([])).toThrow('Recipe must be an object')
+  })
+})
+
+describe('validateRecipe', () => {
+  it('accepts a complete current recipe', () => {
+    expect(validateRecipe(recipe())).toEqual({ valid: true, errors: [] })
+  })
+
+  it('reports missing sections', () => {
+    expect(issues({ version: CURRENT_RECIPE_VERSION })).toEqual([
+      'missing_field source',
+      'missing_field print',
+      'missing_field pages'
+    ])
+    expect(issues(recipe({ version: '2.5' }))).toEqual(['unsupported_version version'])
+  })
+
+  it('rejects pages outside the source and recipes with nothing to print', () => {
+    expect(issues(recipe({ pages: [page(4)] }))).toEqual(['page_out_of_range pages[0].pageNumber'])
+    expect(issues(recipe({ pages: [] }))).toEqual(['no_pages pages'])
+    expect(issues(recipe({ pages: [page(0, { blank: true })] }))).toEqual(['no_pages pages'])
+    expect(issues(recipe({ pages: [page(1), page(2, { blank: true })] }))).toEqual(['invalid_type pages[1].pageNumber'])
+  })
+
+  it('checks each page transform', () => {
+    const bad = page(1, {
+      colorMode: 'sepia',
+      transforms: { crop: { x: 0.5, y: 0, width: 0.6, height: 1 }, rotation: 45, scale: 1000, offsetX: '0', offsetY: 0 }
+    })
+
+    expect(issues(recipe({ pages: [bad] }))).toEqual([
+      'invalid_color_mode pages[0].colorMode',
+      'crop_out_of_bounds pages[0].transforms.crop',
+      'invalid_rotation pages[0].transforms.rotation',
+      'scale_out_of_range pages[0].transforms.scale',
+      'invalid_type pages[0].transforms.offsetX'
+    ])
+  })
+
+  it('checks stamps', () => {
+    const stamp = { kind: 'watermark', text: 'DRAFT', position: 'center', fontSize: 48, opacity: 0.3, rotation: 45, color: '#ff0000' }
+
+    expect(issues(recipe({ pages: [page(1, { stamps: [stamp] })] }))).toEqual([])
+    expect(issues(recipe({ pages: [page(1, { stamps: [{ ...stamp, kind: 'logo', fontSize: 1, color: 'red' }] })] }))).toEqual([
+      'invalid_stamp pages[0].stamps[0].kind',
+      'invalid_stamp pages[0].stamps[0].fontSize',
+      'invalid_stamp pages[0].stamps[0].color'
+    ])
+  })
+
+  it('checks print options against the imposition and layout', () => {
+    expect(issues(recipe({}, { copies: 0, pagesPerSheet: 3 }))).toEqual([
+      'invalid_print_option print.pagesPerSheet',
+      'invalid_print_option print.copies'
+    ])
+    expect(issues(recipe({}, { imposition: 'booklet' }))).toEqual(['invalid_print_option print.imposition'])
+    expect(issues(recipe({}, { imposition: 'poster' }))).toEqual(['missing_field print.poster'])
+
+    const layout = { rows: 2, cols: 3, order: 'z', landscape: true, borders: false, autoRotate: false, margin: 10, gutter: -1 }
+    expect(issues(recipe({}, { pagesPerSheet: 4, layout }))).toEqual([
+      'invalid_print_option print.pagesPerSheet',
+      'invalid_print_option print.layout.gutter'
+    ])
+  })
+
+  it('checks poster settings', () => {
+    const poster = { rows: 2, cols: 9, landscape: false, actualSize: false, cutMarks: true, labels: 'yes', overlap: 100, margin: 0 }
+
+    expect(issues(recipe({}, { imposition: 'poster', poster }))).toEqual([
+      'invalid_print_option print.poster.cols',
+      'invalid_print_option print.poster.labels',
+      'invalid_print_option print.poster.overlap'
+    ])
+  })
+})
+
+describe('prepareRecipe', () => {
+  it('parses, migrates and validates stored JSON', () => {
+    const stored = JSON.stringify({ ...recipe(), version: '2.5', pages: [{ ...page(1), stamps: undefined }] })
+
+    expect(prepareRecipe(stored).pages[0].stamps).toEqual([])
+  })
+
+  it('throws with every problem found', () => {
+    expect(() => prepareRecipe('{')).toThrow('Recipe is not valid JSON')
+
+    try {
+      prepareRecipe(recipe({ pages: [page(9)] }, { copies: -1 }))
+      expect.unreachable()
+    } catch (error) {
+      expect(error).toBeInstanceOf(RecipeValidationError)
+      expect((error as RecipeValidationError).errors.map(e => e.path)).toEqual(['print.copies', 'pages[0].pageNumber'])
+    }
+  })
+})
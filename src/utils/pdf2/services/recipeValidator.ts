@@ -0,0 +1,630 @@
+/**
+ * RecipeValidator
+ *
+ * Runtime checks for Recipe / RecipePage plus the version migration chain.
+ * Recipes are stored as JSON on print_jobs.recipe and read back by the print
+ * side, so anything that did not come straight out of RecipeService.generate()
+ * should go through prepareRecipe() before it is trusted.
+ */
+
+import { Recipe, Imposition, NupOrder, StampKind, StampPosition, DEFAULT_TRANSFORMS } from '../types'
+import { NUP_ORDERS, resolvePrintLayout } from './nupLayout'
+import { MAX_POSTER_GRID } from './posterTiling'
+import { STAMP_KINDS, STAMP_POSITIONS, MIN_STAMP_FONT_SIZE, MAX_STAMP_FONT_SIZE } from './stampLayout'
+
+/**
+ * Bumped whenever recipes gain a field, with a migration below:
+ * 2.1 per-page color, 2.2 booklet imposition, 2.3 N-up layout,
+ * 2.4 posters, 2.5 blank pages, 2.6 stamps
+ */
+export const CURRENT_RECIPE_VERSION = '2.6'
+
+export type RecipeIssueCode =
+  | 'invalid_json'
+  | 'invalid_type'
+  | 'missing_field'
+  | 'unsupported_version'
+  | 'no_pages'
+  | 'page_out_of_range'
+  | 'crop_out_of_bounds'
+  | 'invalid_rotation'
+  | 'scale_out_of_range'
+  | 'invalid_print_option'
+  | 'invalid_color_mode'
+  | 'invalid_stamp'
+
+export interface RecipeIssue {
+  code: RecipeIssueCode
+  path: string        // e.g. "pages[2].transforms.crop.x"
+  message: string
+  pageNumber?: number
+}
+
+export interface RecipeValidationResult {
+  valid: boolean
+  errors: RecipeIssue[]
+}
+
+export class RecipeValidationError extends Error {
+  errors: RecipeIssue[]
+
+  constructor(errors: RecipeIssue[]) {
+    super(`Invalid recipe: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`)
+    this.name = 'RecipeValidationError'
+    this.errors = errors
+  }
+}
+
+type RecipeObject = Record<string, unknown>
+
+const VALID_ROTATIONS = [0, 90, 180, 270]
+const VALID_PAGES_PER_SHEET = [1, 2, 4, 6, 8, 9, 16]
+const MAX_NUP_GRID = 8  // rows or cols per sheet
+const VALID_IMPOSITIONS = ['none', 'booklet', 'poster']
+const MAX_POSTER_SPACING = 72  // points of poster overlap or margin (1 inch)
+const VALID_PAGE_COLOR_MODES = ['bw', 'color']
+const MIN_SCALE = 10
+const MAX_SCALE = 500
+
+// Crops come from canvas math, allow float noise at the edges
+const CROP_EPSILON = 1e-6
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+/**
+ * Each migration upgrades a recipe from `from` to `to`, filling in the
+ * fields `to` added with what older recipes meant by leaving them out.
+ * Recipes without a version field predate versioning and are treated as 1.0.
+ * Fields a recipe already has are kept; validateRecipe() checks them after.
+ */
+const MIGRATIONS: { from: string; to: string; migrate: (recipe: RecipeObject) => RecipeObject }[] = [
+  {
+    // 1.0 recipes had no type/destination and no per-page crop flags
+    from: '1.0',
+    to: '2.0',
+    migrate: recipe => {
+      const pages = Array.isArray(recipe.pages) ? recipe.pages : []
+
+      return {
+        ...recipe,
+        version: '2.0',
+        type: recipe.type ?? 'print_job',
+        generatedAt: recipe.generatedAt ?? new Date().toISOString(),
+        destination: recipe.destination ?? { shopId: null },
+        pages: pages.map(page => {
+          if (!isObject(page)) return page
+          const transforms = isObject(page.transforms) ? page.transforms : {}
+
+          return {
+            ...page,
+            transforms: { ...DEFAULT_TRANSFORMS, ...transforms },
+            hasEdits: page.hasEdits ?? false,
+            isCropped: page.isCropped ?? !!transforms.crop,
+            fitCropToPage: page.fitCropToPage ?? false
+          }
+        })
+      }
+    }
+  },
+  {
+    // Pages print in the job's color mode; inserted blanks never need color
+    from: '2.0',
+    to: '2.1',
+    migrate: recipe => {
+      const print = isObject(recipe.print) ? recipe.print : {}
+
+      return {
+        ...recipe,
+        version: '2.1',
+        pages: mapPages(recipe, page => ({
+          ...page,
+          colorMode: page.colorMode ?? (page.blank === true ? 'bw' : print.colorMode)
+        }))
+      }
+    }
+  },
+  {
+    // Plain sheets, no imposition
+    from: '2.1',
+    to: '2.2',
+    migrate: recipe => ({
+      ...recipe,
+      version: '2.2',
+      print: mapPrint(recipe, print => ({ ...print, imposition: print.imposition ?? 'none' }))
+    })
+  },
+  {
+    // N-up jobs printed with the preset grid for their pages per sheet
+    from: '2.2',
+    to: '2.3',
+    migrate: recipe => ({
+      ...recipe,
+      version: '2.3',
+      print: mapPrint(recipe, print => {
+        if (print.layout !== undefined || !VALID_PAGES_PER_SHEET.includes(print.pagesPerSheet as number)) {
+          return print
+        }
+        const pagesPerSheet = print.pagesPerSheet as number
+        return {
+          ...print,
+          layout: pagesPerSheet > 1
+            ? resolvePrintLayout(pagesPerSheet, {}, print.imposition as Imposition)
+            : undefined
+        }
+      })
+    })
+  },
+  {
+    // print.poster only exists on poster jobs, which older versions can't be
+    from: '2.3',
+    to: '2.4',
+    migrate: recipe => ({ ...recipe, version: '2.4' })
+  },
+  {
+    // Every page was a source page
+    from: '2.4',
+    to: '2.5',
+    migrate: recipe => ({
+      ...recipe,
+      version: '2.5',
+      pages: mapPages(recipe, page => ({ ...page, blank: page.blank ?? false }))
+    })
+  },
+  {
+    // No stamps
+    from: '2.5',
+    to: '2.6',
+    migrate: recipe => ({
+      ...recipe,
+      version: '2.6',
+      pages: mapPages(recipe, page => ({ ...page, stamps: page.stamps ?? [] }))
+    })
+  }
+]
+
+function mapPages(recipe: RecipeObject, migrate: (page: RecipeObject) => RecipeObject): unknown {
+  if (!Array.isArray(recipe.pages)) return recipe.pages
+  return recipe.pages.map(page => isObject(page) ? migrate(page) : page)
+}
+
+function mapPrint(recipe: RecipeObject, migrate: (print: RecipeObject) => RecipeObject): unknown {
+  return isObject(recipe.print) ? migrate(recipe.print) : recipe.print
+}
+
+/**
+ * Upgrade a recipe to CURRENT_RECIPE_VERSION.
+ * Throws RecipeValidationError if the version has no migration path.
+ */
+export function migrateRecipe(input: unknown): Recipe {
+  if (!isObject(input)) {
+    throw new RecipeValidationError([
+      { code: 'invalid_type', path: 'recipe', message: 'Recipe must be an object' }
+    ])
+  }
+
+  let recipe: RecipeObject = { ...input }
+  let version = typeof recipe.version === 'string' ? recipe.version : '1.0'
+
+  while (version !== CURRENT_RECIPE_VERSION) {
+    const migration = MIGRATIONS.find(m => m.from === version)
+    if (!migration) {
+      throw new RecipeValidationError([
+        {
+          code: 'unsupported_version',
+          path: 'version',
+          message: `No migration from recipe version ${version} to ${CURRENT_RECIPE_VERSION}`
+        }
+      ])
+    }
+
+    recipe = migration.migrate(recipe)
+    version = migration.to
+  }
+
+  return recipe as unknown as Recipe
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate a recipe at the current version
+ */
+export function validateRecipe(input: unknown): RecipeValidationResult {
+  const errors: RecipeIssue[] = []
+
+  if (!isObject(input)) {
+    errors.push({ code: 'invalid_type', path: 'recipe', message: 'Recipe must be an object' })
+    return { valid: false, errors }
+  }
+
+  if (input.version !== CURRENT_RECIPE_VERSION) {
+    errors.push({
+      code: 'unsupported_version',
+      path: 'version',
+      message: `Expected version ${CURRENT_RECIPE_VERSION}, got ${String(input.version)}`
+    })
+  }
+
+  // Source
+  let totalPages: number | null = null
+  if (!isObject(input.source)) {
+    errors.push({ code: 'missing_field', path: 'source', message: 'Source is required' })
+  } else if (!isPositiveInteger(input.source.totalPages)) {
+    errors.push({
+      code: 'invalid_type',
+      path: 'source.totalPages',
+      message: 'Total pages must be a positive integer'
+    })
+  } else {
+    totalPages = input.source.totalPages
+  }
+
+  // Print settings
+  if (!isObject(input.print)) {
+    errors.push({ code: 'missing_field', path: 'print', message: 'Print settings are required' })
+  } else {
+    const { print } = input
+
+    if (typeof print.paperSize !== 'string' || !print.paperSize) {
+      errors.push({ code: 'invalid_print_option', path: 'print.paperSize', message: 'Paper size is required' })
+    }
+    if (print.layout !== undefined) {
+      validateLayout(print.layout, print.pagesPerSheet, errors)
+    } else if (!VALID_PAGES_PER_SHEET.includes(print.pagesPerSheet as number)) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: 'print.pagesPerSheet',
+        message: `Pages per sheet must be one of ${VALID_PAGES_PER_SHEET.join(', ')}`
+      })
+    }
+    if (!isPositiveInteger(print.copies)) {
+      errors.push({ code: 'invalid_print_option', path: 'print.copies', message: 'Copies must be a positive integer' })
+    }
+    if (typeof print.duplex !== 'boolean') {
+      errors.push({ code: 'invalid_print_option', path: 'print.duplex', message: 'Duplex must be true or false' })
+    }
+    if (!VALID_IMPOSITIONS.includes(print.imposition as string)) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: 'print.imposition',
+        message: `Imposition must be one of ${VALID_IMPOSITIONS.join(', ')}`
+      })
+    } else if (print.imposition === 'booklet' && (print.pagesPerSheet !== 2 || print.duplex !== true)) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: 'print.imposition',
+        message: 'Booklets must be printed 2 pages per sheet, duplex'
+      })
+    } else if (print.imposition === 'poster') {
+      if (print.pagesPerSheet !== 1 || print.duplex !== false) {
+        errors.push({
+          code: 'invalid_print_option',
+          path: 'print.imposition',
+          message: 'Posters must be printed 1 page per sheet, single-sided'
+        })
+      }
+      if (print.poster === undefined) {
+        errors.push({ code: 'missing_field', path: 'print.poster', message: 'Poster layout is required' })
+      } else {
+        validatePoster(print.poster, errors)
+      }
+    }
+  }
+
+  // Pages
+  if (!Array.isArray(input.pages)) {
+    errors.push({ code: 'missing_field', path: 'pages', message: 'Pages are required' })
+  } else if (input.pages.length === 0) {
+    errors.push({ code: 'no_pages', path: 'pages', message: 'Recipe has no pages' })
+  } else if (input.pages.every(page => isObject(page) && page.blank === true)) {
+    errors.push({ code: 'no_pages', path: 'pages', message: 'Recipe has only blank pages' })
+  } else {
+    input.pages.forEach((page, index) => {
+      validatePage(page, `pages[${index}]`, totalPages, errors)
+    })
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  }
+}
+
+/**
+ * Parse (if needed), migrate and validate a stored recipe.
+ * Throws RecipeValidationError listing every problem found.
+ */
+export function prepareRecipe(input: unknown): Recipe {
+  let parsed: unknown = input
+
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input)
+    } catch {
+      throw new RecipeValidationError([
+        { code: 'invalid_json', path: 'recipe', message: 'Recipe is not valid JSON' }
+      ])
+    }
+  }
+
+  const recipe = migrateRecipe(parsed)
+  const { valid, errors } = validateRecipe(recipe)
+
+  if (!valid) {
+    throw new RecipeValidationError(errors)
+  }
+
+  return recipe
+}
+
+function validatePage(
+  page: unknown,
+  path: string,
+  totalPages: number | null,
+  errors: RecipeIssue[]
+): void {
+  if (!isObject(page)) {
+    errors.push({ code: 'invalid_type', path, message: 'Page must be an object' })
+    return
+  }
+
+  const pageNumber = isPositiveInteger(page.pageNumber) ? page.pageNumber : undefined
+
+  if (typeof page.blank !== 'boolean') {
+    errors.push({ code: 'invalid_type', path: `${path}.blank`, message: 'Blank must be a boolean' })
+  }
+
+  if (page.blank === true) {
+    // Inserted blank pages have no source page
+    if (page.pageNumber !== 0) {
+      errors.push({
+        code: 'invalid_type',
+        path: `${path}.pageNumber`,
+        message: 'Blank pages must have page number 0'
+      })
+    }
+  } else if (pageNumber === undefined) {
+    errors.push({
+      code: 'invalid_type',
+      path: `${path}.pageNumber`,
+      message: 'Page number must be a positive integer'
+    })
+  } else if (totalPages !== null && pageNumber > totalPages) {
+    errors.push({
+      code: 'page_out_of_range',
+      path: `${path}.pageNumber`,
+      message: `Page ${pageNumber} is above source.totalPages (${totalPages})`,
+      pageNumber
+    })
+  }
+
+  if (!VALID_PAGE_COLOR_MODES.includes(page.colorMode as string)) {
+    errors.push({
+      code: 'invalid_color_mode',
+      path: `${path}.colorMode`,
+      message: `Page color mode must be one of ${VALID_PAGE_COLOR_MODES.join(', ')}`,
+      pageNumber
+    })
+  }
+
+  if (!Array.isArray(page.stamps)) {
+    errors.push({ code: 'invalid_type', path: `${path}.stamps`, message: 'Stamps must be an array', pageNumber })
+  } else {
+    page.stamps.forEach((stamp, i) => validateStamp(stamp, `${path}.stamps[${i}]`, pageNumber, errors))
+  }
+
+  if (!isObject(page.transforms)) {
+    errors.push({ code: 'missing_field', path: `${path}.transforms`, message: 'Transforms are required', pageNumber })
+    return
+  }
+
+  const { crop, rotation, scale, offsetX, offsetY } = page.transforms
+
+  if (crop !== null && crop !== undefined) {
+    validateCrop(crop, `${path}.transforms.crop`, pageNumber, errors)
+  }
+
+  if (!VALID_ROTATIONS.includes(rotation as number)) {
+    errors.push({
+      code: 'invalid_rotation',
+      path: `${path}.transforms.rotation`,
+      message: `Rotation must be one of ${VALID_ROTATIONS.join(', ')}, got ${String(rotation)}`,
+      pageNumber
+    })
+  }
+
+  if (!isFiniteNumber(scale) || scale < MIN_SCALE || scale > MAX_SCALE) {
+    errors.push({
+      code: 'scale_out_of_range',
+      path: `${path}.transforms.scale`,
+      message: `Scale must be between ${MIN_SCALE} and ${MAX_SCALE}%`,
+      pageNumber
+    })
+  }
+
+  for (const [key, value] of [['offsetX', offsetX], ['offsetY', offsetY]] as const) {
+    if (!isFiniteNumber(value)) {
+      errors.push({
+        code: 'invalid_type',
+        path: `${path}.transforms.${key}`,
+        message: `${key} must be a number`,
+        pageNumber
+      })
+    }
+  }
+}
+
+function validateCrop(
+  crop: unknown,
+  path: string,
+  pageNumber: number | undefined,
+  errors: RecipeIssue[]
+): void {
+  if (!isObject(crop)) {
+    errors.push({ code: 'invalid_type', path, message: 'Crop must be an object or null', pageNumber })
+    return
+  }
+
+  const fields = ['x', 'y', 'width', 'height'] as const
+  for (const field of fields) {
+    const value = crop[field]
+    if (!isFiniteNumber(value) || value < -CROP_EPSILON || value > 1 + CROP_EPSILON) {
+      errors.push({
+        code: 'crop_out_of_bounds',
+        path: `${path}.${field}`,
+        message: `Crop ${field} must be between 0 and 1`,
+        pageNumber
+      })
+    }
+  }
+
+  const { x, y, width, height } = crop
+  if (!isFiniteNumber(x) || !isFiniteNumber(y) || !isFiniteNumber(width) || !isFiniteNumber(height)) {
+    return
+  }
+
+  if (width <= 0 || height <= 0) {
+    errors.push({ code: 'crop_out_of_bounds', path, message: 'Crop must have a positive size', pageNumber })
+  } else if (x + width > 1 + CROP_EPSILON || y + height > 1 + CROP_EPSILON) {
+    errors.push({ code: 'crop_out_of_bounds', path, message: 'Crop extends past the page edge', pageNumber })
+  }
+}
+
+function validateStamp(
+  stamp: unknown,
+  path: string,
+  pageNumber: number | undefined,
+  errors: RecipeIssue[]
+): void {
+  if (!isObject(stamp)) {
+    errors.push({ code: 'invalid_stamp', path, message: 'Stamp must be an object', pageNumber })
+    return
+  }
+
+  const issue = (field: string, message: string) => {
+    errors.push({ code: 'invalid_stamp', path: `${path}.${field}`, message, pageNumber })
+  }
+
+  if (!STAMP_KINDS.includes(stamp.kind as StampKind)) {
+    issue('kind', `Stamp kind must be one of ${STAMP_KINDS.join(', ')}`)
+  }
+  if (typeof stamp.text !== 'string') {
+    issue('text', 'Stamp text must be a string')
+  }
+  if (!STAMP_POSITIONS.includes(stamp.position as StampPosition)) {
+    issue('position', `Stamp position must be one of ${STAMP_POSITIONS.join(', ')}`)
+  }
+  if (!isFiniteNumber(stamp.fontSize) || stamp.fontSize < MIN_STAMP_FONT_SIZE || stamp.fontSize > MAX_STAMP_FONT_SIZE) {
+    issue('fontSize', `Stamp font size must be between ${MIN_STAMP_FONT_SIZE} and ${MAX_STAMP_FONT_SIZE}`)
+  }
+  if (!isFiniteNumber(stamp.opacity) || stamp.opacity < 0 || stamp.opacity > 1) {
+    issue('opacity', 'Stamp opacity must be between 0 and 1')
+  }
+  if (!isFiniteNumber(stamp.rotation)) {
+    issue('rotation', 'Stamp rotation must be a number')
+  }
+  if (typeof stamp.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(stamp.color)) {
+    issue('color', 'Stamp color must be a #rrggbb hex color')
+  }
+}
+
+function validateLayout(layout: unknown, pagesPerSheet: unknown, errors: RecipeIssue[]): void {
+  const path = 'print.layout'
+
+  if (!isObject(layout)) {
+    errors.push({ code: 'invalid_type', path, message: 'Layout must be an object' })
+    return
+  }
+
+  const { rows, cols } = layout
+  for (const [key, value] of [['rows', rows], ['cols', cols]] as const) {
+    if (!isPositiveInteger(value) || value > MAX_NUP_GRID) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: `${path}.${key}`,
+        message: `Layout ${key} must be an integer from 1 to ${MAX_NUP_GRID}`
+      })
+    }
+  }
+  if (isPositiveInteger(rows) && isPositiveInteger(cols) && rows * cols !== pagesPerSheet) {
+    errors.push({
+      code: 'invalid_print_option',
+      path: 'print.pagesPerSheet',
+      message: `Pages per sheet must equal layout rows × cols (${rows * cols})`
+    })
+  }
+
+  if (!NUP_ORDERS.includes(layout.order as NupOrder)) {
+    errors.push({
+      code: 'invalid_print_option',
+      path: `${path}.order`,
+      message: `Layout order must be one of ${NUP_ORDERS.join(', ')}`
+    })
+  }
+
+  for (const key of ['landscape', 'borders', 'autoRotate'] as const) {
+    if (typeof layout[key] !== 'boolean') {
+      errors.push({ code: 'invalid_print_option', path: `${path}.${key}`, message: `Layout ${key} must be true or false` })
+    }
+  }
+
+  for (const key of ['margin', 'gutter'] as const) {
+    const value = layout[key]
+    if (!isFiniteNumber(value) || value < 0) {
+      errors.push({ code: 'invalid_print_option', path: `${path}.${key}`, message: `Layout ${key} must be a non-negative number` })
+    }
+  }
+}
+
+function validatePoster(poster: unknown, errors: RecipeIssue[]): void {
+  const path = 'print.poster'
+
+  if (!isObject(poster)) {
+    errors.push({ code: 'invalid_type', path, message: 'Poster must be an object' })
+    return
+  }
+
+  for (const key of ['rows', 'cols'] as const) {
+    const value = poster[key]
+    if (!isPositiveInteger(value) || value > MAX_POSTER_GRID) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: `${path}.${key}`,
+        message: `Poster ${key} must be an integer from 1 to ${MAX_POSTER_GRID}`
+      })
+    }
+  }
+
+  for (const key of ['landscape', 'actualSize', 'cutMarks', 'labels'] as const) {
+    if (typeof poster[key] !== 'boolean') {
+      errors.push({ code: 'invalid_print_option', path: `${path}.${key}`, message: `Poster ${key} must be true or false` })
+    }
+  }
+
+  for (const key of ['overlap', 'margin'] as const) {
+    const value = poster[key]
+    if (!isFiniteNumber(value) || value < 0 || value > MAX_POSTER_SPACING) {
+      errors.push({
+        code: 'invalid_print_option',
+        path: `${path}.${key}`,
+        message: `Poster ${key} must be from 0 to ${MAX_POSTER_SPACING} points`
+      })
+    }
+  }
+}
+
+function isObject(value: unknown): value is RecipeObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function isPositiveInteger(value: unknown): value is number {
+  return Number.isInteger(value) && (value as number) > 0
+}
@@ -5,6 +5,8 @@
  * Tracks which pages are currently selected.
  */
 
+import { PageRange } from './pageRange'
+
 export class SelectionState {
   private selected: Set<number> = new Set()
   private lastSelected: number | null = null
@@ -60,6 +62,15 @@ export class SelectionState {
     this.lastSelected = end
   }
 
+  /**
+   * Replace the selection with ranges of pages (e.g. a parsed page-range expression)
+   */
+  selectRanges(ranges: PageRange[]): void {
+    this.selected.clear()
+    this.lastSelected = null
+    ranges.forEach(range => this.selectRange(range.start, range.end))
+  }
+
   /**
    * Shift+click behavior: select from last to this
    */
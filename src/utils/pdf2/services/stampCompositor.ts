@@ -0,0 +1,44 @@
+/**
+ * StampCompositor
+ *
+ * Draws text stamps (watermarks, page numbers, headers and footers) onto
+ * preview canvases, placed like the RecipeExecutor output (see stampLayout.ts).
+ */
+
+import { RecipeStamp } from '../types'
+import { getStampPlacement, parseStampColor } from './stampLayout'
+
+/**
+ * Draw stamps over a page canvas
+ *
+ * @param ctx - Context of the page canvas
+ * @param stamps - Stamps with their text already resolved
+ * @param pageWidth - Page width in pixels
+ * @param pageHeight - Page height in pixels
+ * @param unit - Pixels per point
+ */
+export function drawStamps(
+    ctx: CanvasRenderingContext2D,
+    stamps: RecipeStamp[],
+    pageWidth: number,
+    pageHeight: number,
+    unit: number
+): void {
+    for (const stamp of stamps) {
+        const { r, g, b } = parseStampColor(stamp.color)
+
+        ctx.save()
+        ctx.font = `${stamp.fontSize * unit}px Helvetica, Arial, sans-serif`
+        ctx.textBaseline = 'alphabetic'
+        ctx.globalAlpha = stamp.opacity
+        ctx.fillStyle = `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`
+
+        const placement = getStampPlacement(stamp, ctx.measureText(stamp.text).width, pageWidth, pageHeight, unit)
+
+        // Stamp rotation is counter-clockwise; canvas angles turn clockwise
+        ctx.translate(placement.x, placement.y)
+        ctx.rotate(-placement.radians)
+        ctx.fillText(stamp.text, placement.originX, placement.originY)
+        ctx.restore()
+    }
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest'
+import {
+  createStamp,
+  formatStampText,
+  resolveStamps,
+  getStampUnit,
+  getStampPlacement,
+  parseStampColor,
+  STAMP_MARGIN
+} from './stampLayout'
+
+const A4 = { width: 595, height: 842 }
+
+describe('formatStampText', () => {
+  it('fills in the page, the total and zero-padded Bates numbers', () => {
+    expect(formatStampText('Page {page} of {total}', 3, 12)).toBe('Page 3 of 12')
+    expect(formatStampText('ACME-{page:6}', 42, 100)).toBe('ACME-000042')
+    expect(formatStampText('{nothing}', 1, 1)).toBe('{nothing}')
+  })
+})
+
+describe('resolveStamps', () => {
+  it('numbers pages from the stamp start number', () => {
+    const stamp = createStamp('pageNumber', { startNumber: 101 })
+
+    expect(resolveStamps([stamp], 2, 5)).toEqual([{
+      kind: 'pageNumber',
+      text: 'Page 102 of 105',
+      position: 'bottom-center',
+      fontSize: 10,
+      opacity: 1,
+      rotation: 0,
+      color: '#000000'
+    }])
+  })
+
+  it('drops stamps without text', () => {
+    expect(resolveStamps([createStamp('header'), createStamp('watermark')], 1, 1).map(stamp => stamp.kind)).toEqual(['watermark'])
+  })
+})
+
+describe('getStampUnit', () => {
+  it('is 1 on a full sheet and shrinks with N-up cells', () => {
+    expect(getStampUnit(A4.width, A4.height, A4)).toBe(1)
+    expect(getStampUnit(A4.width / 2, A4.height / 2, A4)).toBe(0.5)
+  })
+})
+
+describe('getStampPlacement', () => {
+  it('anchors corner stamps inside the margin', () => {
+    const topLeft = getStampPlacement({ position: 'top-left', fontSize: 10, rotation: 0 }, 50, A4.width, A4.height)
+    const bottomRight = getStampPlacement({ position: 'bottom-right', fontSize: 10, rotation: 0 }, 50, A4.width, A4.height)
+
+    expect(topLeft).toMatchObject({ x: STAMP_MARGIN, y: STAMP_MARGIN, originY: 8, radians: 0, size: 10 })
+    expect(bottomRight).toMatchObject({ x: A4.width - STAMP_MARGIN, y: A4.height - STAMP_MARGIN, originX: -50, originY: -2 })
+  })
+
+  it('centers and rotates a watermark on the page', () => {
+    const placement = getStampPlacement({ position: 'center', fontSize: 72, rotation: 45 }, 400, A4.width, A4.height)
+
+    expect(placement).toMatchObject({ x: A4.width / 2, y: A4.height / 2, originX: -200, size: 72 })
+    expect(placement.radians).toBeCloseTo(Math.PI / 4)
+  })
+
+  it('scales the font and margin by the unit', () => {
+    expect(getStampPlacement({ position: 'top-center', fontSize: 10, rotation: 0 }, 20, 300, 420, 0.5)).toMatchObject({
+      x: 150,
+      y: STAMP_MARGIN / 2,
+      size: 5
+    })
+  })
+})
+
+describe('parseStampColor', () => {
+  it('reads #rrggbb and falls back to black', () => {
+    expect(parseStampColor('#FF8000')).toEqual({ r: 1, g: 128 / 255, b: 0 })
+    expect(parseStampColor('red')).toEqual({ r: 0, g: 0, b: 0 })
+  })
+})
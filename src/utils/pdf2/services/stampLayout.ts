@@ -0,0 +1,139 @@
+/**
+ * StampLayout
+ *
+ * Text stamps printed over pages: watermarks ("CONFIDENTIAL"), page numbers
+ * (including Bates-style "ACME-000123") and header/footer text. Pure math
+ * with no DOM or pdf-lib, so the preview (StampCompositor) and the print
+ * output (RecipeExecutor) place stamps identically.
+ *
+ * Stamps are positioned on the page area, not on the page content: cropping,
+ * rotating or scaling a page leaves its stamps where they are. Sizes are in
+ * points on a 1-up sheet; callers drawing a smaller or larger page (N-up
+ * cells, posters, previews) pass `unit` (pixels per point) from
+ * getStampUnit().
+ */
+
+import { Stamp, StampKind, StampPosition, RecipeStamp, PageDimensions } from '../types'
+
+export const STAMP_MARGIN = 28   // ~10 mm from the page edge
+export const MIN_STAMP_FONT_SIZE = 4
+export const MAX_STAMP_FONT_SIZE = 200
+
+export const STAMP_KINDS: StampKind[] = ['watermark', 'pageNumber', 'header', 'footer']
+
+export const STAMP_POSITIONS: StampPosition[] = [
+  'top-left', 'top-center', 'top-right',
+  'center',
+  'bottom-left', 'bottom-center', 'bottom-right'
+]
+
+export const STAMP_DEFAULTS: Record<StampKind, Omit<Stamp, 'id' | 'kind'>> = {
+  watermark: { text: 'CONFIDENTIAL', position: 'center', fontSize: 72, opacity: 0.15, rotation: 45, color: '#000000' },
+  pageNumber: { text: 'Page {page} of {total}', position: 'bottom-center', fontSize: 10, opacity: 1, rotation: 0, color: '#000000' },
+  header: { text: '', position: 'top-center', fontSize: 10, opacity: 1, rotation: 0, color: '#000000' },
+  footer: { text: '', position: 'bottom-left', fontSize: 10, opacity: 1, rotation: 0, color: '#000000' }
+}
+
+export interface StampPlacement {
+  x: number        // anchor point, y-down
+  y: number
+  originX: number  // start of the text baseline relative to the anchor, before rotation
+  originY: number
+  radians: number  // counter-clockwise
+  size: number     // font size in output units
+}
+
+const PLACEHOLDER = /\{(page|total)(?::(\d+))?\}/g
+
+let nextId = 0
+
+/**
+ * New stamp of a kind, with its defaults
+ */
+export function createStamp(kind: StampKind, overrides: Partial<Omit<Stamp, 'id' | 'kind'>> = {}): Stamp {
+  nextId += 1
+  return { id: `stamp-${Date.now().toString(36)}-${nextId}`, kind, ...STAMP_DEFAULTS[kind], ...overrides }
+}
+
+/**
+ * Fill in {page}, {page:N} and {total}, e.g. "ACME-{page:6}" → "ACME-000042"
+ */
+export function formatStampText(text: string, page: number, total: number): string {
+  return text.replace(PLACEHOLDER, (_, name: string, digits?: string) => {
+    const value = String(name === 'page' ? page : total)
+    return digits ? value.padStart(parseInt(digits, 10), '0') : value
+  })
+}
+
+/**
+ * Stamps as they print on the page at `position` (1-based) of a job of
+ * `total` pages. Stamps without text are dropped.
+ */
+export function resolveStamps(stamps: Stamp[], position: number, total: number): RecipeStamp[] {
+  return stamps
+    .map(stamp => {
+      const first = stamp.startNumber ?? 1
+      return {
+        kind: stamp.kind,
+        text: formatStampText(stamp.text, first + position - 1, first + total - 1),
+        position: stamp.position,
+        fontSize: stamp.fontSize,
+        opacity: stamp.opacity,
+        rotation: stamp.rotation,
+        color: stamp.color
+      }
+    })
+    .filter(stamp => stamp.text.trim() !== '')
+}
+
+/**
+ * Output units per point for a page drawn at targetWidth × targetHeight,
+ * relative to the paper: 1 on a 1-up sheet, less in an N-up cell
+ */
+export function getStampUnit(targetWidth: number, targetHeight: number, paper: PageDimensions): number {
+  return Math.min(targetWidth, targetHeight) / Math.min(paper.width, paper.height)
+}
+
+/**
+ * Where a stamp's text goes on a page of pageWidth × pageHeight output units.
+ * textWidth is the measured width of the text at fontSize × unit.
+ */
+export function getStampPlacement(
+  stamp: Pick<RecipeStamp, 'position' | 'fontSize' | 'rotation'>,
+  textWidth: number,
+  pageWidth: number,
+  pageHeight: number,
+  unit: number = 1
+): StampPlacement {
+  const size = stamp.fontSize * unit
+  const margin = STAMP_MARGIN * unit
+  const [vertical, horizontal] = stamp.position === 'center' ? ['center', 'center'] : stamp.position.split('-')
+
+  const x = horizontal === 'left' ? margin : horizontal === 'right' ? pageWidth - margin : pageWidth / 2
+  const y = vertical === 'top' ? margin : vertical === 'bottom' ? pageHeight - margin : pageHeight / 2
+
+  // Text hangs below a top anchor, sits above a bottom one and is centered
+  // on a middle one; the baseline is the text's y
+  const baseline = vertical === 'top' ? size * 0.8 : vertical === 'bottom' ? -size * 0.2 : size * 0.35
+  const align = horizontal === 'left' ? 0 : horizontal === 'right' ? 1 : 0.5
+
+  return {
+    x,
+    y,
+    originX: -textWidth * align,
+    originY: baseline,
+    radians: (stamp.rotation * Math.PI) / 180,
+    size
+  }
+}
+
+/**
+ * #rrggbb as 0-1 channels (black when malformed)
+ */
+export function parseStampColor(color: string): { r: number; g: number; b: number } {
+  const match = /^#([0-9a-f]{6})$/i.exec(color)
+  if (!match) return { r: 0, g: 0, b: 0 }
+
+  const value = parseInt(match[1], 16)
+  return { r: ((value >> 16) & 255) / 255, g: ((value >> 8) & 255) / 255, b: (value & 255) / 255 }
+}
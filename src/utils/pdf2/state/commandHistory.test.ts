@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { CommandHistory } from './commandHistory'
+import { MetadataStore } from './metadataStore'
+
+const A4 = { width: 595, height: 842 }
+
+let store: MetadataStore
+let history: CommandHistory
+
+beforeEach(() => {
+  store = new MetadataStore()
+  ;[1, 2, 3].forEach(pageNumber => store.initPage(pageNumber, A4))
+  history = new CommandHistory(store)
+})
+
+const rotate = (pageNumber: number, label = 'Rotate') => {
+  history.record([pageNumber], label, () => store.addRotation(pageNumber, 90))
+}
+
+describe('CommandHistory', () => {
+  it('undoes and redoes a recorded change', () => {
+    rotate(1)
+
+    expect(history.undo()).toEqual([1])
+    expect(store.getRotation(1)).toBe(0)
+    expect(store.isEdited(1)).toBe(false)
+
+    expect(history.redo()).toEqual([1])
+    expect(store.getRotation(1)).toBe(90)
+  })
+
+  it('has nothing to undo or redo at first', () => {
+    expect(history.undo()).toBeNull()
+    expect(history.redo()).toBeNull()
+    expect(history.getState()).toEqual({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null })
+  })
+
+  it('undoes a transaction across pages as one step', () => {
+    history.transact('Rotate all', () => {
+      rotate(1)
+      rotate(2)
+      history.transact('Nested', () => rotate(3))
+    })
+
+    expect(history.getState()).toMatchObject({ canUndo: true, undoLabel: 'Rotate all' })
+    expect(history.undo()?.sort()).toEqual([1, 2, 3])
+    expect([1, 2, 3].map(pageNumber => store.getRotation(pageNumber))).toEqual([0, 0, 0])
+    expect(history.canUndo()).toBe(false)
+  })
+
+  it('skips steps that change nothing', () => {
+    history.record([1], 'Nothing', () => undefined)
+    history.transact('Read only', () => history.record([2], 'Read', () => store.getRotation(2)))
+
+    expect(history.canUndo()).toBe(false)
+  })
+
+  it('drops the redo steps when a new change is made', () => {
+    rotate(1, 'First')
+    history.undo()
+    rotate(2, 'Second')
+
+    expect(history.getState()).toMatchObject({ canRedo: false, undoLabel: 'Second' })
+  })
+
+  it('keeps only the most recent steps', () => {
+    history = new CommandHistory(store, 2)
+    rotate(1, 'One')
+    rotate(2, 'Two')
+    rotate(3, 'Three')
+
+    expect(history.undo()).toEqual([3])
+    expect(history.undo()).toEqual([2])
+    expect(history.undo()).toBeNull()
+    expect(store.getRotation(1)).toBe(90)
+  })
+
+  it('tells listeners about every change until they unsubscribe', () => {
+    const listener = vi.fn()
+    const unsubscribe = history.onChange(listener)
+
+    rotate(1)
+    history.undo()
+    unsubscribe()
+    history.redo()
+
+    expect(listener.mock.calls.map(([state]) => [state.undoLabel, state.redoLabel])).toEqual([
+      ['Rotate', null],
+      [null, 'Rotate']
+    ])
+  })
+
+  it('forgets every step on clear', () => {
+    rotate(1)
+    history.undo()
+    rotate(2)
+    history.clear()
+
+    expect(history.getState()).toMatchObject({ canUndo: false, canRedo: false })
+    expect(store.getRotation(2)).toBe(90)
+  })
+})
@@ -0,0 +1,205 @@
+/**
+ * CommandHistory
+ *
+ * Undo / redo for page edits. Every change EditOrchestrator makes to the
+ * MetadataStore is recorded as before/after snapshots of the pages it
+ * touched, so undo puts pages back exactly as they were, whatever the edit.
+ *
+ * Transactions group several changes into one undo step, e.g. "apply to all"
+ * across every page. Transactions nest; only the outermost one is recorded.
+ */
+
+import { PageMetadata } from '../types'
+import { MetadataStore } from './metadataStore'
+
+export interface HistoryEntry {
+  label: string
+  pages: Map<number, { before: PageMetadata | null; after: PageMetadata | null }>
+}
+
+export interface HistoryState {
+  canUndo: boolean
+  canRedo: boolean
+  undoLabel: string | null
+  redoLabel: string | null
+}
+
+export type HistoryListener = (state: HistoryState) => void
+
+const DEFAULT_HISTORY_LIMIT = 100
+
+export class CommandHistory {
+  private store: MetadataStore
+  private limit: number
+  private undoStack: HistoryEntry[] = []
+  private redoStack: HistoryEntry[] = []
+  private transaction: HistoryEntry | null = null
+  private transactionDepth: number = 0
+  private listeners: Set<HistoryListener> = new Set()
+
+  constructor(store: MetadataStore, limit: number = DEFAULT_HISTORY_LIMIT) {
+    this.store = store
+    this.limit = limit
+  }
+
+  /**
+   * Run a change to some pages and record it (part of the open transaction, if any)
+   */
+  record<T>(pageNumbers: number[], label: string, change: () => T): T {
+    this.beginTransaction(label)
+    try {
+      const entry = this.transaction as HistoryEntry
+      for (const pageNumber of pageNumbers) {
+        if (!entry.pages.has(pageNumber)) {
+          entry.pages.set(pageNumber, { before: this.store.snapshot(pageNumber), after: null })
+        }
+      }
+
+      const result = change()
+
+      for (const pageNumber of pageNumbers) {
+        const page = entry.pages.get(pageNumber)
+        if (page) page.after = this.store.snapshot(pageNumber)
+      }
+
+      return result
+    } finally {
+      this.endTransaction()
+    }
+  }
+
+  /**
+   * Open a transaction: changes until the matching endTransaction() undo together
+   */
+  beginTransaction(label: string): void {
+    if (this.transactionDepth === 0) {
+      this.transaction = { label, pages: new Map() }
+    }
+    this.transactionDepth++
+  }
+
+  /**
+   * Close a transaction; the outermost one becomes a single undo step
+   */
+  endTransaction(): void {
+    if (this.transactionDepth === 0) return
+
+    this.transactionDepth--
+    if (this.transactionDepth > 0 || !this.transaction) return
+
+    const entry = this.transaction
+    this.transaction = null
+
+    // Drop pages the transaction didn't actually change
+    for (const [pageNumber, page] of entry.pages) {
+      if (isSameEdit(page.before, page.after)) {
+        entry.pages.delete(pageNumber)
+      }
+    }
+    if (entry.pages.size === 0) return
+
+    this.undoStack.push(entry)
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift()
+    }
+    this.redoStack = []
+    this.notify()
+  }
+
+  /**
+   * Run a group of changes as one undo step
+   */
+  transact<T>(label: string, changes: () => T): T {
+    this.beginTransaction(label)
+    try {
+      return changes()
+    } finally {
+      this.endTransaction()
+    }
+  }
+
+  /**
+   * Undo the last step
+   * @returns Pages it changed, or null when there is nothing to undo
+   */
+  undo(): number[] | null {
+    const entry = this.undoStack.pop()
+    if (!entry) return null
+
+    entry.pages.forEach((page, pageNumber) => this.store.restore(pageNumber, page.before))
+    this.redoStack.push(entry)
+    this.notify()
+    return Array.from(entry.pages.keys())
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns Pages it changed, or null when there is nothing to redo
+   */
+  redo(): number[] | null {
+    const entry = this.redoStack.pop()
+    if (!entry) return null
+
+    entry.pages.forEach((page, pageNumber) => this.store.restore(pageNumber, page.after))
+    this.undoStack.push(entry)
+    this.notify()
+    return Array.from(entry.pages.keys())
+  }
+
+  canUndo(): boolean {
+    return this.undoStack.length > 0
+  }
+
+  canRedo(): boolean {
+    return this.redoStack.length > 0
+  }
+
+  getState(): HistoryState {
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null
+    }
+  }
+
+  /**
+   * Forget all steps (e.g. when the document is closed)
+   */
+  clear(): void {
+    this.undoStack = []
+    this.redoStack = []
+    this.transaction = null
+    this.transactionDepth = 0
+    this.notify()
+  }
+
+  /**
+   * Listen for history changes
+   * @returns Unsubscribe function
+   */
+  onChange(listener: HistoryListener): () => void {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  private notify(): void {
+    const state = this.getState()
+    this.listeners.forEach(listener => listener(state))
+  }
+}
+
+/**
+ * Whether two snapshots hold the same edits (color analysis is not an edit)
+ */
+function isSameEdit(a: PageMetadata | null, b: PageMetadata | null): boolean {
+  const edits = (meta: PageMetadata | null) => meta && JSON.stringify({
+    transforms: meta.transforms,
+    edited: meta.edited,
+    isCropped: meta.isCropped,
+    fitCropToPage: meta.fitCropToPage,
+    normalization: meta.normalization,
+    stamps: meta.stamps
+  })
+  return edits(a) === edits(b)
+}
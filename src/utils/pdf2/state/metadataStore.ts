@@ -11,6 +11,8 @@ import {
   PageDimensions,
   CropBox,
   RotationDegrees,
+  PageColorAnalysis,
+  Stamp,
   DEFAULT_TRANSFORMS
 } from '../types'
 
@@ -179,6 +181,46 @@ export class MetadataStore {
     return meta?.fitCropToPage || false
   }
 
+  // ============================================
+  // STAMP OPERATIONS
+  // ============================================
+
+  /**
+   * Add a stamp, or replace the page's stamp with the same id
+   */
+  setStamp(pageNumber: number, stamp: Stamp): void {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta) return
+
+    const stamps = meta.stamps || []
+    const index = stamps.findIndex(s => s.id === stamp.id)
+    meta.stamps = index === -1
+      ? [...stamps, { ...stamp }]
+      : stamps.map((s, i) => i === index ? { ...stamp } : s)
+    meta.edited = true
+  }
+
+  removeStamp(pageNumber: number, stampId: string): void {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta?.stamps) return
+
+    meta.stamps = meta.stamps.filter(s => s.id !== stampId)
+    this.updateEditedFlag(pageNumber)
+  }
+
+  clearStamps(pageNumber: number): void {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta) return
+
+    meta.stamps = undefined
+    this.updateEditedFlag(pageNumber)
+  }
+
+  getStamps(pageNumber: number): Stamp[] {
+    const meta = this.metadata.get(pageNumber)
+    return meta?.stamps ? meta.stamps.map(s => ({ ...s })) : []
+  }
+
   // ============================================
   // NORMALIZATION OPERATIONS
   // ============================================
@@ -195,6 +237,35 @@ export class MetadataStore {
     return meta?.normalization || null
   }
 
+  // ============================================
+  // COLOR ANALYSIS
+  // ============================================
+
+  /**
+   * Store a page's color analysis; key identifies the options it was made
+   * with, so a lookup with other options misses
+   */
+  setColorAnalysis(pageNumber: number, analysis: PageColorAnalysis, key: string = ''): void {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta) return
+
+    meta.colorAnalysis = { ...analysis }
+    meta.colorAnalysisKey = key
+  }
+
+  getColorAnalysis(pageNumber: number, key: string = ''): PageColorAnalysis | null {
+    const meta = this.metadata.get(pageNumber)
+    if (!meta?.colorAnalysis || (meta.colorAnalysisKey ?? '') !== key) return null
+    return { ...meta.colorAnalysis }
+  }
+
+  clearColorAnalysis(): void {
+    for (const meta of this.metadata.values()) {
+      meta.colorAnalysis = undefined
+      meta.colorAnalysisKey = undefined
+    }
+  }
+
   // ============================================
   // RESET OPERATIONS
   // ============================================
@@ -212,7 +283,10 @@ export class MetadataStore {
       edited: false,
       isCropped: false,
       fitCropToPage: false,
-      normalization: undefined
+      normalization: undefined,
+      // Color analysis describes the page content, which edits don't change
+      colorAnalysis: meta.colorAnalysis,
+      colorAnalysisKey: meta.colorAnalysisKey
     })
   }
 
@@ -222,6 +296,36 @@ export class MetadataStore {
     }
   }
 
+  // ============================================
+  // SNAPSHOTS (undo / redo)
+  // ============================================
+
+  /**
+   * Deep copy of a page's metadata, for CommandHistory
+   */
+  snapshot(pageNumber: number): PageMetadata | null {
+    const meta = this.metadata.get(pageNumber)
+    return meta ? clonePageMetadata(meta) : null
+  }
+
+  /**
+   * Put a snapshot back (null removes the page's metadata)
+   */
+  restore(pageNumber: number, snapshot: PageMetadata | null): void {
+    if (!snapshot) {
+      this.metadata.delete(pageNumber)
+      return
+    }
+
+    const current = this.metadata.get(pageNumber)
+    this.metadata.set(pageNumber, {
+      ...clonePageMetadata(snapshot),
+      // Color analysis describes the page content, which edits don't change
+      colorAnalysis: current?.colorAnalysis ?? snapshot.colorAnalysis,
+      colorAnalysisKey: current?.colorAnalysis ? current.colorAnalysisKey : snapshot.colorAnalysisKey
+    })
+  }
+
   // ============================================
   // UTILITY OPERATIONS
   // ============================================
@@ -236,7 +340,8 @@ export class MetadataStore {
       t.rotation !== 0 ||
       t.scale !== 100 ||
       t.offsetX !== 0 ||
-      t.offsetY !== 0
+      t.offsetY !== 0 ||
+      meta.stamps?.length
     )
   }
 
@@ -283,6 +388,20 @@ export class MetadataStore {
     target.fitCropToPage = source.fitCropToPage
   }
 
+  /**
+   * Give every page the same stamps as the source page (replacing theirs)
+   */
+  applyStampsToAll(sourcePageNumber: number): void {
+    const source = this.metadata.get(sourcePageNumber)
+    if (!source) return
+
+    for (const [pageNumber, meta] of this.metadata) {
+      if (pageNumber === sourcePageNumber) continue
+      meta.stamps = source.stamps?.map(s => ({ ...s }))
+      this.updateEditedFlag(pageNumber)
+    }
+  }
+
   /**
    * Apply same transforms to all pages
    */
@@ -298,6 +417,20 @@ export class MetadataStore {
   }
 }
 
+function clonePageMetadata(meta: PageMetadata): PageMetadata {
+  return {
+    ...meta,
+    originalDimensions: { ...meta.originalDimensions },
+    transforms: {
+      ...meta.transforms,
+      crop: meta.transforms.crop ? { ...meta.transforms.crop } : null
+    },
+    normalization: meta.normalization ? { ...meta.normalization } : undefined,
+    colorAnalysis: meta.colorAnalysis ? { ...meta.colorAnalysis } : undefined,
+    stamps: meta.stamps?.map(stamp => ({ ...stamp }))
+  }
+}
+
 // Singleton instance for global use
 let instance: MetadataStore | null = null
 
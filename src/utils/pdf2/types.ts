@@ -38,6 +38,35 @@ export const DEFAULT_TRANSFORMS: PageTransforms = {
   offsetY: 0
 }
 
+// ============================================
+// STAMP TYPES
+// ============================================
+
+export type StampKind = 'watermark' | 'pageNumber' | 'header' | 'footer'
+
+export type StampPosition =
+  | 'top-left' | 'top-center' | 'top-right'
+  | 'center'
+  | 'bottom-left' | 'bottom-center' | 'bottom-right'
+
+// Text printed on top of a page, in page space (it doesn't move with the
+// page's crop / rotate / scale). The text may contain {page}, {page:N}
+// (zero-padded to N digits, for Bates numbering) and {total}.
+export interface Stamp {
+  id: string
+  kind: StampKind
+  text: string
+  position: StampPosition
+  fontSize: number      // points on a 1-up sheet
+  opacity: number       // 0-1
+  rotation: number      // degrees, counter-clockwise
+  color: string         // #rrggbb
+  startNumber?: number  // {page} of the first printed page (default 1)
+}
+
+// A stamp as it prints: placeholders filled in for the page's position in the job
+export type RecipeStamp = Omit<Stamp, 'id' | 'startNumber'>
+
 // ============================================
 // PAGE STATE TYPES
 // ============================================
@@ -54,6 +83,20 @@ export interface PageInfo {
   thumbnail: string | null
 }
 
+// One page of the document as it prints. Every source page has one entry;
+// copies repeat a source page (sharing its edits) and blanks have none.
+export interface DocumentPage {
+  id: string
+  pageNumber: number | null  // source page; null = inserted blank page
+  copy?: boolean             // a duplicate of pageNumber, removable
+}
+
+export interface PageColorAnalysis {
+  hasColor: boolean
+  colorRatio: number      // Share of sampled pixels that carry visible color (0-1)
+  sampledPixels: number
+}
+
 export interface PageMetadata {
   pageNumber: number
   originalDimensions: PageDimensions
@@ -69,6 +112,9 @@ export interface PageMetadata {
     targetWidth?: number
     targetHeight?: number
   }
+  colorAnalysis?: PageColorAnalysis
+  colorAnalysisKey?: string  // the analysis options it was made with
+  stamps?: Stamp[]
 }
 
 export interface PageData {
@@ -88,7 +134,7 @@ export interface PageData {
 // EDIT COMMAND TYPES
 // ============================================
 
-export type EditType = 'crop' | 'rotate' | 'scale' | 'translate' | 'reset'
+export type EditType = 'crop' | 'rotate' | 'scale' | 'translate' | 'reset' | 'setStamp' | 'removeStamp' | 'clearStamps'
 
 export interface CropCommand {
   type: 'crop'
@@ -119,7 +165,31 @@ export interface SetRotationCommand {
   value: RotationDegrees
 }
 
-export type EditCommand = CropCommand | RotateCommand | ScaleCommand | TranslateCommand | ResetCommand | SetRotationCommand
+// Adds the stamp, or replaces the page's stamp with the same id
+export interface SetStampCommand {
+  type: 'setStamp'
+  value: Stamp
+}
+
+export interface RemoveStampCommand {
+  type: 'removeStamp'
+  value: string  // stamp id
+}
+
+export interface ClearStampsCommand {
+  type: 'clearStamps'
+}
+
+export type EditCommand =
+  | CropCommand
+  | RotateCommand
+  | ScaleCommand
+  | TranslateCommand
+  | ResetCommand
+  | SetRotationCommand
+  | SetStampCommand
+  | RemoveStampCommand
+  | ClearStampsCommand
 
 // ============================================
 // RECIPE TYPES (for desktop cpdf)
@@ -139,15 +209,21 @@ export interface RecipePrint {
   copies: number
   pagesPerSheet: number
   quality: string
+  imposition?: Imposition  // set from recipe 2.2 on; missing = 'none'
+  layout?: NupLayout       // N-up grid (2.3); missing = 1-up, or preset for pagesPerSheet
+  poster?: PosterLayout    // tiling grid; required when imposition is 'poster'
 }
 
 export interface RecipePage {
-  pageNumber: number
+  pageNumber: number  // 0 for blank pages
+  blank?: boolean     // inserted blank page: an empty sheet or cell, no source page (set from 2.5 on)
   originalDimensions: PageDimensions
   transforms: PageTransforms
   hasEdits: boolean
   isCropped: boolean
   fitCropToPage: boolean
+  colorMode?: string  // 'bw' | 'color'; overrides print.colorMode for this page (set from 2.1 on)
+  stamps?: RecipeStamp[]  // drawn over the page, in order (set from 2.6 on)
   normalization?: {
     scale: number
     offsetX: number
@@ -166,6 +242,10 @@ export interface RecipeOptions {
   pagesPerSheet: PagesPerSheet
   quality: string
   shopId: string | null
+  colorPages: number[]  // pages printed in color when colorMode is 'bw'
+  imposition: Imposition
+  layout: Partial<NupLayout>  // overrides to the pagesPerSheet preset (rows/cols for custom grids)
+  poster: Partial<PosterLayout>  // tiling overrides; without rows/cols pages print at actual size
 }
 
 export interface Recipe {
@@ -227,6 +307,9 @@ export interface PdfController {
   isLoaded(): boolean
   getInternalPdfDoc(): any
   getRawThumbnailAsync?(pageNum: number): Promise<string>
+  analyzePageColors?(pageNumbers: number[], options?: { signal?: AbortSignal; onProgress?: (done: number, total: number) => void }): Promise<number[]>
+  detectContentCrop?(pageNum: number, options?: { signal?: AbortSignal }): Promise<CropBox | null>
+  applyToAll?(sourcePageNum: number): void
 }
 
 // ============================================
@@ -271,11 +354,45 @@ export interface ImageRect {
 // GRID / N-UP TYPES
 // ============================================
 
-export type PagesPerSheet = 1 | 2 | 4
+// Pages-per-sheet presets (see nupLayout.ts); other grids use NupLayout rows/cols
+export type PagesPerSheet = 1 | 2 | 4 | 6 | 8 | 9 | 16
+
+// Order pages fill the cells: 'z' = rows left to right, 'n' = columns top to
+// bottom, 'reverse' = rows right to left
+export type NupOrder = 'z' | 'n' | 'reverse'
+
+export interface NupLayout {
+  rows: number
+  cols: number
+  landscape: boolean   // sheet orientation
+  order: NupOrder
+  borders: boolean     // print a thin rule around each cell
+  margin: number       // points from the sheet edge to the grid
+  gutter: number       // points between cells
+  autoRotate: boolean  // turn pages a quarter turn when that fills the cell better
+}
+
+// Order of pages on sheets: 'none' = reading order, 'booklet' = saddle-stitch
+// (2-up, duplex, landscape; see bookletImposition.ts), 'poster' = every page
+// tiled across several sheets (1-up, simplex; see posterTiling.ts)
+export type Imposition = 'none' | 'booklet' | 'poster'
+
+export interface PosterLayout {
+  rows: number
+  cols: number
+  landscape: boolean   // tile sheet orientation
+  actualSize: boolean  // print at 100% (grid sized to fit) instead of filling the grid
+  overlap: number      // points each tile repeats of its neighbours, for gluing
+  margin: number       // points of sheet edge outside the tile, for marks and labels
+  cutMarks: boolean    // marks at the tile corners and the overlap lines
+  labels: boolean      // row / column index in each tile's margin
+}
 
 export interface GridSheet {
   sheetNumber: number
   pages: number[]  // page numbers in this sheet
   canvas: HTMLCanvasElement | null
   thumbnail: string | null
+  side?: 'front' | 'back'  // booklet only: sheetNumber counts printed sides
+  tile?: { row: number; col: number }  // poster only: sheetNumber counts tiles
 }
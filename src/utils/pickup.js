@@ -0,0 +1,91 @@
+// Pickup codes: a short code per job, shown to the customer on the status
+// page (as text and QR code) and checked by staff before handing prints
+// over. Every job of a multi-document order shares one code.
+//
+// Only the shop can read a job's code back from the database. The customer
+// gets it through their status link instead: it carries the job's status key,
+// a random secret that get_pickup_code() trades for the code (see the
+// pickup_status_links migration). The browser that placed the order keeps
+// the key, so the status page can always put it back in the link.
+//
+// The QR code holds just the code, so a handheld scanner can type it into
+// the dashboard's pickup box like a keyboard.
+
+import QRCode from 'qrcode'
+
+// No 0/O, 1/I/L: codes are read out loud and typed by hand
+const PICKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+export const PICKUP_CODE_LENGTH = 6
+
+export const generatePickupCode = () => {
+  const values = new Uint32Array(PICKUP_CODE_LENGTH)
+  crypto.getRandomValues(values)
+  return Array.from(values, value => PICKUP_CODE_ALPHABET[value % PICKUP_CODE_ALPHABET.length]).join('')
+}
+
+// What staff typed or scanned, as stored: 'abc-123 ' → 'ABC123'
+export const normalizePickupCode = (input) => {
+  return String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+export const isValidPickupCode = (code) => {
+  const normalized = normalizePickupCode(code)
+  return normalized.length === PICKUP_CODE_LENGTH &&
+    [...normalized].every(char => PICKUP_CODE_ALPHABET.includes(char))
+}
+
+// Split in two halves for reading out: 'ABC123' → 'ABC-123'
+export const formatPickupCode = (code) => {
+  const normalized = normalizePickupCode(code)
+  const half = Math.ceil(normalized.length / 2)
+  return `${normalized.slice(0, half)}-${normalized.slice(half)}`
+}
+
+export const generatePickupQrCode = async (code) => {
+  return QRCode.toDataURL(normalizePickupCode(code), {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 192
+  })
+}
+
+// 16 random bytes, base64url: 22 characters
+const STATUS_KEY_BYTES = 16
+
+export const generateStatusKey = () => {
+  const bytes = new Uint8Array(STATUS_KEY_BYTES)
+  crypto.getRandomValues(bytes)
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+const STORED_STATUS_KEYS_KEY = 'printflow_status_keys'
+
+// Enough for a customer's recent orders without growing forever
+const MAX_STORED_STATUS_KEYS = 50
+
+const readStoredStatusKeys = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORED_STATUS_KEYS_KEY) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+// id is the print job's id, or the order's for a multi-document order
+export const rememberStatusKey = (id, statusKey) => {
+  try {
+    const stored = readStoredStatusKeys()
+    delete stored[id]
+    const entries = Object.entries({ ...stored, [id]: statusKey }).slice(-MAX_STORED_STATUS_KEYS)
+    localStorage.setItem(STORED_STATUS_KEYS_KEY, JSON.stringify(Object.fromEntries(entries)))
+  } catch (error) {
+    console.error('Failed to save status key', error)
+  }
+}
+
+export const getRememberedStatusKey = (id) => {
+  return readStoredStatusKeys()[id] || null
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest'
+import { generatePickupCode, normalizePickupCode, isValidPickupCode, formatPickupCode, generateStatusKey } from './pickup'
+
+describe('pickup codes', () => {
+  it('generates codes staff can read out and type back', () => {
+    const code = generatePickupCode()
+
+    expect(code).toMatch(/^[A-HJKMNP-Z2-9]{6}$/)
+    expect(isValidPickupCode(formatPickupCode(code).toLowerCase())).toBe(true)
+  })
+
+  it('normalizes what was typed or scanned', () => {
+    expect(normalizePickupCode(' abc-234 ')).toBe('ABC234')
+    expect(formatPickupCode('abc234')).toBe('ABC-234')
+  })
+
+  it('rejects codes with look-alike characters or the wrong length', () => {
+    expect(isValidPickupCode('ABC10O')).toBe(false)
+    expect(isValidPickupCode('ABC23')).toBe(false)
+  })
+})
+
+describe('generateStatusKey', () => {
+  it('makes a URL-safe key in the format the database accepts', () => {
+    const keys = Array.from({ length: 20 }, generateStatusKey)
+
+    keys.forEach(key => expect(key).toMatch(/^[A-Za-z0-9_-]{22}$/))
+    expect(new Set(keys).size).toBe(keys.length)
+  })
+})
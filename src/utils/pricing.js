@@ -0,0 +1,172 @@
+// Print pricing against a shop's cost_configs rows. Pure functions, shared by
+// the order page (calculateOrderCost in supabase.js) and the print server,
+// which reprices every job from its recipe before taking a payment.
+//
+// orderData: { paperSize, printType: 'Single' | 'Double', copies, pageColors,
+//   pagesPerSheet, layout, imposition, posterTiles }
+// where pageColors has one flag per printed page, in print order (blanks
+// included): true = printed in color.
+
+import { countPrintSheets } from './pdf2/services/printSheets'
+
+// cost_configs with price_per_sheet / price_per_side are priced on physical
+// output. Older configs only have base_price, which is charged per printed side.
+const hasSheetPricing = (config) => {
+  return config.price_per_sheet != null || config.price_per_side != null
+}
+
+// Price the sides and sheets of one color mode (per copy) against its
+// cost_configs row
+const priceRun = (configs, orderData, colorMode, { sides, sheets: sheetsPerCopy }) => {
+  const duplex = orderData.printType === 'Double'
+
+  // Sheet/side pricing already covers duplex, so a Single config can price a
+  // Double job when the shop has no separate Double config
+  const matchingConfig = configs.find(config =>
+    config.paper_size === orderData.paperSize &&
+    config.color_mode === colorMode &&
+    config.print_type === orderData.printType
+  ) || (duplex && configs.find(config =>
+    config.paper_size === orderData.paperSize &&
+    config.color_mode === colorMode &&
+    config.print_type === 'Single' &&
+    hasSheetPricing(config)
+  ))
+
+  if (!matchingConfig) {
+    return { error: `No pricing found for ${orderData.paperSize} ${colorMode} ${orderData.printType}` }
+  }
+
+  // Copies are collated: every copy prints the same sides and sheets
+  const copies = orderData.copies || 1
+  const sheets = sheetsPerCopy * copies
+  const impressions = sides * copies
+
+  const pricePerSheet = hasSheetPricing(matchingConfig) ? (matchingConfig.price_per_sheet || 0) : 0
+  const pricePerSide = hasSheetPricing(matchingConfig) ? (matchingConfig.price_per_side || 0) : matchingConfig.base_price
+  const fullCost = sheets * pricePerSheet + impressions * pricePerSide
+
+  let appliedTier = null
+
+  // Check for bulk pricing
+  if (matchingConfig.bulk_tiers && matchingConfig.bulk_tiers.length > 0) {
+    const tier = matchingConfig.bulk_tiers
+      .filter(t => copies >= t.min_copies)
+      .filter(t => !t.max_copies || copies <= t.max_copies)
+      .sort((a, b) => b.min_copies - a.min_copies)[0]
+
+    if (tier) {
+      appliedTier = tier
+    }
+  }
+
+  const cost = appliedTier ? fullCost * (1 - appliedTier.discount) : fullCost
+
+  return {
+    colorMode,
+    cost,
+    savings: fullCost - cost,
+    sheets,
+    impressions,
+    pricePerSheet,
+    pricePerSide,
+    appliedTier,
+    basePrice: matchingConfig.base_price,
+    error: null
+  }
+}
+
+// The job is priced on the sides and sheets it prints (see printSheets.ts):
+// N-up cells, booklet slots and duplex backs put B&W and color pages on
+// shared paper, so a side with a color page is billed as a color side and a
+// sheet with a color side as a color sheet, each at its own cost_configs row.
+export const priceOrder = (configs, orderData) => {
+  if (!configs || configs.length === 0) {
+    return { cost: 0, error: 'No pricing available for this shop', pricePerPage: 0, appliedTier: null, savings: 0 }
+  }
+
+  // Booklets always print duplex and posters single-sided, whatever the
+  // print type option says; the recipe does the same
+  const imposition = orderData.imposition || 'none'
+  const duplex = imposition === 'booklet' || (imposition !== 'poster' && orderData.printType === 'Double')
+  const order = { ...orderData, printType: duplex ? 'Double' : 'Single' }
+
+  const counts = countPrintSheets(orderData.pageColors || [], {
+    pagesPerSheet: orderData.pagesPerSheet || 1,
+    layout: orderData.layout,
+    imposition,
+    posterTiles: orderData.posterTiles || 1,
+    duplex
+  })
+
+  const runs = [
+    { colorMode: 'BW', sides: counts.sides - counts.colorSides, sheets: counts.sheets - counts.colorSheets },
+    { colorMode: 'Color', sides: counts.colorSides, sheets: counts.colorSheets }
+  ].filter(run => run.sides > 0 || run.sheets > 0)
+
+  if (runs.length === 0) {
+    runs.push({ colorMode: 'BW', sides: 0, sheets: 0 })
+  }
+
+  const groups = runs.map(run => priceRun(configs, order, run.colorMode, run))
+  const failedGroup = groups.find(group => group.error)
+
+  if (failedGroup) {
+    return { cost: 0, error: failedGroup.error, pricePerPage: 0, appliedTier: null, savings: 0 }
+  }
+
+  const totalCost = groups.reduce((sum, group) => sum + group.cost, 0)
+  const savings = groups.reduce((sum, group) => sum + group.savings, 0)
+  const sheets = groups.reduce((sum, group) => sum + group.sheets, 0)
+  const impressions = groups.reduce((sum, group) => sum + group.impressions, 0)
+  const appliedTier = groups.find(group => group.appliedTier)?.appliedTier || null
+
+  // Effective price per printed side, for display
+  const pricePerPage = impressions > 0 ? totalCost / impressions : 0
+
+  return {
+    cost: totalCost,
+    pricePerPage: pricePerPage,
+    pricePerSheet: groups[0].pricePerSheet,
+    pricePerSide: groups[0].pricePerSide,
+    sheets: sheets,
+    impressions: impressions,
+    groups: groups,
+    appliedTier: appliedTier,
+    savings: savings,
+    basePrice: groups[0].basePrice,
+    error: null
+  }
+}
+
+// orderData for what a validated recipe (prepareRecipe) will print: every
+// recipe page, blanks included, with its own color mode
+export const getRecipeOrderData = (recipe) => {
+  const { print, pages } = recipe
+
+  return {
+    paperSize: print.paperSize,
+    printType: print.duplex ? 'Double' : 'Single',
+    copies: print.copies,
+    pageColors: pages.map(page => page.colorMode === 'color'),
+    pagesPerSheet: print.pagesPerSheet,
+    layout: print.layout,
+    imposition: print.imposition,
+    posterTiles: print.poster ? print.poster.rows * print.poster.cols : 1
+  }
+}
+
+// orderData for a print_jobs row without a recipe: the whole selection,
+// printed with the row's settings
+export const getJobOrderData = (job) => ({
+  paperSize: job.paper_size,
+  printType: job.print_type,
+  copies: job.copies,
+  pageColors: Array(job.selected_pages?.length || job.total_pages || 0).fill(job.color_mode === 'Color'),
+  pagesPerSheet: job.pages_per_sheet || 1,
+  imposition: 'none',
+  posterTiles: 1
+})
+
+// Round to the currency's minor unit, as stored in total_cost
+export const roundCost = (cost) => Math.round(cost * 100) / 100
@@ -0,0 +1,165 @@
+import { describe, expect, it } from 'vitest'
+import { priceOrder, getJobOrderData, getRecipeOrderData, roundCost } from './pricing'
+
+const config = (colorMode, printType, prices) => ({
+  paper_size: 'A4',
+  color_mode: colorMode,
+  print_type: printType,
+  base_price: 0,
+  bulk_tiers: [],
+  ...prices
+})
+
+const order = (pageCount, options = {}) => ({
+  paperSize: 'A4',
+  printType: 'Single',
+  copies: 1,
+  pageColors: Array(pageCount).fill(false),
+  pagesPerSheet: 1,
+  ...options
+})
+
+describe('priceOrder', () => {
+  it('charges base_price per printed side for configs without sheet pricing', () => {
+    const result = priceOrder([config('BW', 'Single', { base_price: 2 })], order(5, { copies: 2 }))
+
+    expect(result).toMatchObject({ cost: 20, sheets: 10, impressions: 10, pricePerPage: 2, error: null })
+  })
+
+  it('charges per sheet and per side', () => {
+    const configs = [config('BW', 'Double', { price_per_sheet: 1, price_per_side: 0.5 })]
+    const result = priceOrder(configs, order(5, { printType: 'Double', copies: 2 }))
+
+    // 3 sheets and 5 sides per copy
+    expect(result).toMatchObject({ cost: 6 * 1 + 10 * 0.5, sheets: 6, impressions: 10 })
+  })
+
+  it('prices duplex with a sheet-priced Single config when there is no Double one', () => {
+    const sheetPriced = [config('BW', 'Single', { price_per_sheet: 1, price_per_side: 0.5 })]
+    expect(priceOrder(sheetPriced, order(4, { printType: 'Double' }))).toMatchObject({ cost: 2 + 2, error: null })
+
+    // base_price is per side of a single-sided job, so it can't stand in
+    const legacy = [config('BW', 'Single', { base_price: 2 })]
+    expect(priceOrder(legacy, order(4, { printType: 'Double' })).error).toBe('No pricing found for A4 BW Double')
+  })
+
+  it('prices N-up sides rather than document pages', () => {
+    const result = priceOrder([config('BW', 'Single', { price_per_sheet: 1 })], order(10, { pagesPerSheet: 4 }))
+
+    expect(result).toMatchObject({ cost: 3, sheets: 3, impressions: 3 })
+  })
+
+  it('prices booklets duplex and posters single-sided, whatever the print type', () => {
+    const configs = [
+      config('BW', 'Single', { base_price: 1 }),
+      config('BW', 'Double', { base_price: 3 })
+    ]
+
+    // 6 pages pad to 8: 4 sides on 2 sheets
+    expect(priceOrder(configs, order(6, { imposition: 'booklet' }))).toMatchObject({ cost: 12, sheets: 2, impressions: 4 })
+    // 2 pages of 4 tiles each
+    expect(priceOrder(configs, order(2, { printType: 'Double', imposition: 'poster', posterTiles: 4 })))
+      .toMatchObject({ cost: 8, sheets: 8, impressions: 8 })
+  })
+
+  it('applies the largest bulk tier the copies reach', () => {
+    const tiers = [
+      { name: '10+', min_copies: 10, discount: 0.1 },
+      { name: '50+', min_copies: 50, discount: 0.2 },
+      { name: 'Trial', min_copies: 1, max_copies: 2, discount: 0.5 }
+    ]
+    const configs = [config('BW', 'Single', { base_price: 1, bulk_tiers: tiers })]
+
+    expect(priceOrder(configs, order(1, { copies: 20 }))).toMatchObject({ cost: 18, savings: 2, appliedTier: tiers[0] })
+    expect(priceOrder(configs, order(1, { copies: 60 })).appliedTier).toBe(tiers[1])
+    expect(priceOrder(configs, order(1, { copies: 5 })).appliedTier).toBeNull()
+  })
+
+  it('reports a shop without pricing or without a matching config', () => {
+    expect(priceOrder([], order(1))).toMatchObject({ cost: 0, error: 'No pricing available for this shop' })
+    expect(priceOrder([config('BW', 'Single', { base_price: 1 })], order(1, { paperSize: 'A3' })))
+      .toMatchObject({ cost: 0, error: 'No pricing found for A3 BW Single' })
+  })
+
+  it('prices an empty selection at nothing', () => {
+    expect(priceOrder([config('BW', 'Single', { base_price: 1 })], order(0))).toMatchObject({ cost: 0, error: null })
+  })
+})
+
+describe('priceOrder with color pages', () => {
+  const configs = [
+    config('BW', 'Double', { price_per_sheet: 0.5, price_per_side: 1 }),
+    config('Color', 'Double', { price_per_sheet: 0.5, price_per_side: 5 })
+  ]
+
+  it('bills a side with any color page as color, and its sheet as a color sheet', () => {
+    // 2-up duplex: side 1 holds pages 1-2 (color), side 2 pages 3-4, one sheet
+    const result = priceOrder(configs, order(4, { printType: 'Double', pagesPerSheet: 2, pageColors: [false, true, false, false] }))
+
+    expect(result.groups).toMatchObject([
+      { colorMode: 'BW', impressions: 1, sheets: 0, cost: 1 },
+      { colorMode: 'Color', impressions: 1, sheets: 1, cost: 5.5 }
+    ])
+    expect(result).toMatchObject({ cost: 6.5, sheets: 1, impressions: 2 })
+  })
+
+  it('prices all-color and all-B&W jobs as one group', () => {
+    expect(priceOrder(configs, order(2, { printType: 'Double', pageColors: [true, true] })).groups).toMatchObject([
+      { colorMode: 'Color', impressions: 2, sheets: 1 }
+    ])
+    expect(priceOrder(configs, order(2, { printType: 'Double' })).groups).toMatchObject([
+      { colorMode: 'BW', impressions: 2, sheets: 1 }
+    ])
+  })
+
+  it('needs a config for every color mode printed', () => {
+    const bwOnly = [configs[0]]
+    expect(priceOrder(bwOnly, order(2, { printType: 'Double', pageColors: [false, true] })).error)
+      .toBe('No pricing found for A4 Color Double')
+  })
+})
+
+describe('getRecipeOrderData', () => {
+  it('prices every recipe page with its own color mode', () => {
+    const recipe = {
+      print: {
+        paperSize: 'A3',
+        duplex: true,
+        copies: 3,
+        pagesPerSheet: 2,
+        layout: { rows: 1, cols: 2 },
+        imposition: 'poster',
+        poster: { rows: 2, cols: 3 }
+      },
+      pages: [{ colorMode: 'color' }, { colorMode: 'bw' }, { colorMode: 'bw' }]
+    }
+
+    expect(getRecipeOrderData(recipe)).toEqual({
+      paperSize: 'A3',
+      printType: 'Double',
+      copies: 3,
+      pageColors: [true, false, false],
+      pagesPerSheet: 2,
+      layout: { rows: 1, cols: 2 },
+      imposition: 'poster',
+      posterTiles: 6
+    })
+  })
+})
+
+describe('getJobOrderData', () => {
+  it('prices the selected pages, or every page without a selection', () => {
+    const job = { paper_size: 'A4', print_type: 'Single', copies: 2, color_mode: 'Color', total_pages: 10 }
+
+    expect(getJobOrderData({ ...job, selected_pages: [2, 3, 4, 9] }).pageColors).toEqual([true, true, true, true])
+    expect(getJobOrderData({ ...job, selected_pages: null }).pageColors).toHaveLength(10)
+    expect(getJobOrderData(job)).toMatchObject({ paperSize: 'A4', printType: 'Single', copies: 2, pagesPerSheet: 1 })
+  })
+})
+
+describe('roundCost', () => {
+  it('rounds to paise', () => {
+    expect(roundCost(10.005 + 0.001)).toBe(10.01)
+    expect(roundCost(0.1 + 0.2)).toBe(0.3)
+  })
+})
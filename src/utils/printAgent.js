@@ -0,0 +1,477 @@
+// Shop print agent for the desktop app. Watches the shop's print_jobs and
+// prints every paid, pending job without staff clicking through the
+// dashboard:
+//   pending + paid → 'printing' → download file_url → apply the recipe →
+//   send to a printer picked by paper_size / color_mode → 'completed'
+// A job that cannot be printed is marked 'failed' so staff can see it.
+//
+// Realtime updates (subscribeToAllJobUpdates) start jobs as soon as they are
+// paid; polling getShopJobs covers missed events and reconnects. Jobs print
+// one at a time, in the order they were paid.
+//
+// Printing goes through a printer backend, so the agent runs the same with
+// the Electron printer IPC and with the fake backend (no hardware needed):
+//   getPrinters() → [{ id, name, status, supportedSizes, isDefault, color? }]
+//   print({ printerId, document, options }) → { jobId, printerId? }
+//     (printerId when the backend routed the job to another printer)
+//   waitForJob?({ printerId, jobId }) → { state } once the printer is done
+// Jobs are only marked 'completed' after waitForJob reports them printed,
+// when the backend can tell.
+
+import { subscribeToAllJobUpdates, getShopJobs, getJobStatus, updateJobStatus } from './supabase'
+import { executeRecipe } from './pdf2/services/recipeExecutor'
+import { createMemoryJobCache, createStatusSync, isOfflineError, isTerminalStatus } from './offlineQueue'
+
+export const AGENT_POLL_INTERVAL_MS = 30000
+const MAX_LOG_ENTRIES = 50
+const OFFLINE_PRINTER_STATES = ['offline', 'stopped', 'error', 'out-of-service']
+
+export const DEFAULT_FAKE_PRINTERS = [
+  { id: 'fake-bw-laser', name: 'Fake BW Laser', status: 'online', supportedSizes: ['A4', 'Letter', 'Legal'], isDefault: true, color: false },
+  { id: 'fake-color-inkjet', name: 'Fake Color Inkjet', status: 'online', supportedSizes: ['A4', 'A5', 'Letter'], isDefault: false, color: true },
+  { id: 'fake-a3', name: 'Fake A3 Printer', status: 'online', supportedSizes: ['A3', 'A4'], isDefault: false, color: true }
+]
+
+const PRINT_JOB_POLL_MS = 2000
+const PRINT_JOB_TIMEOUT_MS = 10 * 60 * 1000
+
+// Error from the desktop print pipeline; code is one of the PRINT_ERROR_CODES
+// in electron/printPipeline.cjs (or JOB_TIMEOUT)
+export class PrinterError extends Error {
+  constructor({ code = 'PRINT_FAILED', message = 'Printing failed', details = null } = {}) {
+    super(message)
+    this.name = 'PrinterError'
+    this.code = code
+    this.details = details
+  }
+}
+
+// Printer backend over the Electron preload bridge (electron/preload.js)
+export const createElectronPrinterBackend = (bridge = window.electron) => ({
+  name: 'electron',
+  getPrinters: () => bridge.getPrinters(),
+  print: async ({ printerId, document, options }) => {
+    const result = await bridge.printDocument({ printerId, document, options })
+    if (!result?.success) {
+      throw new PrinterError(result?.error)
+    }
+    // The desktop app applies its routing rules, so the job may land elsewhere
+    return { jobId: result.jobId, printerId: result.printerId }
+  },
+  waitForJob: async ({ printerId, jobId }) => {
+    // Older desktop builds can't report job status
+    if (!bridge.getPrintJob) return null
+
+    const deadline = Date.now() + PRINT_JOB_TIMEOUT_MS
+    while (Date.now() < deadline) {
+      const result = await bridge.getPrintJob({ printerId, jobId })
+      if (!result?.success) {
+        // Spoolers drop finished jobs from the queue (Windows right away)
+        if (result?.error?.code === 'JOB_NOT_FOUND') return { state: 'completed' }
+        throw new PrinterError(result?.error)
+      }
+      if (result.job.done) return result.job
+
+      await new Promise(resolve => setTimeout(resolve, PRINT_JOB_POLL_MS))
+    }
+
+    throw new PrinterError({
+      code: 'JOB_TIMEOUT',
+      message: `Printer job ${jobId} did not finish within ${PRINT_JOB_TIMEOUT_MS / 60000} minutes`,
+      details: { printerId, jobId }
+    })
+  }
+})
+
+// Printer backend that only records what it was sent. printed holds every
+// request; failWith makes every print throw that message.
+export const createFakePrinterBackend = ({ printers = DEFAULT_FAKE_PRINTERS, failWith = null, delayMs = 0 } = {}) => {
+  const printed = []
+
+  return {
+    name: 'fake',
+    printed,
+    getPrinters: async () => printers,
+    print: async (request) => {
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs))
+      }
+      if (failWith) {
+        throw new Error(failWith)
+      }
+      printed.push(request)
+      console.log(`🖨️ [FakePrinter] ${request.printerId}: ${request.document.byteLength} bytes`, request.options)
+      return { jobId: `fake-${printed.length}` }
+    }
+  }
+}
+
+export const isPrintableJob = (job) => {
+  return job?.job_status === 'pending' && job.payment_status === 'paid' && !!job.file_url
+}
+
+// The recipe sets color per page (a mostly B&W document can have a few color
+// pages), so a job with a recipe needs color as soon as one page does
+const isColorJob = (job, recipe = null) => {
+  if (recipe?.pages?.length) {
+    return recipe.pages.some(page => page.colorMode === 'color')
+  }
+  return (job.color_mode || '').toLowerCase() === 'color'
+}
+
+// Printers report color support as a flag when they can; otherwise go by name
+const isColorPrinter = (printer) => {
+  if (typeof printer.color === 'boolean') return printer.color
+  return /colou?r|inkjet/i.test(`${printer.name} ${printer.description || ''}`)
+}
+
+const supportsPaper = (printer, paperSize) => {
+  if (!printer.supportedSizes?.length) return true
+  return printer.supportedSizes.some(size => size.toUpperCase() === (paperSize || 'A4').toUpperCase())
+}
+
+// Pick the printer for a job: online and loaded with its paper size; color
+// jobs go to a color printer, BW jobs prefer a mono one (cheaper per page).
+// Returns null when no printer can take the job.
+export const choosePrinter = (printers, job, recipe = null) => {
+  const candidates = printers.filter(printer =>
+    !OFFLINE_PRINTER_STATES.includes((printer.status || '').toLowerCase()) &&
+    supportsPaper(printer, job.paper_size)
+  )
+
+  let pool
+  if (isColorJob(job, recipe)) {
+    pool = candidates.filter(isColorPrinter)
+  } else {
+    const mono = candidates.filter(printer => !isColorPrinter(printer))
+    pool = mono.length > 0 ? mono : candidates
+  }
+
+  return pool.find(printer => printer.isDefault) || pool[0] || null
+}
+
+const parseRecipe = (recipe) => {
+  if (!recipe) return null
+  return typeof recipe === 'string' ? JSON.parse(recipe) : recipe
+}
+
+// Printer options for a job; copies and duplex are printer settings, the
+// recipe output holds one copy (see recipeExecutor.ts)
+export const getJobPrintOptions = (job, recipe = null) => {
+  const print = recipe?.print
+  const duplex = print ? print.duplex : job.print_type === 'Double'
+
+  return {
+    copies: Math.max(1, Number(print?.copies || job.copies) || 1),
+    duplex,
+    // Booklets are flipped on the short edge so the folded pages read in order
+    sides: !duplex ? 'one-sided' : print?.imposition === 'booklet' ? 'two-sided-short-edge' : 'two-sided-long-edge',
+    paperSize: print?.paperSize || job.paper_size || 'A4',
+    colorMode: isColorJob(job, recipe) ? 'color' : 'monochrome',
+    jobName: `${job.filename || 'Print job'} (${job.id.slice(0, 8)})`
+  }
+}
+
+const downloadFile = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Download failed: HTTP ${response.status}`)
+  }
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+// Everything the agent talks to, replaceable for tests
+const DEFAULT_SERVICES = {
+  subscribeToAllJobUpdates,
+  getShopJobs,
+  getJobStatus,
+  updateJobStatus,
+  downloadFile,
+  executeRecipe
+}
+
+// Create an agent for one shop. onChange is called with the agent state
+// ({ running, currentJobId, queued, offline, unsynced, log }) whenever it
+// changes. cache is the offline job cache (offlineQueue.js); without one,
+// fetched jobs are only kept for the session.
+export const createPrintAgent = ({
+  shopId,
+  backend,
+  services = {},
+  cache = createMemoryJobCache(),
+  pollIntervalMs = AGENT_POLL_INTERVAL_MS,
+  onChange = null
+}) => {
+  if (!shopId) throw new Error('Shop ID is required')
+  if (!backend) throw new Error('A printer backend is required')
+
+  const api = { ...DEFAULT_SERVICES, ...services }
+  const queue = []
+  const seen = new Set()       // job ids taken this session, so a job never prints twice
+  const cachedIds = new Set()  // job ids whose file is in the cache
+  const fetches = new Map()    // job id → prefetch of its file
+  let prefetching = Promise.resolve()
+  let log = []
+  let running = false
+  let offline = false
+  let unsynced = 0
+  let currentJobId = null
+  let subscription = null
+  let pollTimer = null
+
+  const getState = () => ({
+    running,
+    currentJobId,
+    queued: queue.map(job => job.id),
+    offline,
+    unsynced,
+    log
+  })
+
+  const notify = () => onChange?.(getState())
+
+  const addLog = (job, status, message = '', printerName = null) => {
+    log = [{
+      jobId: job.id,
+      filename: job.filename,
+      status,
+      message,
+      printer: printerName,
+      at: new Date().toISOString()
+    }, ...log].slice(0, MAX_LOG_ENTRIES)
+    notify()
+  }
+
+  const setOffline = (value) => {
+    if (offline === value) return
+    offline = value
+    console.log(value ? '📴 [PrintAgent] Offline, printing cached jobs only' : '📶 [PrintAgent] Back online')
+    notify()
+  }
+
+  const removeFromCache = async (jobId) => {
+    cachedIds.delete(jobId)
+    await cache.removeJob(jobId)
+  }
+
+  const sync = createStatusSync({
+    cache,
+    updateJobStatus: (jobId, status) => api.updateJobStatus(jobId, status),
+    getJobStatus: (jobId) => api.getJobStatus(jobId),
+    onApplied: (update) => {
+      if (isTerminalStatus(update.status)) removeFromCache(update.jobId)
+    },
+    onConflict: (update, current) => {
+      addLog(
+        { id: update.jobId, filename: current?.filename || update.jobId.slice(0, 8) },
+        'conflict',
+        current
+          ? `Could not mark as ${update.status} after going offline: the job is now ${current.job_status}`
+          : `Could not mark as ${update.status} after going offline: the job was deleted`
+      )
+      removeFromCache(update.jobId)
+    }
+  })
+
+  const refreshUnsynced = async () => {
+    unsynced = await sync.countWaiting()
+    notify()
+  }
+
+  // The job's file from the cache, or downloaded and cached
+  const fetchJobFile = async (job) => {
+    if (cachedIds.has(job.id)) {
+      const cached = await cache.getJob(job.id)
+      if (cached) return cached.file
+      cachedIds.delete(job.id)
+    }
+
+    const file = await api.downloadFile(job.file_url)
+    await cache.putJob({ job, file })
+    cachedIds.add(job.id)
+    return file
+  }
+
+  // Download queued jobs one at a time while printing, so they can still be
+  // printed if the connection drops
+  const prefetch = (job) => {
+    const fetch = prefetching.then(() => fetchJobFile(job)).then(() => undefined)
+    fetch.catch(error => console.warn(`⚠️ [PrintAgent] Could not cache job ${job.id}:`, error.message))
+    prefetching = fetch.catch(() => undefined)
+    fetches.set(job.id, fetch)
+  }
+
+  const enqueue = (job) => {
+    if (!running || !isPrintableJob(job) || seen.has(job.id)) return
+    seen.add(job.id)
+    queue.push(job)
+    prefetch(job)
+    notify()
+    processQueue()
+  }
+
+  const printJob = async (job) => {
+    // A failed prefetch is retried here; offline, that throws and the job waits
+    await fetches.get(job.id)?.catch(() => undefined)
+    fetches.delete(job.id)
+    const source = await fetchJobFile(job)
+
+    const claim = await sync.setStatus(job.id, 'printing', 'pending')
+    if (claim.error) {
+      throw new Error(`Could not mark the job as printing: ${claim.error.message}`)
+    }
+    if (claim.queued) setOffline(true)
+    addLog(job, 'printing', claim.queued ? 'Offline, printing from cache' : '')
+
+    const recipe = parseRecipe(job.recipe)
+    const document = recipe ? await api.executeRecipe(source, recipe) : source
+
+    const printers = await backend.getPrinters()
+    const printer = choosePrinter(printers, job, recipe)
+    if (!printer) {
+      throw new Error(`No available printer for ${job.paper_size} ${isColorJob(job, recipe) ? 'Color' : 'BW'}`)
+    }
+
+    const { jobId: printerJobId, printerId: usedPrinterId = printer.id } = await backend.print({
+      printerId: printer.id,
+      document,
+      options: getJobPrintOptions(job, recipe)
+    })
+    const printerName = printers.find(p => p.id === usedPrinterId)?.name || usedPrinterId
+
+    if (printerJobId && backend.waitForJob) {
+      const printerJob = await backend.waitForJob({ printerId: usedPrinterId, jobId: printerJobId })
+      if (printerJob && printerJob.state !== 'completed') {
+        throw new Error(`${printerName} reported printer job ${printerJobId} as ${printerJob.state}`)
+      }
+    }
+    await cache.markPrinted(job.id)
+
+    const completion = await sync.setStatus(job.id, 'completed', 'printing')
+    if (completion.error) {
+      throw new Error(`Printed, but could not mark the job as completed: ${completion.error.message}`)
+    }
+    if (completion.sent) {
+      await removeFromCache(job.id)
+    } else {
+      setOffline(true)
+    }
+
+    console.log(`✅ [PrintAgent] Printed job ${job.id} on ${printerName}${printerJobId ? ` (printer job ${printerJobId})` : ''}`)
+    addLog(job, 'completed', completion.queued ? 'Status will sync when back online' : '', printerName)
+  }
+
+  const processQueue = async () => {
+    if (currentJobId) return
+
+    while (running && queue.length > 0) {
+      const job = queue.shift()
+      currentJobId = job.id
+      notify()
+
+      try {
+        await printJob(job)
+      } catch (error) {
+        if (isOfflineError(error)) {
+          // Not downloaded before the connection dropped; polling picks it up again
+          seen.delete(job.id)
+          setOffline(true)
+          addLog(job, 'waiting', 'Offline, will print once the file can be downloaded')
+        } else {
+          console.error(`❌ [PrintAgent] Job ${job.id} failed:`, error)
+          addLog(job, 'failed', error.message)
+          const { sent } = await sync.setStatus(job.id, 'failed', 'printing')
+          if (sent) await removeFromCache(job.id)
+        }
+      } finally {
+        currentJobId = null
+        await refreshUnsynced()
+      }
+    }
+  }
+
+  // Jobs fetched before a restart: printed ones are never printed again
+  // (their status may still be waiting to sync); the rest are printed unless
+  // they have been cancelled or handled elsewhere meanwhile
+  const restoreCachedJobs = async () => {
+    const entries = await cache.listJobs()
+
+    for (const entry of entries) {
+      cachedIds.add(entry.job.id)
+      if (entry.printedAt) {
+        seen.add(entry.job.id)
+        continue
+      }
+
+      const { data: current, error } = await api.getJobStatus(entry.job.id)
+      if (error && isOfflineError(error)) {
+        setOffline(true)
+        enqueue(entry.job)
+      } else if (!error && isPrintableJob(current)) {
+        enqueue(current)
+      } else if (!error) {
+        await removeFromCache(entry.job.id)
+      }
+    }
+  }
+
+  const poll = async () => {
+    await sync.flush()
+    await refreshUnsynced()
+
+    const { data, error } = await api.getShopJobs(shopId, { jobStatus: 'pending', paymentStatus: 'paid' })
+    if (error) {
+      if (isOfflineError(error)) setOffline(true)
+      console.error('❌ [PrintAgent] Polling failed:', error.message)
+      return
+    }
+    setOffline(false)
+
+    // getShopJobs returns newest first; print in arrival order
+    const oldestFirst = [...data].reverse()
+    oldestFirst.forEach(enqueue)
+  }
+
+  const handleOnline = () => {
+    poll()
+  }
+
+  const start = async () => {
+    if (running) return
+    running = true
+    console.log(`🖨️ [PrintAgent] Started for shop ${shopId} (${backend.name || 'custom'} printers)`)
+
+    subscription = api.subscribeToAllJobUpdates(shopId, (payload) => {
+      if (payload.eventType !== 'DELETE') enqueue(payload.new)
+    })
+    pollTimer = setInterval(poll, pollIntervalMs)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', handleOnline)
+    }
+    notify()
+
+    await restoreCachedJobs()
+    return poll()
+  }
+
+  // Stops taking new jobs; a job already printing is finished. Cached jobs
+  // and waiting status updates are kept for the next start.
+  const stop = () => {
+    if (!running) return
+    running = false
+    queue.length = 0
+
+    subscription?.unsubscribe?.()
+    subscription = null
+    clearInterval(pollTimer)
+    pollTimer = null
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', handleOnline)
+    }
+
+    console.log(`🖨️ [PrintAgent] Stopped for shop ${shopId}`)
+    notify()
+  }
+
+  return { start, stop, getState, poll }
+}
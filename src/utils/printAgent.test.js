@@ -0,0 +1,200 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { createPrintAgent, createFakePrinterBackend, choosePrinter, getJobPrintOptions, DEFAULT_FAKE_PRINTERS } from './printAgent'
+
+// The agent gets its services injected; keep the real Supabase client (and
+// its required environment) out of the test
+vi.mock('./supabase', () => ({
+  subscribeToAllJobUpdates: vi.fn(),
+  getShopJobs: vi.fn(),
+  getJobStatus: vi.fn(),
+  updateJobStatus: vi.fn()
+}))
+
+const SHOP_ID = 'shop-1'
+
+const makeJob = (overrides = {}) => ({
+  id: 'job-00000001',
+  shop_id: SHOP_ID,
+  filename: 'notes.pdf',
+  file_url: 'https://example.com/notes.pdf',
+  paper_size: 'A4',
+  color_mode: 'BW',
+  print_type: 'Single',
+  copies: 1,
+  job_status: 'pending',
+  payment_status: 'paid',
+  recipe: null,
+  ...overrides
+})
+
+const makeRecipe = (pageColors, print = {}) => ({
+  version: '2.6',
+  pages: pageColors.map((colorMode, index) => ({ sourcePage: index + 1, colorMode })),
+  print: { paperSize: 'A4', copies: 1, duplex: false, imposition: 'none', ...print }
+})
+
+// print_jobs in memory, behind the same calls the agent makes to Supabase
+const createJobStore = (jobs) => {
+  const rows = new Map(jobs.map(job => [job.id, { ...job }]))
+  const statusChanges = []
+
+  return {
+    statusChanges,
+    services: {
+      subscribeToAllJobUpdates: () => ({ unsubscribe: () => {} }),
+      getShopJobs: async () => ({
+        data: [...rows.values()].filter(job => job.job_status === 'pending' && job.payment_status === 'paid').reverse(),
+        error: null
+      }),
+      getJobStatus: async (jobId) => ({ data: rows.get(jobId) || null, error: null }),
+      updateJobStatus: async (jobId, status) => {
+        statusChanges.push([jobId, status])
+        rows.get(jobId).job_status = status
+        return { data: rows.get(jobId), error: null }
+      },
+      downloadFile: async () => new Uint8Array([0x25, 0x50, 0x44, 0x46]),
+      executeRecipe: async (source) => source
+    }
+  }
+}
+
+let agent = null
+
+const startAgent = async ({ jobs, backend = createFakePrinterBackend() }) => {
+  const store = createJobStore(jobs)
+  agent = createPrintAgent({ shopId: SHOP_ID, backend, services: store.services, pollIntervalMs: 60000 })
+  await agent.start()
+  return { store, backend }
+}
+
+const waitUntilIdle = () => vi.waitFor(() => {
+  const state = agent.getState()
+  expect(state.currentJobId).toBeNull()
+  expect(state.queued).toEqual([])
+})
+
+afterEach(() => {
+  agent?.stop()
+  agent = null
+  vi.restoreAllMocks()
+})
+
+describe('createPrintAgent', () => {
+  it('prints a paid job on the mono printer and marks it completed', async () => {
+    const { store, backend } = await startAgent({ jobs: [makeJob({ copies: 2 })] })
+    await waitUntilIdle()
+
+    expect(backend.printed).toHaveLength(1)
+    expect(backend.printed[0]).toMatchObject({
+      printerId: 'fake-bw-laser',
+      options: { copies: 2, duplex: false, sides: 'one-sided', paperSize: 'A4', colorMode: 'monochrome' }
+    })
+    expect(store.statusChanges).toEqual([['job-00000001', 'printing'], ['job-00000001', 'completed']])
+    expect(agent.getState().log[0]).toMatchObject({ status: 'completed', printer: 'Fake BW Laser' })
+  })
+
+  it('prints in color when any recipe page is color', async () => {
+    const recipe = makeRecipe(['bw', 'color', 'bw'])
+    const { backend } = await startAgent({ jobs: [makeJob({ recipe: JSON.stringify(recipe) })] })
+    await waitUntilIdle()
+
+    expect(backend.printed[0]).toMatchObject({ printerId: 'fake-color-inkjet', options: { colorMode: 'color' } })
+  })
+
+  it('leaves unpaid jobs alone', async () => {
+    const { store, backend } = await startAgent({ jobs: [makeJob({ payment_status: 'pending' })] })
+    await waitUntilIdle()
+
+    expect(backend.printed).toEqual([])
+    expect(store.statusChanges).toEqual([])
+  })
+
+  it('prints a job once, however often it is seen', async () => {
+    const { backend } = await startAgent({ jobs: [makeJob()] })
+    await waitUntilIdle()
+    await agent.poll()
+    await waitUntilIdle()
+
+    expect(backend.printed).toHaveLength(1)
+  })
+
+  it('marks the job failed when the printer fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const { store } = await startAgent({ jobs: [makeJob()], backend: createFakePrinterBackend({ failWith: 'Paper jam' }) })
+    await waitUntilIdle()
+
+    expect(store.statusChanges).toEqual([['job-00000001', 'printing'], ['job-00000001', 'failed']])
+    expect(agent.getState().log[0]).toMatchObject({ status: 'failed', message: 'Paper jam' })
+  })
+
+  it('rejects start when the job cache fails, and stops cleanly after', async () => {
+    const store = createJobStore([])
+    const cache = { listJobs: async () => { throw new Error('IPC unavailable') } }
+    agent = createPrintAgent({ shopId: SHOP_ID, backend: createFakePrinterBackend(), services: store.services, cache, pollIntervalMs: 60000 })
+
+    await expect(agent.start()).rejects.toThrow('IPC unavailable')
+    agent.stop()
+
+    expect(agent.getState().running).toBe(false)
+  })
+
+  it('fails a job no printer can take', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const { store } = await startAgent({ jobs: [makeJob({ paper_size: 'A0' })] })
+    await waitUntilIdle()
+
+    expect(store.statusChanges.at(-1)).toEqual(['job-00000001', 'failed'])
+    expect(agent.getState().log[0].message).toBe('No available printer for A0 BW')
+  })
+})
+
+describe('choosePrinter', () => {
+  it('sends color jobs to a color printer and BW jobs to a mono one', () => {
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, makeJob({ color_mode: 'Color' })).id).toBe('fake-color-inkjet')
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, makeJob()).id).toBe('fake-bw-laser')
+  })
+
+  it('goes by the recipe pages rather than the job color mode', () => {
+    const job = makeJob({ color_mode: 'BW' })
+
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, job, makeRecipe(['bw', 'color'])).id).toBe('fake-color-inkjet')
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, makeJob({ color_mode: 'Color' }), makeRecipe(['bw', 'bw'])).id).toBe('fake-bw-laser')
+  })
+
+  it('skips offline printers and printers without the paper size', () => {
+    const printers = DEFAULT_FAKE_PRINTERS.map(printer => printer.id === 'fake-color-inkjet' ? { ...printer, status: 'offline' } : printer)
+
+    expect(choosePrinter(printers, makeJob({ color_mode: 'Color' })).id).toBe('fake-a3')
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, makeJob({ paper_size: 'A5' })).id).toBe('fake-color-inkjet')
+    expect(choosePrinter(DEFAULT_FAKE_PRINTERS, makeJob({ paper_size: 'B4' }))).toBeNull()
+  })
+})
+
+describe('getJobPrintOptions', () => {
+  it('takes copies, duplex and paper from the recipe', () => {
+    const recipe = makeRecipe(['bw'], { copies: 3, duplex: true, paperSize: 'Letter' })
+
+    expect(getJobPrintOptions(makeJob(), recipe)).toMatchObject({
+      copies: 3,
+      duplex: true,
+      sides: 'two-sided-long-edge',
+      paperSize: 'Letter',
+      colorMode: 'monochrome',
+      jobName: 'notes.pdf (job-0000)'
+    })
+  })
+
+  it('flips booklets on the short edge', () => {
+    const recipe = makeRecipe(['bw'], { duplex: true, imposition: 'booklet' })
+
+    expect(getJobPrintOptions(makeJob(), recipe).sides).toBe('two-sided-short-edge')
+  })
+
+  it('falls back to the job settings without a recipe', () => {
+    expect(getJobPrintOptions(makeJob({ print_type: 'Double', color_mode: 'Color', copies: 0 }))).toMatchObject({
+      copies: 1,
+      duplex: true,
+      colorMode: 'color'
+    })
+  })
+})
@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js'
 import * as tus from 'tus-js-client'
+import { prepareRecipe } from './pdf2/services/recipeValidator'
+import { priceOrder } from './pricing'
+import { generatePickupCode, generateStatusKey, normalizePickupCode, isValidPickupCode, rememberStatusKey } from './pickup'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY
@@ -17,10 +20,12 @@ console.log('URL:', supabaseUrl)
 console.log('Storage URL:', supabaseStorageUrl)
 console.log('Key:', supabaseKey ? `${supabaseKey.substring(0, 20)}...` : 'NOT SET')
 
+// Customers never sign in; shop owners do, on the dashboard, and stay signed
+// in across reloads
 export const supabase = createClient(supabaseUrl, supabaseKey, {
   auth: {
-    persistSession: false,
-    autoRefreshToken: false
+    persistSession: true,
+    autoRefreshToken: true
   },
   realtime: {
     params: {
@@ -136,6 +141,64 @@ export const testConnection = async () => {
   }
 }
 
+// ============================================================================
+// SHOP OWNER AUTH
+// ============================================================================
+
+// The dashboard is for the account in shops.owner_id; row level security
+// only lets that account change the shop's jobs
+
+export const getSession = async () => {
+  const { data, error } = await supabase.auth.getSession()
+  if (error) {
+    console.error('❌ Session error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+  return { data: data.session, error: null }
+}
+
+export const signInShopOwner = async (email, password) => {
+  try {
+    if (!email || !password) {
+      throw new Error('Email and password are required')
+    }
+
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+
+    if (error) {
+      console.error('❌ Sign in error:', error)
+      throw new Error(error.message)
+    }
+
+    console.log('✅ Signed in:', data.user.email)
+    return { data: data.session, error: null }
+
+  } catch (error) {
+    console.error('❌ Sign in error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
+export const signOutShopOwner = async () => {
+  const { error } = await supabase.auth.signOut()
+  if (error) {
+    console.error('❌ Sign out error:', error)
+    return { error: { message: error.message } }
+  }
+  return { error: null }
+}
+
+// Calls back with the new session (null once signed out); returns the
+// subscription to unsubscribe
+export const onSessionChange = (callback) => {
+  const { data } = supabase.auth.onAuthStateChange((event, session) => callback(session))
+  return data.subscription
+}
+
+export const isShopOwner = (shop, session) => {
+  return !!shop?.owner_id && shop.owner_id === session?.user?.id
+}
+
 // ============================================================================
 // SHOP FUNCTIONS WITH ENHANCED ERROR HANDLING
 // ============================================================================
@@ -230,73 +293,33 @@ export const getShopPricing = async (shopId) => {
   }
 }
 
+// Prices an order page selection against the shop's cost_configs; the
+// pricing rules themselves live in pricing.js
 export const calculateOrderCost = async (shopId, orderData) => {
   try {
     const { data: configs, error } = await getShopPricing(shopId)
 
     if (error || !configs || configs.length === 0) {
       console.warn('⚠️ No pricing configs found for shop:', shopId)
-      return {
-        cost: 0,
-        error: 'No pricing available for this shop',
-        pricePerPage: 0,
-        appliedTier: null,
-        savings: 0
-      }
     }
 
-    const matchingConfig = configs.find(config =>
-      config.paper_size === orderData.paperSize &&
-      config.color_mode === orderData.colorMode &&
-      config.print_type === orderData.printType
-    )
+    const result = priceOrder(error ? [] : configs, orderData)
 
-    if (!matchingConfig) {
+    if (result.error) {
       console.warn('⚠️ No matching config found for:', orderData)
-      return {
-        cost: 0,
-        error: `No pricing found for ${orderData.paperSize} ${orderData.colorMode} ${orderData.printType}`,
-        pricePerPage: 0,
-        appliedTier: null,
-        savings: 0
-      }
-    }
-
-    let pricePerPage = matchingConfig.base_price
-    let appliedTier = null
-
-    // Check for bulk pricing
-    if (matchingConfig.bulk_tiers && matchingConfig.bulk_tiers.length > 0) {
-      const tier = matchingConfig.bulk_tiers
-        .filter(t => orderData.copies >= t.min_copies)
-        .filter(t => !t.max_copies || orderData.copies <= t.max_copies)
-        .sort((a, b) => b.min_copies - a.min_copies)[0]
-
-      if (tier) {
-        pricePerPage = matchingConfig.base_price * (1 - tier.discount)
-        appliedTier = tier
-      }
+      return result
     }
 
-    const pages = orderData.pages || 0;
-    const totalCost = pricePerPage * orderData.copies * pages;
-    const savings = appliedTier ? (matchingConfig.base_price - pricePerPage) * orderData.copies * pages : 0;
-
     console.log('💰 Cost calculated:', {
-      totalCost: totalCost,
-      pricePerPage: pricePerPage,
-      appliedTier: appliedTier?.name,
-      savings: savings
+      totalCost: result.cost,
+      sheets: result.sheets,
+      impressions: result.impressions,
+      groups: result.groups.map(group => `${group.colorMode}: ${group.impressions} sides, ${group.sheets} sheets`),
+      appliedTier: result.appliedTier?.name,
+      savings: result.savings
     })
 
-    return {
-      cost: totalCost,
-      pricePerPage: pricePerPage,
-      appliedTier: appliedTier,
-      savings: savings,
-      basePrice: matchingConfig.base_price,
-      error: null
-    };
+    return result
   } catch (error) {
     console.error('❌ Cost calculation error:', error)
     return {
@@ -434,52 +457,81 @@ export const uploadFile = async (file, shopId) => {
 // ORDER FUNCTIONS
 // ============================================================================
 
+// print_jobs columns customers can read without signing in: everything but
+// the contact details, pickup code and status key, which only the shop sees
+// (see the order_privacy, pickup_code_privacy and pickup_status_links
+// migrations)
+const CUSTOMER_JOB_COLUMNS = 'id, shop_id, order_id, filename, file_url, copies, paper_size, color_mode, print_type, pages_per_sheet, customer_name, total_cost, payment_status, job_status, estimated_completion, collected_at, recipe, total_pages, selected_pages, has_edits, created_at, updated_at'
+
+const CUSTOMER_ORDER_COLUMNS = 'id, shop_id, customer_name, total_cost, payment_status, created_at, updated_at'
+
+// Validate a job and map it to a print_jobs row
+const buildPrintJobInsert = (jobData) => {
+  if (!jobData.shop_id) {
+    throw new Error('Shop ID is required')
+  }
+
+  if (!jobData.filename) {
+    throw new Error('Filename is required')
+  }
+
+  // Migrate + validate the recipe so bad transforms never reach the print side
+  let recipe = null
+  if (jobData.recipe) {
+    const validRecipe = prepareRecipe(jobData.recipe)
+    recipe = typeof jobData.recipe === 'string' ? JSON.stringify(validRecipe) : validRecipe
+  }
+
+  // Build insert data with recipe metadata
+  const insertData = {
+    shop_id: jobData.shop_id,
+    filename: jobData.filename,
+    file_url: jobData.file_url,
+    copies: jobData.copies,
+    paper_size: jobData.paper_size,
+    color_mode: jobData.color_mode,
+    print_type: jobData.print_type,
+    pages_per_sheet: jobData.pages_per_sheet,
+    customer_name: jobData.customer_name,
+    customer_email: jobData.customer_email,
+    customer_phone: jobData.customer_phone,
+    total_cost: jobData.total_cost,
+    // Set when the job is one document of a multi-document order
+    order_id: jobData.order_id || null,
+    // Shown to the customer, checked by staff at handover (see pickup.js)
+    pickup_code: jobData.pickup_code || generatePickupCode(),
+    // In the customer's status link; trades for the pickup code (see pickup.js)
+    status_key: jobData.status_key || generateStatusKey(),
+    // Settled by the print server after a verified payment webhook
+    payment_status: 'pending',
+    job_status: 'pending',
+    // Recipe metadata for desktop app (cpdf)
+    recipe,
+    total_pages: jobData.total_pages || null,
+    selected_pages: jobData.selected_pages || null,
+    has_edits: jobData.has_edits || false
+  }
+
+  console.log('📋 Job data with recipe:', {
+    hasRecipe: !!insertData.recipe,
+    totalPages: insertData.total_pages,
+    selectedPagesCount: insertData.selected_pages?.length,
+    hasEdits: insertData.has_edits
+  })
+
+  return insertData
+}
+
 export const submitPrintJob = async (jobData) => {
   try {
     console.log('📝 Submitting print job:', jobData)
 
-    if (!jobData.shop_id) {
-      throw new Error('Shop ID is required')
-    }
-
-    if (!jobData.filename) {
-      throw new Error('Filename is required')
-    }
-
-    // Build insert data with recipe metadata
-    const insertData = {
-      shop_id: jobData.shop_id,
-      filename: jobData.filename,
-      file_url: jobData.file_url,
-      copies: jobData.copies,
-      paper_size: jobData.paper_size,
-      color_mode: jobData.color_mode,
-      print_type: jobData.print_type,
-      pages_per_sheet: jobData.pages_per_sheet,
-      customer_name: jobData.customer_name,
-      customer_email: jobData.customer_email,
-      customer_phone: jobData.customer_phone,
-      total_cost: jobData.total_cost,
-      payment_status: 'paid',
-      job_status: 'pending',
-      // Recipe metadata for desktop app (cpdf)
-      recipe: jobData.recipe || null,
-      total_pages: jobData.total_pages || null,
-      selected_pages: jobData.selected_pages || null,
-      has_edits: jobData.has_edits || false
-    }
-
-    console.log('📋 Job data with recipe:', {
-      hasRecipe: !!insertData.recipe,
-      totalPages: insertData.total_pages,
-      selectedPagesCount: insertData.selected_pages?.length,
-      hasEdits: insertData.has_edits
-    })
+    const insertData = buildPrintJobInsert(jobData)
 
     const { data, error } = await supabase
       .from('print_jobs')
       .insert(insertData)
-      .select()
+      .select(CUSTOMER_JOB_COLUMNS)
       .single()
 
     if (error) {
@@ -487,12 +539,14 @@ export const submitPrintJob = async (jobData) => {
       throw new Error(`Failed to submit job: ${error.message}`)
     }
 
+    rememberStatusKey(data.id, insertData.status_key)
+
     console.log('✅ Print job submitted successfully:', data.id)
     return { data, error: null }
 
   } catch (error) {
     console.error('❌ Submit error:', error)
-    return { data: null, error: { message: error.message } }
+    return { data: null, error: { message: error.message, details: error.errors || null } }
   }
 }
 
@@ -504,7 +558,7 @@ export const getJobStatus = async (jobId) => {
 
     const { data, error } = await supabase
       .from('print_jobs')
-      .select('*')
+      .select(CUSTOMER_JOB_COLUMNS)
       .eq('id', jobId)
       .maybeSingle()
 
@@ -521,65 +575,163 @@ export const getJobStatus = async (jobId) => {
   }
 }
 
-export const updatePrintJob = async (jobId, updates) => {
+// Several documents paid for at once: one orders row, one print_jobs row
+// per document. Customer details are shared by every job. Every job is
+// validated before anything is written, and submit_print_order inserts the
+// order and its jobs in one transaction, so a failure leaves nothing behind.
+// Returns { data: { id } } with the new order's id.
+export const submitOrder = async (orderData, jobs) => {
   try {
-    if (!jobId) {
-      throw new Error('Job ID is required')
+    console.log(`📝 Submitting order with ${jobs?.length || 0} document(s)`)
+
+    if (!orderData.shop_id) {
+      throw new Error('Shop ID is required')
+    }
+
+    if (!orderData.customer_name) {
+      throw new Error('Customer name is required')
+    }
+
+    if (!jobs || jobs.length === 0) {
+      throw new Error('An order needs at least one document')
+    }
+
+    // The order is collected in one go, so its documents share a pickup code
+    // and the status link that shows it
+    const pickupCode = generatePickupCode()
+    const statusKey = generateStatusKey()
+    const insertData = jobs.map(job => buildPrintJobInsert({
+      ...job,
+      shop_id: orderData.shop_id,
+      customer_name: orderData.customer_name,
+      customer_email: orderData.customer_email,
+      customer_phone: orderData.customer_phone,
+      pickup_code: pickupCode,
+      status_key: statusKey
+    }))
+
+    const totalCost = jobs.reduce((sum, job) => sum + Number(job.total_cost || 0), 0)
+
+    const { data: orderId, error } = await supabase.rpc('submit_print_order', {
+      p_order: {
+        shop_id: orderData.shop_id,
+        customer_name: orderData.customer_name,
+        customer_email: orderData.customer_email,
+        customer_phone: orderData.customer_phone,
+        total_cost: Math.round(totalCost * 100) / 100
+      },
+      p_jobs: insertData
+    })
+
+    if (error) {
+      console.error('❌ Order submission error:', error)
+      throw new Error(`Failed to submit order: ${error.message}`)
+    }
+
+    rememberStatusKey(orderId, statusKey)
+
+    console.log('✅ Order submitted successfully:', orderId)
+    return { data: { id: orderId }, error: null }
+
+  } catch (error) {
+    console.error('❌ Submit order error:', error)
+    return { data: null, error: { message: error.message, details: error.errors || null } }
+  }
+}
+
+// The order with its print_jobs, oldest document first
+export const getOrder = async (orderId) => {
+  try {
+    if (!orderId) {
+      throw new Error('Order ID is required')
     }
 
     const { data, error } = await supabase
-      .from('print_jobs')
-      .update({
-        ...updates,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId)
-      .select()
-      .single()
+      .from('orders')
+      .select(`${CUSTOMER_ORDER_COLUMNS}, print_jobs(${CUSTOMER_JOB_COLUMNS})`)
+      .eq('id', orderId)
+      .maybeSingle()
 
     if (error) {
-      console.error('❌ Job update error:', error)
-      throw new Error(`Failed to update job: ${error.message}`)
+      console.error('❌ Order status error:', error)
+      throw new Error(`Failed to get order: ${error.message}`)
+    }
+
+    if (data) {
+      data.print_jobs = [...(data.print_jobs || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
     }
 
-    console.log('✅ Job updated successfully:', jobId)
     return { data, error: null }
 
   } catch (error) {
-    console.error('❌ Job update error:', error)
+    console.error('❌ Order status error:', error)
     return { data: null, error: { message: error.message } }
   }
 }
 
-export const updatePaymentStatus = async (jobId, status) => {
+// The pickup code of a job (or an order's jobs) for the status key in its
+// status link; data is null when the key doesn't match
+export const getPickupCode = async (id, statusKey) => {
   try {
-    if (!jobId) {
-      throw new Error('Job ID is required')
+    if (!id || !statusKey) {
+      throw new Error('Job ID and status key are required')
     }
 
-    const { data, error } = await supabase
-      .from('print_jobs')
-      .update({
-        payment_status: status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId)
-      .select()
-      .single()
+    const { data, error } = await supabase.rpc('get_pickup_code', {
+      p_id: id,
+      p_status_key: statusKey
+    })
 
     if (error) {
-      console.error('❌ Payment update error:', error)
-      throw new Error(`Failed to update payment: ${error.message}`)
+      console.error('❌ Pickup code error:', error)
+      throw new Error(`Failed to get pickup code: ${error.message}`)
     }
 
     return { data, error: null }
 
   } catch (error) {
-    console.error('❌ Payment update error:', error)
+    console.error('❌ Pickup code error:', error)
     return { data: null, error: { message: error.message } }
   }
 }
 
+export const getShopJobs = async (shopId, filters = {}) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    let query = supabase
+      .from('print_jobs')
+      .select('*')
+      .eq('shop_id', shopId)
+
+    if (filters.jobStatus) {
+      query = query.eq('job_status', filters.jobStatus)
+    }
+
+    if (filters.paymentStatus) {
+      query = query.eq('payment_status', filters.paymentStatus)
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(filters.limit || 200)
+
+    if (error) {
+      console.error('❌ Shop jobs error:', error)
+      throw new Error(`Failed to load shop jobs: ${error.message}`)
+    }
+
+    console.log('✅ Shop jobs loaded:', data?.length || 0)
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Shop jobs error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
 // ============================================================================
 // JOB STATUS UPDATE FUNCTIONS (For Desktop App Integration)
 // ============================================================================
@@ -634,6 +786,77 @@ export const markJobAsCancelled = async (jobId) => {
   return await updateJobStatus(jobId, 'cancelled')
 }
 
+// ============================================================================
+// PICKUP FUNCTIONS
+// ============================================================================
+
+// A shop's jobs with a pickup code (all documents of an order share one),
+// oldest first
+export const findJobsByPickupCode = async (shopId, pickupCode) => {
+  try {
+    if (!shopId) {
+      throw new Error('Shop ID is required')
+    }
+
+    if (!isValidPickupCode(pickupCode)) {
+      throw new Error('Pickup codes are 6 letters and numbers')
+    }
+
+    const { data, error } = await supabase
+      .from('print_jobs')
+      .select('*')
+      .eq('shop_id', shopId)
+      .eq('pickup_code', normalizePickupCode(pickupCode))
+      .order('created_at', { ascending: true })
+
+    if (error) {
+      console.error('❌ Pickup code lookup error:', error)
+      throw new Error(`Failed to look up pickup code: ${error.message}`)
+    }
+
+    return { data: data || [], error: null }
+
+  } catch (error) {
+    console.error('❌ Pickup code lookup error:', error)
+    return { data: [], error: { message: error.message } }
+  }
+}
+
+// Hand a printed job over: completed → collected, only with the job's own
+// pickup code. collect_print_job checks the code and status with the row
+// locked, so two counters can't hand the same job over twice.
+export const collectPrintJob = async (jobId, pickupCode) => {
+  try {
+    console.log(`📦 Collecting job ${jobId}`)
+
+    if (!jobId) {
+      throw new Error('Job ID is required')
+    }
+
+    const { data, error } = await supabase
+      .rpc('collect_print_job', {
+        p_job_id: jobId,
+        p_pickup_code: normalizePickupCode(pickupCode)
+      })
+      .single()
+
+    if (error) {
+      console.error('❌ Collect job error:', error)
+      if (error.message === 'Already collected' && error.details) {
+        throw new Error(`Already collected at ${new Date(error.details).toLocaleString()}`)
+      }
+      throw new Error(error.message)
+    }
+
+    console.log('✅ Job collected:', data.id)
+    return { data, error: null }
+
+  } catch (error) {
+    console.error('❌ Collect job error:', error)
+    return { data: null, error: { message: error.message } }
+  }
+}
+
 // ============================================================================
 // REAL-TIME SUBSCRIPTIONS
 // ============================================================================
@@ -660,7 +883,45 @@ export const subscribeToJobUpdates = (jobId, callback) => {
     })
 }
 
-export const subscribeToAllJobUpdates = (shopId, callback) => {
+// Calls back with ('orders', row) for payment changes and ('print_jobs', row)
+// for each document's progress
+export const subscribeToOrderUpdates = (orderId, callback) => {
+  console.log('🔄 Setting up real-time subscription for order:', orderId)
+
+  return supabase
+    .channel(`order_updates_${orderId}`)
+    .on('postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'orders',
+        filter: `id=eq.${orderId}`
+      },
+      (payload) => {
+        console.log('🔄 Real-time order update received:', payload.new)
+        callback('orders', payload.new)
+      }
+    )
+    .on('postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'print_jobs',
+        filter: `order_id=eq.${orderId}`
+      },
+      (payload) => {
+        console.log('🔄 Real-time order job update received:', payload.new)
+        callback('print_jobs', payload.new)
+      }
+    )
+    .subscribe((status) => {
+      console.log('🔄 Subscription status:', status)
+    })
+}
+
+// onStatus gets the channel status: SUBSCRIBED once live, then CHANNEL_ERROR,
+// TIMED_OUT or CLOSED when the connection is lost
+export const subscribeToAllJobUpdates = (shopId, callback, onStatus = null) => {
   console.log('🔄 Setting up real-time subscription for shop jobs:', shopId)
 
   return supabase
@@ -677,7 +938,10 @@ export const subscribeToAllJobUpdates = (shopId, callback) => {
         callback(payload)
       }
     )
-    .subscribe()
+    .subscribe((status) => {
+      console.log('🔄 Shop subscription status:', status)
+      onStatus?.(status)
+    })
 }
 
 // ============================================================================
@@ -705,6 +969,26 @@ export const startJobStatusPolling = (jobId, callback, intervalMs = 30000) => {
   }
 }
 
+export const startOrderStatusPolling = (orderId, callback, intervalMs = 30000) => {
+  console.log(`🔄 Starting polling for order ${orderId} every ${intervalMs}ms`)
+
+  const pollInterval = setInterval(async () => {
+    try {
+      const { data, error } = await getOrder(orderId)
+      if (!error && data) {
+        callback(data)
+      }
+    } catch (error) {
+      console.error('❌ Polling error:', error)
+    }
+  }, intervalMs)
+
+  return () => {
+    console.log('🔄 Stopping order status polling')
+    clearInterval(pollInterval)
+  }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
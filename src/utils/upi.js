@@ -0,0 +1,54 @@
+// UPI deep links (NPCI "upi://pay" URI) for paying a shop directly.
+// The same link is encoded in the QR code and opened by the "pay with app"
+// button, so the amount and note are pre-filled either way.
+
+import QRCode from 'qrcode'
+
+// name@handle, e.g. printshop@okaxis
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,64}$/
+
+// UPI apps truncate long notes
+const MAX_NOTE_LENGTH = 50
+
+export const isValidVpa = (vpa) => {
+  return typeof vpa === 'string' && VPA_PATTERN.test(vpa.trim())
+}
+
+// Short, human-readable job reference that shop staff can match against
+export const getPaymentReference = (jobId) => {
+  return `PF${String(jobId).replace(/-/g, '').slice(0, 10).toUpperCase()}`
+}
+
+export const buildUpiLink = ({ vpa, payeeName, amount, jobId }) => {
+  if (!isValidVpa(vpa)) {
+    throw new Error('Shop has no valid UPI ID')
+  }
+
+  const reference = getPaymentReference(jobId)
+  const note = `Order ${jobId}`.slice(0, MAX_NOTE_LENGTH)
+
+  const params = new URLSearchParams({
+    pa: vpa.trim(),
+    pn: payeeName || 'Print shop',
+    am: Number(amount).toFixed(2),
+    cu: 'INR',
+    tn: note,
+    tr: reference
+  })
+
+  // URLSearchParams encodes spaces as '+' and '@' as '%40'; several UPI apps
+  // show the former verbatim and reject the latter
+  return `upi://pay?${params.toString().replace(/\+/g, '%20').replace(/%40/g, '@')}`
+}
+
+export const generateUpiQrCode = async (upiLink) => {
+  return QRCode.toDataURL(upiLink, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 256
+  })
+}
+
+export const isMobileDevice = () => {
+  return /Android|iPhone|iPad|iPod/i.test(navigator.userAgent)
+}
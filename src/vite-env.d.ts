@@ -1,11 +1,82 @@
 /// <reference types="vite/client" />
 
+// Print IPC answers (electron/printPipeline.cjs)
+interface PrintBridgeError {
+  code: string;
+  message: string;
+  details: Record<string, unknown> | null;
+}
+
+type PrintBridgeResult<T> = ({ success: true } & T) | { success: false; error: PrintBridgeError };
+
+interface PrintJobStatus {
+  jobId: string;
+  printerId: string;
+  state: 'pending' | 'printing' | 'completed' | 'failed' | 'cancelled';
+  done: boolean;
+  status: string[];
+  completedAt: string | null;
+}
+
+// Printer profiles and routing rules (electron/printerProfiles.cjs); null means "any" / "not set"
+interface PrinterProfile {
+  printerId: string;
+  label: string;
+  color: boolean | null;
+  paperSizes: string[] | null;
+  tray: string | null;
+  outOfService: boolean;
+  defaults: { duplex: boolean | null; colorMode: 'color' | 'monochrome' | null };
+}
+
+interface PrinterRoute {
+  id: string;
+  paperSize: string | null;
+  colorMode: 'color' | 'monochrome' | null;
+  duplex: boolean | null;
+  printerId: string;
+}
+
+// Offline job cache and status outbox (electron/jobCache.cjs)
+interface CachedJob {
+  job: Record<string, unknown> & { id: string };
+  size: number;
+  cachedAt: string;
+  printedAt: string | null;
+}
+
+interface QueuedStatusUpdate {
+  jobId: string;
+  status: string;
+  from: string;
+  queuedAt: string;
+  revision: number;
+}
+
+interface PrinterProfiles {
+  printers: PrinterProfile[];
+  routes: PrinterRoute[];
+}
+
 interface Window {
   electron: {
     getPrinters: () => Promise<any[]>;
     printDocument: (data: any) => Promise<any>;
+    getPrintJob: (data: { printerId: string; jobId: string }) => Promise<PrintBridgeResult<{ job: PrintJobStatus }>>;
     getSettings: () => Promise<any>;
     saveSettings: (settings: any) => Promise<boolean>;
+    getPrinterProfiles: () => Promise<PrinterProfiles>;
+    savePrinterProfiles: (profiles: PrinterProfiles) => Promise<PrintBridgeResult<{ profiles: PrinterProfiles }>>;
+    jobCache: {
+      putJob: (entry: { job: CachedJob['job']; file: Uint8Array }) => Promise<void>;
+      getJob: (jobId: string) => Promise<(CachedJob & { file: Uint8Array }) | null>;
+      listJobs: () => Promise<CachedJob[]>;
+      markPrinted: (jobId: string) => Promise<void>;
+      removeJob: (jobId: string) => Promise<void>;
+      queueStatusUpdate: (update: QueuedStatusUpdate) => Promise<void>;
+      listStatusUpdates: () => Promise<QueuedStatusUpdate[]>;
+      removeStatusUpdate: (jobId: string) => Promise<void>;
+    };
     window: {
       minimize: () => void;
       maximize: () => void;
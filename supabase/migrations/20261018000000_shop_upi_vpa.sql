@@ -0,0 +1,14 @@
+/*
+  # Add UPI VPA to shops
+
+  1. Changes
+    - `shops.upi_vpa` (text, nullable) - The shop's UPI ID (e.g. `printshop@okaxis`).
+      PaymentPage builds a `upi://pay` link and QR code from it so customers
+      can pay the shop directly with the amount and order id pre-filled.
+*/
+
+ALTER TABLE shops ADD COLUMN IF NOT EXISTS upi_vpa text;
+
+ALTER TABLE shops DROP CONSTRAINT IF EXISTS shops_upi_vpa_format;
+ALTER TABLE shops ADD CONSTRAINT shops_upi_vpa_format
+  CHECK (upi_vpa IS NULL OR upi_vpa ~ '^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,64}$');
@@ -0,0 +1,21 @@
+/*
+  # Price print jobs by physical sheets and printed sides
+
+  1. Changes
+    - `cost_configs.price_per_sheet` (numeric, nullable) - Charged once per sheet of paper
+    - `cost_configs.price_per_side` (numeric, nullable) - Charged once per printed side (impression)
+
+  When either column is set, calculateOrderCost counts sheets and sides after
+  N-up (pages per sheet) and duplex instead of charging per document page.
+  Configs with both columns NULL keep using `base_price`, charged per printed side.
+*/
+
+ALTER TABLE cost_configs ADD COLUMN IF NOT EXISTS price_per_sheet numeric(10, 2);
+ALTER TABLE cost_configs ADD COLUMN IF NOT EXISTS price_per_side numeric(10, 2);
+
+ALTER TABLE cost_configs DROP CONSTRAINT IF EXISTS cost_configs_sheet_pricing_non_negative;
+ALTER TABLE cost_configs ADD CONSTRAINT cost_configs_sheet_pricing_non_negative
+  CHECK (
+    (price_per_sheet IS NULL OR price_per_sheet >= 0) AND
+    (price_per_side IS NULL OR price_per_side >= 0)
+  );
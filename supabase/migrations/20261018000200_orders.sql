@@ -0,0 +1,56 @@
+/*
+  # Create orders table for multi-document orders
+
+  1. New Tables
+    - `orders`
+      - `id` (uuid, primary key)
+      - `shop_id` (uuid) - References shops
+      - `customer_name`, `customer_email`, `customer_phone` (text)
+      - `total_cost` (numeric) - Sum of the linked print jobs' total_cost
+      - `payment_status` (text) - pending, paid or failed; settled by the print
+        server after a verified payment webhook, together with every linked job
+      - `created_at`, `updated_at` (timestamp)
+
+  2. Changes
+    - `print_jobs.order_id` (uuid, nullable) - The order a job was submitted in.
+      Single-document jobs keep order_id NULL and are paid on their own.
+
+  3. Security
+    - Enable RLS on `orders`
+    - Customers are anonymous, so anyone can create an order and read it by id,
+      like print_jobs
+*/
+
+CREATE TABLE IF NOT EXISTS orders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  shop_id uuid NOT NULL REFERENCES shops(id),
+  customer_name text NOT NULL,
+  customer_email text,
+  customer_phone text,
+  total_cost numeric(10, 2) NOT NULL DEFAULT 0,
+  payment_status text NOT NULL DEFAULT 'pending',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS order_id uuid REFERENCES orders(id);
+CREATE INDEX IF NOT EXISTS print_jobs_order_id_idx ON print_jobs(order_id);
+
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+
+-- Allow customers to place orders
+CREATE POLICY "Anyone can create orders"
+  ON orders
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (payment_status = 'pending');
+
+-- Allow customers to follow their order on the payment and status pages
+CREATE POLICY "Anyone can read orders"
+  ON orders
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+-- PaymentPage and StatusPage subscribe to payment_status changes
+ALTER PUBLICATION supabase_realtime ADD TABLE orders;
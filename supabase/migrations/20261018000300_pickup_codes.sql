@@ -0,0 +1,26 @@
+/*
+  # Pickup codes and the collected job status
+
+  1. Changes
+    - `print_jobs.pickup_code` (text, nullable) - Short code the customer shows at
+      the counter, set when the job is submitted. Every job of an order shares one.
+      Jobs submitted before this migration have none.
+    - `print_jobs.collected_at` (timestamp, nullable) - When staff handed the prints over
+    - `print_jobs.job_status` gains `collected`: a completed job moves there once
+      staff have checked its pickup code
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS pickup_code text;
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS collected_at timestamptz;
+
+-- Same alphabet as src/utils/pickup.js (no 0/O, 1/I/L)
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_pickup_code_format;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_pickup_code_format
+  CHECK (pickup_code IS NULL OR pickup_code ~ '^[A-HJKMNP-Z2-9]{6}$');
+
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_job_status_check;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_job_status_check
+  CHECK (job_status IN ('pending', 'printing', 'completed', 'collected', 'cancelled', 'failed'));
+
+-- Staff look jobs up by code at the counter
+CREATE INDEX IF NOT EXISTS print_jobs_shop_pickup_code_idx ON print_jobs(shop_id, pickup_code);
@@ -0,0 +1,67 @@
+/*
+  # Shop owners and dashboard access
+
+  1. Changes
+    - `shops.owner_id` (uuid, nullable) - The Supabase Auth account that runs the
+      shop's dashboard. Link it when onboarding a shop:
+        UPDATE shops SET owner_id = '<auth user id>' WHERE id = '<shop id>';
+      Shops without an owner have no working dashboard.
+
+  2. Security
+    - `is_shop_owner(shop_id)` - true when the signed-in user owns the shop
+    - Replace the policies on `print_jobs`: customers (anon) still submit jobs
+      and follow them by id, but only the shop's owner can update its jobs
+      (start, complete, cancel, set ETA, print agent status)
+*/
+
+ALTER TABLE shops ADD COLUMN IF NOT EXISTS owner_id uuid REFERENCES auth.users(id);
+CREATE INDEX IF NOT EXISTS shops_owner_id_idx ON shops(owner_id);
+
+CREATE OR REPLACE FUNCTION is_shop_owner(p_shop_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM shops WHERE id = p_shop_id AND owner_id = auth.uid()
+  );
+$$;
+
+-- The print_jobs policies predate the migrations in this repository, so
+-- drop whatever is there by name before creating the new set
+DO $$
+DECLARE
+  existing record;
+BEGIN
+  FOR existing IN
+    SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = 'print_jobs'
+  LOOP
+    EXECUTE format('DROP POLICY %I ON print_jobs', existing.policyname);
+  END LOOP;
+END $$;
+
+ALTER TABLE print_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Allow customers to submit jobs; they start unpaid and unprinted
+CREATE POLICY "Anyone can submit print jobs"
+  ON print_jobs
+  FOR INSERT
+  TO anon, authenticated
+  WITH CHECK (payment_status = 'pending' AND job_status = 'pending');
+
+-- Allow customers to follow their job on the payment and status pages
+CREATE POLICY "Anyone can read print jobs"
+  ON print_jobs
+  FOR SELECT
+  TO anon, authenticated
+  USING (true);
+
+-- Only the shop's owner works its queue
+CREATE POLICY "Shop owners can update their jobs"
+  ON print_jobs
+  FOR UPDATE
+  TO authenticated
+  USING (is_shop_owner(shop_id))
+  WITH CHECK (is_shop_owner(shop_id));
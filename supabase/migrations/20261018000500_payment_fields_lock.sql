@@ -0,0 +1,18 @@
+/*
+  # Lock payment fields to the print server
+
+  1. Security
+    - `print_jobs`: the shop owner's UPDATE policy covered every column, so an
+      owner's session (or anything holding it) could set payment_status and
+      total_cost directly. Signed-in users may now update only the job workflow
+      columns; payment_status and total_cost are written by the print server
+      with the service role key, after a verified webhook or the owner's
+      confirmation through POST /api/payments/manual/:id/confirm
+    - `orders`: there is no UPDATE policy already; revoke the privilege as well
+      so a later policy can't open payment_status by accident
+*/
+
+REVOKE UPDATE ON print_jobs FROM anon, authenticated;
+GRANT UPDATE (job_status, estimated_completion, collected_at, updated_at) ON print_jobs TO authenticated;
+
+REVOKE UPDATE ON orders FROM anon, authenticated;
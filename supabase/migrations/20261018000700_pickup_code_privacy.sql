@@ -0,0 +1,64 @@
+/*
+  # Keep pickup codes to the shop
+
+  1. Security
+    - `print_jobs.pickup_code`: anon could read every job's code and collect
+      someone else's prints. Only the shop's owner reads it now; the customer's
+      browser keeps the code it generated (see src/utils/pickup.js).
+    - `print_jobs.collected_at`: no longer updatable directly. Jobs are handed
+      over through collect_print_job, which checks the code first.
+
+  2. New Functions
+    - `collect_print_job(p_job_id, p_pickup_code)` - Moves a paid, completed job
+      of the caller's shop to collected when the pickup code matches, and
+      returns the updated row. Raises with the reason otherwise.
+*/
+
+REVOKE SELECT (pickup_code) ON print_jobs FROM anon;
+REVOKE UPDATE (collected_at) ON print_jobs FROM authenticated;
+
+CREATE OR REPLACE FUNCTION collect_print_job(p_job_id uuid, p_pickup_code text)
+RETURNS print_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  job print_jobs;
+BEGIN
+  -- Lock the row so two counters can't hand the same job over twice
+  SELECT * INTO job FROM print_jobs WHERE id = p_job_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT is_shop_owner(job.shop_id) THEN
+    RAISE EXCEPTION 'Job not found';
+  END IF;
+
+  IF job.pickup_code IS DISTINCT FROM p_pickup_code THEN
+    RAISE EXCEPTION 'Pickup code does not match this job';
+  END IF;
+
+  IF job.job_status = 'collected' THEN
+    RAISE EXCEPTION 'Already collected' USING DETAIL = COALESCE(job.collected_at::text, '');
+  END IF;
+
+  IF job.payment_status IS DISTINCT FROM 'paid' THEN
+    RAISE EXCEPTION 'Job has not been paid for';
+  END IF;
+
+  IF job.job_status <> 'completed' THEN
+    RAISE EXCEPTION 'Job is %, not ready for pickup', job.job_status;
+  END IF;
+
+  UPDATE print_jobs
+     SET job_status = 'collected',
+         collected_at = now(),
+         updated_at = now()
+   WHERE id = p_job_id
+  RETURNING * INTO job;
+
+  RETURN job;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION collect_print_job(uuid, text) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION collect_print_job(uuid, text) TO authenticated;
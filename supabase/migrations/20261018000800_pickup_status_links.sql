@@ -0,0 +1,125 @@
+/*
+  # Status links that show the pickup code, and handover only by code
+
+  1. Changes
+    - `print_jobs.status_key` (text, nullable) - Random secret in the customer's
+      status link (/status/<id>?key=...). Whoever has the link can read the
+      pickup code, from any device. Every job of an order shares one.
+      Jobs submitted before this migration have none.
+    - `submit_print_order` stores each job's status_key
+
+  2. Security
+    - `status_key` is not readable by anon, like pickup_code.
+    - Customers and shop owners can no longer move a job to `collected`, or
+      out of it, with a plain update: collect_print_job is the only way in,
+      and it checks the pickup code. The print server (service role) and the
+      function itself are unaffected.
+
+  3. New Functions
+    - `get_pickup_code(p_id, p_status_key)` - The pickup code of a job, or of
+      an order's jobs, when the status key matches; null otherwise.
+*/
+
+ALTER TABLE print_jobs ADD COLUMN IF NOT EXISTS status_key text;
+
+-- Same format as generateStatusKey() in src/utils/pickup.js
+ALTER TABLE print_jobs DROP CONSTRAINT IF EXISTS print_jobs_status_key_format;
+ALTER TABLE print_jobs ADD CONSTRAINT print_jobs_status_key_format
+  CHECK (status_key IS NULL OR status_key ~ '^[A-Za-z0-9_-]{22}$');
+
+-- The order_privacy grant listed print_jobs' columns at the time, so anon
+-- can't read this one already; keep it that way if grants are redone
+REVOKE SELECT (status_key) ON print_jobs FROM anon;
+
+-- ============================================
+-- Pickup code by status link
+-- ============================================
+
+CREATE OR REPLACE FUNCTION get_pickup_code(p_id uuid, p_status_key text)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT pickup_code
+    FROM print_jobs
+   WHERE (id = p_id OR order_id = p_id)
+     AND status_key = p_status_key
+   LIMIT 1;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_pickup_code(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_pickup_code(uuid, text) TO anon, authenticated;
+
+-- ============================================
+-- Collection only through collect_print_job
+-- ============================================
+
+-- collect_print_job is SECURITY DEFINER, so inside it current_user is its
+-- owner rather than anon or authenticated
+CREATE OR REPLACE FUNCTION guard_collected_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated')
+     AND NEW.job_status IS DISTINCT FROM OLD.job_status
+     AND 'collected' IN (NEW.job_status, OLD.job_status) THEN
+    RAISE EXCEPTION 'Jobs are collected with their pickup code (collect_print_job)';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS print_jobs_guard_collected ON print_jobs;
+CREATE TRIGGER print_jobs_guard_collected
+  BEFORE UPDATE OF job_status ON print_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION guard_collected_status();
+
+-- ============================================
+-- Order submission, now with status_key
+-- ============================================
+
+CREATE OR REPLACE FUNCTION submit_print_order(p_order jsonb, p_jobs jsonb)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  new_order_id uuid;
+BEGIN
+  IF jsonb_typeof(p_jobs) IS DISTINCT FROM 'array' OR jsonb_array_length(p_jobs) = 0 THEN
+    RAISE EXCEPTION 'An order needs at least one document';
+  END IF;
+
+  INSERT INTO orders (shop_id, customer_name, customer_email, customer_phone, total_cost, payment_status)
+  VALUES (
+    (p_order->>'shop_id')::uuid,
+    p_order->>'customer_name',
+    p_order->>'customer_email',
+    p_order->>'customer_phone',
+    COALESCE((p_order->>'total_cost')::numeric, 0),
+    'pending'
+  )
+  RETURNING id INTO new_order_id;
+
+  INSERT INTO print_jobs (
+    shop_id, filename, file_url, copies, paper_size, color_mode, print_type,
+    pages_per_sheet, customer_name, customer_email, customer_phone, total_cost,
+    order_id, pickup_code, status_key, payment_status, job_status, recipe,
+    total_pages, selected_pages, has_edits
+  )
+  SELECT
+    shop_id, filename, file_url, copies, paper_size, color_mode, print_type,
+    pages_per_sheet, customer_name, customer_email, customer_phone, total_cost,
+    new_order_id, pickup_code, status_key, payment_status, job_status, recipe,
+    total_pages, selected_pages, has_edits
+  FROM jsonb_populate_recordset(NULL::print_jobs, p_jobs);
+
+  RETURN new_order_id;
+END;
+$$;
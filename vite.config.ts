@@ -19,6 +19,10 @@ export default defineConfig({
     strictPort: true,
     host: '0.0.0.0',
     allowedHosts: true,
+    proxy: {
+      // Print server API (payments, printers, jobs)
+      '/api': 'http://localhost:3001',
+    },
   },
   preview: {
     port: 3030,